@@ -1,13 +1,23 @@
 const { app, BrowserWindow, ipcMain, Menu, dialog, shell } = require('electron');
+const fs = require('fs');
 const path = require('path');
 const StorageService = require('../services/StorageService');
 const ExcelGenerator = require('../services/ExcelGenerator');
+const ExcelImporter = require('../services/ExcelImporter');
+const PdfGenerator = require('../services/PdfGenerator');
+const IcsGenerator = require('../services/IcsGenerator');
+const ExcelProfile = require('../models/ExcelProfile');
+const CsvSchedule = require('../models/CsvSchedule');
+const ExportSettings = require('../models/ExportSettings');
+const WeekDateCalculator = require('../models/WeekDateCalculator');
 
 class MainProcess {
     constructor() {
         this.mainWindow = null;
         this.storageService = new StorageService();
         this.excelGenerator = new ExcelGenerator();
+        this.pdfGenerator = new PdfGenerator();
+        this.icsGenerator = new IcsGenerator();
     }
 
     createWindow() {
@@ -44,19 +54,105 @@ class MainProcess {
             return this.storageService.loadState();
         });
 
+        // Wczytywanie stanu wybranego tygodnia
+        ipcMain.handle('load-week', async (event, year, weekNumber) => {
+            return this.storageService.loadWeek(year, weekNumber);
+        });
+
+        // Zapis innego tygodnia niż bieżący
+        ipcMain.handle('save-week', async (event, state) => {
+            return this.storageService.saveWeek(state);
+        });
+
+        // Lista zapisanych tygodni
+        ipcMain.handle('list-weeks', async () => {
+            return this.storageService.listWeeks();
+        });
+
+        // Kartoteka pracowników
+        ipcMain.handle('load-roster', async () => {
+            return this.storageService.loadRoster();
+        });
+
+        ipcMain.handle('save-roster', async (event, employees) => {
+            return this.storageService.saveRoster(employees);
+        });
+
+        // Ustawienia aplikacji
+        ipcMain.handle('load-settings', async () => {
+            return this.storageService.loadSettings();
+        });
+
+        ipcMain.handle('save-settings', async (event, settings) => {
+            return this.storageService.saveSettings(settings);
+        });
+
+        // Kopie zapasowe i uszkodzone pliki danych
+        ipcMain.handle('get-storage-problems', async () => {
+            return this.storageService.getLoadProblems();
+        });
+
+        ipcMain.handle('dismiss-storage-problem', async (event, fileName) => {
+            return this.storageService.dismissLoadProblem(fileName);
+        });
+
+        ipcMain.handle('list-backups', async () => {
+            return this.storageService.listBackups();
+        });
+
+        ipcMain.handle('restore-backup', async (event, backupId) => {
+            return this.storageService.restoreBackup(backupId);
+        });
+
+        // Szablony tygodnia
+        ipcMain.handle('load-templates', async () => {
+            return this.storageService.loadTemplates();
+        });
+
+        ipcMain.handle('save-templates', async (event, templates) => {
+            return this.storageService.saveTemplates(templates);
+        });
+
+        // Profile eksportu do Excela: wybór pliku szablonu i sprawdzenie mapowania
+        ipcMain.handle('choose-excel-template', async () => {
+            const result = await dialog.showOpenDialog(this.mainWindow, {
+                title: 'Wybierz szablon Excel',
+                properties: ['openFile'],
+                filters: [
+                    { name: 'Pliki Excel', extensions: ['xlsx'] }
+                ]
+            });
+            return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+        });
+
+        ipcMain.handle('validate-excel-profile', async (event, profile) => {
+            return this.validateExcelProfile(profile);
+        });
+
         // Generowanie pliku Excel
         ipcMain.handle('generate-excel', async (event, boardState) => {
             try {
-                // Wygeneruj domyślną nazwę pliku
+                // Sprawdź mapowanie aktywnego profilu przed pokazaniem dialogu
+                const settings = await this.storageService.loadSettings();
+                const profile = ExcelProfile.getActive(settings.excel);
+                const errors = await this.validateExcelProfile(profile);
+                if (errors.length > 0) {
+                    return { success: false, error: errors.join('\n') };
+                }
+                const excelGenerator = new ExcelGenerator(profile);
+                const exportSettings = ExportSettings.resolve(settings.export);
+
+                // Wygeneruj domyślną nazwę pliku (wzorzec z ustawień eksportu)
                 const defaultFileName = this.excelGenerator.generateDefaultFileName(
                     boardState.year,
-                    boardState.weekNumber
+                    boardState.weekNumber,
+                    exportSettings.fileNamePattern
                 );
 
                 // Pokaż dialog zapisu pliku
                 const result = await dialog.showSaveDialog(this.mainWindow, {
                     title: 'Zapisz grafik jako Excel',
-                    defaultPath: `${defaultFileName}.xlsx`,
+                    defaultPath: this.getDefaultPath(exportSettings, `${defaultFileName}.xlsx`),
                     filters: [
                         { name: 'Pliki Excel', extensions: ['xlsx'] }
                     ]
@@ -67,10 +163,10 @@ class MainProcess {
                 }
 
                 // Wygeneruj plik Excel
-                await this.excelGenerator.generateExcel(boardState, result.filePath);
+                await excelGenerator.generateExcel(boardState, result.filePath, settings);
 
-                // Otwórz wygenerowany plik w domyślnej aplikacji (Excel)
-                await shell.openPath(result.filePath);
+                // Otwórz wygenerowany plik w domyślnej aplikacji (Excel), jeśli ustawienia na to pozwalają
+                await this.openExportedFile(exportSettings, result.filePath);
 
                 return { success: true, filePath: result.filePath };
             } catch (error) {
@@ -78,6 +174,379 @@ class MainProcess {
                 return { success: false, error: error.message };
             }
         });
+
+        // Eksport zakresu tygodni do jednego skoroszytu (arkusz na tydzień i opcjonalne podsumowanie)
+        ipcMain.handle('generate-excel-range', async (event, { year, weekNumber, weekCount, includeSummary }) => {
+            try {
+                const settings = await this.storageService.loadSettings();
+                const profile = ExcelProfile.getActive(settings.excel);
+                const errors = await this.validateExcelProfile(profile);
+                if (errors.length > 0) {
+                    return { success: false, error: errors.join('\n') };
+                }
+
+                const weekStates = await this.loadWeekRange(year, weekNumber, weekCount);
+                if (weekStates.length === 0) {
+                    return { success: false, error: 'W wybranym zakresie nie ma zapisanych tygodni.' };
+                }
+
+                const excelGenerator = new ExcelGenerator(profile);
+                const exportSettings = ExportSettings.resolve(settings.export);
+                const fileName = excelGenerator.generateRangeFileName(
+                    weekStates[0], weekStates[weekStates.length - 1], exportSettings.fileNamePattern);
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Zapisz grafik tygodni jako Excel',
+                    defaultPath: this.getDefaultPath(exportSettings, `${fileName}.xlsx`),
+                    filters: [
+                        { name: 'Pliki Excel', extensions: ['xlsx'] }
+                    ]
+                });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, canceled: true };
+                }
+
+                await excelGenerator.generateWorkbook(weekStates, result.filePath, settings, { includeSummary });
+                await this.openExportedFile(exportSettings, result.filePath);
+
+                return { success: true, filePath: result.filePath, sheetCount: weekStates.length };
+            } catch (error) {
+                console.error('Błąd podczas generowania Excel:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Eksport każdego tygodnia zakresu do osobnego pliku w folderze eksportu (bez okien dialogowych)
+        ipcMain.handle('export-excel-batch', async (event, { year, weekNumber, weekCount, overwrite }) => {
+            try {
+                const settings = await this.storageService.loadSettings();
+                const exportSettings = ExportSettings.resolve(settings.export);
+                if (!exportSettings.folder) {
+                    return { success: false, error: 'Ustaw folder eksportu w Ustawieniach (sekcja „Pliki eksportu”).' };
+                }
+                if (!fs.existsSync(exportSettings.folder)) {
+                    return { success: false, error: `Folder eksportu nie istnieje: ${exportSettings.folder}` };
+                }
+
+                const profile = ExcelProfile.getActive(settings.excel);
+                const errors = await this.validateExcelProfile(profile);
+                if (errors.length > 0) {
+                    return { success: false, error: errors.join('\n') };
+                }
+
+                const excelGenerator = new ExcelGenerator(profile);
+                const summary = await this.exportWeeksToFolder(
+                    excelGenerator, { year, weekNumber, weekCount, overwrite }, settings, exportSettings
+                );
+                return { success: true, folder: exportSettings.folder, ...summary };
+            } catch (error) {
+                console.error('Błąd podczas eksportu tygodni:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('choose-export-folder', async () => {
+            const result = await dialog.showOpenDialog(this.mainWindow, {
+                title: 'Wybierz folder eksportu',
+                properties: ['openDirectory', 'createDirectory']
+            });
+            return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+        });
+
+        // Import grafiku z pliku Excel wygenerowanego przez aplikację (aktywny profil eksportu)
+        ipcMain.handle('import-excel', async () => {
+            try {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    title: 'Importuj grafik z pliku Excel',
+                    properties: ['openFile'],
+                    filters: [
+                        { name: 'Pliki Excel', extensions: ['xlsx'] }
+                    ]
+                });
+                if (result.canceled || result.filePaths.length === 0) {
+                    return { success: false, canceled: true };
+                }
+
+                const settings = await this.storageService.loadSettings();
+                const profile = ExcelProfile.getActive(settings.excel);
+                const profileErrors = ExcelProfile.validate(profile);
+                if (profileErrors.length > 0) {
+                    return { success: false, error: profileErrors.join('\n') };
+                }
+
+                const importer = new ExcelImporter(profile);
+                const schedule = await importer.importFile(result.filePaths[0], settings);
+                return { success: true, fileName: path.basename(result.filePaths[0]), ...schedule };
+            } catch (error) {
+                console.error('Błąd podczas importu Excel:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Eksport bieżącego tygodnia do PDF
+        ipcMain.handle('export-pdf', async (event, boardState) => {
+            try {
+                const settings = await this.storageService.loadSettings();
+                const exportSettings = ExportSettings.resolve(settings.export);
+                const filePath = await this.askPdfPath(
+                    this.excelGenerator.generateDefaultFileName(boardState.year, boardState.weekNumber, exportSettings.fileNamePattern),
+                    exportSettings
+                );
+                if (!filePath) {
+                    return { success: false, canceled: true };
+                }
+
+                const previousState = await this.loadPreviousWeek(boardState.year, boardState.weekNumber);
+                await this.pdfGenerator.generateWeekPdf(boardState, filePath, settings, previousState);
+                await this.openExportedFile(exportSettings, filePath);
+
+                return { success: true, filePath };
+            } catch (error) {
+                console.error('Błąd podczas generowania PDF:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Eksport kalendarza .ics ({ year, weekNumber, weekCount, employee }):
+        // jeden pracownik - plik .ics, employee = null - archiwum zip dla całego zespołu
+        ipcMain.handle('export-ics', async (event, { year, weekNumber, weekCount, employee }) => {
+            try {
+                const weekStates = await this.loadWeekRange(year, weekNumber, weekCount);
+                if (weekStates.length === 0) {
+                    return { success: false, error: 'W wybranym zakresie nie ma zapisanych tygodni.' };
+                }
+
+                const settings = await this.storageService.loadSettings();
+                const exportSettings = ExportSettings.resolve(settings.export);
+                const result = await dialog.showSaveDialog(this.mainWindow, employee
+                    ? {
+                        title: 'Zapisz kalendarz pracownika',
+                        defaultPath: this.getDefaultPath(exportSettings, this.icsGenerator.generateFileName(employee.header)),
+                        filters: [{ name: 'Kalendarz iCalendar', extensions: ['ics'] }]
+                    }
+                    : {
+                        title: 'Zapisz kalendarze zespołu',
+                        defaultPath: this.getDefaultPath(exportSettings, `Dienstplan KW ${weekNumber}-${year}.zip`),
+                        filters: [{ name: 'Archiwum ZIP', extensions: ['zip'] }]
+                    });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, canceled: true };
+                }
+
+                if (employee) {
+                    const eventCount = await this.icsGenerator.writeEmployeeCalendar(employee, weekStates, result.filePath, settings);
+                    return { success: true, filePath: result.filePath, fileCount: 1, eventCount };
+                }
+                const summary = await this.icsGenerator.writeTeamArchive(weekStates, result.filePath, settings);
+                return { success: true, filePath: result.filePath, ...summary };
+            } catch (error) {
+                console.error('Błąd podczas eksportu kalendarza:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Eksport widoku miesiąca do PDF ({ year, month, weeks, totals })
+        ipcMain.handle('export-month-pdf', async (event, monthView) => {
+            try {
+                const settings = await this.storageService.loadSettings();
+                const exportSettings = ExportSettings.resolve(settings.export);
+                const monthName = WeekDateCalculator.MONTH_NAMES[monthView.month - 1];
+                const filePath = await this.askPdfPath(`Dienstplan ${monthName} ${monthView.year}`, exportSettings);
+                if (!filePath) {
+                    return { success: false, canceled: true };
+                }
+
+                const firstWeek = monthView.weeks[0];
+                const previousState = await this.loadPreviousWeek(firstWeek.year, firstWeek.weekNumber);
+                await this.pdfGenerator.generateMonthPdf(monthView, filePath, settings, previousState);
+                await this.openExportedFile(exportSettings, filePath);
+
+                return { success: true, filePath };
+            } catch (error) {
+                console.error('Błąd podczas generowania PDF:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Eksport tygodnia do CSV (jeden rekord na dzień pracownika)
+        ipcMain.handle('export-csv', async (event, boardState) => {
+            try {
+                const settings = await this.storageService.loadSettings();
+                const exportSettings = ExportSettings.resolve(settings.export);
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Zapisz grafik jako CSV',
+                    defaultPath: this.getDefaultPath(exportSettings, `Dienstplan KW ${boardState.weekNumber}-${boardState.year}.csv`),
+                    filters: [
+                        { name: 'Pliki CSV', extensions: ['csv'] }
+                    ]
+                });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, canceled: true };
+                }
+
+                await fs.promises.writeFile(result.filePath, CsvSchedule.serialize(boardState, settings.shifts), 'utf-8');
+                return { success: true, filePath: result.filePath };
+            } catch (error) {
+                console.error('Błąd podczas eksportu CSV:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Wczytanie pliku CSV do importu (rozbiór i podgląd odbywają się w rendererze)
+        ipcMain.handle('open-csv', async () => {
+            try {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    title: 'Importuj grafik z CSV',
+                    properties: ['openFile'],
+                    filters: [
+                        { name: 'Pliki CSV', extensions: ['csv', 'txt'] }
+                    ]
+                });
+                if (result.canceled || result.filePaths.length === 0) {
+                    return { success: false, canceled: true };
+                }
+
+                const data = await fs.promises.readFile(result.filePaths[0]);
+                return {
+                    success: true,
+                    fileName: path.basename(result.filePaths[0]),
+                    content: this.decodeText(data)
+                };
+            } catch (error) {
+                console.error('Błąd podczas wczytywania CSV:', error);
+                return { success: false, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * Dekoduje plik tekstowy: UTF-8, a gdy nie jest poprawnym UTF-8 - Windows-1252
+     * (CSV zapisany przez Excel bez BOM)
+     * @param {Buffer} data
+     * @returns {string}
+     */
+    decodeText(data) {
+        let text;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(data);
+        } catch (error) {
+            text = new TextDecoder('windows-1252').decode(data);
+        }
+        return text.replace(/^\uFEFF/, '');
+    }
+
+    /**
+     * Pyta o ścieżkę pliku PDF
+     * @param {string} defaultFileName - nazwa bez rozszerzenia
+     * @param {Object} exportSettings - ustawienia eksportu (folder domyślny)
+     * @returns {Promise<string|null>} ścieżka lub null po anulowaniu
+     */
+    async askPdfPath(defaultFileName, exportSettings) {
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+            title: 'Zapisz grafik jako PDF',
+            defaultPath: this.getDefaultPath(exportSettings, `${defaultFileName}.pdf`),
+            filters: [
+                { name: 'Pliki PDF', extensions: ['pdf'] }
+            ]
+        });
+        return result.canceled || !result.filePath ? null : result.filePath;
+    }
+
+    /**
+     * Domyślna ścieżka w oknie zapisu: w folderze eksportu, jeśli jest ustawiony
+     * @param {Object} exportSettings
+     * @param {string} fileName
+     * @returns {string}
+     */
+    getDefaultPath(exportSettings, fileName) {
+        return exportSettings.folder ? path.join(exportSettings.folder, fileName) : fileName;
+    }
+
+    /**
+     * Otwiera wyeksportowany plik w domyślnej aplikacji (chyba że wyłączono to w ustawieniach)
+     * @param {Object} exportSettings
+     * @param {string} filePath
+     */
+    async openExportedFile(exportSettings, filePath) {
+        if (exportSettings.openAfterExport) {
+            await shell.openPath(filePath);
+        }
+    }
+
+    /**
+     * Wczytuje zapisane tygodnie z zakresu (niezaplanowane są pomijane)
+     * @param {number} year - rok pierwszego tygodnia
+     * @param {number} weekNumber - numer pierwszego tygodnia
+     * @param {number} weekCount - liczba tygodni
+     * @returns {Promise<Object[]>}
+     */
+    async loadWeekRange(year, weekNumber, weekCount) {
+        const states = [];
+        for (let offset = 0; offset < weekCount; offset++) {
+            const week = WeekDateCalculator.shiftWeek(year, weekNumber, offset);
+            const state = await this.storageService.loadWeek(week.year, week.weekNumber);
+            if (state) states.push(state);
+        }
+        return states;
+    }
+
+    /**
+     * Zapisuje każdy tydzień zakresu do osobnego pliku Excel w folderze eksportu.
+     * Tygodnie bez zapisanego grafiku i istniejące pliki (bez nadpisywania) są pomijane.
+     * @param {ExcelGenerator} excelGenerator
+     * @param {{year: number, weekNumber: number, weekCount: number, overwrite: boolean}} range
+     * @param {Object} settings
+     * @param {Object} exportSettings
+     * @returns {Promise<{written: string[], skipped: {fileName: string, reason: string}[]}>}
+     */
+    async exportWeeksToFolder(excelGenerator, { year, weekNumber, weekCount, overwrite }, settings, exportSettings) {
+        const written = [];
+        const skipped = [];
+
+        for (let offset = 0; offset < weekCount; offset++) {
+            const week = WeekDateCalculator.shiftWeek(year, weekNumber, offset);
+            const fileName = `${excelGenerator.generateDefaultFileName(week.year, week.weekNumber, exportSettings.fileNamePattern)}.xlsx`;
+            const filePath = path.join(exportSettings.folder, fileName);
+
+            const state = await this.storageService.loadWeek(week.year, week.weekNumber);
+            if (!state) {
+                skipped.push({ fileName, reason: 'brak zapisanego grafiku' });
+                continue;
+            }
+            if (!overwrite && fs.existsSync(filePath)) {
+                skipped.push({ fileName, reason: 'plik już istnieje' });
+                continue;
+            }
+
+            try {
+                await excelGenerator.generateExcel(state, filePath, settings);
+                written.push(fileName);
+            } catch (error) {
+                skipped.push({ fileName, reason: error.message });
+            }
+        }
+
+        return { written, skipped };
+    }
+
+    /**
+     * Wczytuje zapisany tydzień poprzedzający podany (kontrola ArbZG na granicy tygodni)
+     * @param {number} year
+     * @param {number} weekNumber
+     * @returns {Promise<Object|null>}
+     */
+    async loadPreviousWeek(year, weekNumber) {
+        const previous = WeekDateCalculator.shiftWeek(year, weekNumber, -1);
+        return this.storageService.loadWeek(previous.year, previous.weekNumber);
+    }
+
+    /**
+     * Sprawdza profil eksportu: najpierw samo mapowanie, potem zgodność z plikiem szablonu
+     * @param {Object} profile
+     * @returns {Promise<string[]>} lista błędów
+     */
+    async validateExcelProfile(profile) {
+        const errors = ExcelProfile.validate(profile);
+        return errors.length > 0 ? errors : new ExcelGenerator(profile).validateTemplate();
     }
 
     initialize() {
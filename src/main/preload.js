@@ -7,5 +7,29 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
     saveState: (state) => ipcRenderer.invoke('save-state', state),
     loadState: () => ipcRenderer.invoke('load-state'),
-    generateExcel: (boardState) => ipcRenderer.invoke('generate-excel', boardState)
+    loadWeek: (year, weekNumber) => ipcRenderer.invoke('load-week', year, weekNumber),
+    saveWeek: (state) => ipcRenderer.invoke('save-week', state),
+    listWeeks: () => ipcRenderer.invoke('list-weeks'),
+    loadRoster: () => ipcRenderer.invoke('load-roster'),
+    saveRoster: (employees) => ipcRenderer.invoke('save-roster', employees),
+    loadSettings: () => ipcRenderer.invoke('load-settings'),
+    saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
+    getStorageProblems: () => ipcRenderer.invoke('get-storage-problems'),
+    dismissStorageProblem: (fileName) => ipcRenderer.invoke('dismiss-storage-problem', fileName),
+    listBackups: () => ipcRenderer.invoke('list-backups'),
+    restoreBackup: (backupId) => ipcRenderer.invoke('restore-backup', backupId),
+    loadTemplates: () => ipcRenderer.invoke('load-templates'),
+    saveTemplates: (templates) => ipcRenderer.invoke('save-templates', templates),
+    chooseExcelTemplate: () => ipcRenderer.invoke('choose-excel-template'),
+    validateExcelProfile: (profile) => ipcRenderer.invoke('validate-excel-profile', profile),
+    generateExcel: (boardState) => ipcRenderer.invoke('generate-excel', boardState),
+    generateExcelRange: (options) => ipcRenderer.invoke('generate-excel-range', options),
+    exportExcelBatch: (options) => ipcRenderer.invoke('export-excel-batch', options),
+    chooseExportFolder: () => ipcRenderer.invoke('choose-export-folder'),
+    importExcel: () => ipcRenderer.invoke('import-excel'),
+    exportPdf: (boardState) => ipcRenderer.invoke('export-pdf', boardState),
+    exportMonthPdf: (monthView) => ipcRenderer.invoke('export-month-pdf', monthView),
+    exportIcs: (options) => ipcRenderer.invoke('export-ics', options),
+    exportCsv: (boardState) => ipcRenderer.invoke('export-csv', boardState),
+    openCsv: () => ipcRenderer.invoke('open-csv')
 });
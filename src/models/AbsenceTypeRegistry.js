@@ -0,0 +1,83 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Rejestr typów nieobecności (urlop, choroba, szkolenie, ...)
+ * Single Responsibility: definicje nieobecności i kolejność przełączania stanów kafelka
+ *
+ * Kod nieobecności jest jednocześnie stanem kafelka i wartością w Excelu.
+ */
+class AbsenceTypeRegistry {
+    /**
+     * Stany kafelka, które nie są nieobecnościami
+     */
+    static WORK_STATES = Object.freeze(['A', 'Praca']);
+
+    /**
+     * Domyślne typy nieobecności; "U" (Urlaub) jest wymagany i nie można go usunąć
+     */
+    static DEFAULT_TYPES = Object.freeze([
+        Object.freeze({ code: 'U', name: 'Urlaub', color: '#805ad5', inCycle: true }),
+        Object.freeze({ code: 'K', name: 'Krankheit', color: '#d69e2e', inCycle: false }),
+        Object.freeze({ code: 'S', name: 'Schulung', color: '#3182ce', inCycle: false }),
+        Object.freeze({ code: 'F', name: 'Freizeitausgleich', color: '#319795', inCycle: false }),
+        Object.freeze({ code: 'UU', name: 'Unbezahlter Urlaub', color: '#718096', inCycle: false })
+    ]);
+
+    /**
+     * Kod urlopu wypoczynkowego
+     */
+    static VACATION_CODE = 'U';
+
+    /**
+     * Zwraca rejestr z ustawień lub rejestr domyślny
+     * @param {Object[]|undefined} types
+     * @returns {Object[]}
+     */
+    static resolve(types) {
+        return Array.isArray(types) && types.length > 0 ? types : AbsenceTypeRegistry.DEFAULT_TYPES;
+    }
+
+    /**
+     * Pobiera typ nieobecności po kodzie
+     * @param {Object[]} types
+     * @param {string} code
+     * @returns {Object|null}
+     */
+    static getType(types, code) {
+        return AbsenceTypeRegistry.resolve(types).find(type => type.code === code) || null;
+    }
+
+    /**
+     * Sprawdza czy stan kafelka jest nieobecnością
+     * @param {Object[]} types
+     * @param {string} state
+     * @returns {boolean}
+     */
+    static isAbsence(types, state) {
+        return AbsenceTypeRegistry.getType(types, state) !== null;
+    }
+
+    /**
+     * Kody wszystkich nieobecności
+     * @param {Object[]} types
+     * @returns {string[]}
+     */
+    static getCodes(types) {
+        return AbsenceTypeRegistry.resolve(types).map(type => type.code);
+    }
+
+    /**
+     * Kolejność stanów przy przełączaniu kliknięciem:
+     * A → Praca → nieobecności oznaczone jako "w cyklu"
+     * @param {Object[]} types
+     * @returns {string[]}
+     */
+    static getStateCycle(types) {
+        const cycleCodes = AbsenceTypeRegistry.resolve(types)
+            .filter(type => type.inCycle)
+            .map(type => type.code);
+        return [...AbsenceTypeRegistry.WORK_STATES, ...cycleCodes];
+    }
+}
+
+SharedModels.define('AbsenceTypeRegistry', AbsenceTypeRegistry, typeof module !== 'undefined' ? module : null);
@@ -1,6 +1,7 @@
 const Row = require('./Row');
 const Column = require('./Column');
 const { TileState } = require('./TileState');
+const StaffingRules = require('./StaffingRules');
 
 /**
  * Klasa reprezentująca całą tablicę grafiku
@@ -28,10 +29,11 @@ class Board {
     /**
      * Dodaje nowy wiersz
      * @param {string} header - nagłówek wiersza
+     * @param {string|null} employeeId - ID pracownika z kartoteki
      * @returns {Row} nowo utworzony wiersz
      */
-    addRow(header = '') {
-        const newRow = new Row(this.rows.length, header, true);
+    addRow(header = '', employeeId = null) {
+        const newRow = new Row(this.rows.length, header, true, null, employeeId);
         this.rows.push(newRow);
         return newRow;
     }
@@ -96,39 +98,62 @@ class Board {
     }
 
     /**
-     * Sprawdza czy kolumna spełnia wymagania
+     * Ocenia obsadę kolumny według reguł obsady
      * @param {number} columnIndex 
-     * @returns {boolean}
+     * @param {Object} rules - konfiguracja reguł (StaffingRules)
+     * @param {Date[]|null} weekDates - daty tygodnia (dla reguł przypisanych do dat i świąt)
+     * @param {string|null} holidayState - kraj związkowy dla kalendarza świąt
+     * @returns {Object|null} wynik StaffingRules.evaluate
      */
-    isColumnValid(columnIndex) {
+    evaluateColumn(columnIndex, rules = null, weekDates = null, holidayState = null) {
         const column = this.getColumn(columnIndex);
-        if (!column) return false;
+        if (!column) return null;
 
-        const pracaCount = this.countPracaInColumn(columnIndex);
-        const required = column.requiredWorkers;
+        const date = weekDates ? weekDates[columnIndex] : null;
+        return StaffingRules.evaluateDay({
+            pracaCount: this.countPracaInColumn(columnIndex),
+            required: column.requiredWorkers,
+            columnIndex,
+            date,
+            holidayState,
+            rules
+        });
+    }
 
-        if (column.isSunday()) {
-            // Niedziela: dokładnie wymagana liczba
-            return pracaCount === required;
-        } else {
-            // Inne dni: wymagana lub wymagana + 1
-            return pracaCount === required || pracaCount === required + 1;
-        }
+    /**
+     * Sprawdza czy kolumna spełnia wymagania
+     * @param {number} columnIndex 
+     * @param {Object} rules - konfiguracja reguł (StaffingRules)
+     * @param {Date[]|null} weekDates - daty tygodnia
+     * @param {string|null} holidayState - kraj związkowy dla kalendarza świąt
+     * @returns {boolean}
+     */
+    isColumnValid(columnIndex, rules = null, weekDates = null, holidayState = null) {
+        const evaluation = this.evaluateColumn(columnIndex, rules, weekDates, holidayState);
+        return evaluation ? evaluation.isValid : false;
     }
 
     /**
      * Pobiera status wszystkich kolumn
-     * @returns {Object[]} tablica z informacjami o każdej kolumnie
+     * @param {Object} rules - konfiguracja reguł (StaffingRules)
+     * @param {Date[]|null} weekDates - daty tygodnia
+     * @param {string|null} holidayState - kraj związkowy dla kalendarza świąt
+     * @returns {Object[]} tablica z informacjami o każdej kolumnie (z regułą, która nie jest spełniona)
      */
-    getColumnsStatus() {
-        return this.columns.map((column, index) => ({
-            index,
-            name: column.name,
-            requiredWorkers: column.requiredWorkers,
-            pracaCount: this.countPracaInColumn(index),
-            isValid: this.isColumnValid(index),
-            isSunday: column.isSunday()
-        }));
+    getColumnsStatus(rules = null, weekDates = null, holidayState = null) {
+        return this.columns.map((column, index) => {
+            const evaluation = this.evaluateColumn(index, rules, weekDates, holidayState);
+            return {
+                index,
+                name: column.name,
+                requiredWorkers: column.requiredWorkers,
+                pracaCount: this.countPracaInColumn(index),
+                isValid: evaluation.isValid,
+                isSunday: column.isSunday(),
+                failedRule: evaluation.failedRule,
+                reason: evaluation.reason
+            };
+        });
     }
 
     /**
@@ -35,11 +35,11 @@ class Column {
     }
 
     /**
-     * Ustawia wymaganą liczbę pracowników
+     * Ustawia wymaganą liczbę pracowników (0 = dzień zamknięty, np. święto)
      * @param {number} count 
      */
     setRequiredWorkers(count) {
-        if (count > 0) {
+        if (count >= 0) {
             this.requiredWorkers = count;
         }
     }
@@ -0,0 +1,221 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Kontrola zgodności grafiku z Arbeitszeitgesetz (ArbZG)
+ * Single Responsibility: wykrywanie naruszeń czasu pracy w grafiku tygodnia
+ *
+ * Sprawdzane reguły:
+ * - rest: minimalny odpoczynek między końcem zmiany a początkiem następnej (§5 ArbZG, 11 h),
+ * - consecutive: maksymalna liczba kolejnych dni pracy (domyślnie 6),
+ * - weeklyHours: maksymalna liczba godzin w tygodniu (§3 ArbZG, 48 h) - czas pracy bez przerw,
+ *   liczony tak samo jak godziny względem etatu (WorkHoursCalculator).
+ * Odpoczynek i ciągi dni pracy liczone są ponad granicą tygodni - na podstawie
+ * zapisanego poprzedniego tygodnia (pracownicy dopasowywani po ID z kartoteki lub nazwie).
+ */
+class ComplianceChecker {
+    /**
+     * Domyślne limity
+     */
+    static DEFAULT_LIMITS = Object.freeze({
+        minRestHours: 11,
+        maxConsecutiveDays: 6,
+        maxWeeklyHours: 48
+    });
+
+    /**
+     * Identyfikatory reguł
+     */
+    static Rule = Object.freeze({
+        REST: 'rest',
+        CONSECUTIVE: 'consecutive',
+        WEEKLY_HOURS: 'weeklyHours'
+    });
+
+    /**
+     * @returns {typeof ShiftCatalog}
+     */
+    static get shiftCatalog() {
+        return SharedModels.get('ShiftCatalog');
+    }
+
+    /**
+     * @returns {typeof WorkHoursCalculator}
+     */
+    static get workHoursCalculator() {
+        return SharedModels.get('WorkHoursCalculator');
+    }
+
+    /**
+     * Uzupełnia limity wartościami domyślnymi
+     * @param {Object|undefined} limits
+     * @returns {{minRestHours: number, maxConsecutiveDays: number, maxWeeklyHours: number}}
+     */
+    static resolve(limits) {
+        return { ...ComplianceChecker.DEFAULT_LIMITS, ...limits };
+    }
+
+    /**
+     * Znajduje wiersz tego samego pracownika w innym tygodniu
+     * @param {Object|null} state - stan innego tygodnia
+     * @param {Object} row - wiersz bieżącego tygodnia
+     * @returns {Object|null}
+     */
+    static findMatchingRow(state, row) {
+        if (!state || !Array.isArray(state.rows)) return null;
+
+        if (row.employeeId) {
+            const byId = state.rows.find(other => other.employeeId === row.employeeId);
+            if (byId) return byId;
+        }
+        const name = (row.header || '').trim().toLowerCase();
+        return name
+            ? state.rows.find(other => (other.header || '').trim().toLowerCase() === name) || null
+            : null;
+    }
+
+    /**
+     * Przedział zmiany kafelka w minutach od północy jego dnia (koniec może przekraczać 24:00)
+     * @param {Object} tile
+     * @param {Object[]} shifts
+     * @returns {{start: number, end: number}|null} null dla kafelków innych niż "Praca"
+     */
+    static getShiftWindow(tile, shifts) {
+        if (!tile || tile.state !== 'Praca') return null;
+
+        const catalog = ComplianceChecker.shiftCatalog;
+        return catalog.getWindow(catalog.getShift(shifts, tile.shiftId));
+    }
+
+    /**
+     * Sprawdza grafik tygodnia
+     * @param {Object} state - stan bieżącego tygodnia
+     * @param {Object} options
+     * @param {Object|null} options.previousState - zapisany stan poprzedniego tygodnia
+     * @param {Object[]} options.shifts - katalog zmian
+     * @param {Object} options.limits - limity (ComplianceChecker.resolve)
+     * @returns {{rule: string, rowIndex: number, employee: string, columnIndices: number[], message: string}[]}
+     */
+    static check(state, options = {}) {
+        const { previousState = null, shifts = [] } = options;
+        const limits = ComplianceChecker.resolve(options.limits);
+        const violations = [];
+
+        state.rows.forEach((row, rowIndex) => {
+            const previousRow = ComplianceChecker.findMatchingRow(previousState, row);
+            const context = {
+                row,
+                rowIndex,
+                employee: row.header || `Wiersz ${rowIndex + 1}`,
+                previousTiles: previousRow ? previousRow.tiles : [],
+                shifts,
+                limits
+            };
+
+            violations.push(
+                ...ComplianceChecker.checkRest(context),
+                ...ComplianceChecker.checkConsecutiveDays(context),
+                ...ComplianceChecker.checkWeeklyHours(context)
+            );
+        });
+
+        return violations;
+    }
+
+    /**
+     * Odpoczynek między zmianami (także niedziela poprzedniego tygodnia → poniedziałek)
+     * @private
+     */
+    static checkRest({ row, rowIndex, employee, previousTiles, shifts, limits }) {
+        const violations = [];
+        const minRestMinutes = limits.minRestHours * 60;
+        let previousWindow = ComplianceChecker.getShiftWindow(previousTiles[6], shifts);
+
+        row.tiles.forEach((tile, columnIndex) => {
+            const window = ComplianceChecker.getShiftWindow(tile, shifts);
+            if (window && previousWindow) {
+                const restMinutes = 24 * 60 + window.start - previousWindow.end;
+                if (restMinutes < minRestMinutes) {
+                    violations.push({
+                        rule: ComplianceChecker.Rule.REST,
+                        rowIndex,
+                        employee,
+                        columnIndices: columnIndex > 0 ? [columnIndex - 1, columnIndex] : [columnIndex],
+                        message: `Odpoczynek ${ComplianceChecker.formatHours(restMinutes / 60)} h ` +
+                            `(minimum ${limits.minRestHours} h)`
+                    });
+                }
+            }
+            previousWindow = window;
+        });
+
+        return violations;
+    }
+
+    /**
+     * Liczba kolejnych dni pracy (z uwzględnieniem poprzedniego tygodnia)
+     * @private
+     */
+    static checkConsecutiveDays({ row, rowIndex, employee, previousTiles, limits }) {
+        let streak = 0;
+        for (let i = 0; i < 7; i++) {
+            streak = previousTiles[i] && previousTiles[i].state === 'Praca' ? streak + 1 : 0;
+        }
+
+        const offending = [];
+        let longestStreak = 0;
+        row.tiles.forEach((tile, columnIndex) => {
+            streak = tile.state === 'Praca' ? streak + 1 : 0;
+            if (streak > limits.maxConsecutiveDays) {
+                offending.push(columnIndex);
+                longestStreak = Math.max(longestStreak, streak);
+            }
+        });
+
+        if (offending.length === 0) return [];
+        return [{
+            rule: ComplianceChecker.Rule.CONSECUTIVE,
+            rowIndex,
+            employee,
+            columnIndices: offending,
+            message: `${longestStreak} dni pracy z rzędu (maksimum ${limits.maxConsecutiveDays})`
+        }];
+    }
+
+    /**
+     * Tygodniowy limit godzin - oznaczane są kafelki, na których limit zostaje przekroczony
+     * @private
+     */
+    static checkWeeklyHours({ row, rowIndex, employee, shifts, limits }) {
+        let total = 0;
+        const offending = [];
+
+        row.tiles.forEach((tile, columnIndex) => {
+            const hours = ComplianceChecker.workHoursCalculator.getTileHours(tile, shifts);
+            if (hours === 0) return;
+            total += hours;
+            if (total > limits.maxWeeklyHours) {
+                offending.push(columnIndex);
+            }
+        });
+
+        if (offending.length === 0) return [];
+        return [{
+            rule: ComplianceChecker.Rule.WEEKLY_HOURS,
+            rowIndex,
+            employee,
+            columnIndices: offending,
+            message: `${ComplianceChecker.formatHours(total)} h w tygodniu (maksimum ${limits.maxWeeklyHours} h)`
+        }];
+    }
+
+    /**
+     * @param {number} hours
+     * @returns {string}
+     * @private
+     */
+    static formatHours(hours) {
+        return String(Math.round(hours * 100) / 100).replace('.', ',');
+    }
+}
+
+SharedModels.define('ComplianceChecker', ComplianceChecker, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,414 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Import i eksport grafiku tygodnia w formacie CSV
+ * Single Responsibility: zamiana kafelków na rekordy CSV i rekordów CSV na zmiany kafelków
+ *
+ * Jeden rekord to jeden dzień pracownika:
+ * Pracownik;Data;Stan;Zmiana;Od;Do;Uwzględniany
+ * - Data: RRRR-MM-DD (import przyjmuje też DD.MM.RRRR),
+ * - Stan: "A", "Praca", kod nieobecności lub skrót zmiany (= Praca na tej zmianie),
+ * - Zmiana/Od/Do: skrót i godziny zmiany dla "Praca" (zmiana dopasowywana po skrócie, potem po godzinach),
+ * - Uwzględniany: tak/nie - czy pracownik liczy się do obsady.
+ * Import dotyczy jednego tygodnia: rekordy z innych dat są pomijane i raportowane.
+ * Pola zaczynające się od =, +, - lub @ są w eksporcie poprzedzane apostrofem, aby arkusz
+ * kalkulacyjny nie wykonał ich jako formuły; parse usuwa ten apostrof.
+ */
+class CsvSchedule {
+    /**
+     * Separator pól w eksporcie (Excel w ustawieniach niemieckich i polskich)
+     */
+    static DELIMITER = ';';
+
+    /**
+     * Kolumny pliku: nagłówek w eksporcie i nazwy rozpoznawane przy imporcie
+     */
+    static COLUMNS = Object.freeze([
+        Object.freeze({ key: 'employee', header: 'Pracownik', aliases: ['pracownik', 'mitarbeiter', 'employee', 'name', 'nazwisko'] }),
+        Object.freeze({ key: 'date', header: 'Data', aliases: ['data', 'datum', 'date', 'dzień', 'tag'] }),
+        Object.freeze({ key: 'state', header: 'Stan', aliases: ['stan', 'status', 'state'] }),
+        Object.freeze({ key: 'shift', header: 'Zmiana', aliases: ['zmiana', 'schicht', 'shift', 'skrót'] }),
+        Object.freeze({ key: 'start', header: 'Od', aliases: ['od', 'von', 'start', 'beginn'] }),
+        Object.freeze({ key: 'end', header: 'Do', aliases: ['do', 'bis', 'end', 'ende'] }),
+        Object.freeze({ key: 'included', header: 'Uwzględniany', aliases: ['uwzględniany', 'uwzgledniany', 'included', 'berücksichtigt'] })
+    ]);
+
+    /**
+     * Kolumny, bez których import nie jest możliwy
+     */
+    static REQUIRED_KEYS = Object.freeze(['employee', 'date', 'state']);
+
+    static TRUE_VALUES = Object.freeze(['tak', 'ja', 'yes', 'true', '1', 'x']);
+    static FALSE_VALUES = Object.freeze(['nie', 'nein', 'no', 'false', '0']);
+
+    /**
+     * Początek pola, które arkusz kalkulacyjny potraktowałby jako formułę
+     */
+    static FORMULA_PATTERN = /^[=+\-@]/;
+
+    /**
+     * @returns {typeof WeekDateCalculator}
+     */
+    static get weekDateCalculator() {
+        return SharedModels.get('WeekDateCalculator');
+    }
+
+    /**
+     * @returns {typeof ShiftCatalog}
+     */
+    static get shiftCatalog() {
+        return SharedModels.get('ShiftCatalog');
+    }
+
+    /**
+     * @returns {typeof AbsenceTypeRegistry}
+     */
+    static get absenceTypeRegistry() {
+        return SharedModels.get('AbsenceTypeRegistry');
+    }
+
+    /**
+     * Zamienia tydzień na tekst CSV (jeden rekord na dzień pracownika)
+     * @param {Object} state - stan tygodnia
+     * @param {Object[]} shifts - katalog zmian
+     * @returns {string}
+     */
+    static serialize(state, shifts = []) {
+        const calculator = CsvSchedule.weekDateCalculator;
+        const catalog = CsvSchedule.shiftCatalog;
+        const dateKeys = calculator.getWeekDates(state.year, state.weekNumber).map(date => calculator.formatDateKey(date));
+
+        const records = [CsvSchedule.COLUMNS.map(column => column.header)];
+        state.rows.forEach(row => {
+            row.tiles.forEach((tile, columnIndex) => {
+                const shift = tile.state === 'Praca' ? catalog.getShift(shifts, tile.shiftId) : null;
+                records.push([
+                    row.header || '',
+                    dateKeys[columnIndex],
+                    tile.state,
+                    shift ? shift.code : '',
+                    shift ? shift.start : '',
+                    shift ? shift.end : '',
+                    row.includedInCalculations ? 'tak' : 'nie'
+                ]);
+            });
+        });
+
+        // BOM, aby Excel rozpoznał UTF-8 (polskie i niemieckie znaki w nazwiskach)
+        return '\uFEFF' + records.map(record => record.map(value => CsvSchedule.quote(value)).join(CsvSchedule.DELIMITER)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Cytuje pole, jeśli zawiera separator, cudzysłów lub nową linię;
+     * pole wyglądające na formułę poprzedza apostrofem
+     * @param {string} value
+     * @returns {string}
+     */
+    static quote(value) {
+        let text = String(value ?? '');
+        if (CsvSchedule.FORMULA_PATTERN.test(text)) {
+            text = `'${text}`;
+        }
+        return /[;,"\r\n\t]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Usuwa apostrof dodany przez quote przed polem wyglądającym na formułę
+     * @param {string} field
+     * @returns {string}
+     */
+    static unescapeFormula(field) {
+        return field.startsWith("'") && CsvSchedule.FORMULA_PATTERN.test(field.slice(1)) ? field.slice(1) : field;
+    }
+
+    /**
+     * Rozbiera tekst CSV na rekordy; separator (; , lub tabulator) wykrywany z pierwszej linii,
+     * apostrof przed polem wyglądającym na formułę jest usuwany
+     * @param {string} text
+     * @returns {string[][]} rekordy (pierwszy to nagłówek), bez pustych linii
+     */
+    static parse(text) {
+        const content = String(text || '').replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t', ',']
+            .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(CsvSchedule.unescapeFormula(field));
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                record.push(CsvSchedule.unescapeFormula(field));
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(CsvSchedule.unescapeFormula(field));
+            records.push(record);
+        }
+
+        return records.filter(candidate => candidate.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Przypisuje kolumny pliku do pól importu na podstawie nagłówka
+     * @param {string[]} headerRecord
+     * @returns {Object} { employee: indeks kolumny | null, date: ..., ... }
+     */
+    static detectMapping(headerRecord) {
+        const headers = headerRecord.map(header => header.trim().toLowerCase());
+        const mapping = {};
+        CsvSchedule.COLUMNS.forEach(column => {
+            const index = headers.findIndex(header => column.aliases.includes(header));
+            mapping[column.key] = index >= 0 ? index : null;
+        });
+        return mapping;
+    }
+
+    /**
+     * Brakujące wymagane kolumny
+     * @param {Object} mapping
+     * @returns {string[]} nagłówki brakujących kolumn
+     */
+    static getMissingColumns(mapping) {
+        return CsvSchedule.COLUMNS
+            .filter(column => CsvSchedule.REQUIRED_KEYS.includes(column.key) && mapping[column.key] === null)
+            .map(column => column.header);
+    }
+
+    /**
+     * Zamienia datę z pliku na klucz "RRRR-MM-DD"
+     * @param {string} value - RRRR-MM-DD, DD.MM.RRRR lub DD.MM.RR
+     * @returns {string|null}
+     */
+    static parseDate(value) {
+        const text = String(value || '').trim();
+        let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+        let year, month, day;
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else {
+            match = /^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/.exec(text);
+            if (!match) return null;
+            [, day, month, year] = match.map(Number);
+            if (year < 100) year += 2000;
+        }
+
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return CsvSchedule.weekDateCalculator.formatDateKey(date);
+    }
+
+    /**
+     * @param {string} value
+     * @returns {boolean|null} null dla pustej lub nierozpoznanej wartości
+     */
+    static parseBoolean(value) {
+        const text = String(value || '').trim().toLowerCase();
+        if (CsvSchedule.TRUE_VALUES.includes(text)) return true;
+        if (CsvSchedule.FALSE_VALUES.includes(text)) return false;
+        return null;
+    }
+
+    /**
+     * Kafelek z pól rekordu
+     * @param {Object} fields - { state, shift, start, end }
+     * @param {Object} options - { shifts, absenceTypes }
+     * @returns {{tile: Object|null, error: string|null}}
+     */
+    static parseTile(fields, { shifts, absenceTypes }) {
+        const catalog = CsvSchedule.shiftCatalog;
+        const registry = CsvSchedule.absenceTypeRegistry;
+        const value = fields.state.trim();
+        const lower = value.toLowerCase();
+
+        if (lower === 'a') return { tile: { state: 'A' }, error: null };
+
+        const absence = registry.resolve(absenceTypes).find(type => type.code.toLowerCase() === lower);
+        if (absence) return { tile: { state: absence.code }, error: null };
+
+        const shiftByState = catalog.findByCode(shifts, value);
+        if (lower !== 'praca' && !shiftByState) {
+            return { tile: null, error: `nieznany stan "${value}"` };
+        }
+
+        let shift = shiftByState || catalog.findByCode(shifts, fields.shift);
+        if (!shift && (fields.start.trim() || fields.end.trim())) {
+            const start = catalog.normalizeTime(fields.start);
+            const end = catalog.normalizeTime(fields.end);
+            shift = start && end ? catalog.findByTimes(shifts, start, end) : null;
+            if (!shift) {
+                return { tile: null, error: `brak zmiany ${fields.start.trim()}-${fields.end.trim()} w katalogu zmian` };
+            }
+        }
+        return { tile: { state: 'Praca', shiftId: (shift || catalog.getDefaultShift(shifts)).id }, error: null };
+    }
+
+    /**
+     * Opis kafelka w podglądzie, np. "Praca (P)", "U", "A"
+     * @param {Object} tile
+     * @param {Object[]} shifts
+     * @returns {string}
+     */
+    static describeTile(tile, shifts) {
+        if (tile.state !== 'Praca') return tile.state;
+        return `Praca (${CsvSchedule.shiftCatalog.getShift(shifts, tile.shiftId).code})`;
+    }
+
+    /**
+     * Opis uwzględniania w wyliczeniach w podglądzie
+     * @param {boolean} included
+     * @returns {string}
+     */
+    static describeIncluded(included) {
+        return included ? 'Uwzględniany' : 'Nieuwzględniany';
+    }
+
+    /**
+     * Przygotowuje import rekordów do tygodnia (stan tygodnia nie jest modyfikowany)
+     * @param {Object} state - stan bieżącego tygodnia
+     * @param {string[][]} records - rekordy danych (bez nagłówka)
+     * @param {Object} mapping - wynik detectMapping (może być zmieniony przez użytkownika)
+     * @param {Object} options
+     * @param {Object[]} options.shifts - katalog zmian
+     * @param {Object[]} options.absenceTypes - rejestr typów nieobecności
+     * @param {boolean} options.addUnknown - czy dodać wiersze dla nieznanych pracowników
+     * @param {Object[]} options.roster - kartoteka (nowe wiersze są łączone z pracownikiem o tej nazwie)
+     * @returns {{state: Object, changes: {employee, dateKey, columnIndex, from, to}[], unknownEmployees: string[], outsideWeek: number, errors: string[]}}
+     *          zmiana uwzględniania w wyliczeniach dotyczy całego tygodnia (dateKey i columnIndex równe null)
+     */
+    static buildImport(state, records, mapping, options = {}) {
+        const { shifts = [], absenceTypes = [], addUnknown = false, roster = [] } = options;
+        const calculator = CsvSchedule.weekDateCalculator;
+        const newState = JSON.parse(JSON.stringify(state));
+        const dateKeys = calculator.getWeekDates(state.year, state.weekNumber).map(date => calculator.formatDateKey(date));
+        const findRow = (name) => newState.rows.find(row => (row.header || '').trim().toLowerCase() === name.toLowerCase());
+        const getField = (record, key) => (mapping[key] === null || mapping[key] === undefined ? '' : record[mapping[key]] || '');
+
+        const result = { changes: [], unknownEmployees: [], outsideWeek: 0, errors: [] };
+
+        records.forEach((record, index) => {
+            const lineNumber = index + 2; // linia 1 to nagłówek
+            const name = getField(record, 'employee').trim();
+            if (!name) {
+                result.errors.push(`Linia ${lineNumber}: brak nazwy pracownika`);
+                return;
+            }
+
+            const dateKey = CsvSchedule.parseDate(getField(record, 'date'));
+            if (!dateKey) {
+                result.errors.push(`Linia ${lineNumber}: niepoprawna data "${getField(record, 'date')}"`);
+                return;
+            }
+            const columnIndex = dateKeys.indexOf(dateKey);
+            if (columnIndex < 0) {
+                result.outsideWeek++;
+                return;
+            }
+
+            const { tile, error } = CsvSchedule.parseTile({
+                state: getField(record, 'state'),
+                shift: getField(record, 'shift'),
+                start: getField(record, 'start'),
+                end: getField(record, 'end')
+            }, { shifts, absenceTypes });
+            if (error) {
+                result.errors.push(`Linia ${lineNumber} (${name}): ${error}`);
+                return;
+            }
+
+            let row = findRow(name);
+            if (!row) {
+                if (!result.unknownEmployees.some(unknown => unknown.toLowerCase() === name.toLowerCase())) {
+                    result.unknownEmployees.push(name);
+                }
+                if (!addUnknown) return;
+                row = CsvSchedule.createRow(newState, name, roster);
+            }
+
+            const included = CsvSchedule.parseBoolean(getField(record, 'included'));
+            if (included !== null && included !== (row.includedInCalculations !== false)) {
+                result.changes.push({
+                    employee: row.header,
+                    dateKey: null,
+                    columnIndex: null,
+                    from: CsvSchedule.describeIncluded(!included),
+                    to: CsvSchedule.describeIncluded(included)
+                });
+                row.includedInCalculations = included;
+            }
+
+            const target = row.tiles[columnIndex];
+            const sameShift = tile.state !== 'Praca' ||
+                CsvSchedule.shiftCatalog.getShift(shifts, target.shiftId).id === tile.shiftId;
+            if (target.state === tile.state && sameShift) {
+                return;
+            }
+
+            result.changes.push({
+                employee: row.header,
+                dateKey,
+                columnIndex,
+                from: CsvSchedule.describeTile(target, shifts),
+                to: CsvSchedule.describeTile(tile, shifts)
+            });
+            target.state = tile.state;
+            if (tile.shiftId) {
+                target.shiftId = tile.shiftId;
+            } else {
+                delete target.shiftId;
+            }
+        });
+
+        return { state: newState, ...result };
+    }
+
+    /**
+     * Dodaje wiersz dla nowego pracownika (powiązany z kartoteką, jeśli nazwa się zgadza)
+     * @param {Object} state - modyfikowany stan tygodnia
+     * @param {string} name
+     * @param {Object[]} roster
+     * @returns {Object} nowy wiersz
+     * @private
+     */
+    static createRow(state, name, roster) {
+        const employee = roster.find(candidate => candidate.name.trim().toLowerCase() === name.toLowerCase());
+        const rowIndex = state.rows.length;
+        const row = {
+            index: rowIndex,
+            header: employee ? employee.name : name,
+            employeeId: employee ? employee.id : null,
+            includedInCalculations: employee ? employee.includedInCalculations !== false : true,
+            tiles: Array.from({ length: 7 }, (_, columnIndex) => ({ rowIndex, columnIndex, state: 'A' }))
+        };
+        state.rows.push(row);
+        return row;
+    }
+}
+
+SharedModels.define('CsvSchedule', CsvSchedule, typeof module !== 'undefined' ? module : null);
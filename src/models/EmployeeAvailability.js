@@ -0,0 +1,167 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Dostępność pracownika (ograniczenia i preferencje z kartoteki)
+ * Single Responsibility: ocena, czy pracownik może pracować danego dnia na danej zmianie
+ *
+ * Konfiguracja (pole "availability" pracownika w kartotece):
+ * {
+ *   weekdays: [7 × { available: boolean, shiftIds: string[] }],  // pusta lista zmian = dowolna zmiana
+ *   unavailableDates: ['RRRR-MM-DD', ...]                         // jednorazowa niedostępność
+ * }
+ */
+class EmployeeAvailability {
+    /**
+     * Statusy dnia
+     */
+    static Status = Object.freeze({
+        AVAILABLE: 'available',
+        RESTRICTED: 'restricted',
+        UNAVAILABLE: 'unavailable'
+    });
+
+    /**
+     * Nazwy dni tygodnia dla komunikatów
+     */
+    static DAY_NAMES = Object.freeze(['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag', 'Sonntag']);
+
+    /**
+     * @returns {typeof ShiftCatalog}
+     */
+    static get shiftCatalog() {
+        return SharedModels.get('ShiftCatalog');
+    }
+
+    /**
+     * @returns {typeof WeekDateCalculator}
+     */
+    static get weekDateCalculator() {
+        return SharedModels.get('WeekDateCalculator');
+    }
+
+    /**
+     * Domyślna dostępność - każdy dzień, każda zmiana
+     * @returns {{weekdays: Object[], unavailableDates: string[]}}
+     */
+    static createDefault() {
+        return {
+            weekdays: Array.from({ length: 7 }, () => ({ available: true, shiftIds: [] })),
+            unavailableDates: []
+        };
+    }
+
+    /**
+     * Uzupełnia konfigurację wartościami domyślnymi
+     * @param {Object|undefined} availability
+     * @returns {{weekdays: Object[], unavailableDates: string[]}}
+     */
+    static resolve(availability) {
+        const defaults = EmployeeAvailability.createDefault();
+        if (!availability) return defaults;
+
+        return {
+            weekdays: Array.isArray(availability.weekdays) && availability.weekdays.length === 7
+                ? availability.weekdays.map(day => ({
+                    available: day.available !== false,
+                    shiftIds: Array.isArray(day.shiftIds) ? day.shiftIds : []
+                }))
+                : defaults.weekdays,
+            unavailableDates: Array.isArray(availability.unavailableDates) ? availability.unavailableDates : []
+        };
+    }
+
+    /**
+     * Czy pracownik ma zadeklarowane jakiekolwiek ograniczenie
+     * @param {Object|undefined} availability
+     * @returns {boolean}
+     */
+    static hasConstraints(availability) {
+        const resolved = EmployeeAvailability.resolve(availability);
+        return resolved.unavailableDates.length > 0 ||
+            resolved.weekdays.some(day => !day.available || day.shiftIds.length > 0);
+    }
+
+    /**
+     * Ograniczenie obowiązujące w danym dniu
+     * @param {Object|undefined} availability
+     * @param {Date} date
+     * @param {number} columnIndex - indeks dnia (0 = poniedziałek)
+     * @param {Object[]} shifts - katalog zmian (do opisu)
+     * @returns {{status: string, shiftIds: string[], reason: string|null}}
+     */
+    static getDayConstraint(availability, date, columnIndex, shifts = []) {
+        const resolved = EmployeeAvailability.resolve(availability);
+        const Status = EmployeeAvailability.Status;
+        const dateKey = EmployeeAvailability.weekDateCalculator.formatDateKey(date);
+
+        if (resolved.unavailableDates.includes(dateKey)) {
+            return { status: Status.UNAVAILABLE, shiftIds: [], reason: `Niedostępny w dniu ${dateKey}` };
+        }
+
+        const day = resolved.weekdays[columnIndex];
+        const dayName = EmployeeAvailability.DAY_NAMES[columnIndex];
+        if (!day.available) {
+            return { status: Status.UNAVAILABLE, shiftIds: [], reason: `Nie pracuje w dniu: ${dayName}` };
+        }
+        if (day.shiftIds.length > 0) {
+            const catalog = EmployeeAvailability.shiftCatalog;
+            const codes = day.shiftIds
+                .map(id => catalog.resolve(shifts).find(shift => shift.id === id))
+                .filter(Boolean)
+                .map(shift => shift.code);
+            return {
+                status: Status.RESTRICTED,
+                shiftIds: day.shiftIds,
+                reason: `${dayName}: tylko zmiany ${codes.join(', ') || '(brak)'}`
+            };
+        }
+
+        return { status: Status.AVAILABLE, shiftIds: [], reason: null };
+    }
+
+    /**
+     * Sprawdza kafelek "Praca" względem ograniczeń
+     * @param {Object|undefined} availability
+     * @param {Object} tile - kafelek { state, shiftId }
+     * @param {Date} date
+     * @param {Object[]} shifts - katalog zmian
+     * @returns {string|null} opis naruszenia lub null
+     */
+    static checkTile(availability, tile, date, shifts = []) {
+        if (!tile || tile.state !== 'Praca') return null;
+
+        const constraint = EmployeeAvailability.getDayConstraint(availability, date, tile.columnIndex, shifts);
+        if (constraint.status === EmployeeAvailability.Status.UNAVAILABLE) {
+            return constraint.reason;
+        }
+        if (constraint.status === EmployeeAvailability.Status.RESTRICTED) {
+            const shift = EmployeeAvailability.shiftCatalog.getShift(shifts, tile.shiftId);
+            return constraint.shiftIds.includes(shift.id) ? null : constraint.reason;
+        }
+        return null;
+    }
+
+    /**
+     * Zmiana, którą można przydzielić pracownikowi w danym dniu
+     * (zmiana domyślna, jeśli dozwolona, w przeciwnym razie pierwsza dozwolona)
+     * @param {Object|undefined} availability
+     * @param {Date} date
+     * @param {number} columnIndex
+     * @param {Object[]} shifts - katalog zmian
+     * @returns {string|null} id zmiany lub null gdy pracownik jest niedostępny
+     */
+    static pickShiftId(availability, date, columnIndex, shifts = []) {
+        const catalog = EmployeeAvailability.shiftCatalog;
+        const defaultShift = catalog.getDefaultShift(shifts);
+        const constraint = EmployeeAvailability.getDayConstraint(availability, date, columnIndex, shifts);
+
+        if (constraint.status === EmployeeAvailability.Status.UNAVAILABLE) return null;
+        if (constraint.status === EmployeeAvailability.Status.AVAILABLE) return defaultShift.id;
+        if (constraint.shiftIds.includes(defaultShift.id)) return defaultShift.id;
+
+        const allowed = catalog.resolve(shifts).find(shift => constraint.shiftIds.includes(shift.id));
+        return allowed ? allowed.id : null;
+    }
+}
+
+SharedModels.define('EmployeeAvailability', EmployeeAvailability, typeof module !== 'undefined' ? module : null);
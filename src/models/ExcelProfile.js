@@ -0,0 +1,177 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Profile eksportu do Excela (szablon .xlsx i mapowanie komórek)
+ * Single Responsibility: opis układu arkusza i sprawdzanie poprawności mapowania
+ *
+ * Ustawienia (klucz "excel" w settings.json):
+ * { activeProfileId, profiles: [{ id, name, templatePath, nameCell, firstDayCell, dateCell,
+ *   sectionHeight, sectionCount, headerText }] }
+ * - nameCell: komórka nazwy pierwszego pracownika (np. 'A4'),
+ * - firstDayCell: komórka poniedziałku pierwszego pracownika (ten sam wiersz, 7 kolejnych kolumn),
+ * - dateCell: komórka daty poniedziałku w nagłówku (nad pierwszą sekcją),
+ * - sectionHeight/sectionCount: wysokość sekcji pracownika i liczba sekcji w szablonie,
+ * - headerText: pierwszy wiersz nagłówka strony (pod nim miesiąc i rok).
+ * Profil bez pliku (templatePath = null) używa wbudowanego szablonu i domyślnego mapowania.
+ */
+class ExcelProfile {
+    /**
+     * Mapowanie wbudowanego szablonu (GrafikTemplate.xlsx)
+     */
+    static DEFAULT_MAPPING = Object.freeze({
+        nameCell: 'A4',
+        firstDayCell: 'C4',
+        dateCell: 'C2',
+        sectionHeight: 3,
+        sectionCount: 28
+    });
+
+    static DEFAULT_PROFILE = Object.freeze({
+        id: 'excel-default',
+        name: 'Standard',
+        templatePath: null,
+        ...ExcelProfile.DEFAULT_MAPPING,
+        headerText: 'Dienstplan Glanz Reinigungs-Service GmbH'
+    });
+
+    static MAX_SECTION_HEIGHT = 20;
+    static MAX_SECTION_COUNT = 500;
+
+    /**
+     * Zwraca ustawienia eksportu lub ustawienia domyślne (jeden profil "Standard")
+     * @param {Object|undefined} excel
+     * @returns {{activeProfileId: string, profiles: Object[]}}
+     */
+    static resolve(excel) {
+        const profiles = excel && Array.isArray(excel.profiles) && excel.profiles.length > 0
+            ? excel.profiles
+            : [ExcelProfile.DEFAULT_PROFILE];
+        const activeProfileId = profiles.some(profile => profile.id === (excel && excel.activeProfileId))
+            ? excel.activeProfileId
+            : profiles[0].id;
+        return { activeProfileId, profiles };
+    }
+
+    /**
+     * Aktywny profil eksportu
+     * @param {Object|undefined} excel
+     * @returns {Object}
+     */
+    static getActive(excel) {
+        const { activeProfileId, profiles } = ExcelProfile.resolve(excel);
+        return profiles.find(profile => profile.id === activeProfileId);
+    }
+
+    /**
+     * Mapowanie komórek profilu (profil bez pliku - mapowanie wbudowanego szablonu)
+     * @param {Object} profile
+     * @returns {{nameCell: string, firstDayCell: string, dateCell: string, sectionHeight: number, sectionCount: number}}
+     */
+    static getMapping(profile) {
+        if (!profile.templatePath) {
+            return { ...ExcelProfile.DEFAULT_MAPPING };
+        }
+        const { nameCell, firstDayCell, dateCell, sectionHeight, sectionCount } = profile;
+        return { nameCell, firstDayCell, dateCell, sectionHeight, sectionCount };
+    }
+
+    /**
+     * Rozkłada adres komórki, np. 'C4' → { row: 4, column: 3 }
+     * @param {string} ref
+     * @returns {{row: number, column: number}|null} null dla niepoprawnego adresu
+     */
+    static parseCell(ref) {
+        const match = /^([A-Z]{1,3})([1-9][0-9]*)$/.exec(String(ref || '').trim().toUpperCase());
+        if (!match) return null;
+
+        const column = [...match[1]].reduce((sum, letter) => sum * 26 + letter.charCodeAt(0) - 64, 0);
+        return { row: parseInt(match[2]), column };
+    }
+
+    /**
+     * Litera kolumny, np. 3 → 'C', 28 → 'AB'
+     * @param {number} column
+     * @returns {string}
+     */
+    static getColumnLetter(column) {
+        let letters = '';
+        for (let rest = column; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+            letters = String.fromCharCode(65 + (rest - 1) % 26) + letters;
+        }
+        return letters;
+    }
+
+    /**
+     * Geometria arkusza wynikająca z profilu (dla ExcelGenerator)
+     * @param {Object} profile - poprawny profil (ExcelProfile.validate)
+     * @returns {Object}
+     */
+    static getLayout(profile) {
+        const mapping = ExcelProfile.getMapping(profile);
+        const name = ExcelProfile.parseCell(mapping.nameCell);
+        const firstDay = ExcelProfile.parseCell(mapping.firstDayCell);
+        const date = ExcelProfile.parseCell(mapping.dateCell);
+
+        return {
+            firstSectionStartRow: name.row,
+            sectionHeight: mapping.sectionHeight,
+            lastSectionStartRow: name.row + (mapping.sectionCount - 1) * mapping.sectionHeight,
+            nameColumn: name.column,
+            daysStartColumn: firstDay.column,
+            daysEndColumn: firstDay.column + 6,
+            dateRow: date.row,
+            dateColumn: date.column,
+            headerRows: `1:${name.row - 1}`
+        };
+    }
+
+    /**
+     * Sprawdza poprawność profilu (bez dostępu do pliku szablonu)
+     * @param {Object} profile
+     * @returns {string[]} lista błędów (pusta = poprawny)
+     */
+    static validate(profile) {
+        const errors = [];
+        const label = profile.name && profile.name.trim() ? `Profil "${profile.name.trim()}"` : 'Profil';
+        if (!profile.name || !profile.name.trim()) {
+            errors.push('Każdy profil eksportu musi mieć nazwę.');
+        }
+
+        const mapping = ExcelProfile.getMapping(profile);
+        const name = ExcelProfile.parseCell(mapping.nameCell);
+        const firstDay = ExcelProfile.parseCell(mapping.firstDayCell);
+        const date = ExcelProfile.parseCell(mapping.dateCell);
+        [
+            [name, 'nazwy pracownika', mapping.nameCell],
+            [firstDay, 'poniedziałku', mapping.firstDayCell],
+            [date, 'daty', mapping.dateCell]
+        ].forEach(([cell, description, ref]) => {
+            if (!cell) errors.push(`${label}: niepoprawny adres komórki ${description} ("${ref || ''}").`);
+        });
+
+        if (!Number.isInteger(mapping.sectionHeight) || mapping.sectionHeight < 1 ||
+            mapping.sectionHeight > ExcelProfile.MAX_SECTION_HEIGHT) {
+            errors.push(`${label}: wysokość sekcji musi wynosić od 1 do ${ExcelProfile.MAX_SECTION_HEIGHT} wierszy.`);
+        }
+        if (!Number.isInteger(mapping.sectionCount) || mapping.sectionCount < 1 ||
+            mapping.sectionCount > ExcelProfile.MAX_SECTION_COUNT) {
+            errors.push(`${label}: liczba sekcji musi wynosić od 1 do ${ExcelProfile.MAX_SECTION_COUNT}.`);
+        }
+
+        if (name && firstDay) {
+            if (name.row !== firstDay.row) {
+                errors.push(`${label}: poniedziałek musi być w tym samym wierszu co nazwa pracownika.`);
+            }
+            if (name.column >= firstDay.column && name.column <= firstDay.column + 6) {
+                errors.push(`${label}: kolumna nazwy nie może leżeć w kolumnach dni tygodnia.`);
+            }
+        }
+        if (name && date && date.row >= name.row) {
+            errors.push(`${label}: wiersz dat musi leżeć nad pierwszą sekcją pracownika.`);
+        }
+
+        return errors;
+    }
+}
+
+SharedModels.define('ExcelProfile', ExcelProfile, typeof module !== 'undefined' ? module : null);
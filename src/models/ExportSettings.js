@@ -0,0 +1,87 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Ustawienia eksportu plików (folder, wzorzec nazwy, otwieranie po eksporcie)
+ * Single Responsibility: wartości domyślne, sprawdzanie i stosowanie wzorca nazwy pliku
+ *
+ * Ustawienia (klucz "export" w settings.json):
+ * { folder, fileNamePattern, openAfterExport }
+ * - folder: domyślny folder eksportu (null = ostatni folder systemowego okna zapisu);
+ *   wymagany przy eksporcie wielu tygodni do osobnych plików,
+ * - fileNamePattern: nazwa pliku tygodnia bez rozszerzenia, z polami
+ *   {week} (numer tygodnia), {year}, {monday} i {sunday} (DD.MM), {month} (miesiąc poniedziałku);
+ *   w skoroszycie zakresu tygodni {week} to "pierwszy-ostatni" (np. "10-13"), {monday} dotyczy
+ *   pierwszego tygodnia, a {sunday} - ostatniego,
+ * - openAfterExport: czy otwierać plik Excel/PDF w domyślnej aplikacji po eksporcie.
+ */
+class ExportSettings {
+    static DEFAULT_PATTERN = '{week}KW {monday}-{sunday}';
+
+    static DEFAULTS = Object.freeze({
+        folder: null,
+        fileNamePattern: ExportSettings.DEFAULT_PATTERN,
+        openAfterExport: true
+    });
+
+    static PLACEHOLDERS = Object.freeze(['week', 'year', 'monday', 'sunday', 'month']);
+
+    /**
+     * Znaki niedozwolone w nazwach plików (Windows)
+     */
+    static FORBIDDEN_CHARACTERS = /[\\/:*?"<>|]/;
+
+    /**
+     * Zwraca ustawienia eksportu uzupełnione wartościami domyślnymi
+     * @param {Object|undefined} exportSettings
+     * @returns {{folder: string|null, fileNamePattern: string, openAfterExport: boolean}}
+     */
+    static resolve(exportSettings) {
+        const resolved = { ...ExportSettings.DEFAULTS, ...exportSettings };
+        if (!resolved.fileNamePattern || !resolved.fileNamePattern.trim()) {
+            resolved.fileNamePattern = ExportSettings.DEFAULT_PATTERN;
+        }
+        return resolved;
+    }
+
+    /**
+     * Sprawdza wzorzec nazwy pliku
+     * @param {Object} exportSettings
+     * @returns {string[]} lista błędów (pusta = poprawne)
+     */
+    static validate(exportSettings) {
+        const errors = [];
+        const pattern = (exportSettings.fileNamePattern || '').trim();
+        if (!pattern) {
+            return errors; // pusty wzorzec = domyślny
+        }
+
+        const unknown = [...pattern.matchAll(/\{([^}]*)\}/g)]
+            .map(match => match[1])
+            .filter(name => !ExportSettings.PLACEHOLDERS.includes(name));
+        if (unknown.length > 0) {
+            errors.push(`Nieznane pola we wzorcu nazwy pliku: ${unknown.map(name => `{${name}}`).join(', ')}.`);
+        }
+        if (ExportSettings.FORBIDDEN_CHARACTERS.test(pattern.replace(/\{[^}]*\}/g, ''))) {
+            errors.push('Wzorzec nazwy pliku nie może zawierać znaków \\ / : * ? " < > |.');
+        }
+        if (!pattern.includes('{week}')) {
+            errors.push('Wzorzec nazwy pliku musi zawierać {week}, aby pliki tygodni się nie nadpisywały.');
+        }
+        return errors;
+    }
+
+    /**
+     * Wstawia wartości do wzorca nazwy pliku
+     * @param {string} pattern
+     * @param {Object} values - { week, year, monday, sunday, month }
+     * @returns {string}
+     */
+    static applyPattern(pattern, values) {
+        return pattern
+            .replace(/\{([^}]*)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder))
+            .replace(new RegExp(ExportSettings.FORBIDDEN_CHARACTERS.source, 'g'), '_')
+            .trim();
+    }
+}
+
+SharedModels.define('ExportSettings', ExportSettings, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,154 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Kalkulator świąt ustawowych w Niemczech (federalnych i krajowych)
+ * Single Responsibility: wyznaczanie dni świątecznych dla roku i kraju związkowego
+ *
+ * Święta ruchome liczone są offline od daty Wielkanocy (algorytm Gaussa
+ * w wariancie Meeusa/Jonesa/Butchera dla kalendarza gregoriańskiego).
+ */
+class HolidayCalculator {
+    /**
+     * Kraje związkowe (Bundesländer)
+     */
+    static STATES = Object.freeze([
+        { code: 'BW', name: 'Baden-Württemberg' },
+        { code: 'BY', name: 'Bayern' },
+        { code: 'BE', name: 'Berlin' },
+        { code: 'BB', name: 'Brandenburg' },
+        { code: 'HB', name: 'Bremen' },
+        { code: 'HH', name: 'Hamburg' },
+        { code: 'HE', name: 'Hessen' },
+        { code: 'MV', name: 'Mecklenburg-Vorpommern' },
+        { code: 'NI', name: 'Niedersachsen' },
+        { code: 'NW', name: 'Nordrhein-Westfalen' },
+        { code: 'RP', name: 'Rheinland-Pfalz' },
+        { code: 'SL', name: 'Saarland' },
+        { code: 'SN', name: 'Sachsen' },
+        { code: 'ST', name: 'Sachsen-Anhalt' },
+        { code: 'SH', name: 'Schleswig-Holstein' },
+        { code: 'TH', name: 'Thüringen' }
+    ]);
+
+    /**
+     * Definicje świąt:
+     * - fixed: [miesiąc (1-12), dzień] lub easterOffset: liczba dni od Niedzieli Wielkanocnej
+     * - states: kraje związkowe (brak = święto federalne)
+     * - since: rok, od którego święto obowiązuje (w części krajów)
+     */
+    static HOLIDAYS = Object.freeze([
+        { name: 'Neujahr', fixed: [1, 1] },
+        { name: 'Heilige Drei Könige', fixed: [1, 6], states: ['BW', 'BY', 'ST'] },
+        { name: 'Internationaler Frauentag', fixed: [3, 8], states: ['BE'], since: 2019 },
+        { name: 'Internationaler Frauentag', fixed: [3, 8], states: ['MV'], since: 2023 },
+        { name: 'Karfreitag', easterOffset: -2 },
+        { name: 'Ostersonntag', easterOffset: 0, states: ['BB'] },
+        { name: 'Ostermontag', easterOffset: 1 },
+        { name: 'Tag der Arbeit', fixed: [5, 1] },
+        { name: 'Christi Himmelfahrt', easterOffset: 39 },
+        { name: 'Pfingstsonntag', easterOffset: 49, states: ['BB'] },
+        { name: 'Pfingstmontag', easterOffset: 50 },
+        { name: 'Fronleichnam', easterOffset: 60, states: ['BW', 'BY', 'HE', 'NW', 'RP', 'SL'] },
+        { name: 'Mariä Himmelfahrt', fixed: [8, 15], states: ['SL'] },
+        { name: 'Weltkindertag', fixed: [9, 20], states: ['TH'], since: 2019 },
+        { name: 'Tag der Deutschen Einheit', fixed: [10, 3] },
+        { name: 'Reformationstag', fixed: [10, 31], states: ['BB', 'MV', 'SN', 'ST', 'TH'] },
+        { name: 'Reformationstag', fixed: [10, 31], states: ['HB', 'HH', 'NI', 'SH'], since: 2018 },
+        { name: 'Allerheiligen', fixed: [11, 1], states: ['BW', 'BY', 'NW', 'RP', 'SL'] },
+        { name: 'Buß- und Bettag', bussUndBettag: true, states: ['SN'] },
+        { name: '1. Weihnachtstag', fixed: [12, 25] },
+        { name: '2. Weihnachtstag', fixed: [12, 26] }
+    ]);
+
+    /**
+     * @returns {typeof WeekDateCalculator}
+     */
+    static get weekDateCalculator() {
+        return SharedModels.get('WeekDateCalculator');
+    }
+
+    /**
+     * Data Niedzieli Wielkanocnej (kalendarz gregoriański)
+     * @param {number} year
+     * @returns {Date}
+     */
+    static getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Buß- und Bettag - środa przed 23 listopada
+     * @param {number} year
+     * @returns {Date}
+     */
+    static getBussUndBettag(year) {
+        const nov22 = new Date(year, 10, 22);
+        const daysBack = (nov22.getDay() - 3 + 7) % 7;
+        return new Date(year, 10, 22 - daysBack);
+    }
+
+    /**
+     * Lista świąt w danym roku dla kraju związkowego (posortowana po dacie)
+     * @param {number} year
+     * @param {string|null} stateCode - kod kraju związkowego (null = tylko święta federalne)
+     * @returns {{dateKey: string, date: Date, name: string}[]}
+     */
+    static getHolidays(year, stateCode = null) {
+        const easter = HolidayCalculator.getEasterSunday(year);
+
+        return HolidayCalculator.HOLIDAYS
+            .filter(holiday => !holiday.states || holiday.states.includes(stateCode))
+            .filter(holiday => !holiday.since || year >= holiday.since)
+            .map(holiday => {
+                let date;
+                if (holiday.fixed) {
+                    date = new Date(year, holiday.fixed[0] - 1, holiday.fixed[1]);
+                } else if (holiday.bussUndBettag) {
+                    date = HolidayCalculator.getBussUndBettag(year);
+                } else {
+                    date = new Date(easter);
+                    date.setDate(easter.getDate() + holiday.easterOffset);
+                }
+                return { dateKey: HolidayCalculator.weekDateCalculator.formatDateKey(date), date, name: holiday.name };
+            })
+            .sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * Sprawdza czy dana data jest świętem
+     * @param {Date} date
+     * @param {string|null} stateCode - kod kraju związkowego
+     * @returns {{dateKey: string, date: Date, name: string}|null} święto lub null
+     */
+    static getHoliday(date, stateCode = null) {
+        const dateKey = HolidayCalculator.weekDateCalculator.formatDateKey(date);
+        return HolidayCalculator.getHolidays(date.getFullYear(), stateCode)
+            .find(holiday => holiday.dateKey === dateKey) || null;
+    }
+
+    /**
+     * Święta przypadające na podane dni (np. 7 dni tygodnia)
+     * @param {Date[]} dates
+     * @param {string|null} stateCode
+     * @returns {(Object|null)[]} tablica równoległa do dates
+     */
+    static getHolidaysForDates(dates, stateCode = null) {
+        return dates.map(date => HolidayCalculator.getHoliday(date, stateCode));
+    }
+}
+
+SharedModels.define('HolidayCalculator', HolidayCalculator, typeof module !== 'undefined' ? module : null);
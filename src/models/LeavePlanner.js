@@ -0,0 +1,176 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Planowanie urlopów i roczny limit urlopu
+ * Single Responsibility: okresy urlopu pracownika, ich rozliczenie z limitem i przeniesienie na kafelki "U"
+ *
+ * Dane pracownika w kartotece:
+ * - annualLeaveDays: roczny wymiar urlopu w dniach roboczych (null = bez limitu),
+ * - leaves: [{ id, from: 'RRRR-MM-DD', to: 'RRRR-MM-DD' }].
+ * Z limitu odliczane są dni robocze (poniedziałek-piątek) z pominięciem świąt;
+ * kafelki "U" ustawiane są na wszystkie dni okresu.
+ */
+class LeavePlanner {
+    /**
+     * @returns {typeof WeekDateCalculator}
+     */
+    static get weekDateCalculator() {
+        return SharedModels.get('WeekDateCalculator');
+    }
+
+    /**
+     * @returns {typeof HolidayCalculator}
+     */
+    static get holidayCalculator() {
+        return SharedModels.get('HolidayCalculator');
+    }
+
+    /**
+     * @returns {typeof AbsenceTypeRegistry}
+     */
+    static get absenceTypeRegistry() {
+        return SharedModels.get('AbsenceTypeRegistry');
+    }
+
+    /**
+     * Wszystkie dni okresu (włącznie z końcem)
+     * @param {{from: string, to: string}} period
+     * @returns {Date[]}
+     */
+    static getDates(period) {
+        const calculator = LeavePlanner.weekDateCalculator;
+        const dates = [];
+        const end = calculator.parseDateKey(period.to);
+        for (let date = calculator.parseDateKey(period.from); date <= end; date.setDate(date.getDate() + 1)) {
+            dates.push(new Date(date));
+        }
+        return dates;
+    }
+
+    /**
+     * Klucze dat wszystkich urlopów pracownika
+     * @param {Object} employee
+     * @returns {Set<string>}
+     */
+    static getDateKeys(employee) {
+        const calculator = LeavePlanner.weekDateCalculator;
+        const keys = new Set();
+        (employee && employee.leaves || []).forEach(period => {
+            LeavePlanner.getDates(period).forEach(date => keys.add(calculator.formatDateKey(date)));
+        });
+        return keys;
+    }
+
+    /**
+     * Liczba dni urlopu odliczanych z limitu (dni robocze bez świąt)
+     * @param {{from: string, to: string}} period
+     * @param {number|null} year - tylko dni z tego roku (null = cały okres)
+     * @param {string|null} holidayState - kraj związkowy
+     * @returns {number}
+     */
+    static countDays(period, year = null, holidayState = null) {
+        return LeavePlanner.getDates(period).filter(date => {
+            const dayOfWeek = date.getDay();
+            return (year === null || date.getFullYear() === year) &&
+                dayOfWeek !== 0 && dayOfWeek !== 6 &&
+                LeavePlanner.holidayCalculator.getHoliday(date, holidayState) === null;
+        }).length;
+    }
+
+    /**
+     * Rozliczenie urlopu pracownika w roku
+     * @param {Object} employee
+     * @param {number} year
+     * @param {string|null} holidayState
+     * @returns {{entitlement: number|null, taken: number, remaining: number|null}}
+     */
+    static getBalance(employee, year, holidayState = null) {
+        const entitlement = typeof employee.annualLeaveDays === 'number' ? employee.annualLeaveDays : null;
+        const taken = (employee.leaves || [])
+            .reduce((sum, period) => sum + LeavePlanner.countDays(period, year, holidayState), 0);
+        return { entitlement, taken, remaining: entitlement === null ? null : entitlement - taken };
+    }
+
+    /**
+     * Sprawdza czy okres nachodzi na inny urlop pracownika
+     * @param {Object[]} leaves
+     * @param {{from: string, to: string}} period
+     * @returns {boolean}
+     */
+    static overlaps(leaves, period) {
+        return leaves.some(other => other.id !== period.id && other.from <= period.to && period.from <= other.to);
+    }
+
+    /**
+     * Zmiany dni urlopu między dwiema wersjami kartoteki
+     * @param {Object[]} oldEmployees
+     * @param {Object[]} newEmployees
+     * @returns {{employeeId: string, added: Set<string>, removed: Set<string>}[]}
+     */
+    static diff(oldEmployees, newEmployees) {
+        return newEmployees
+            .map(employee => {
+                const before = LeavePlanner.getDateKeys(oldEmployees.find(old => old.id === employee.id));
+                const after = LeavePlanner.getDateKeys(employee);
+                return {
+                    employeeId: employee.id,
+                    added: new Set([...after].filter(key => !before.has(key))),
+                    removed: new Set([...before].filter(key => !after.has(key)))
+                };
+            })
+            .filter(change => change.added.size > 0 || change.removed.size > 0);
+    }
+
+    /**
+     * Tygodnie ISO, których dotyczą zmiany
+     * @param {Object[]} changes - wynik LeavePlanner.diff
+     * @returns {{year: number, weekNumber: number}[]}
+     */
+    static getAffectedWeeks(changes) {
+        const calculator = LeavePlanner.weekDateCalculator;
+        const weeks = new Map();
+        changes.forEach(change => {
+            [...change.added, ...change.removed].forEach(dateKey => {
+                const week = calculator.getIsoWeek(calculator.parseDateKey(dateKey));
+                weeks.set(`${week.year}-${week.weekNumber}`, week);
+            });
+        });
+        return [...weeks.values()].sort((a, b) => a.year - b.year || a.weekNumber - b.weekNumber);
+    }
+
+    /**
+     * Przenosi zmiany urlopów na tydzień: nowe dni urlopu stają się "U"
+     * (kafelki "A" i "Praca"; inne nieobecności są zachowywane), usunięte dni "U" wracają do "A"
+     * @param {Object} state - stan tygodnia (nie jest modyfikowany)
+     * @param {Object[]} changes - wynik LeavePlanner.diff
+     * @returns {{state: Object, changed: boolean}}
+     */
+    static applyToWeek(state, changes) {
+        const calculator = LeavePlanner.weekDateCalculator;
+        const vacationCode = LeavePlanner.absenceTypeRegistry.VACATION_CODE;
+        const newState = JSON.parse(JSON.stringify(state));
+        const dateKeys = calculator.getWeekDates(state.year, state.weekNumber).map(date => calculator.formatDateKey(date));
+        let changed = false;
+
+        newState.rows.forEach(row => {
+            const change = changes.find(candidate => candidate.employeeId === row.employeeId);
+            if (!row.employeeId || !change) return;
+
+            row.tiles.forEach((tile, columnIndex) => {
+                const dateKey = dateKeys[columnIndex];
+                if (change.added.has(dateKey) && (tile.state === 'A' || tile.state === 'Praca')) {
+                    tile.state = vacationCode;
+                    delete tile.shiftId;
+                    changed = true;
+                } else if (change.removed.has(dateKey) && tile.state === vacationCode) {
+                    tile.state = 'A';
+                    changed = true;
+                }
+            });
+        });
+
+        return { state: newState, changed };
+    }
+}
+
+SharedModels.define('LeavePlanner', LeavePlanner, typeof module !== 'undefined' ? module : null);
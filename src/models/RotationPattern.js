@@ -0,0 +1,123 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Stałe rotacje pracowników (np. tydzień A / tydzień B, co drugą sobotę)
+ * Single Responsibility: wyznaczanie kafelków wynikających z rotacji dla danego tygodnia
+ *
+ * Konfiguracja (pole "rotation" pracownika w kartotece):
+ * {
+ *   startDate: 'RRRR-MM-DD',                         // tydzień zawierający tę datę to pierwszy tydzień cyklu
+ *   weeks: [[7 × { state: 'A'|'Praca', shiftId? }]]   // kolejne tygodnie cyklu
+ * }
+ * Przed datą rozpoczęcia rotacja nie obowiązuje.
+ */
+class RotationPattern {
+    /**
+     * Maksymalna długość cyklu w tygodniach
+     */
+    static MAX_CYCLE_WEEKS = 8;
+
+    /**
+     * @returns {typeof WeekDateCalculator}
+     */
+    static get weekDateCalculator() {
+        return SharedModels.get('WeekDateCalculator');
+    }
+
+    /**
+     * @returns {typeof ShiftCatalog}
+     */
+    static get shiftCatalog() {
+        return SharedModels.get('ShiftCatalog');
+    }
+
+    /**
+     * Tydzień cyklu z samymi dniami wolnymi
+     * @returns {Object[]}
+     */
+    static createEmptyWeek() {
+        return Array.from({ length: 7 }, () => ({ state: 'A' }));
+    }
+
+    /**
+     * Nowa rotacja: jeden tydzień cyklu od podanej daty
+     * @param {string} startDate - 'RRRR-MM-DD'
+     * @returns {{startDate: string, weeks: Object[][]}}
+     */
+    static create(startDate) {
+        return { startDate, weeks: [RotationPattern.createEmptyWeek()] };
+    }
+
+    /**
+     * Czy konfiguracja rotacji jest kompletna
+     * @param {Object|null|undefined} rotation
+     * @returns {boolean}
+     */
+    static isDefined(rotation) {
+        return Boolean(rotation && rotation.startDate && Array.isArray(rotation.weeks) && rotation.weeks.length > 0);
+    }
+
+    /**
+     * Numer tygodnia cyklu (0..n-1) dla tygodnia ISO
+     * @param {Object} rotation
+     * @param {number} year
+     * @param {number} weekNumber
+     * @returns {number|null} null przed rozpoczęciem rotacji lub bez rotacji
+     */
+    static getCycleIndex(rotation, year, weekNumber) {
+        if (!RotationPattern.isDefined(rotation)) return null;
+
+        const calculator = RotationPattern.weekDateCalculator;
+        const start = calculator.getIsoWeek(calculator.parseDateKey(rotation.startDate));
+        const startMonday = calculator.getWeekDates(start.year, start.weekNumber)[0];
+        const monday = calculator.getWeekDates(year, weekNumber)[0];
+
+        // Zaokrąglenie niweluje przesunięcia czasu letniego
+        const weeksSinceStart = Math.round((monday - startMonday) / (7 * 24 * 60 * 60 * 1000));
+        if (weeksSinceStart < 0) return null;
+        return weeksSinceStart % rotation.weeks.length;
+    }
+
+    /**
+     * Kafelki wynikające z rotacji w danym tygodniu
+     * @param {Object} rotation
+     * @param {number} year
+     * @param {number} weekNumber
+     * @returns {Object[]|null} 7 kafelków { state, shiftId? } lub null
+     */
+    static getWeekTiles(rotation, year, weekNumber) {
+        const cycleIndex = RotationPattern.getCycleIndex(rotation, year, weekNumber);
+        return cycleIndex === null ? null : rotation.weeks[cycleIndex];
+    }
+
+    /**
+     * Sprawdza czy kafelek na tablicy odbiega od rotacji
+     * @param {Object} tile - kafelek z tablicy
+     * @param {Object|null} expected - kafelek z rotacji
+     * @param {Object[]} shifts - katalog zmian
+     * @returns {boolean}
+     */
+    static isDeviation(tile, expected, shifts = []) {
+        if (!expected) return false;
+        if (tile.state !== expected.state) return true;
+        if (tile.state !== 'Praca') return false;
+
+        const catalog = RotationPattern.shiftCatalog;
+        return catalog.getShift(shifts, tile.shiftId).id !== catalog.getShift(shifts, expected.shiftId).id;
+    }
+
+    /**
+     * Opis kafelka rotacji dla podpowiedzi, np. "P (9.00-17.30)" lub "A"
+     * @param {Object} expected
+     * @param {Object[]} shifts
+     * @returns {string}
+     */
+    static describe(expected, shifts = []) {
+        if (expected.state !== 'Praca') return expected.state;
+        const catalog = RotationPattern.shiftCatalog;
+        const shift = catalog.getShift(shifts, expected.shiftId);
+        return `${shift.code} (${catalog.formatTimeRange(shift)})`;
+    }
+}
+
+SharedModels.define('RotationPattern', RotationPattern, typeof module !== 'undefined' ? module : null);
@@ -11,12 +11,14 @@ class Row {
      * @param {string} header - nagłówek wiersza (nazwa)
      * @param {boolean} includedInCalculations - czy wiersz jest brany pod uwagę w wyliczeniach
      * @param {Tile[]} tiles - kafelki w wierszu (7 sztuk)
+     * @param {string|null} employeeId - ID pracownika z kartoteki (null = wiersz niepowiązany)
      */
-    constructor(index, header = '', includedInCalculations = true, tiles = null) {
+    constructor(index, header = '', includedInCalculations = true, tiles = null, employeeId = null) {
         this.index = index;
         this.header = header;
         this.includedInCalculations = includedInCalculations;
         this.tiles = tiles || this._createDefaultTiles();
+        this.employeeId = employeeId;
     }
 
     /**
@@ -75,7 +77,8 @@ class Row {
             index: this.index,
             header: this.header,
             includedInCalculations: this.includedInCalculations,
-            tiles: this.tiles.map(tile => tile.toJSON())
+            tiles: this.tiles.map(tile => tile.toJSON()),
+            employeeId: this.employeeId
         };
     }
 
@@ -86,7 +89,7 @@ class Row {
      */
     static fromJSON(data) {
         const tiles = data.tiles.map(tileData => Tile.fromJSON(tileData));
-        return new Row(data.index, data.header, data.includedInCalculations, tiles);
+        return new Row(data.index, data.header, data.includedInCalculations, tiles, data.employeeId || null);
     }
 }
 
@@ -0,0 +1,155 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Automatyczne wypełnianie tygodnia kafelkami "Praca"
+ * Single Responsibility: dobór pracowników do dni tak, aby każda kolumna spełniała reguły obsady
+ *
+ * Zasady:
+ * - brane są pod uwagę tylko wiersze uwzględniane w wyliczeniach,
+ * - istniejące kafelki "Praca" i nieobecności (np. U) są ograniczeniami twardymi - nie są zmieniane,
+ * - przydzielane są wyłącznie kafelki "A", o ile pracownik jest dostępny w danym dniu
+ *   (na zmianie dozwolonej przez jego dostępność),
+ * - dni z najmniejszym zapasem kandydatów obsadzane są najpierw,
+ * - obciążenie rozkładane jest równomiernie: pierwszeństwo mają osoby z najmniejszą liczbą dni pracy,
+ *   a osoby, które osiągnęły etat, wybierane są dopiero na końcu.
+ */
+class ScheduleGenerator {
+    /**
+     * @returns {typeof StaffingRules}
+     */
+    static get staffingRules() {
+        return SharedModels.get('StaffingRules');
+    }
+
+    /**
+     * @returns {typeof WeekDateCalculator}
+     */
+    static get weekDateCalculator() {
+        return SharedModels.get('WeekDateCalculator');
+    }
+
+    /**
+     * @returns {typeof WorkHoursCalculator}
+     */
+    static get workHoursCalculator() {
+        return SharedModels.get('WorkHoursCalculator');
+    }
+
+    /**
+     * Wyznacza przydział kafelków "Praca" dla tygodnia
+     * @param {Object} state - stan tablicy { year, weekNumber, columns, rows }
+     * @param {Object} options
+     * @param {Object} options.rules - konfiguracja reguł obsady (StaffingRules)
+     * @param {string|null} options.holidayState - kraj związkowy (kalendarz świąt)
+     * @param {Object[]} options.shifts - katalog zmian (do liczenia godzin)
+     * @param {Function} options.getTargetHours - (row) => etat w godzinach lub null
+     * @param {Function} options.isAvailable - (row, columnIndex) => czy pracownik może pracować w tym dniu
+     * @param {Function} options.pickShiftId - (row, columnIndex) => id zmiany do przydzielenia (null = domyślna)
+     * @returns {{assignments: {rowIndex: number, columnIndex: number, shiftId: string|null}[], problems: {columnIndex: number, reason: string}[], feasible: boolean}}
+     */
+    static generate(state, options = {}) {
+        const {
+            rules = null,
+            holidayState = null,
+            shifts = [],
+            getTargetHours = () => null,
+            isAvailable = () => true,
+            pickShiftId = () => null
+        } = options;
+
+        const weekDates = ScheduleGenerator.weekDateCalculator.getWeekDates(state.year, state.weekNumber);
+        const rows = state.rows.filter(row => row.includedInCalculations);
+
+        // Obciążenie pracowników: dni i godziny pracy już zaplanowane w tygodniu
+        const load = new Map(rows.map(row => [row.index, {
+            days: row.tiles.filter(tile => tile.state === 'Praca').length,
+            hours: ScheduleGenerator.workHoursCalculator.getRowHours(row, shifts),
+            targetHours: getTargetHours(row)
+        }]));
+
+        // Zapotrzebowanie każdego dnia
+        const demands = state.columns.map((column, columnIndex) => {
+            const date = weekDates[columnIndex];
+            const pracaCount = rows.filter(row => row.tiles[columnIndex].state === 'Praca').length;
+            const evaluation = ScheduleGenerator.staffingRules.evaluateDay({
+                pracaCount,
+                required: column.requiredWorkers,
+                columnIndex,
+                date,
+                holidayState,
+                rules
+            });
+            // Cel: wymagana liczba mieszcząca się w dopuszczalnym zakresie
+            const target = Math.min(evaluation.max, Math.max(evaluation.min, column.requiredWorkers));
+            const candidates = rows.filter(row => row.tiles[columnIndex].state === 'A' && isAvailable(row, columnIndex));
+
+            return {
+                columnIndex,
+                pracaCount,
+                min: evaluation.min,
+                max: evaluation.max,
+                needed: Math.max(0, target - pracaCount),
+                candidates
+            };
+        });
+
+        const assignments = [];
+        const problems = [];
+
+        // Najpierw dni z najmniejszym zapasem kandydatów
+        const order = [...demands].sort((a, b) =>
+            (a.candidates.length - a.needed) - (b.candidates.length - b.needed) || a.columnIndex - b.columnIndex
+        );
+
+        order.forEach(demand => {
+            if (demand.pracaCount > demand.max) {
+                problems.push({
+                    columnIndex: demand.columnIndex,
+                    reason: `Za dużo zaplanowanych pracowników: ${demand.pracaCount} (maksimum ${demand.max})`
+                });
+                return;
+            }
+
+            const chosen = [...demand.candidates]
+                .sort((a, b) => ScheduleGenerator._compareLoad(load.get(a.index), load.get(b.index)) || a.index - b.index)
+                .slice(0, demand.needed);
+
+            chosen.forEach(row => {
+                const shiftId = pickShiftId(row, demand.columnIndex);
+                const rowLoad = load.get(row.index);
+                rowLoad.days += 1;
+                rowLoad.hours += ScheduleGenerator.workHoursCalculator.getTileHours({ state: 'Praca', shiftId }, shifts);
+                assignments.push({ rowIndex: row.index, columnIndex: demand.columnIndex, shiftId });
+            });
+
+            const staffed = demand.pracaCount + chosen.length;
+            if (staffed < demand.min) {
+                problems.push({
+                    columnIndex: demand.columnIndex,
+                    reason: `Za mało dostępnych pracowników: ${staffed} (minimum ${demand.min})`
+                });
+            }
+        });
+
+        assignments.sort((a, b) => a.rowIndex - b.rowIndex || a.columnIndex - b.columnIndex);
+        problems.sort((a, b) => a.columnIndex - b.columnIndex);
+
+        return { assignments, problems, feasible: problems.length === 0 };
+    }
+
+    /**
+     * Porównuje obciążenie dwóch pracowników (mniej obciążony pierwszy)
+     * @param {{days: number, hours: number, targetHours: number|null}} a
+     * @param {{days: number, hours: number, targetHours: number|null}} b
+     * @returns {number}
+     * @private
+     */
+    static _compareLoad(a, b) {
+        const aFull = typeof a.targetHours === 'number' && a.targetHours > 0 && a.hours >= a.targetHours;
+        const bFull = typeof b.targetHours === 'number' && b.targetHours > 0 && b.hours >= b.targetHours;
+        if (aFull !== bFull) return aFull ? 1 : -1;
+        return a.days - b.days || a.hours - b.hours;
+    }
+}
+
+SharedModels.define('ScheduleGenerator', ScheduleGenerator, typeof module !== 'undefined' ? module : null);
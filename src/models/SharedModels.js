@@ -0,0 +1,57 @@
+/**
+ * Rejestr modeli współdzielonych przez proces główny i renderer
+ * Single Responsibility: wyszukiwanie zależności między modelami i ich eksport w obu środowiskach
+ *
+ * W procesie głównym modele są modułami CommonJS, a w rendererze zwykłymi skryptami z index.html
+ * (ten plik jest ładowany przed nimi). Każdy współdzielony model:
+ * - zaczyna się od `var SharedModels = SharedModels || require('./SharedModels');`
+ *   (w rendererze zmienna jest już globalna, w procesie głównym pochodzi z require),
+ * - pobiera inne modele przez SharedModels.get('Nazwa') dopiero w chwili użycia,
+ *   więc kolejność skryptów w rendererze nie ma znaczenia,
+ * - kończy się wywołaniem
+ *   `SharedModels.define('Nazwa', eksport, typeof module !== 'undefined' ? module : null);`
+ *
+ * Deklaracja przez var (a nie class): skrypty renderera dzielą zakres globalny,
+ * a powtórna deklaracja tej samej nazwy jest dozwolona tylko dla var.
+ */
+var SharedModels = class SharedModels {
+    /**
+     * Zarejestrowane modele: nazwa → eksport modelu
+     */
+    static registry = new Map();
+
+    /**
+     * Zwraca model współdzielony
+     * @param {string} name - nazwa modelu (= nazwa pliku w src/models bez .js)
+     * @returns {*} eksport modelu
+     * @throws {Error} gdy w rendererze model nie został załadowany w index.html
+     */
+    static get(name) {
+        if (SharedModels.registry.has(name)) {
+            return SharedModels.registry.get(name);
+        }
+        if (typeof require === 'function') {
+            return require(`./${name}`);
+        }
+        throw new Error(`Model ${name} nie został załadowany`);
+    }
+
+    /**
+     * Rejestruje model i - w procesie głównym - ustawia go jako eksport modułu
+     * @param {string} name - nazwa modelu (= nazwa pliku w src/models bez .js)
+     * @param {*} model - klasa lub obiekt eksportowany przez plik
+     * @param {Object|null} owner - `module` pliku modelu (null w rendererze)
+     * @returns {*} model
+     */
+    static define(name, model, owner) {
+        SharedModels.registry.set(name, model);
+        if (owner) {
+            owner.exports = model;
+        }
+        return model;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedModels;
+}
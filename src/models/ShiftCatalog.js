@@ -0,0 +1,211 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Katalog typów zmian (nazwa, skrót, godziny, przerwa, kolor)
+ * Single Responsibility: definicje zmian i obliczenia na ich godzinach
+ *
+ * Przerwa (breakStart/breakEnd, "HH:MM") jest opcjonalna - jej długość nie wlicza się
+ * do czasu pracy, a godziny trafiają do wiersza "Pause" w Excelu.
+ */
+class ShiftCatalog {
+    /**
+     * Domyślny katalog - odpowiada dotychczasowej stałej zmianie "9.00-17.30"
+     * z przerwą "13.00-14.30" z szablonu Excela
+     */
+    static DEFAULT_SHIFTS = Object.freeze([
+        Object.freeze({
+            id: 'shift-default',
+            name: 'Praca',
+            code: 'P',
+            start: '09:00',
+            end: '17:30',
+            breakStart: '13:00',
+            breakEnd: '14:30',
+            color: '#c53030'
+        })
+    ]);
+
+    /**
+     * Zwraca katalog zmian z ustawień lub katalog domyślny
+     * @param {Object[]|undefined} shifts
+     * @returns {Object[]}
+     */
+    static resolve(shifts) {
+        return Array.isArray(shifts) && shifts.length > 0 ? shifts : ShiftCatalog.DEFAULT_SHIFTS;
+    }
+
+    /**
+     * Zmiana domyślna - pierwsza w katalogu
+     * @param {Object[]} shifts
+     * @returns {Object}
+     */
+    static getDefaultShift(shifts) {
+        return ShiftCatalog.resolve(shifts)[0];
+    }
+
+    /**
+     * Pobiera zmianę po ID; nieznane lub brakujące ID daje zmianę domyślną
+     * @param {Object[]} shifts
+     * @param {string|null|undefined} shiftId
+     * @returns {Object}
+     */
+    static getShift(shifts, shiftId) {
+        const catalog = ShiftCatalog.resolve(shifts);
+        return catalog.find(shift => shift.id === shiftId) || catalog[0];
+    }
+
+    /**
+     * Pobiera zmianę po skrócie (bez rozróżniania wielkości liter)
+     * @param {Object[]} shifts
+     * @param {string} code
+     * @returns {Object|null}
+     */
+    static findByCode(shifts, code) {
+        const normalized = String(code || '').trim().toLowerCase();
+        if (!normalized) return null;
+        return ShiftCatalog.resolve(shifts).find(shift => shift.code.toLowerCase() === normalized) || null;
+    }
+
+    /**
+     * Pobiera zmianę o podanych godzinach
+     * @param {Object[]} shifts
+     * @param {string} start - "HH:MM"
+     * @param {string} end - "HH:MM"
+     * @returns {Object|null}
+     */
+    static findByTimes(shifts, start, end) {
+        return ShiftCatalog.resolve(shifts).find(shift =>
+            ShiftCatalog.parseTime(shift.start) === ShiftCatalog.parseTime(start) &&
+            ShiftCatalog.parseTime(shift.end) === ShiftCatalog.parseTime(end)
+        ) || null;
+    }
+
+    /**
+     * Zamienia zapis godziny ("9.00", "9:00", "09:00", "9") na "HH:MM"
+     * @param {string} value
+     * @returns {string|null} null dla niepoprawnego zapisu
+     */
+    static normalizeTime(value) {
+        const match = /^(\d{1,2})(?:[.:](\d{2}))?$/.exec(String(value || '').trim());
+        if (!match) return null;
+
+        const hours = parseInt(match[1]);
+        const minutes = parseInt(match[2] || '0');
+        if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Zamienia czas "HH:MM" na liczbę minut od północy
+     * @param {string} time
+     * @returns {number}
+     */
+    static parseTime(time) {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        return (hours || 0) * 60 + (minutes || 0);
+    }
+
+    /**
+     * Formatuje czas "HH:MM" w stylu grafiku: "9.00", "17.30"
+     * @param {string} time
+     * @returns {string}
+     */
+    static formatTime(time) {
+        const totalMinutes = ShiftCatalog.parseTime(time);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = String(totalMinutes % 60).padStart(2, '0');
+        return `${hours}.${minutes}`;
+    }
+
+    /**
+     * Formatuje godziny zmiany, np. "9.00-17.30"
+     * @param {Object} shift
+     * @returns {string}
+     */
+    static formatTimeRange(shift) {
+        return `${ShiftCatalog.formatTime(shift.start)}-${ShiftCatalog.formatTime(shift.end)}`;
+    }
+
+    /**
+     * Czy zmiana ma ustawioną przerwę
+     * @param {Object} shift
+     * @returns {boolean}
+     */
+    static hasBreak(shift) {
+        return Boolean(shift.breakStart && shift.breakEnd);
+    }
+
+    /**
+     * Formatuje godziny przerwy, np. "13.00-14.30" (pusty tekst, gdy zmiana nie ma przerwy)
+     * @param {Object} shift
+     * @returns {string}
+     */
+    static formatBreakRange(shift) {
+        return ShiftCatalog.hasBreak(shift)
+            ? `${ShiftCatalog.formatTime(shift.breakStart)}-${ShiftCatalog.formatTime(shift.breakEnd)}`
+            : '';
+    }
+
+    /**
+     * Przedział zmiany w minutach od północy jej dnia
+     * (zmiana nocna kończy się następnego dnia - koniec przekracza 24:00)
+     * @param {Object} shift
+     * @returns {{start: number, end: number}}
+     */
+    static getWindow(shift) {
+        const start = ShiftCatalog.parseTime(shift.start);
+        let end = ShiftCatalog.parseTime(shift.end);
+        if (end <= start) {
+            end += 24 * 60;
+        }
+        return { start, end };
+    }
+
+    /**
+     * Przedział przerwy w minutach od północy dnia zmiany
+     * (przerwa zmiany nocnej po północy jest przesuwana na następny dzień)
+     * @param {Object} shift
+     * @returns {{start: number, end: number}|null} null, gdy zmiana nie ma przerwy
+     */
+    static getBreakWindow(shift) {
+        if (!ShiftCatalog.hasBreak(shift)) return null;
+
+        const shiftStart = ShiftCatalog.parseTime(shift.start);
+        let start = ShiftCatalog.parseTime(shift.breakStart);
+        let end = ShiftCatalog.parseTime(shift.breakEnd);
+        if (start < shiftStart) {
+            start += 24 * 60;
+        }
+        if (end <= start) {
+            end += 24 * 60;
+        }
+        return { start, end };
+    }
+
+    /**
+     * Czy przerwa mieści się w godzinach zmiany
+     * @param {Object} shift
+     * @returns {boolean} true także dla zmiany bez przerwy
+     */
+    static isBreakWithinShift(shift) {
+        const breakWindow = ShiftCatalog.getBreakWindow(shift);
+        if (!breakWindow) return true;
+
+        const window = ShiftCatalog.getWindow(shift);
+        return breakWindow.start >= window.start && breakWindow.end <= window.end;
+    }
+
+    /**
+     * Oblicza czas pracy na zmianie w godzinach - długość zmiany bez przerwy
+     * @param {Object} shift
+     * @returns {number}
+     */
+    static getDurationHours(shift) {
+        const window = ShiftCatalog.getWindow(shift);
+        const breakWindow = ShiftCatalog.getBreakWindow(shift);
+        const breakMinutes = breakWindow ? breakWindow.end - breakWindow.start : 0;
+        return Math.max(0, window.end - window.start - breakMinutes) / 60;
+    }
+}
+
+SharedModels.define('ShiftCatalog', ShiftCatalog, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,169 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Silnik reguł obsady dni (walidacja liczby pracowników w kolumnie)
+ * Single Responsibility: wyznaczanie tolerancji dnia i ocena obsady
+ * Open/Closed: nowe reguły dodaje się przez registerEvaluator, bez zmian w silniku
+ *
+ * Tolerancja jest względna do wymaganej liczby pracowników kolumny:
+ * dopuszczalny zakres to [wymagana + minOffset, wymagana + maxOffset].
+ * Konfiguracja: { weekdays: [7 × { minOffset, maxOffset }], dates: { 'RRRR-MM-DD': { minOffset, maxOffset } },
+ *                 holiday: { minOffset, maxOffset } | null }
+ */
+class StaffingRules {
+    /**
+     * Domyślne reguły - dotychczasowe zachowanie:
+     * pon-sob wymagana lub wymagana + 1, niedziela dokładnie wymagana
+     */
+    static DEFAULT_RULES = Object.freeze({
+        weekdays: Object.freeze([
+            ...Array.from({ length: 6 }, () => Object.freeze({ minOffset: 0, maxOffset: 1 })),
+            Object.freeze({ minOffset: 0, maxOffset: 0 })
+        ]),
+        dates: Object.freeze({}),
+        holiday: null
+    });
+
+    /**
+     * Zarejestrowane reguły oceny obsady.
+     * Każda reguła dostaje kontekst { pracaCount, required, min, max, columnIndex, dateKey, isHoliday, tolerance }
+     * i zwraca opis naruszenia lub null.
+     */
+    static EVALUATORS = [
+        {
+            id: 'min',
+            evaluate: ({ pracaCount, min }) => (pracaCount < min
+                ? `Za mało pracowników: ${pracaCount} (minimum ${min})`
+                : null)
+        },
+        {
+            id: 'max',
+            evaluate: ({ pracaCount, max }) => (pracaCount > max
+                ? `Za dużo pracowników: ${pracaCount} (maksimum ${max})`
+                : null)
+        }
+    ];
+
+    /**
+     * @returns {typeof WeekDateCalculator}
+     */
+    static get weekDateCalculator() {
+        return SharedModels.get('WeekDateCalculator');
+    }
+
+    /**
+     * @returns {typeof HolidayCalculator}
+     */
+    static get holidayCalculator() {
+        return SharedModels.get('HolidayCalculator');
+    }
+
+    /**
+     * Dodaje własną regułę oceny obsady
+     * @param {{id: string, evaluate: Function}} evaluator
+     */
+    static registerEvaluator(evaluator) {
+        StaffingRules.EVALUATORS = [
+            ...StaffingRules.EVALUATORS.filter(existing => existing.id !== evaluator.id),
+            evaluator
+        ];
+    }
+
+    /**
+     * Uzupełnia konfigurację reguł wartościami domyślnymi
+     * @param {Object|undefined} rules
+     * @returns {{weekdays: Object[], dates: Object, holiday: Object|null}}
+     */
+    static resolve(rules) {
+        return {
+            weekdays: rules && Array.isArray(rules.weekdays) && rules.weekdays.length === 7
+                ? rules.weekdays
+                : StaffingRules.DEFAULT_RULES.weekdays,
+            dates: (rules && rules.dates) || {},
+            holiday: (rules && rules.holiday) || null
+        };
+    }
+
+    /**
+     * Wyznacza tolerancję dla dnia. Pierwszeństwo: reguła dla konkretnej daty,
+     * potem reguła świąt (jeśli dzień jest świętem), na końcu reguła dnia tygodnia.
+     * @param {Object} rules - konfiguracja reguł
+     * @param {number} columnIndex - indeks dnia (0 = poniedziałek)
+     * @param {string|null} dateKey - data "RRRR-MM-DD"
+     * @param {boolean} isHoliday - czy dzień jest świętem
+     * @returns {{minOffset: number, maxOffset: number, source: string}}
+     */
+    static getTolerance(rules, columnIndex, dateKey = null, isHoliday = false) {
+        const resolved = StaffingRules.resolve(rules);
+
+        if (dateKey && resolved.dates[dateKey]) {
+            return { ...resolved.dates[dateKey], source: 'date' };
+        }
+        if (isHoliday && resolved.holiday) {
+            return { ...resolved.holiday, source: 'holiday' };
+        }
+        return { ...resolved.weekdays[columnIndex], source: 'weekday' };
+    }
+
+    /**
+     * Ocenia obsadę kolumny
+     * @param {Object} params
+     * @param {number} params.pracaCount - liczba pracujących
+     * @param {number} params.required - wymagana liczba pracowników
+     * @param {number} params.columnIndex - indeks dnia
+     * @param {string|null} params.dateKey - data "RRRR-MM-DD"
+     * @param {boolean} params.isHoliday - czy dzień jest świętem
+     * @param {Object} params.rules - konfiguracja reguł
+     * @returns {{isValid: boolean, min: number, max: number, failedRule: string|null, reason: string|null}}
+     */
+    static evaluate({ pracaCount, required, columnIndex, dateKey = null, isHoliday = false, rules = null }) {
+        const tolerance = StaffingRules.getTolerance(rules, columnIndex, dateKey, isHoliday);
+        const min = Math.max(0, required + tolerance.minOffset);
+        const max = Math.max(min, required + tolerance.maxOffset);
+        const context = { pracaCount, required, min, max, columnIndex, dateKey, isHoliday, tolerance };
+
+        for (const evaluator of StaffingRules.EVALUATORS) {
+            const reason = evaluator.evaluate(context);
+            if (reason) {
+                return { isValid: false, min, max, failedRule: evaluator.id, reason };
+            }
+        }
+
+        return { isValid: true, min, max, failedRule: null, reason: null };
+    }
+
+    /**
+     * Ocenia obsadę dnia o znanej dacie - klucz daty i święto wyznacza sam silnik,
+     * więc widok tablicy, model Board, PDF i automatyczne wypełnianie oceniają dzień jednakowo
+     * @param {Object} params
+     * @param {number} params.pracaCount - liczba pracujących
+     * @param {number} params.required - wymagana liczba pracowników
+     * @param {number} params.columnIndex - indeks dnia
+     * @param {Date|null} params.date - data dnia (null = tylko reguła dnia tygodnia)
+     * @param {string|null} params.holidayState - kraj związkowy dla kalendarza świąt
+     * @param {Object} params.rules - konfiguracja reguł
+     * @returns {{isValid: boolean, min: number, max: number, failedRule: string|null, reason: string|null}}
+     */
+    static evaluateDay({ pracaCount, required, columnIndex, date = null, holidayState = null, rules = null }) {
+        return StaffingRules.evaluate({
+            pracaCount,
+            required,
+            columnIndex,
+            dateKey: date ? StaffingRules.weekDateCalculator.formatDateKey(date) : null,
+            isHoliday: date ? StaffingRules.holidayCalculator.getHoliday(date, holidayState) !== null : false,
+            rules
+        });
+    }
+
+    /**
+     * Opis zakresu dla podpowiedzi w UI, np. "3" lub "3–4"
+     * @param {number} min
+     * @param {number} max
+     * @returns {string}
+     */
+    static formatRange(min, max) {
+        return min === max ? String(min) : `${min}–${max}`;
+    }
+}
+
+SharedModels.define('StaffingRules', StaffingRules, typeof module !== 'undefined' ? module : null);
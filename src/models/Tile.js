@@ -1,4 +1,4 @@
-const { TileState, getNextTileState } = require('./TileState');
+const { TileState, getNextTileState, isAbsenceState } = require('./TileState');
 
 /**
  * Klasa reprezentująca pojedynczy kafelek
@@ -8,33 +8,47 @@ class Tile {
     /**
      * @param {number} rowIndex - indeks wiersza
      * @param {number} columnIndex - indeks kolumny (0-6, gdzie 6 to niedziela)
-     * @param {string} state - stan kafelka (A, Praca, U)
+     * @param {string} state - stan kafelka (A, Praca lub kod nieobecności)
+     * @param {string|null} shiftId - ID zmiany z katalogu (tylko dla stanu "Praca")
      */
-    constructor(rowIndex, columnIndex, state = TileState.A) {
+    constructor(rowIndex, columnIndex, state = TileState.A, shiftId = null) {
         this.rowIndex = rowIndex;
         this.columnIndex = columnIndex;
         this.state = state;
+        this.shiftId = state === TileState.PRACA ? shiftId : null;
     }
 
     /**
      * Przełącza stan kafelka na następny
+     * @param {string[]} stateOrder - kolejność stanów (domyślnie A → Praca → U)
      * @returns {string} nowy stan
      */
-    toggleState() {
-        this.state = getNextTileState(this.state);
+    toggleState(stateOrder) {
+        this.state = getNextTileState(this.state, stateOrder);
+        this.shiftId = null;
         return this.state;
     }
 
     /**
      * Ustawia konkretny stan
-     * @param {string} newState 
+     * @param {string} newState - A, Praca lub kod nieobecności
      */
     setState(newState) {
-        if (Object.values(TileState).includes(newState)) {
+        if (Object.values(TileState).includes(newState) || isAbsenceState(newState)) {
             this.state = newState;
+            this.shiftId = null;
         }
     }
 
+    /**
+     * Ustawia kafelek na "Praca" z konkretną zmianą
+     * @param {string} shiftId - ID zmiany z katalogu
+     */
+    setShift(shiftId) {
+        this.state = TileState.PRACA;
+        this.shiftId = shiftId;
+    }
+
     /**
      * Sprawdza czy kafelek jest w stanie "Praca"
      * @returns {boolean}
@@ -43,6 +57,14 @@ class Tile {
         return this.state === TileState.PRACA;
     }
 
+    /**
+     * Sprawdza czy kafelek oznacza nieobecność
+     * @returns {boolean}
+     */
+    isAbsence() {
+        return isAbsenceState(this.state);
+    }
+
     /**
      * Serializacja do obiektu
      * @returns {Object}
@@ -51,7 +73,8 @@ class Tile {
         return {
             rowIndex: this.rowIndex,
             columnIndex: this.columnIndex,
-            state: this.state
+            state: this.state,
+            shiftId: this.shiftId
         };
     }
 
@@ -61,7 +84,7 @@ class Tile {
      * @returns {Tile}
      */
     static fromJSON(data) {
-        return new Tile(data.rowIndex, data.columnIndex, data.state);
+        return new Tile(data.rowIndex, data.columnIndex, data.state, data.shiftId || null);
     }
 }
 
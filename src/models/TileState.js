@@ -1,3 +1,5 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
 /**
  * Enum dla stanów kafelka
  * Single Responsibility: reprezentuje tylko możliwe stany kafelka
@@ -16,12 +18,23 @@ const TILE_STATE_ORDER = [TileState.A, TileState.PRACA, TileState.U];
 /**
  * Pobiera następny stan kafelka (cyklicznie)
  * @param {string} currentState - aktualny stan
+ * @param {string[]} stateOrder - kolejność stanów (np. z AbsenceTypeRegistry.getStateCycle)
  * @returns {string} następny stan
  */
-function getNextTileState(currentState) {
-    const currentIndex = TILE_STATE_ORDER.indexOf(currentState);
-    const nextIndex = (currentIndex + 1) % TILE_STATE_ORDER.length;
-    return TILE_STATE_ORDER[nextIndex];
+function getNextTileState(currentState, stateOrder = TILE_STATE_ORDER) {
+    const currentIndex = stateOrder.indexOf(currentState);
+    const nextIndex = (currentIndex + 1) % stateOrder.length;
+    return stateOrder[nextIndex];
+}
+
+/**
+ * Sprawdza czy stan oznacza nieobecność (U lub inny kod z rejestru nieobecności)
+ * @param {string} state
+ * @returns {boolean}
+ */
+function isAbsenceState(state) {
+    return typeof state === 'string' && state !== '' && state !== TileState.A && state !== TileState.PRACA;
 }
 
-module.exports = { TileState, TILE_STATE_ORDER, getNextTileState };
+SharedModels.define('TileState', { TileState, TILE_STATE_ORDER, getNextTileState, isAbsenceState },
+    typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,156 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Klasa odpowiedzialna za obliczanie dat na podstawie roku i numeru tygodnia
+ * Single Responsibility: tylko obliczenia dat
+ */
+class WeekDateCalculator {
+    /**
+     * Nazwy miesięcy (jak w nagłówku grafiku)
+     */
+    static MONTH_NAMES = Object.freeze([
+        'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+        'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'
+    ]);
+
+    /**
+     * Pobiera daty dla danego tygodnia w roku (ISO 8601 - tydzień zaczyna się od poniedziałku)
+     * @param {number} year - rok
+     * @param {number} weekNumber - numer tygodnia (1-53)
+     * @returns {Date[]} tablica 7 dat (pon-nd)
+     */
+    static getWeekDates(year, weekNumber) {
+        // Znajdź pierwszy czwartek roku (ISO 8601)
+        const jan4 = new Date(year, 0, 4);
+        const dayOfWeek = jan4.getDay() || 7; // Niedziela = 7
+
+        // Poniedziałek pierwszego tygodnia
+        const firstMonday = new Date(jan4);
+        firstMonday.setDate(jan4.getDate() - dayOfWeek + 1);
+
+        // Poniedziałek żądanego tygodnia
+        const targetMonday = new Date(firstMonday);
+        targetMonday.setDate(firstMonday.getDate() + (weekNumber - 1) * 7);
+
+        // Generuj 7 dni
+        const dates = [];
+        for (let i = 0; i < 7; i++) {
+            const date = new Date(targetMonday);
+            date.setDate(targetMonday.getDate() + i);
+            dates.push(date);
+        }
+
+        return dates;
+    }
+
+    /**
+     * Formatuje datę jako DD.MM
+     * @param {Date} date 
+     * @returns {string}
+     */
+    static formatDateShort(date) {
+        const day = String(date.getDate()).padStart(2, '0');
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        return `${day}.${month}`;
+    }
+
+    /**
+     * Formatuje datę jako klucz "RRRR-MM-DD" (czas lokalny)
+     * @param {Date} date 
+     * @returns {string}
+     */
+    static formatDateKey(date) {
+        const day = String(date.getDate()).padStart(2, '0');
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Zamienia klucz "RRRR-MM-DD" na datę (czas lokalny)
+     * @param {string} dateKey 
+     * @returns {Date}
+     */
+    static parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Wyznacza rok i numer tygodnia ISO 8601 dla podanej daty
+     * (np. 01.01.2027 należy do tygodnia 53 roku 2026)
+     * @param {Date} date
+     * @returns {{year: number, weekNumber: number}}
+     */
+    static getIsoWeek(date) {
+        // Czwartek tego samego tygodnia wyznacza rok ISO
+        const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+
+        const jan1 = new Date(thursday.getFullYear(), 0, 1);
+        const dayOfYear = Math.round((thursday - jan1) / (24 * 60 * 60 * 1000));
+
+        return {
+            year: thursday.getFullYear(),
+            weekNumber: Math.floor(dayOfYear / 7) + 1
+        };
+    }
+
+    /**
+     * Pobiera aktualny rok (ISO 8601)
+     * @returns {number}
+     */
+    static getCurrentYear() {
+        return WeekDateCalculator.getIsoWeek(new Date()).year;
+    }
+
+    /**
+     * Pobiera aktualny numer tygodnia (ISO 8601)
+     * @returns {number}
+     */
+    static getCurrentWeekNumber() {
+        return WeekDateCalculator.getIsoWeek(new Date()).weekNumber;
+    }
+
+    /**
+     * Pobiera maksymalną liczbę tygodni w roku
+     * (28 grudnia zawsze należy do ostatniego tygodnia roku ISO)
+     * @param {number} year 
+     * @returns {number}
+     */
+    static getWeeksInYear(year) {
+        return WeekDateCalculator.getIsoWeek(new Date(year, 11, 28)).weekNumber;
+    }
+
+    /**
+     * Przesuwa tydzień o podaną liczbę tygodni (z przejściem przez granicę roku)
+     * @param {number} year
+     * @param {number} weekNumber
+     * @param {number} offset - liczba tygodni (ujemna = wstecz)
+     * @returns {{year: number, weekNumber: number}}
+     */
+    static shiftWeek(year, weekNumber, offset) {
+        const monday = WeekDateCalculator.getWeekDates(year, weekNumber)[0];
+        monday.setDate(monday.getDate() + offset * 7);
+        return WeekDateCalculator.getIsoWeek(monday);
+    }
+
+    /**
+     * Tygodnie ISO, które zawierają choć jeden dzień miesiąca
+     * @param {number} year 
+     * @param {number} month - miesiąc (1-12)
+     * @returns {{year: number, weekNumber: number}[]}
+     */
+    static getWeeksOfMonth(year, month) {
+        const weeks = [];
+        const lastDay = new Date(year, month, 0).getDate();
+        let current = WeekDateCalculator.getIsoWeek(new Date(year, month - 1, 1));
+
+        while (WeekDateCalculator.getWeekDates(current.year, current.weekNumber)[0] <= new Date(year, month - 1, lastDay)) {
+            weeks.push(current);
+            current = WeekDateCalculator.shiftWeek(current.year, current.weekNumber, 1);
+        }
+        return weeks;
+    }
+}
+
+SharedModels.define('WeekDateCalculator', WeekDateCalculator, typeof module !== 'undefined' ? module : null);
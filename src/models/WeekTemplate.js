@@ -0,0 +1,121 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Kopiowanie tygodni i nazwane szablony tygodnia (np. "Sommerbetrieb")
+ * Single Responsibility: przenoszenie kafelków i wymaganej obsady z tygodnia/szablonu na inny tydzień
+ *
+ * Szablon: { id, name, columns: [7 × requiredWorkers], rows: [{ employeeId, header, tiles: [7 × { state, shiftId }]}] }
+ * Kopiowane są tylko stany "A" i "Praca" (ze zmianą) - nieobecności dotyczą konkretnego tygodnia.
+ * Nieobecności w tygodniu docelowym (np. urlop U) są zachowywane, a pominięte kafelki raportowane.
+ */
+class WeekTemplate {
+    /**
+     * Nazwy dni tygodnia dla raportu
+     */
+    static DAY_NAMES = Object.freeze(['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag', 'Sonntag']);
+
+    /**
+     * Tworzy szablon ze stanu tygodnia
+     * @param {string} id
+     * @param {string} name - nazwa szablonu
+     * @param {Object} state - stan tygodnia
+     * @returns {Object}
+     */
+    static fromState(id, name, state) {
+        return {
+            id,
+            name,
+            columns: state.columns.map(column => column.requiredWorkers),
+            rows: state.rows.map(row => ({
+                employeeId: row.employeeId || null,
+                header: row.header,
+                tiles: row.tiles.map(tile => WeekTemplate.toTemplateTile(tile))
+            }))
+        };
+    }
+
+    /**
+     * Kafelek w postaci kopiowanej: nieobecności zamieniane są na "A"
+     * @param {Object} tile
+     * @returns {{state: string, shiftId?: string}}
+     * @private
+     */
+    static toTemplateTile(tile) {
+        if (tile.state === 'Praca') {
+            return tile.shiftId ? { state: 'Praca', shiftId: tile.shiftId } : { state: 'Praca' };
+        }
+        return { state: 'A' };
+    }
+
+    /**
+     * Znajduje wiersz szablonu dla wiersza docelowego (po ID z kartoteki lub nazwie)
+     * @param {Object[]} sourceRows
+     * @param {Object} row
+     * @returns {Object|null}
+     * @private
+     */
+    static findSourceRow(sourceRows, row) {
+        if (row.employeeId) {
+            const byId = sourceRows.find(source => source.employeeId === row.employeeId);
+            if (byId) return byId;
+        }
+        const name = (row.header || '').trim().toLowerCase();
+        return name
+            ? sourceRows.find(source => (source.header || '').trim().toLowerCase() === name) || null
+            : null;
+    }
+
+    /**
+     * Nakłada szablon (lub skopiowany tydzień) na stan tygodnia docelowego
+     * @param {Object} targetState - stan tygodnia docelowego (nie jest modyfikowany)
+     * @param {Object} template - szablon (WeekTemplate.fromState)
+     * @param {Function} isAbsence - (state) => czy stan kafelka jest nieobecnością
+     * @returns {{state: Object, skipped: string[]}} nowy stan i opis pominiętych elementów
+     */
+    static apply(targetState, template, isAbsence) {
+        const state = JSON.parse(JSON.stringify(targetState));
+        const skipped = [];
+
+        state.columns.forEach((column, index) => {
+            if (typeof template.columns[index] === 'number') {
+                column.requiredWorkers = template.columns[index];
+            }
+        });
+
+        const matchedSources = new Set();
+        state.rows.forEach(row => {
+            const source = WeekTemplate.findSourceRow(template.rows, row);
+            if (!source) return;
+            matchedSources.add(source);
+
+            row.tiles.forEach((tile, columnIndex) => {
+                const sourceTile = source.tiles[columnIndex] || { state: 'A' };
+
+                if (isAbsence(tile.state)) {
+                    // Nieobecność w tygodniu docelowym ma pierwszeństwo
+                    if (sourceTile.state === 'Praca') {
+                        skipped.push(`${row.header}, ${WeekTemplate.DAY_NAMES[columnIndex]}: nieobecność ${tile.state} - pominięto Praca`);
+                    }
+                    return;
+                }
+
+                tile.state = sourceTile.state;
+                if (sourceTile.state === 'Praca' && sourceTile.shiftId) {
+                    tile.shiftId = sourceTile.shiftId;
+                } else {
+                    delete tile.shiftId;
+                }
+            });
+        });
+
+        template.rows
+            .filter(source => !matchedSources.has(source) && source.tiles.some(tile => tile.state === 'Praca'))
+            .forEach(source => {
+                skipped.push(`${source.header || '(bez nazwy)'}: brak w tygodniu docelowym`);
+            });
+
+        return { state, skipped };
+    }
+}
+
+SharedModels.define('WeekTemplate', WeekTemplate, typeof module !== 'undefined' ? module : null);
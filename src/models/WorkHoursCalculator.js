@@ -0,0 +1,81 @@
+var SharedModels = SharedModels || require('./SharedModels');
+
+/**
+ * Obliczenia godzin pracy pracownika na podstawie zmian w kafelkach
+ * Single Responsibility: sumowanie godzin i porównanie z etatem
+ */
+class WorkHoursCalculator {
+    /**
+     * Status względem etatu
+     */
+    static Status = Object.freeze({
+        UNDER: 'under',
+        OK: 'ok',
+        OVER: 'over'
+    });
+
+    /**
+     * Dopuszczalna różnica (w godzinach) między zaplanowanymi godzinami a etatem,
+     * przy której wiersz jest jeszcze zgodny z etatem - etat rzadko jest wielokrotnością
+     * długości zmiany
+     */
+    static DEFAULT_TOLERANCE_HOURS = 2;
+
+    /**
+     * @returns {typeof ShiftCatalog}
+     */
+    static get shiftCatalog() {
+        return SharedModels.get('ShiftCatalog');
+    }
+
+    /**
+     * Czas pracy kafelka w godzinach, bez przerwy (0 dla kafelków innych niż "Praca")
+     * @param {Object} tile - kafelek { state, shiftId }
+     * @param {Object[]} shifts - katalog zmian
+     * @returns {number}
+     */
+    static getTileHours(tile, shifts) {
+        if (!tile || tile.state !== 'Praca') {
+            return 0;
+        }
+        const catalog = WorkHoursCalculator.shiftCatalog;
+        return catalog.getDurationHours(catalog.getShift(shifts, tile.shiftId));
+    }
+
+    /**
+     * Suma godzin w wierszu (tydzień)
+     * @param {Object} row - wiersz { tiles }
+     * @param {Object[]} shifts - katalog zmian
+     * @returns {number}
+     */
+    static getRowHours(row, shifts) {
+        return row.tiles.reduce((sum, tile) => sum + WorkHoursCalculator.getTileHours(tile, shifts), 0);
+    }
+
+    /**
+     * Porównuje zaplanowane godziny z etatem (zgodne w granicach tolerancji)
+     * @param {number} hours - zaplanowane godziny
+     * @param {number|null|undefined} targetHours - godziny z umowy (brak = bez oceny)
+     * @param {number} toleranceHours - dopuszczalna różnica w obie strony
+     * @returns {string|null} wartość z WorkHoursCalculator.Status lub null
+     */
+    static getStatus(hours, targetHours, toleranceHours = WorkHoursCalculator.DEFAULT_TOLERANCE_HOURS) {
+        if (typeof targetHours !== 'number' || targetHours <= 0) {
+            return null;
+        }
+        if (hours < targetHours - toleranceHours) return WorkHoursCalculator.Status.UNDER;
+        if (hours > targetHours + toleranceHours) return WorkHoursCalculator.Status.OVER;
+        return WorkHoursCalculator.Status.OK;
+    }
+
+    /**
+     * Formatuje liczbę godzin, np. 38.5 → "38,5"
+     * @param {number} hours
+     * @returns {string}
+     */
+    static formatHours(hours) {
+        return String(Math.round(hours * 100) / 100).replace('.', ',');
+    }
+}
+
+SharedModels.define('WorkHoursCalculator', WorkHoursCalculator, typeof module !== 'undefined' ? module : null);
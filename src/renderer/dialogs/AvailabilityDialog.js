@@ -0,0 +1,159 @@
+/**
+ * Okno dostępności pracownika
+ * Single Responsibility: edycja cyklicznych ograniczeń (dni tygodnia, zmiany) i jednorazowych dat
+ */
+class AvailabilityDialog {
+    /**
+     * @param {Object} employee - pracownik z kartoteki
+     * @param {Object[]} shifts - katalog zmian
+     * @param {Function} onSave - wywoływane z nową konfiguracją dostępności
+     */
+    constructor(employee, shifts, onSave) {
+        const availability = EmployeeAvailability.resolve(employee.availability);
+        this.employee = employee;
+        this.shifts = ShiftCatalog.resolve(shifts);
+        this.weekdays = availability.weekdays.map(day => ({ ...day, shiftIds: [...day.shiftIds] }));
+        this.unavailableDates = [...availability.unavailableDates];
+        this.onSave = onSave;
+        this.datesList = null;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'availability-dialog';
+
+        const table = document.createElement('table');
+        table.className = 'roster-table';
+        table.innerHTML = `<thead><tr>
+            <th>Dzień</th>
+            <th>Dostępny</th>
+            <th title="Brak zaznaczenia = dowolna zmiana">Tylko zmiany</th>
+        </tr></thead>`;
+        const tbody = document.createElement('tbody');
+        this.weekdays.forEach((day, index) => {
+            tbody.appendChild(this.createWeekdayRow(day, index));
+        });
+        table.appendChild(tbody);
+        content.appendChild(table);
+
+        const datesHeader = document.createElement('h4');
+        datesHeader.className = 'availability-dates-header';
+        datesHeader.textContent = 'Jednorazowa niedostępność';
+        content.appendChild(datesHeader);
+
+        this.datesList = document.createElement('div');
+        this.datesList.className = 'availability-dates';
+        content.appendChild(this.datesList);
+        this.renderDates();
+
+        const addRow = document.createElement('div');
+        addRow.className = 'roster-actions';
+        const dateInput = document.createElement('input');
+        dateInput.type = 'date';
+        dateInput.className = 'settings-input';
+        const btnAdd = document.createElement('button');
+        btnAdd.className = 'btn-add-row';
+        btnAdd.textContent = '+ Dodaj datę';
+        btnAdd.addEventListener('click', () => {
+            if (dateInput.value && !this.unavailableDates.includes(dateInput.value)) {
+                this.unavailableDates.push(dateInput.value);
+                this.unavailableDates.sort();
+                this.renderDates();
+            }
+            dateInput.value = '';
+        });
+        addRow.appendChild(dateInput);
+        addRow.appendChild(btnAdd);
+        content.appendChild(addRow);
+
+        new ModalDialog(`Dostępność: ${this.employee.name || 'nowy pracownik'}`, content, [
+            { label: 'Anuluj' },
+            {
+                label: 'Zastosuj',
+                className: 'btn-primary',
+                onClick: () => this.onSave({
+                    weekdays: this.weekdays,
+                    unavailableDates: this.unavailableDates
+                })
+            }
+        ]).open();
+    }
+
+    /**
+     * Wiersz dnia tygodnia: dostępność i dozwolone zmiany
+     * @param {{available: boolean, shiftIds: string[]}} day 
+     * @param {number} index 
+     * @returns {HTMLElement}
+     */
+    createWeekdayRow(day, index) {
+        const tr = document.createElement('tr');
+
+        const tdName = document.createElement('td');
+        tdName.textContent = DAYS_OF_WEEK[index];
+        tr.appendChild(tdName);
+
+        const tdAvailable = document.createElement('td');
+        tdAvailable.className = 'roster-checkbox-cell';
+        const availableCheckbox = document.createElement('input');
+        availableCheckbox.type = 'checkbox';
+        availableCheckbox.className = 'row-checkbox';
+        availableCheckbox.checked = day.available;
+        tdAvailable.appendChild(availableCheckbox);
+        tr.appendChild(tdAvailable);
+
+        const tdShifts = document.createElement('td');
+        tdShifts.className = 'availability-shifts';
+        this.shifts.forEach(shift => {
+            const label = document.createElement('label');
+            label.title = `${shift.name} (${ShiftCatalog.formatTimeRange(shift)})`;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = day.shiftIds.includes(shift.id);
+            checkbox.disabled = !day.available;
+            checkbox.addEventListener('change', (e) => {
+                day.shiftIds = e.target.checked
+                    ? [...day.shiftIds, shift.id]
+                    : day.shiftIds.filter(id => id !== shift.id);
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${shift.code}`));
+            tdShifts.appendChild(label);
+        });
+        tr.appendChild(tdShifts);
+
+        availableCheckbox.addEventListener('change', (e) => {
+            day.available = e.target.checked;
+            tdShifts.querySelectorAll('input').forEach(input => {
+                input.disabled = !day.available;
+            });
+        });
+
+        return tr;
+    }
+
+    renderDates() {
+        this.datesList.innerHTML = '';
+        if (this.unavailableDates.length === 0) {
+            this.datesList.textContent = 'Brak';
+            return;
+        }
+
+        this.unavailableDates.forEach(dateKey => {
+            const item = document.createElement('span');
+            item.className = 'availability-date';
+            item.textContent = WeekDateCalculator.formatDateShort(WeekDateCalculator.parseDateKey(dateKey)) +
+                `.${dateKey.slice(0, 4)}`;
+
+            const btnRemove = document.createElement('button');
+            btnRemove.className = 'btn-delete-row';
+            btnRemove.textContent = '×';
+            btnRemove.title = 'Usuń datę';
+            btnRemove.addEventListener('click', () => {
+                this.unavailableDates = this.unavailableDates.filter(key => key !== dateKey);
+                this.renderDates();
+            });
+            item.appendChild(btnRemove);
+            this.datesList.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Okno kopii zapasowych plików danych
+ * Single Responsibility: lista kopii, zgłoszenie uszkodzonych plików i wybór kopii do przywrócenia
+ */
+class BackupDialog {
+    /**
+     * Opisy plików danych
+     */
+    static FILE_LABELS = Object.freeze({
+        'board-state.json': 'Grafik tygodni',
+        'roster.json': 'Kartoteka pracowników',
+        'settings.json': 'Ustawienia',
+        'templates.json': 'Szablony tygodnia'
+    });
+
+    /**
+     * Plik, którego odrzucenie wstrzymuje zapisywanie (StorageService)
+     */
+    static STATE_FILE_NAME = 'board-state.json';
+
+    /**
+     * @param {Object[]} backups - kopie { id, fileName, createdAt, size } (od najnowszej)
+     * @param {Object[]} problems - uszkodzone pliki { fileName, corruptedFileName, error, invalidWeeks? }
+     * @param {Function} onRestore - async (backup) => czy przywrócono kopię
+     * @param {Function} onDismiss - async (fileName) => czy zamknięto problem bez przywracania kopii
+     */
+    constructor(backups, problems, onRestore, onDismiss) {
+        this.backups = backups;
+        this.problems = problems;
+        this.onRestore = onRestore;
+        this.onDismiss = onDismiss;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'settings-dialog';
+
+        this.problems.forEach(problem => content.appendChild(this.createProblemWarning(problem)));
+
+        if (this.backups.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'settings-note';
+            empty.textContent = 'Brak kopii zapasowych. Kopie powstają automatycznie przy zapisie danych.';
+            content.appendChild(empty);
+        } else {
+            content.appendChild(this.createTable());
+        }
+
+        const note = document.createElement('p');
+        note.className = 'settings-note';
+        note.textContent = 'Przywrócenie zastępuje plik danych treścią kopii (bieżąca wersja jest najpierw ' +
+            'zachowywana jako nowa kopia), a aplikacja wczytuje dane ponownie.';
+        content.appendChild(note);
+
+        this.dialog = new ModalDialog('Kopie zapasowe', content, [{ label: 'Zamknij' }]);
+        this.dialog.open();
+    }
+
+    /**
+     * @param {Object} problem
+     * @returns {HTMLElement}
+     */
+    createProblemWarning(problem) {
+        const warning = document.createElement('div');
+        warning.className = 'csv-errors';
+        const fileLabel = BackupDialog.getFileLabel(problem.fileName);
+
+        const text = document.createElement('p');
+        if (problem.invalidWeeks) {
+            text.textContent = `W pliku „${fileLabel}” pominięto niepoprawne tygodnie ` +
+                `(${problem.error}). Pozostałe tygodnie wczytano, a odrzucone zachowano w kopiach jako ` +
+                `${problem.corruptedFileName}.`;
+            warning.appendChild(text);
+            return warning;
+        }
+
+        text.textContent = `Plik „${fileLabel}” był uszkodzony (${problem.error}) i nie został wczytany. ` +
+            `Jego treść zachowano w kopiach jako ${problem.corruptedFileName}. ` +
+            'Wybierz kopię zapasową do przywrócenia.';
+        warning.appendChild(text);
+
+        if (problem.fileName === BackupDialog.STATE_FILE_NAME) {
+            const blocked = document.createElement('p');
+            blocked.textContent = 'Zapisywanie grafiku jest wstrzymane do czasu przywrócenia kopii, ' +
+                'żeby pierwsza zmiana nie zastąpiła wszystkich tygodni pustym plikiem.';
+            warning.appendChild(blocked);
+
+            const btnDismiss = document.createElement('button');
+            btnDismiss.className = 'btn-add-row';
+            btnDismiss.textContent = 'Zacznij od pustego grafiku';
+            btnDismiss.addEventListener('click', async () => {
+                if (await this.onDismiss(problem.fileName)) {
+                    this.dialog.close();
+                }
+            });
+            warning.appendChild(btnDismiss);
+        }
+        return warning;
+    }
+
+    /**
+     * @returns {HTMLElement}
+     */
+    createTable() {
+        const table = document.createElement('table');
+        table.className = 'roster-table';
+        table.innerHTML = '<tr><th>Plik</th><th>Utworzono</th><th>Rozmiar</th><th></th></tr>';
+
+        this.backups.forEach(backup => {
+            const tr = document.createElement('tr');
+            [
+                BackupDialog.getFileLabel(backup.fileName),
+                new Date(backup.createdAt).toLocaleString('pl-PL'),
+                `${Math.max(1, Math.round(backup.size / 1024))} KB`
+            ].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+
+            const actionCell = document.createElement('td');
+            const btnRestore = document.createElement('button');
+            btnRestore.className = 'btn-add-row';
+            btnRestore.textContent = 'Przywróć';
+            btnRestore.addEventListener('click', async () => {
+                if (await this.onRestore(backup)) {
+                    this.dialog.close();
+                }
+            });
+            actionCell.appendChild(btnRestore);
+            tr.appendChild(actionCell);
+
+            table.appendChild(tr);
+        });
+        return table;
+    }
+
+    /**
+     * @param {string} fileName
+     * @returns {string}
+     */
+    static getFileLabel(fileName) {
+        return BackupDialog.FILE_LABELS[fileName] || fileName;
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * Okno eksportu kalendarza (.ics)
+ * Single Responsibility: wybór zakresu tygodni i pracownika (lub całego zespołu)
+ */
+class CalendarExportDialog {
+    /**
+     * Maksymalna liczba eksportowanych tygodni
+     */
+    static MAX_WEEKS = 26;
+
+    /**
+     * @param {{year: number, weekNumber: number}} currentWeek - domyślny pierwszy tydzień
+     * @param {Object[]} rows - wiersze bieżącego tygodnia (lista pracowników)
+     * @param {Function} onExport - async ({ year, weekNumber, weekCount, employee }) => czy zamknąć okno
+     */
+    constructor(currentWeek, rows, onExport) {
+        this.currentWeek = currentWeek;
+        this.rows = rows.filter(row => (row.header || '').trim());
+        this.onExport = onExport;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'settings-dialog';
+
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+
+        const startField = createWeekField('Od tygodnia', this.currentWeek);
+        form.appendChild(startField.element);
+
+        const countLabel = document.createElement('label');
+        countLabel.textContent = 'Liczba tygodni';
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.className = 'settings-input settings-code-input';
+        countInput.min = '1';
+        countInput.max = String(CalendarExportDialog.MAX_WEEKS);
+        countInput.value = '4';
+        countLabel.appendChild(countInput);
+        form.appendChild(countLabel);
+
+        const employeeLabel = document.createElement('label');
+        employeeLabel.textContent = 'Pracownik';
+        const employeeSelect = document.createElement('select');
+        employeeSelect.className = 'settings-input';
+        employeeSelect.innerHTML = '<option value="">Cały zespół (archiwum zip)</option>';
+        this.rows.forEach((row, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = row.header;
+            employeeSelect.appendChild(option);
+        });
+        employeeLabel.appendChild(employeeSelect);
+        form.appendChild(employeeLabel);
+
+        const note = document.createElement('p');
+        note.className = 'settings-note';
+        note.textContent = 'Kafelki Praca stają się wydarzeniami z godzinami zmiany, a urlop (U) - wydarzeniami ' +
+            'całodniowymi. Ponowny import pliku aktualizuje wcześniej zaimportowane wydarzenia.';
+        form.appendChild(note);
+
+        content.appendChild(form);
+
+        new ModalDialog('Eksport kalendarza (.ics)', content, [
+            { label: 'Anuluj' },
+            {
+                label: 'Eksportuj',
+                className: 'btn-primary',
+                onClick: () => {
+                    const start = startField.getValue();
+                    const weekCount = parseInt(countInput.value);
+                    if (!start || !(weekCount >= 1 && weekCount <= CalendarExportDialog.MAX_WEEKS)) {
+                        alert(`Podaj poprawny tydzień i liczbę tygodni (1-${CalendarExportDialog.MAX_WEEKS})`);
+                        return false;
+                    }
+
+                    const row = employeeSelect.value === '' ? null : this.rows[parseInt(employeeSelect.value)];
+                    return this.onExport({
+                        ...start,
+                        weekCount,
+                        employee: row ? { employeeId: row.employeeId || null, header: row.header } : null
+                    });
+                }
+            }
+        ]).open();
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Okno kopiowania tygodni i szablonów tygodnia
+ * Single Responsibility: wybór źródła (tydzień lub nazwany szablon) i zarządzanie listą szablonów
+ */
+class CopyWeekDialog {
+    /**
+     * @param {Object} currentWeek - { year, weekNumber } bieżącego tygodnia
+     * @param {Object[]} templates - zapisane szablony
+     * @param {Object} handlers
+     * @param {Function} handlers.onCopyWeek - (source, target) => kopiowanie tygodnia
+     * @param {Function} handlers.onApplyTemplate - (template) => nałożenie szablonu na bieżący tydzień
+     * @param {Function} handlers.onSaveTemplate - async (name) => lista szablonów po zapisie lub null
+     * @param {Function} handlers.onDeleteTemplate - async (id) => lista szablonów po usunięciu lub null
+     */
+    constructor(currentWeek, templates, handlers) {
+        this.currentWeek = currentWeek;
+        this.templates = templates;
+        this.handlers = handlers;
+        this.dialog = null;
+        this.templatesList = null;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'settings-dialog copy-week-dialog';
+        content.appendChild(this.createCopySection());
+        content.appendChild(this.createTemplatesSection());
+
+        this.dialog = new ModalDialog('Kopiuj tydzień / szablony', content, [{ label: 'Zamknij' }]);
+        this.dialog.open();
+    }
+
+    createCopySection() {
+        const section = document.createElement('section');
+        section.className = 'settings-section';
+        const heading = document.createElement('h3');
+        heading.textContent = 'Kopiowanie tygodnia';
+        section.appendChild(heading);
+
+        const previousWeek = WeekDateCalculator.shiftWeek(this.currentWeek.year, this.currentWeek.weekNumber, -1);
+
+        const btnPrevious = document.createElement('button');
+        btnPrevious.className = 'btn-add-row';
+        btnPrevious.textContent = `Kopiuj poprzedni tydzień (${previousWeek.weekNumber}/${previousWeek.year})`;
+        btnPrevious.addEventListener('click', () => {
+            this.dialog.close();
+            this.handlers.onCopyWeek(previousWeek, this.currentWeek);
+        });
+        section.appendChild(btnPrevious);
+
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+        const sourceField = createWeekField('Z tygodnia', previousWeek);
+        const targetField = createWeekField('Do tygodnia', this.currentWeek);
+        form.append(sourceField.element, targetField.element);
+
+        const btnCopy = document.createElement('button');
+        btnCopy.className = 'btn-add-row';
+        btnCopy.textContent = 'Kopiuj';
+        btnCopy.addEventListener('click', () => {
+            const source = sourceField.getValue();
+            const target = targetField.getValue();
+            if (!source || !target) {
+                alert('Podaj poprawny rok i numer tygodnia');
+                return;
+            }
+            if (source.year === target.year && source.weekNumber === target.weekNumber) {
+                alert('Tydzień źródłowy i docelowy muszą się różnić');
+                return;
+            }
+            this.dialog.close();
+            this.handlers.onCopyWeek(source, target);
+        });
+        form.appendChild(btnCopy);
+        section.appendChild(form);
+
+        return section;
+    }
+
+    createTemplatesSection() {
+        const section = document.createElement('section');
+        section.className = 'settings-section';
+        const heading = document.createElement('h3');
+        heading.textContent = 'Szablony';
+        section.appendChild(heading);
+
+        this.templatesList = document.createElement('div');
+        this.templatesList.className = 'template-list';
+        section.appendChild(this.templatesList);
+        this.renderTemplates();
+
+        const saveRow = document.createElement('div');
+        saveRow.className = 'roster-actions';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'settings-input';
+        nameInput.placeholder = 'Nazwa, np. Sommerbetrieb';
+        const btnSave = document.createElement('button');
+        btnSave.className = 'btn-add-row';
+        btnSave.textContent = 'Zapisz bieżący tydzień jako szablon';
+        btnSave.addEventListener('click', async () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                alert('Podaj nazwę szablonu');
+                return;
+            }
+            const templates = await this.handlers.onSaveTemplate(name);
+            if (templates) {
+                this.templates = templates;
+                nameInput.value = '';
+                this.renderTemplates();
+            }
+        });
+        saveRow.append(nameInput, btnSave);
+        section.appendChild(saveRow);
+
+        return section;
+    }
+
+    renderTemplates() {
+        this.templatesList.innerHTML = '';
+        if (this.templates.length === 0) {
+            this.templatesList.textContent = 'Brak zapisanych szablonów';
+            return;
+        }
+
+        this.templates.forEach(template => {
+            const item = document.createElement('div');
+            item.className = 'template-item';
+
+            const name = document.createElement('span');
+            name.className = 'template-name';
+            name.textContent = template.name;
+            item.appendChild(name);
+
+            const btnApply = document.createElement('button');
+            btnApply.className = 'btn-add-row';
+            btnApply.textContent = 'Zastosuj';
+            btnApply.title = 'Ustawia kafelki i wymaganą obsadę bieżącego tygodnia';
+            btnApply.addEventListener('click', () => {
+                this.dialog.close();
+                this.handlers.onApplyTemplate(template);
+            });
+            item.appendChild(btnApply);
+
+            const btnDelete = document.createElement('button');
+            btnDelete.className = 'btn-delete-row';
+            btnDelete.textContent = '×';
+            btnDelete.title = 'Usuń szablon';
+            btnDelete.addEventListener('click', async () => {
+                if (!confirm(`Usunąć szablon "${template.name}"?`)) return;
+                const templates = await this.handlers.onDeleteTemplate(template.id);
+                if (templates) {
+                    this.templates = templates;
+                    this.renderTemplates();
+                }
+            });
+            item.appendChild(btnDelete);
+
+            this.templatesList.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Okno importu grafiku z pliku CSV
+ * Single Responsibility: przypisanie kolumn pliku i podgląd zmian przed importem
+ */
+class CsvImportDialog {
+    /**
+     * Maksymalna liczba zmian i błędów pokazywanych w podglądzie
+     */
+    static PREVIEW_LIMIT = 50;
+
+    /**
+     * @param {string} fileName - nazwa wczytanego pliku
+     * @param {string[][]} records - rekordy pliku (pierwszy to nagłówek)
+     * @param {Object} context - { state, shifts, absenceTypes, roster }
+     * @param {Function} onImport - wywoływane ze stanem tygodnia po imporcie
+     */
+    constructor(fileName, records, context, onImport) {
+        this.fileName = fileName;
+        this.header = records[0];
+        this.records = records.slice(1);
+        this.context = context;
+        this.onImport = onImport;
+        this.mapping = CsvSchedule.detectMapping(this.header);
+        this.addUnknown = false;
+        this.plan = null;
+        this.preview = null;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'settings-dialog';
+
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+
+        const note = document.createElement('p');
+        note.className = 'settings-note';
+        note.textContent = `${this.fileName}: ${this.records.length} rekordów. Importowane są tylko dni tygodnia ` +
+            `${this.context.state.weekNumber}/${this.context.state.year}; wymagane kolumny oznaczono gwiazdką.`;
+        form.appendChild(note);
+
+        CsvSchedule.COLUMNS.forEach(column => {
+            const label = document.createElement('label');
+            const required = CsvSchedule.REQUIRED_KEYS.includes(column.key);
+            label.textContent = `${column.header}${required ? ' *' : ''}`;
+
+            const select = document.createElement('select');
+            select.className = 'settings-input';
+            select.innerHTML = '<option value="">(brak)</option>';
+            this.header.forEach((header, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = header.trim() || `Kolumna ${index + 1}`;
+                select.appendChild(option);
+            });
+            select.value = this.mapping[column.key] === null ? '' : String(this.mapping[column.key]);
+            select.addEventListener('change', () => {
+                this.mapping[column.key] = select.value === '' ? null : parseInt(select.value);
+                this.updatePreview();
+            });
+
+            label.appendChild(select);
+            form.appendChild(label);
+        });
+
+        const addUnknownLabel = document.createElement('label');
+        const addUnknownCheckbox = document.createElement('input');
+        addUnknownCheckbox.type = 'checkbox';
+        addUnknownCheckbox.addEventListener('change', () => {
+            this.addUnknown = addUnknownCheckbox.checked;
+            this.updatePreview();
+        });
+        addUnknownLabel.append(addUnknownCheckbox, document.createTextNode('Dodaj nieznanych pracowników jako nowe wiersze'));
+        form.appendChild(addUnknownLabel);
+
+        content.appendChild(form);
+
+        this.preview = document.createElement('div');
+        this.preview.className = 'settings-section csv-preview';
+        content.appendChild(this.preview);
+        this.updatePreview();
+
+        new ModalDialog('Import z CSV', content, [
+            { label: 'Anuluj' },
+            {
+                label: 'Importuj',
+                className: 'btn-primary',
+                onClick: () => {
+                    if (!this.plan) {
+                        alert(`Brak wymaganych kolumn: ${CsvSchedule.getMissingColumns(this.mapping).join(', ')}`);
+                        return false;
+                    }
+                    if (this.plan.changes.length === 0) {
+                        alert('Plik nie zawiera zmian dla tego tygodnia');
+                        return false;
+                    }
+                    if (this.plan.errors.length > 0 &&
+                        !confirm(`${this.plan.errors.length} rekordów nie da się odczytać i zostanie pominiętych. Kontynuować?`)) {
+                        return false;
+                    }
+                    this.onImport(this.plan.state);
+                }
+            }
+        ]).open();
+    }
+
+    /**
+     * Przelicza import dla bieżącego mapowania i pokazuje podgląd
+     */
+    updatePreview() {
+        this.preview.innerHTML = '';
+        const missing = CsvSchedule.getMissingColumns(this.mapping);
+        if (missing.length > 0) {
+            this.plan = null;
+            this.appendParagraph(`Brak wymaganych kolumn: ${missing.join(', ')}`);
+            return;
+        }
+
+        const { state, shifts, absenceTypes, roster } = this.context;
+        this.plan = CsvSchedule.buildImport(state, this.records, this.mapping, {
+            shifts,
+            absenceTypes,
+            roster,
+            addUnknown: this.addUnknown
+        });
+
+        const heading = document.createElement('h3');
+        heading.textContent = `Podgląd: ${this.plan.changes.length} zmian`;
+        this.preview.appendChild(heading);
+
+        if (this.plan.changes.length > 0) {
+            const table = document.createElement('table');
+            table.className = 'roster-table';
+            table.innerHTML = '<tr><th>Pracownik</th><th>Dzień</th><th>Było</th><th>Będzie</th></tr>';
+            this.plan.changes.slice(0, CsvImportDialog.PREVIEW_LIMIT).forEach(change => {
+                const tr = document.createElement('tr');
+                const day = change.columnIndex === null ? 'Cały tydzień' : `${DAYS_OF_WEEK[change.columnIndex]} ${change.dateKey}`;
+                [change.employee, day, change.from, change.to].forEach(value => {
+                    const td = document.createElement('td');
+                    td.textContent = value;
+                    tr.appendChild(td);
+                });
+                table.appendChild(tr);
+            });
+            this.preview.appendChild(table);
+            this.appendOverflow(this.plan.changes.length);
+        }
+
+        if (this.plan.unknownEmployees.length > 0) {
+            const action = this.addUnknown ? 'zostaną dodani jako nowe wiersze' : 'zostaną pominięci';
+            this.appendParagraph(`Nieznani pracownicy (${action}): ${this.plan.unknownEmployees.join(', ')}`);
+        }
+        if (this.plan.outsideWeek > 0) {
+            this.appendParagraph(`Rekordy spoza tygodnia (pominięte): ${this.plan.outsideWeek}`);
+        }
+        if (this.plan.errors.length > 0) {
+            this.appendParagraph(`Błędy (${this.plan.errors.length}):`, 'csv-errors');
+            this.plan.errors.slice(0, CsvImportDialog.PREVIEW_LIMIT)
+                .forEach(error => this.appendParagraph(error, 'csv-errors'));
+            this.appendOverflow(this.plan.errors.length);
+        }
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} className
+     */
+    appendParagraph(text, className = 'settings-note') {
+        const paragraph = document.createElement('p');
+        paragraph.className = className;
+        paragraph.textContent = text;
+        this.preview.appendChild(paragraph);
+    }
+
+    /**
+     * Informacja o pozycjach niemieszczących się w podglądzie
+     * @param {number} total
+     */
+    appendOverflow(total) {
+        if (total > CsvImportDialog.PREVIEW_LIMIT) {
+            this.appendParagraph(`… i ${total - CsvImportDialog.PREVIEW_LIMIT} więcej`);
+        }
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Okno eksportu zakresu tygodni do Excela: jeden skoroszyt lub osobne pliki w folderze eksportu
+ * Single Responsibility: wybór zakresu tygodni i sposobu zapisu
+ */
+class ExcelRangeDialog {
+    /**
+     * @param {{year: number, weekNumber: number}} currentWeek - domyślny pierwszy tydzień
+     * @param {Function} onExport - async ({ year, weekNumber, weekCount, separateFiles, includeSummary, overwrite })
+     *        => czy zamknąć okno
+     */
+    constructor(currentWeek, onExport) {
+        this.currentWeek = currentWeek;
+        this.onExport = onExport;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'settings-dialog';
+
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+
+        const startField = createWeekField('Od tygodnia', this.currentWeek);
+        form.appendChild(startField.element);
+
+        const countLabel = document.createElement('label');
+        countLabel.textContent = 'Liczba tygodni';
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.className = 'settings-input settings-code-input';
+        countInput.min = '1';
+        countInput.max = String(CalendarExportDialog.MAX_WEEKS);
+        countInput.value = '4';
+        countLabel.appendChild(countInput);
+        form.appendChild(countLabel);
+
+        const modeLabel = document.createElement('label');
+        modeLabel.textContent = 'Zapis';
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'settings-input';
+        modeSelect.innerHTML = '<option value="workbook">Jeden skoroszyt (arkusz na tydzień)</option>' +
+            '<option value="files">Osobne pliki w folderze eksportu (bez okien zapisu)</option>';
+        modeLabel.appendChild(modeSelect);
+        form.appendChild(modeLabel);
+
+        const summaryLabel = document.createElement('label');
+        const summaryCheckbox = document.createElement('input');
+        summaryCheckbox.type = 'checkbox';
+        summaryCheckbox.checked = true;
+        summaryLabel.append(summaryCheckbox, document.createTextNode('Arkusz podsumowania (godziny i dni pracowników)'));
+        form.appendChild(summaryLabel);
+
+        const overwriteLabel = document.createElement('label');
+        const overwriteCheckbox = document.createElement('input');
+        overwriteCheckbox.type = 'checkbox';
+        overwriteLabel.append(overwriteCheckbox, document.createTextNode('Nadpisuj istniejące pliki'));
+        form.appendChild(overwriteLabel);
+
+        const updateMode = () => {
+            const separateFiles = modeSelect.value === 'files';
+            summaryCheckbox.disabled = separateFiles;
+            overwriteCheckbox.disabled = !separateFiles;
+        };
+        modeSelect.addEventListener('change', updateMode);
+        updateMode();
+
+        const note = document.createElement('p');
+        note.className = 'settings-note';
+        note.textContent = 'Eksportowane są zapisane tygodnie zakresu w układzie aktywnego profilu eksportu. ' +
+            'Osobne pliki trafiają do folderu z Ustawień pod nazwą według wzorca; tygodnie bez grafiku ' +
+            'i istniejące pliki są pomijane i wymieniane w podsumowaniu.';
+        form.appendChild(note);
+
+        content.appendChild(form);
+
+        new ModalDialog('Eksport tygodni do Excela', content, [
+            { label: 'Anuluj' },
+            {
+                label: 'Eksportuj',
+                className: 'btn-primary',
+                onClick: () => {
+                    const start = startField.getValue();
+                    const weekCount = parseInt(countInput.value);
+                    if (!start || !(weekCount >= 1 && weekCount <= CalendarExportDialog.MAX_WEEKS)) {
+                        alert(`Podaj poprawny tydzień i liczbę tygodni (1-${CalendarExportDialog.MAX_WEEKS})`);
+                        return false;
+                    }
+                    return this.onExport({
+                        ...start,
+                        weekCount,
+                        separateFiles: modeSelect.value === 'files',
+                        includeSummary: summaryCheckbox.checked,
+                        overwrite: overwriteCheckbox.checked
+                    });
+                }
+            }
+        ]).open();
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Okno wyboru tygodnia przy imporcie skoroszytu z kilkoma arkuszami tygodni
+ * Single Responsibility: wybór arkusza do importu i pokazanie pominiętych arkuszy
+ */
+class ExcelSheetDialog {
+    /**
+     * @param {string} fileName - nazwa wczytanego pliku
+     * @param {Object[]} weeks - tygodnie odczytane z arkuszy ({sheetName, year, weekNumber, rows, issues})
+     * @param {string[]} issues - uwagi o pominiętych arkuszach
+     * @param {Function} onSelect - (week) => import wybranego tygodnia
+     */
+    constructor(fileName, weeks, issues, onSelect) {
+        this.fileName = fileName;
+        this.weeks = weeks;
+        this.issues = issues;
+        this.onSelect = onSelect;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'settings-dialog';
+
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+
+        const note = document.createElement('p');
+        note.className = 'settings-note';
+        note.textContent = `${this.fileName} zawiera ${this.weeks.length} tygodni. ` +
+            'Importowany jest jeden tydzień - pozostałe można wczytać, importując plik ponownie.';
+        form.appendChild(note);
+
+        const weekLabel = document.createElement('label');
+        weekLabel.textContent = 'Arkusz';
+        const weekSelect = document.createElement('select');
+        weekSelect.className = 'settings-input';
+        this.weeks.forEach((week, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `${week.sheetName} - tydzień ${week.weekNumber}/${week.year}, ` +
+                `${week.rows.length} pracowników`;
+            weekSelect.appendChild(option);
+        });
+        weekLabel.appendChild(weekSelect);
+        form.appendChild(weekLabel);
+
+        if (this.issues.length > 0) {
+            const skipped = document.createElement('p');
+            skipped.className = 'settings-note';
+            skipped.textContent = `Pominięte arkusze: ${this.issues.join('; ')}`;
+            form.appendChild(skipped);
+        }
+
+        content.appendChild(form);
+
+        new ModalDialog('Import z Excela', content, [
+            { label: 'Anuluj' },
+            {
+                label: 'Dalej',
+                className: 'btn-primary',
+                onClick: () => {
+                    this.onSelect(this.weeks[parseInt(weekSelect.value)]);
+                }
+            }
+        ]).open();
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Okno urlopów pracownika
+ * Single Responsibility: edycja rocznego wymiaru urlopu i okresów urlopu
+ */
+class LeaveDialog {
+    /**
+     * @param {Object} employee - pracownik z kartoteki
+     * @param {string|null} holidayState - kraj związkowy
+     * @param {Function} onSave - wywoływane z { annualLeaveDays, leaves }
+     */
+    constructor(employee, holidayState, onSave) {
+        this.employee = employee;
+        this.holidayState = holidayState;
+        this.annualLeaveDays = typeof employee.annualLeaveDays === 'number' ? employee.annualLeaveDays : null;
+        this.leaves = (employee.leaves || []).map(period => ({ ...period }));
+        this.year = WeekDateCalculator.getCurrentYear();
+        this.onSave = onSave;
+        this.list = null;
+        this.summary = null;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'leave-dialog';
+
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+
+        const entitlementLabel = document.createElement('label');
+        entitlementLabel.textContent = 'Roczny wymiar urlopu (dni robocze)';
+        const entitlementInput = document.createElement('input');
+        entitlementInput.type = 'number';
+        entitlementInput.className = 'settings-input settings-code-input';
+        entitlementInput.min = '0';
+        entitlementInput.max = '60';
+        entitlementInput.placeholder = '-';
+        entitlementInput.value = this.annualLeaveDays ?? '';
+        entitlementInput.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value);
+            this.annualLeaveDays = value >= 0 ? value : null;
+            this.renderSummary();
+        });
+        entitlementLabel.appendChild(entitlementInput);
+        form.appendChild(entitlementLabel);
+
+        const yearLabel = document.createElement('label');
+        yearLabel.textContent = 'Rozliczenie za rok';
+        const yearInput = document.createElement('input');
+        yearInput.type = 'number';
+        yearInput.className = 'year-input';
+        yearInput.min = '2020';
+        yearInput.max = '2099';
+        yearInput.value = this.year;
+        yearInput.addEventListener('change', (e) => {
+            const year = parseInt(e.target.value);
+            if (year >= 2020 && year <= 2099) {
+                this.year = year;
+                this.renderSummary();
+            }
+        });
+        yearLabel.appendChild(yearInput);
+        form.appendChild(yearLabel);
+
+        this.summary = document.createElement('p');
+        this.summary.className = 'leave-summary';
+        form.appendChild(this.summary);
+        content.appendChild(form);
+
+        this.list = document.createElement('div');
+        this.list.className = 'template-list';
+        content.appendChild(this.list);
+
+        const addRow = document.createElement('div');
+        addRow.className = 'roster-actions';
+        const fromInput = document.createElement('input');
+        fromInput.type = 'date';
+        fromInput.className = 'settings-input';
+        const toInput = document.createElement('input');
+        toInput.type = 'date';
+        toInput.className = 'settings-input';
+        const btnAdd = document.createElement('button');
+        btnAdd.className = 'btn-add-row';
+        btnAdd.textContent = '+ Dodaj urlop';
+        btnAdd.addEventListener('click', () => {
+            const period = { id: generateId('leave'), from: fromInput.value, to: toInput.value || fromInput.value };
+            if (!period.from || period.to < period.from) {
+                alert('Podaj poprawny okres urlopu (od-do)');
+                return;
+            }
+            if (LeavePlanner.overlaps(this.leaves, period)) {
+                alert('Okres nachodzi na inny urlop tego pracownika');
+                return;
+            }
+            this.leaves.push(period);
+            this.leaves.sort((a, b) => a.from.localeCompare(b.from));
+            fromInput.value = '';
+            toInput.value = '';
+            this.renderList();
+        });
+        addRow.append(fromInput, document.createTextNode('–'), toInput, btnAdd);
+        content.appendChild(addRow);
+
+        this.renderList();
+
+        new ModalDialog(`Urlop: ${this.employee.name || 'nowy pracownik'}`, content, [
+            { label: 'Anuluj' },
+            {
+                label: 'Zastosuj',
+                className: 'btn-primary',
+                onClick: () => this.onSave({ annualLeaveDays: this.annualLeaveDays, leaves: this.leaves })
+            }
+        ]).open();
+    }
+
+    renderSummary() {
+        const balance = LeavePlanner.getBalance(
+            { annualLeaveDays: this.annualLeaveDays, leaves: this.leaves },
+            this.year,
+            this.holidayState
+        );
+        this.summary.textContent = balance.entitlement === null
+            ? `Wykorzystano ${balance.taken} dni (bez limitu)`
+            : `Wykorzystano ${balance.taken} z ${balance.entitlement} dni, pozostało ${balance.remaining}`;
+        this.summary.classList.toggle('leave-exceeded', balance.remaining !== null && balance.remaining < 0);
+    }
+
+    renderList() {
+        this.list.innerHTML = '';
+        this.renderSummary();
+        if (this.leaves.length === 0) {
+            this.list.textContent = 'Brak zaplanowanych urlopów';
+            return;
+        }
+
+        this.leaves.forEach(period => {
+            const item = document.createElement('div');
+            item.className = 'template-item';
+
+            const label = document.createElement('span');
+            label.className = 'template-name';
+            const format = (dateKey) => `${WeekDateCalculator.formatDateShort(WeekDateCalculator.parseDateKey(dateKey))}.${dateKey.slice(0, 4)}`;
+            label.textContent = `${format(period.from)} – ${format(period.to)} ` +
+                `(${LeavePlanner.countDays(period, null, this.holidayState)} dni rob.)`;
+            item.appendChild(label);
+
+            const btnDelete = document.createElement('button');
+            btnDelete.className = 'btn-delete-row';
+            btnDelete.textContent = '×';
+            btnDelete.title = 'Usuń urlop';
+            btnDelete.addEventListener('click', () => {
+                this.leaves = this.leaves.filter(other => other.id !== period.id);
+                this.renderList();
+            });
+            item.appendChild(btnDelete);
+
+            this.list.appendChild(item);
+        });
+    }
+}
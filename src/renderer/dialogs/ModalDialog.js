@@ -0,0 +1,63 @@
+/**
+ * Prosty dialog modalny (nakładka z nagłówkiem, treścią i przyciskami)
+ * Single Responsibility: wyświetlanie i zamykanie okna
+ */
+class ModalDialog {
+    /**
+     * @param {string} title - tytuł okna
+     * @param {HTMLElement} content - treść okna
+     * @param {Object[]} buttons - przyciski { label, className, onClick };
+     *        onClick zwracające false pozostawia okno otwarte
+     */
+    constructor(title, content, buttons = []) {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        header.textContent = title;
+        modal.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+        body.appendChild(content);
+        modal.appendChild(body);
+
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+        buttons.forEach(({ label, className, onClick }) => {
+            const button = document.createElement('button');
+            button.className = `toolbar-btn ${className || ''}`;
+            button.textContent = label;
+            button.addEventListener('click', async () => {
+                const keepOpen = onClick ? (await onClick()) === false : false;
+                if (!keepOpen) {
+                    this.close();
+                }
+            });
+            footer.appendChild(button);
+        });
+        modal.appendChild(footer);
+
+        this.overlay.appendChild(modal);
+    }
+
+    /**
+     * Sprawdza czy jakikolwiek dialog jest otwarty
+     * @returns {boolean}
+     */
+    static isAnyOpen() {
+        return document.querySelector('.modal-overlay') !== null;
+    }
+
+    open() {
+        document.body.appendChild(this.overlay);
+    }
+
+    close() {
+        this.overlay.remove();
+    }
+}
@@ -0,0 +1,276 @@
+/**
+ * Widok miesiąca: wszystkie tygodnie dotykające miesiąca jeden pod drugim
+ * oraz miesięczne sumy godzin i dni pracy pracowników.
+ * Single Responsibility: prezentacja okresu rozliczeniowego (tylko do odczytu);
+ * kafelki i walidacja kolumn korzystają z tych samych metod co BoardRenderer.
+ */
+class MonthViewDialog {
+    /**
+     * @param {BoardRenderer} boardRenderer - źródło wyglądu kafelków i walidacji
+     * @param {SettingsManager} settingsManager 
+     * @param {Function} loadWeek - async (year, weekNumber) => stan tygodnia lub null
+     * @param {Function} onOpenWeek - wywoływane z (year, weekNumber) po wyborze tygodnia do edycji
+     * @param {Function} onExportPdf - async ({ year, month, weeks, totals }) => eksport widoku do PDF
+     * @param {Function} onExportExcel - async ({ year, weekNumber, weekCount }) => eksport tygodni miesiąca do Excela
+     */
+    constructor(boardRenderer, settingsManager, loadWeek, onOpenWeek, onExportPdf, onExportExcel) {
+        this.boardRenderer = boardRenderer;
+        this.settingsManager = settingsManager;
+        this.loadWeek = loadWeek;
+        this.onOpenWeek = onOpenWeek;
+        this.onExportPdf = onExportPdf;
+        this.onExportExcel = onExportExcel;
+        this.year = null;
+        this.month = null;
+        this.weeks = [];
+        this.dialog = null;
+        this.title = null;
+        this.body = null;
+    }
+
+    /**
+     * @param {number} year 
+     * @param {number} month - miesiąc (1-12)
+     */
+    async open(year, month) {
+        const content = document.createElement('div');
+        content.className = 'month-view';
+
+        const nav = document.createElement('div');
+        nav.className = 'month-view-nav';
+        const btnPrev = document.createElement('button');
+        btnPrev.className = 'week-nav-btn';
+        btnPrev.textContent = '◀';
+        btnPrev.title = 'Poprzedni miesiąc';
+        btnPrev.addEventListener('click', () => this.shiftMonth(-1));
+        this.title = document.createElement('span');
+        this.title.className = 'month-view-title';
+        const btnNext = document.createElement('button');
+        btnNext.className = 'week-nav-btn';
+        btnNext.textContent = '▶';
+        btnNext.title = 'Następny miesiąc';
+        btnNext.addEventListener('click', () => this.shiftMonth(1));
+        nav.append(btnPrev, this.title, btnNext);
+        content.appendChild(nav);
+
+        this.body = document.createElement('div');
+        content.appendChild(this.body);
+
+        this.dialog = new ModalDialog('Widok miesiąca', content, [
+            {
+                label: 'Eksportuj PDF',
+                onClick: () => {
+                    this.onExportPdf({
+                        year: this.year,
+                        month: this.month,
+                        weeks: this.weeks,
+                        totals: this.computeTotals(this.weeks)
+                    });
+                    return false;
+                }
+            },
+            {
+                label: 'Eksportuj Excel',
+                onClick: () => {
+                    if (this.weeks.length > 0) {
+                        this.onExportExcel({ ...this.weeks[0], weekCount: this.weeks.length });
+                    }
+                    return false;
+                }
+            },
+            { label: 'Zamknij' }
+        ]);
+        this.dialog.open();
+        await this.show(year, month);
+    }
+
+    async shiftMonth(offset) {
+        const date = new Date(this.year, this.month - 1 + offset, 1);
+        await this.show(date.getFullYear(), date.getMonth() + 1);
+    }
+
+    /**
+     * Wczytuje tygodnie miesiąca i rysuje widok
+     * @param {number} year 
+     * @param {number} month - miesiąc (1-12)
+     */
+    async show(year, month) {
+        this.year = year;
+        this.month = month;
+        this.title.textContent = `${WeekDateCalculator.MONTH_NAMES[month - 1]} ${year}`;
+
+        const weeks = await Promise.all(WeekDateCalculator.getWeeksOfMonth(year, month).map(async week => ({
+            ...week,
+            state: await this.loadWeek(week.year, week.weekNumber)
+        })));
+
+        // Użytkownik mógł w międzyczasie przełączyć miesiąc
+        if (this.year !== year || this.month !== month) return;
+
+        this.weeks = weeks;
+        this.body.innerHTML = '';
+        this.body.appendChild(this.createTotalsTable(weeks));
+        weeks.forEach(week => this.body.appendChild(this.createWeekSection(week)));
+    }
+
+    /**
+     * Czy data należy do wyświetlanego miesiąca
+     * @param {Date} date 
+     * @returns {boolean}
+     */
+    isInMonth(date) {
+        return date.getFullYear() === this.year && date.getMonth() + 1 === this.month;
+    }
+
+    /**
+     * Miesięczne sumy godzin i dni pracy (tylko dni należące do miesiąca).
+     * Pracownicy dopasowywani są po ID z kartoteki lub po nazwie.
+     * @param {Object[]} weeks - [{ year, weekNumber, state }]
+     * @returns {{name: string, days: number, hours: number}[]}
+     */
+    computeTotals(weeks) {
+        const shifts = this.settingsManager.getShifts();
+        const totals = new Map();
+
+        weeks.filter(week => week.state).forEach(week => {
+            const weekDates = WeekDateCalculator.getWeekDates(week.year, week.weekNumber);
+            week.state.rows.forEach(row => {
+                const key = row.employeeId || `name:${row.header.trim().toLowerCase()}`;
+                if (!totals.has(key)) {
+                    totals.set(key, { name: row.header, days: 0, hours: 0 });
+                }
+                const total = totals.get(key);
+                row.tiles.forEach((tile, columnIndex) => {
+                    if (tile.state === TileState.PRACA && this.isInMonth(weekDates[columnIndex])) {
+                        total.days += 1;
+                        total.hours += WorkHoursCalculator.getTileHours(tile, shifts);
+                    }
+                });
+            });
+        });
+
+        return [...totals.values()].filter(total => total.name.trim() !== '');
+    }
+
+    /**
+     * @param {Object[]} weeks 
+     * @returns {HTMLElement}
+     */
+    createTotalsTable(weeks) {
+        const table = document.createElement('table');
+        table.className = 'roster-table month-totals';
+        table.innerHTML = `<thead><tr>
+            <th>Pracownik</th>
+            <th>Dni pracy</th>
+            <th>Godziny</th>
+        </tr></thead>`;
+
+        const tbody = document.createElement('tbody');
+        this.computeTotals(weeks).forEach(total => {
+            const tr = document.createElement('tr');
+            [total.name, total.days, `${WorkHoursCalculator.formatHours(total.hours)} h`].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        return table;
+    }
+
+    /**
+     * Sekcja tygodnia: nagłówek z przyciskiem edycji i tabela kafelków
+     * @param {{year: number, weekNumber: number, state: Object|null}} week 
+     * @returns {HTMLElement}
+     */
+    createWeekSection(week) {
+        const section = document.createElement('section');
+        section.className = 'month-week';
+
+        const header = document.createElement('div');
+        header.className = 'month-week-header';
+        const label = document.createElement('span');
+        label.textContent = `Tydzień ${week.weekNumber}/${week.year}`;
+        const btnEdit = document.createElement('button');
+        btnEdit.className = 'btn-add-row';
+        btnEdit.textContent = week.state ? 'Edytuj tydzień' : 'Zaplanuj tydzień';
+        btnEdit.addEventListener('click', () => {
+            this.dialog.close();
+            this.onOpenWeek(week.year, week.weekNumber);
+        });
+        header.append(label, btnEdit);
+        section.appendChild(header);
+
+        if (!week.state) {
+            const empty = document.createElement('p');
+            empty.className = 'compliance-empty';
+            empty.textContent = 'Brak zapisanego planu';
+            section.appendChild(empty);
+            return section;
+        }
+
+        section.appendChild(this.createWeekTable(week));
+        return section;
+    }
+
+    /**
+     * Tabela tygodnia w trybie tylko do odczytu
+     * @param {{year: number, weekNumber: number, state: Object}} week 
+     * @returns {HTMLElement}
+     */
+    createWeekTable(week) {
+        const weekManager = new BoardStateManager();
+        weekManager.setState(week.state);
+        const weekDates = weekManager.getWeekDates();
+        const columnsStatus = weekManager.getColumnsStatus(
+            this.settingsManager.getStaffingRules(),
+            this.settingsManager.getHolidaySettings().state
+        );
+
+        const table = document.createElement('table');
+        table.className = 'board-table month-week-table';
+
+        const headerRow = document.createElement('tr');
+        headerRow.appendChild(document.createElement('th'));
+        DAYS_OF_WEEK.forEach((day, index) => {
+            const th = document.createElement('th');
+            th.className = 'day-header-cell';
+            th.classList.toggle('column-valid', columnsStatus[index].isValid);
+            th.classList.toggle('outside-month', !this.isInMonth(weekDates[index]));
+            th.textContent = `${day.slice(0, 2)} ${WeekDateCalculator.formatDateShort(weekDates[index])}`;
+            th.title = columnsStatus[index].reason || '';
+            headerRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        week.state.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = `board-row ${row.includedInCalculations ? '' : 'excluded'}`;
+
+            const th = document.createElement('th');
+            th.className = 'month-row-header';
+            th.textContent = row.header;
+            tr.appendChild(th);
+
+            row.tiles.forEach((tile, columnIndex) => {
+                const td = document.createElement('td');
+                td.className = 'tile-cell';
+                td.classList.toggle('column-valid', columnsStatus[columnIndex].isValid);
+                td.classList.toggle('outside-month', !this.isInMonth(weekDates[columnIndex]));
+
+                const tileDiv = document.createElement('div');
+                tileDiv.className = this.boardRenderer.getTileClasses(tile, row.includedInCalculations);
+                this.boardRenderer.fillTileContent(tileDiv, tile);
+                td.appendChild(tileDiv);
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        return table;
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Okno kartoteki pracowników
+ * Single Responsibility: edycja listy pracowników
+ */
+class RosterDialog {
+    /**
+     * @param {Object[]} employees - kopia kartoteki do edycji
+     * @param {string[]} boardNames - nazwy niepowiązanych wierszy bieżącego tygodnia
+     * @param {Object[]} shifts - katalog zmian (do ograniczeń dostępności)
+     * @param {string|null} holidayState - kraj związkowy (dni urlopu liczone bez świąt)
+     * @param {Function} onSave - wywoływane z zaktualizowaną listą pracowników
+     */
+    constructor(employees, boardNames, shifts, holidayState, onSave) {
+        this.employees = employees;
+        this.boardNames = boardNames;
+        this.shifts = shifts;
+        this.holidayState = holidayState;
+        this.onSave = onSave;
+        this.tableBody = null;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'roster-dialog';
+
+        const table = document.createElement('table');
+        table.className = 'roster-table';
+        table.innerHTML = `<thead><tr>
+            <th>Pracownik</th>
+            <th title="Nieaktywni pracownicy nie trafiają do nowych tygodni">Aktywny</th>
+            <th title="Domyślnie uwzględniany w wyliczeniach">Uwzględniany</th>
+            <th title="Godziny tygodniowo wg umowy (puste = bez kontroli)">Etat (h/tydz.)</th>
+            <th title="Dni i zmiany, w których pracownik może pracować">Dostępność</th>
+            <th title="Stały cykl tygodni wypełniający nowe tygodnie">Rotacja</th>
+            <th title="Pozostałe dni urlopu w bieżącym roku / roczny wymiar">Urlop</th>
+        </tr></thead>`;
+        this.tableBody = document.createElement('tbody');
+        table.appendChild(this.tableBody);
+        content.appendChild(table);
+
+        const actions = document.createElement('div');
+        actions.className = 'roster-actions';
+
+        const btnAdd = document.createElement('button');
+        btnAdd.className = 'btn-add-row';
+        btnAdd.textContent = '+ Dodaj pracownika';
+        btnAdd.addEventListener('click', () => {
+            this.employees.push(RosterManager.createEmployee());
+            this.renderRows();
+        });
+        actions.appendChild(btnAdd);
+
+        const btnImport = document.createElement('button');
+        btnImport.className = 'btn-add-row';
+        btnImport.textContent = 'Dodaj z bieżącego grafiku';
+        btnImport.title = 'Dodaje do kartoteki osoby z tablicy, których jeszcze w niej nie ma';
+        btnImport.addEventListener('click', () => {
+            this.importBoardNames();
+            this.renderRows();
+        });
+        actions.appendChild(btnImport);
+
+        content.appendChild(actions);
+        this.renderRows();
+
+        new ModalDialog('Pracownicy', content, [
+            { label: 'Anuluj' },
+            {
+                label: 'Zapisz',
+                className: 'btn-primary',
+                onClick: () => this.onSave(this.getEmployees())
+            }
+        ]).open();
+    }
+
+    renderRows() {
+        this.tableBody.innerHTML = '';
+
+        this.employees.forEach(employee => {
+            const tr = document.createElement('tr');
+            tr.className = employee.active ? '' : 'inactive';
+
+            const tdName = document.createElement('td');
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'row-header-input';
+            nameInput.value = employee.name;
+            nameInput.placeholder = 'Imię i nazwisko...';
+            nameInput.addEventListener('change', (e) => {
+                employee.name = e.target.value;
+            });
+            tdName.appendChild(nameInput);
+            tr.appendChild(tdName);
+
+            tr.appendChild(this.createCheckboxCell(employee.active, (checked) => {
+                employee.active = checked;
+                tr.className = checked ? '' : 'inactive';
+            }));
+            tr.appendChild(this.createCheckboxCell(employee.includedInCalculations, (checked) => {
+                employee.includedInCalculations = checked;
+            }));
+
+            const tdHours = document.createElement('td');
+            const hoursInput = document.createElement('input');
+            hoursInput.type = 'number';
+            hoursInput.className = 'settings-input roster-hours-input';
+            hoursInput.min = '0';
+            hoursInput.max = '60';
+            hoursInput.step = '0.5';
+            hoursInput.value = employee.weeklyHours ?? '';
+            hoursInput.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                employee.weeklyHours = value > 0 ? value : null;
+            });
+            tdHours.appendChild(hoursInput);
+            tr.appendChild(tdHours);
+
+            const tdAvailability = document.createElement('td');
+            const btnAvailability = document.createElement('button');
+            btnAvailability.className = 'btn-add-row';
+            btnAvailability.textContent = EmployeeAvailability.hasConstraints(employee.availability)
+                ? 'Ograniczona…'
+                : 'Pełna…';
+            btnAvailability.addEventListener('click', () => {
+                new AvailabilityDialog(employee, this.shifts, (availability) => {
+                    employee.availability = availability;
+                    this.renderRows();
+                }).open();
+            });
+            tdAvailability.appendChild(btnAvailability);
+            tr.appendChild(tdAvailability);
+
+            const tdRotation = document.createElement('td');
+            const btnRotation = document.createElement('button');
+            btnRotation.className = 'btn-add-row';
+            btnRotation.textContent = RotationPattern.isDefined(employee.rotation)
+                ? `${employee.rotation.weeks.length} tydz.…`
+                : 'Brak…';
+            btnRotation.addEventListener('click', () => {
+                new RotationDialog(employee, this.shifts, (rotation) => {
+                    employee.rotation = rotation;
+                    this.renderRows();
+                }).open();
+            });
+            tdRotation.appendChild(btnRotation);
+            tr.appendChild(tdRotation);
+
+            const tdLeave = document.createElement('td');
+            const btnLeave = document.createElement('button');
+            btnLeave.className = 'btn-add-row';
+            const balance = LeavePlanner.getBalance(employee, WeekDateCalculator.getCurrentYear(), this.holidayState);
+            btnLeave.textContent = balance.entitlement === null
+                ? `${balance.taken} dni…`
+                : `${balance.remaining} / ${balance.entitlement}…`;
+            btnLeave.classList.toggle('leave-exceeded', balance.remaining !== null && balance.remaining < 0);
+            btnLeave.addEventListener('click', () => {
+                new LeaveDialog(employee, this.holidayState, ({ annualLeaveDays, leaves }) => {
+                    employee.annualLeaveDays = annualLeaveDays;
+                    employee.leaves = leaves;
+                    this.renderRows();
+                }).open();
+            });
+            tdLeave.appendChild(btnLeave);
+            tr.appendChild(tdLeave);
+
+            this.tableBody.appendChild(tr);
+        });
+    }
+
+    createCheckboxCell(checked, onChange) {
+        const td = document.createElement('td');
+        td.className = 'roster-checkbox-cell';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'row-checkbox';
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', (e) => onChange(e.target.checked));
+        td.appendChild(checkbox);
+        return td;
+    }
+
+    /**
+     * Dodaje do kartoteki nazwy z tablicy, których jeszcze w niej nie ma
+     */
+    importBoardNames() {
+        const known = new Set(this.employees.map(e => e.name.trim().toLowerCase()));
+        this.boardNames.forEach(name => {
+            const normalized = name.trim().toLowerCase();
+            if (normalized && !known.has(normalized)) {
+                this.employees.push(RosterManager.createEmployee(name.trim()));
+                known.add(normalized);
+            }
+        });
+    }
+
+    /**
+     * Zwraca kartotekę bez pustych wpisów
+     * @returns {Object[]}
+     */
+    getEmployees() {
+        return this.employees
+            .map(employee => ({ ...employee, name: employee.name.trim() }))
+            .filter(employee => employee.name !== '');
+    }
+}
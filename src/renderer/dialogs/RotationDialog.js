@@ -0,0 +1,135 @@
+/**
+ * Okno rotacji pracownika
+ * Single Responsibility: edycja cyklu tygodni i daty rozpoczęcia rotacji
+ */
+class RotationDialog {
+    /**
+     * @param {Object} employee - pracownik z kartoteki
+     * @param {Object[]} shifts - katalog zmian
+     * @param {Function} onSave - wywoływane z nową rotacją (null = brak rotacji)
+     */
+    constructor(employee, shifts, onSave) {
+        const rotation = RotationPattern.isDefined(employee.rotation)
+            ? employee.rotation
+            : RotationPattern.create(WeekDateCalculator.formatDateKey(
+                WeekDateCalculator.getWeekDates(WeekDateCalculator.getCurrentYear(), WeekDateCalculator.getCurrentWeekNumber())[0]
+            ));
+        this.employee = employee;
+        this.shifts = ShiftCatalog.resolve(shifts);
+        this.startDate = rotation.startDate;
+        this.weeks = rotation.weeks.map(week => week.map(tile => ({ ...tile })));
+        this.onSave = onSave;
+        this.grid = null;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'rotation-dialog';
+
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+
+        const startLabel = document.createElement('label');
+        startLabel.textContent = 'Początek cyklu (tydzień zawierający datę)';
+        const startInput = document.createElement('input');
+        startInput.type = 'date';
+        startInput.className = 'settings-input';
+        startInput.value = this.startDate;
+        startInput.addEventListener('change', (e) => {
+            this.startDate = e.target.value;
+        });
+        startLabel.appendChild(startInput);
+        form.appendChild(startLabel);
+
+        const lengthLabel = document.createElement('label');
+        lengthLabel.textContent = 'Długość cyklu (tygodnie)';
+        const lengthInput = document.createElement('input');
+        lengthInput.type = 'number';
+        lengthInput.className = 'settings-input settings-code-input';
+        lengthInput.min = '1';
+        lengthInput.max = String(RotationPattern.MAX_CYCLE_WEEKS);
+        lengthInput.value = this.weeks.length;
+        lengthInput.addEventListener('change', (e) => {
+            const length = Math.max(1, Math.min(RotationPattern.MAX_CYCLE_WEEKS, parseInt(e.target.value) || 1));
+            e.target.value = length;
+            while (this.weeks.length < length) this.weeks.push(RotationPattern.createEmptyWeek());
+            this.weeks.length = length;
+            this.renderGrid();
+        });
+        lengthLabel.appendChild(lengthInput);
+        form.appendChild(lengthLabel);
+        content.appendChild(form);
+
+        this.grid = document.createElement('table');
+        this.grid.className = 'roster-table rotation-grid';
+        content.appendChild(this.grid);
+        this.renderGrid();
+
+        new ModalDialog(`Rotacja: ${this.employee.name || 'nowy pracownik'}`, content, [
+            {
+                label: 'Usuń rotację',
+                onClick: () => this.onSave(null)
+            },
+            { label: 'Anuluj' },
+            {
+                label: 'Zastosuj',
+                className: 'btn-primary',
+                onClick: () => {
+                    if (!this.startDate) {
+                        alert('Podaj datę początku cyklu');
+                        return false;
+                    }
+                    return this.onSave({ startDate: this.startDate, weeks: this.weeks });
+                }
+            }
+        ]).open();
+    }
+
+    /**
+     * Siatka: tygodnie cyklu × dni tygodnia, w każdej komórce wybór "A" lub zmiany
+     */
+    renderGrid() {
+        this.grid.innerHTML = '';
+
+        const headerRow = document.createElement('tr');
+        headerRow.appendChild(document.createElement('th'));
+        DAYS_OF_WEEK.forEach(day => {
+            const th = document.createElement('th');
+            th.textContent = day.slice(0, 2);
+            headerRow.appendChild(th);
+        });
+        this.grid.appendChild(headerRow);
+
+        this.weeks.forEach((week, weekIndex) => {
+            const tr = document.createElement('tr');
+            const label = document.createElement('th');
+            label.textContent = `Tydzień ${weekIndex + 1}`;
+            tr.appendChild(label);
+
+            week.forEach((tile, dayIndex) => {
+                const td = document.createElement('td');
+                const select = document.createElement('select');
+                select.className = 'settings-input';
+                select.innerHTML = '<option value="">A</option>';
+                this.shifts.forEach(shift => {
+                    const option = document.createElement('option');
+                    option.value = shift.id;
+                    option.textContent = shift.code;
+                    option.title = `${shift.name} (${ShiftCatalog.formatTimeRange(shift)})`;
+                    select.appendChild(option);
+                });
+                select.value = tile.state === TileState.PRACA
+                    ? ShiftCatalog.getShift(this.shifts, tile.shiftId).id
+                    : '';
+                select.addEventListener('change', (e) => {
+                    week[dayIndex] = e.target.value
+                        ? { state: TileState.PRACA, shiftId: e.target.value }
+                        : { state: TileState.A };
+                });
+                td.appendChild(select);
+                tr.appendChild(td);
+            });
+            this.grid.appendChild(tr);
+        });
+    }
+}
@@ -0,0 +1,761 @@
+/**
+ * Okno ustawień aplikacji
+ * Single Responsibility: edycja konfiguracji (sekcje dodawane jako osobne metody)
+ */
+class SettingsDialog {
+    /**
+     * @param {Object} settings - kopia ustawień do edycji
+     * @param {Function} onSave - wywoływane z zaktualizowanymi ustawieniami
+     */
+    constructor(settings, onSave) {
+        this.settings = settings;
+        this.settings.shifts = ShiftCatalog.resolve(settings.shifts).map(shift => ({ ...shift }));
+        this.settings.absenceTypes = AbsenceTypeRegistry.resolve(settings.absenceTypes).map(type => ({ ...type }));
+        // Kody zapisanych typów są stałe - kafelki zapisanych tygodni i szablonów odwołują się do kodu
+        this.savedAbsenceCodes = new Set(this.settings.absenceTypes.map(type => type.code));
+        const staffingRules = StaffingRules.resolve(settings.staffingRules);
+        this.settings.staffingRules = {
+            weekdays: staffingRules.weekdays.map(tolerance => ({ ...tolerance })),
+            dates: { ...staffingRules.dates },
+            holiday: staffingRules.holiday ? { ...staffingRules.holiday } : null
+        };
+        this.settings.holidays = { state: null, requiredWorkers: null, ...settings.holidays };
+        this.settings.compliance = ComplianceChecker.resolve(settings.compliance);
+        const excel = ExcelProfile.resolve(settings.excel);
+        this.settings.excel = {
+            activeProfileId: excel.activeProfileId,
+            profiles: excel.profiles.map(profile => ({ ...profile }))
+        };
+        this.settings.export = ExportSettings.resolve(settings.export);
+        this.onSave = onSave;
+    }
+
+    open() {
+        const content = document.createElement('div');
+        content.className = 'settings-dialog';
+        content.appendChild(this.createShiftsSection());
+        content.appendChild(this.createAbsenceTypesSection());
+        content.appendChild(this.createStaffingRulesSection());
+        content.appendChild(this.createHolidaysSection());
+        content.appendChild(this.createComplianceSection());
+        content.appendChild(this.createExcelSection());
+        content.appendChild(this.createExportSection());
+
+        new ModalDialog('Ustawienia', content, [
+            { label: 'Anuluj' },
+            {
+                label: 'Zapisz',
+                className: 'btn-primary',
+                onClick: () => {
+                    const error = this.validate();
+                    if (error) {
+                        alert(error);
+                        return false;
+                    }
+                    return this.onSave(this.settings);
+                }
+            }
+        ]).open();
+    }
+
+    /**
+     * Tworzy sekcję z nagłówkiem
+     * @param {string} title 
+     * @returns {{section: HTMLElement, body: HTMLElement}}
+     */
+    createSection(title) {
+        const section = document.createElement('section');
+        section.className = 'settings-section';
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        section.appendChild(heading);
+
+        const body = document.createElement('div');
+        section.appendChild(body);
+        return { section, body };
+    }
+
+    /**
+     * Sekcja katalogu zmian (pierwsza zmiana jest domyślna dla kliknięcia)
+     * @returns {HTMLElement}
+     */
+    createShiftsSection() {
+        const { section, body } = this.createSection('Zmiany');
+
+        const renderShifts = () => {
+            body.innerHTML = '';
+
+            const table = document.createElement('table');
+            table.className = 'roster-table';
+            table.innerHTML = `<thead><tr>
+                <th>Nazwa</th><th>Skrót</th><th>Od</th><th>Do</th>
+                <th title="Przerwa nie wlicza się do czasu pracy (puste = bez przerwy)">Przerwa od</th>
+                <th>Przerwa do</th><th>Kolor</th><th></th>
+            </tr></thead>`;
+            const tbody = document.createElement('tbody');
+
+            this.settings.shifts.forEach((shift, index) => {
+                const tr = document.createElement('tr');
+                tr.appendChild(this.createInputCell('text', shift.name, (v) => { shift.name = v; }));
+                tr.appendChild(this.createInputCell('text', shift.code, (v) => { shift.code = v; }, 'settings-code-input'));
+                tr.appendChild(this.createInputCell('time', shift.start, (v) => { shift.start = v; }));
+                tr.appendChild(this.createInputCell('time', shift.end, (v) => { shift.end = v; }));
+                tr.appendChild(this.createInputCell('time', shift.breakStart || '', (v) => { shift.breakStart = v; }));
+                tr.appendChild(this.createInputCell('time', shift.breakEnd || '', (v) => { shift.breakEnd = v; }));
+                tr.appendChild(this.createInputCell('color', shift.color, (v) => { shift.color = v; }));
+
+                const tdActions = document.createElement('td');
+                if (index === 0) {
+                    tdActions.className = 'settings-note';
+                    tdActions.textContent = 'domyślna';
+                } else {
+                    const btnRemove = document.createElement('button');
+                    btnRemove.className = 'btn-move';
+                    btnRemove.textContent = '×';
+                    btnRemove.title = 'Usuń zmianę (kafelki przejdą na zmianę domyślną)';
+                    btnRemove.addEventListener('click', () => {
+                        this.settings.shifts.splice(index, 1);
+                        renderShifts();
+                    });
+                    tdActions.appendChild(btnRemove);
+                }
+                tr.appendChild(tdActions);
+
+                tbody.appendChild(tr);
+            });
+
+            table.appendChild(tbody);
+            body.appendChild(table);
+
+            const btnAdd = document.createElement('button');
+            btnAdd.className = 'btn-add-row';
+            btnAdd.textContent = '+ Dodaj zmianę';
+            btnAdd.addEventListener('click', () => {
+                this.settings.shifts.push({
+                    id: generateId('shift'),
+                    name: '',
+                    code: '',
+                    start: '06:00',
+                    end: '14:00',
+                    breakStart: '',
+                    breakEnd: '',
+                    color: '#dd6b20'
+                });
+                renderShifts();
+            });
+            body.appendChild(btnAdd);
+        };
+
+        renderShifts();
+        return section;
+    }
+
+    /**
+     * Sekcja rejestru nieobecności ("U" jest wymagany - nie można go usunąć ani zmienić kodu).
+     * Kodu zapisanego typu nie można zmienić (kafelki z tym kodem przestałyby być nieobecnością) -
+     * zamiast tego dodaje się nowy typ; edytowalny jest tylko kod nowo dodanego typu.
+     * @returns {HTMLElement}
+     */
+    createAbsenceTypesSection() {
+        const { section, body } = this.createSection('Nieobecności');
+
+        const renderTypes = () => {
+            body.innerHTML = '';
+
+            const table = document.createElement('table');
+            table.className = 'roster-table';
+            table.innerHTML = `<thead><tr>
+                <th>Kod</th><th>Nazwa</th><th>Kolor</th>
+                <th title="Czy kliknięcie w kafelek przechodzi przez ten stan">W cyklu</th><th></th>
+            </tr></thead>`;
+            const tbody = document.createElement('tbody');
+
+            this.settings.absenceTypes.forEach((type, index) => {
+                const isVacation = type.code === AbsenceTypeRegistry.VACATION_CODE;
+                const tr = document.createElement('tr');
+
+                const codeCell = this.createInputCell('text', type.code, (v) => { type.code = v.trim().toUpperCase(); }, 'settings-code-input');
+                const codeInput = codeCell.querySelector('input');
+                codeInput.disabled = isVacation || this.savedAbsenceCodes.has(type.code);
+                if (codeInput.disabled) {
+                    codeInput.title = 'Kodu zapisanej nieobecności nie można zmienić - kafelki w grafikach ' +
+                        'odwołują się do kodu. Aby użyć innego kodu, dodaj nową nieobecność.';
+                }
+                tr.appendChild(codeCell);
+                tr.appendChild(this.createInputCell('text', type.name, (v) => { type.name = v; }));
+                tr.appendChild(this.createInputCell('color', type.color, (v) => { type.color = v; }));
+
+                const tdCycle = document.createElement('td');
+                tdCycle.className = 'roster-checkbox-cell';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'row-checkbox';
+                checkbox.checked = type.inCycle;
+                checkbox.addEventListener('change', (e) => { type.inCycle = e.target.checked; });
+                tdCycle.appendChild(checkbox);
+                tr.appendChild(tdCycle);
+
+                const tdActions = document.createElement('td');
+                if (!isVacation) {
+                    const btnRemove = document.createElement('button');
+                    btnRemove.className = 'btn-move';
+                    btnRemove.textContent = '×';
+                    btnRemove.title = 'Usuń typ nieobecności';
+                    btnRemove.addEventListener('click', () => {
+                        this.settings.absenceTypes.splice(index, 1);
+                        renderTypes();
+                    });
+                    tdActions.appendChild(btnRemove);
+                }
+                tr.appendChild(tdActions);
+
+                tbody.appendChild(tr);
+            });
+
+            table.appendChild(tbody);
+            body.appendChild(table);
+
+            const btnAdd = document.createElement('button');
+            btnAdd.className = 'btn-add-row';
+            btnAdd.textContent = '+ Dodaj nieobecność';
+            btnAdd.addEventListener('click', () => {
+                this.settings.absenceTypes.push({ code: '', name: '', color: '#a0aec0', inCycle: false });
+                renderTypes();
+            });
+            body.appendChild(btnAdd);
+        };
+
+        renderTypes();
+        return section;
+    }
+
+    /**
+     * Sekcja reguł obsady: tolerancja dla każdego dnia tygodnia oraz wyjątki dla konkretnych dat
+     * @returns {HTMLElement}
+     */
+    createStaffingRulesSection() {
+        const { section, body } = this.createSection('Reguły obsady');
+        const rules = this.settings.staffingRules;
+
+        const hint = document.createElement('p');
+        hint.className = 'settings-note';
+        hint.textContent = 'Dzień jest poprawny, gdy liczba pracujących mieści się w zakresie '
+            + '[wymagana + min, wymagana + max]. Reguła dla konkretnej daty ma pierwszeństwo.';
+        body.appendChild(hint);
+
+        const createOffsetCell = (tolerance, key) => {
+            const td = this.createInputCell('number', tolerance[key], (v) => {
+                tolerance[key] = parseInt(v) || 0;
+            }, 'settings-code-input');
+            td.querySelector('input').min = '-10';
+            td.querySelector('input').max = '10';
+            return td;
+        };
+
+        const weekdaysTable = document.createElement('table');
+        weekdaysTable.className = 'roster-table';
+        weekdaysTable.innerHTML = '<thead><tr><th>Dzień</th><th>Min</th><th>Max</th></tr></thead>';
+        const weekdaysBody = document.createElement('tbody');
+        rules.weekdays.forEach((tolerance, index) => {
+            const tr = document.createElement('tr');
+            const tdDay = document.createElement('td');
+            tdDay.textContent = DAYS_OF_WEEK[index];
+            tr.appendChild(tdDay);
+            tr.appendChild(createOffsetCell(tolerance, 'minOffset'));
+            tr.appendChild(createOffsetCell(tolerance, 'maxOffset'));
+            weekdaysBody.appendChild(tr);
+        });
+        weekdaysTable.appendChild(weekdaysBody);
+        body.appendChild(weekdaysTable);
+
+        const datesContainer = document.createElement('div');
+        body.appendChild(datesContainer);
+
+        const renderDates = () => {
+            datesContainer.innerHTML = '';
+
+            const table = document.createElement('table');
+            table.className = 'roster-table';
+            table.innerHTML = '<thead><tr><th>Data</th><th>Min</th><th>Max</th><th></th></tr></thead>';
+            const tbody = document.createElement('tbody');
+
+            Object.keys(rules.dates).sort().forEach(dateKey => {
+                const tolerance = rules.dates[dateKey];
+                const tr = document.createElement('tr');
+
+                tr.appendChild(this.createInputCell('date', dateKey, (v) => {
+                    if (v && !rules.dates[v]) {
+                        delete rules.dates[dateKey];
+                        rules.dates[v] = tolerance;
+                    }
+                    renderDates();
+                }));
+                tr.appendChild(createOffsetCell(tolerance, 'minOffset'));
+                tr.appendChild(createOffsetCell(tolerance, 'maxOffset'));
+
+                const tdActions = document.createElement('td');
+                const btnRemove = document.createElement('button');
+                btnRemove.className = 'btn-move';
+                btnRemove.textContent = '×';
+                btnRemove.title = 'Usuń regułę dla tej daty';
+                btnRemove.addEventListener('click', () => {
+                    delete rules.dates[dateKey];
+                    renderDates();
+                });
+                tdActions.appendChild(btnRemove);
+                tr.appendChild(tdActions);
+
+                tbody.appendChild(tr);
+            });
+
+            table.appendChild(tbody);
+            datesContainer.appendChild(table);
+
+            const btnAdd = document.createElement('button');
+            btnAdd.className = 'btn-add-row';
+            btnAdd.textContent = '+ Reguła dla daty';
+            btnAdd.addEventListener('click', () => {
+                const today = WeekDateCalculator.formatDateKey(new Date());
+                if (!rules.dates[today]) {
+                    rules.dates[today] = { minOffset: 0, maxOffset: 0 };
+                }
+                renderDates();
+            });
+            datesContainer.appendChild(btnAdd);
+        };
+
+        renderDates();
+        return section;
+    }
+
+    /**
+     * Sekcja kalendarza świąt: kraj związkowy, domyślna obsada i tolerancja w święta
+     * @returns {HTMLElement}
+     */
+    createHolidaysSection() {
+        const { section, body } = this.createSection('Święta');
+        const holidays = this.settings.holidays;
+        const rules = this.settings.staffingRules;
+
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+
+        // Kraj związkowy
+        const stateLabel = document.createElement('label');
+        stateLabel.textContent = 'Kraj związkowy';
+        const stateSelect = document.createElement('select');
+        stateSelect.className = 'settings-input';
+        stateSelect.innerHTML = '<option value="">Tylko święta federalne</option>';
+        HolidayCalculator.STATES.forEach(({ code, name }) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            option.selected = holidays.state === code;
+            stateSelect.appendChild(option);
+        });
+        stateSelect.addEventListener('change', (e) => {
+            holidays.state = e.target.value || null;
+        });
+        stateLabel.appendChild(stateSelect);
+        form.appendChild(stateLabel);
+
+        // Domyślna obsada w święta
+        const requiredLabel = document.createElement('label');
+        requiredLabel.textContent = 'Wymagana liczba w święta (nowe tygodnie)';
+        const requiredInput = document.createElement('input');
+        requiredInput.type = 'number';
+        requiredInput.className = 'settings-input settings-code-input';
+        requiredInput.min = '0';
+        requiredInput.max = String(MAX_REQUIRED_WORKERS);
+        requiredInput.placeholder = '-';
+        requiredInput.value = holidays.requiredWorkers ?? '';
+        requiredInput.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value);
+            holidays.requiredWorkers = value >= 0 ? value : null;
+        });
+        requiredLabel.appendChild(requiredInput);
+        form.appendChild(requiredLabel);
+
+        // Własna tolerancja w święta
+        const toleranceLabel = document.createElement('label');
+        const toleranceCheckbox = document.createElement('input');
+        toleranceCheckbox.type = 'checkbox';
+        toleranceCheckbox.className = 'row-checkbox';
+        toleranceCheckbox.checked = rules.holiday !== null;
+        toleranceLabel.appendChild(toleranceCheckbox);
+        toleranceLabel.appendChild(document.createTextNode(' Własna tolerancja w święta (min/max)'));
+
+        const toleranceInputs = document.createElement('span');
+        const holidayTolerance = rules.holiday || { minOffset: 0, maxOffset: 0 };
+        ['minOffset', 'maxOffset'].forEach(key => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'settings-input settings-code-input';
+            input.min = '-10';
+            input.max = '10';
+            input.value = holidayTolerance[key];
+            input.addEventListener('change', (e) => {
+                holidayTolerance[key] = parseInt(e.target.value) || 0;
+            });
+            toleranceInputs.appendChild(input);
+        });
+        toleranceInputs.hidden = !toleranceCheckbox.checked;
+        toleranceCheckbox.addEventListener('change', (e) => {
+            rules.holiday = e.target.checked ? holidayTolerance : null;
+            toleranceInputs.hidden = !e.target.checked;
+        });
+        toleranceLabel.appendChild(toleranceInputs);
+        form.appendChild(toleranceLabel);
+
+        body.appendChild(form);
+        return section;
+    }
+
+    /**
+     * Sekcja limitów czasu pracy (ArbZG)
+     * @returns {HTMLElement}
+     */
+    createComplianceSection() {
+        const { section, body } = this.createSection('Czas pracy (ArbZG)');
+        const limits = this.settings.compliance;
+
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+        [
+            { key: 'minRestHours', label: 'Minimalny odpoczynek między zmianami (h)', max: 24 },
+            { key: 'maxConsecutiveDays', label: 'Maksymalna liczba dni pracy z rzędu', max: 14 },
+            { key: 'maxWeeklyHours', label: 'Maksymalna liczba godzin w tygodniu', max: 80 }
+        ].forEach(({ key, label, max }) => {
+            const fieldLabel = document.createElement('label');
+            fieldLabel.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'settings-input settings-code-input';
+            input.min = '1';
+            input.max = String(max);
+            input.value = limits[key];
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                limits[key] = value > 0 ? value : ComplianceChecker.DEFAULT_LIMITS[key];
+                e.target.value = limits[key];
+            });
+            fieldLabel.appendChild(input);
+            form.appendChild(fieldLabel);
+        });
+
+        body.appendChild(form);
+        return section;
+    }
+
+    /**
+     * Sekcja profili eksportu do Excela: plik szablonu, mapowanie komórek i tekst nagłówka.
+     * Eksport używa profilu wybranego na liście.
+     * @returns {HTMLElement}
+     */
+    createExcelSection() {
+        const { section, body } = this.createSection('Eksport do Excela');
+        const excel = this.settings.excel;
+
+        const renderProfile = () => {
+            body.innerHTML = '';
+            const profile = excel.profiles.find(candidate => candidate.id === excel.activeProfileId);
+
+            const form = document.createElement('div');
+            form.className = 'settings-form';
+
+            // Wybór profilu
+            const profileLabel = document.createElement('label');
+            profileLabel.textContent = 'Profil';
+            const profileSelect = document.createElement('select');
+            profileSelect.className = 'settings-input';
+            excel.profiles.forEach(candidate => {
+                const option = document.createElement('option');
+                option.value = candidate.id;
+                option.textContent = candidate.name || '(bez nazwy)';
+                option.selected = candidate.id === excel.activeProfileId;
+                profileSelect.appendChild(option);
+            });
+            profileSelect.addEventListener('change', (e) => {
+                excel.activeProfileId = e.target.value;
+                renderProfile();
+            });
+            profileLabel.appendChild(profileSelect);
+
+            const btnAdd = document.createElement('button');
+            btnAdd.className = 'btn-add-row';
+            btnAdd.textContent = '+ Nowy profil';
+            btnAdd.addEventListener('click', () => {
+                const newProfile = { ...profile, id: generateId('excel'), name: `${profile.name} (kopia)` };
+                excel.profiles.push(newProfile);
+                excel.activeProfileId = newProfile.id;
+                renderProfile();
+            });
+            profileLabel.appendChild(btnAdd);
+
+            if (excel.profiles.length > 1) {
+                const btnRemove = document.createElement('button');
+                btnRemove.className = 'btn-move';
+                btnRemove.textContent = '×';
+                btnRemove.title = 'Usuń profil';
+                btnRemove.addEventListener('click', () => {
+                    excel.profiles = excel.profiles.filter(candidate => candidate !== profile);
+                    excel.activeProfileId = excel.profiles[0].id;
+                    renderProfile();
+                });
+                profileLabel.appendChild(btnRemove);
+            }
+            form.appendChild(profileLabel);
+
+            form.appendChild(this.createFormField('Nazwa profilu', 'text', profile.name, (value) => {
+                profile.name = value;
+                profileSelect.selectedOptions[0].textContent = value || '(bez nazwy)';
+            }));
+
+            // Plik szablonu
+            const templateLabel = document.createElement('label');
+            templateLabel.textContent = 'Szablon';
+            const templateName = document.createElement('span');
+            templateName.className = 'settings-note settings-template-path';
+            templateName.textContent = profile.templatePath || 'wbudowany (GrafikTemplate.xlsx)';
+            templateName.title = profile.templatePath || '';
+            templateLabel.appendChild(templateName);
+
+            const btnChoose = document.createElement('button');
+            btnChoose.className = 'btn-add-row';
+            btnChoose.textContent = 'Wybierz plik…';
+            btnChoose.addEventListener('click', async () => {
+                const templatePath = await window.electronAPI.chooseExcelTemplate();
+                if (templatePath) {
+                    profile.templatePath = templatePath;
+                    renderProfile();
+                }
+            });
+            templateLabel.appendChild(btnChoose);
+
+            if (profile.templatePath) {
+                const btnBuiltIn = document.createElement('button');
+                btnBuiltIn.className = 'btn-add-row';
+                btnBuiltIn.textContent = 'Użyj wbudowanego';
+                btnBuiltIn.addEventListener('click', () => {
+                    profile.templatePath = null;
+                    renderProfile();
+                });
+                templateLabel.appendChild(btnBuiltIn);
+            }
+            form.appendChild(templateLabel);
+
+            // Mapowanie komórek (dla wbudowanego szablonu - stałe)
+            const mapping = ExcelProfile.getMapping(profile);
+            const isCustom = Boolean(profile.templatePath);
+            [
+                { key: 'nameCell', label: 'Komórka nazwy pierwszego pracownika' },
+                { key: 'firstDayCell', label: 'Komórka poniedziałku pierwszego pracownika' },
+                { key: 'dateCell', label: 'Komórka daty poniedziałku' }
+            ].forEach(({ key, label }) => {
+                const field = this.createFormField(label, 'text', mapping[key], (value) => {
+                    profile[key] = value.trim().toUpperCase();
+                }, 'settings-code-input');
+                field.querySelector('input').disabled = !isCustom;
+                form.appendChild(field);
+            });
+            [
+                { key: 'sectionHeight', label: 'Wierszy na pracownika', max: ExcelProfile.MAX_SECTION_HEIGHT },
+                { key: 'sectionCount', label: 'Liczba sekcji w szablonie', max: ExcelProfile.MAX_SECTION_COUNT }
+            ].forEach(({ key, label, max }) => {
+                const field = this.createFormField(label, 'number', mapping[key], (value) => {
+                    profile[key] = parseInt(value) || 0;
+                }, 'settings-code-input');
+                const input = field.querySelector('input');
+                input.min = '1';
+                input.max = String(max);
+                input.disabled = !isCustom;
+                form.appendChild(field);
+            });
+
+            form.appendChild(this.createFormField('Tekst nagłówka strony', 'text', profile.headerText, (value) => {
+                profile.headerText = value;
+            }));
+
+            // Sprawdzenie mapowania z plikiem
+            const btnValidate = document.createElement('button');
+            btnValidate.className = 'btn-add-row';
+            btnValidate.textContent = 'Sprawdź szablon';
+            btnValidate.addEventListener('click', async () => {
+                const errors = await window.electronAPI.validateExcelProfile(profile);
+                alert(errors.length > 0
+                    ? `Mapowanie profilu "${profile.name}" jest niepoprawne:\n\n${errors.join('\n')}`
+                    : `Mapowanie profilu "${profile.name}" jest zgodne z szablonem.`);
+            });
+            form.appendChild(btnValidate);
+
+            body.appendChild(form);
+        };
+
+        renderProfile();
+        return section;
+    }
+
+    /**
+     * Sekcja plików eksportu: folder domyślny, wzorzec nazwy pliku tygodnia
+     * i otwieranie pliku po eksporcie
+     * @returns {HTMLElement}
+     */
+    createExportSection() {
+        const { section, body } = this.createSection('Pliki eksportu');
+        const exportSettings = this.settings.export;
+
+        const render = () => {
+            body.innerHTML = '';
+            const form = document.createElement('div');
+            form.className = 'settings-form';
+
+            const folderLabel = document.createElement('label');
+            folderLabel.textContent = 'Folder';
+            const folderName = document.createElement('span');
+            folderName.className = 'settings-note settings-template-path';
+            folderName.textContent = exportSettings.folder || 'nie ustawiono (okno zapisu pamięta ostatni folder)';
+            folderName.title = exportSettings.folder || '';
+            folderLabel.appendChild(folderName);
+
+            const btnChoose = document.createElement('button');
+            btnChoose.className = 'btn-add-row';
+            btnChoose.textContent = 'Wybierz folder…';
+            btnChoose.addEventListener('click', async () => {
+                const folder = await window.electronAPI.chooseExportFolder();
+                if (folder) {
+                    exportSettings.folder = folder;
+                    render();
+                }
+            });
+            folderLabel.appendChild(btnChoose);
+
+            if (exportSettings.folder) {
+                const btnClear = document.createElement('button');
+                btnClear.className = 'btn-move';
+                btnClear.textContent = '×';
+                btnClear.title = 'Nie używaj folderu eksportu';
+                btnClear.addEventListener('click', () => {
+                    exportSettings.folder = null;
+                    render();
+                });
+                folderLabel.appendChild(btnClear);
+            }
+            form.appendChild(folderLabel);
+
+            form.appendChild(this.createFormField('Wzorzec nazwy pliku', 'text', exportSettings.fileNamePattern, (value) => {
+                exportSettings.fileNamePattern = value.trim();
+            }));
+
+            const note = document.createElement('p');
+            note.className = 'settings-note';
+            note.textContent = `Pola: {week} - numer tygodnia, {year} - rok, {monday} i {sunday} - daty (DD.MM), ` +
+                `{month} - miesiąc. W skoroszycie wielu tygodni {week} to zakres (np. 10-13), ` +
+                `{monday} - pierwszy poniedziałek, a {sunday} - ostatnia niedziela. ` +
+                `Domyślnie: ${ExportSettings.DEFAULT_PATTERN}`;
+            form.appendChild(note);
+
+            const openLabel = document.createElement('label');
+            const openCheckbox = document.createElement('input');
+            openCheckbox.type = 'checkbox';
+            openCheckbox.checked = exportSettings.openAfterExport;
+            openCheckbox.addEventListener('change', () => {
+                exportSettings.openAfterExport = openCheckbox.checked;
+            });
+            openLabel.append(openCheckbox, document.createTextNode('Otwieraj plik Excel/PDF po eksporcie'));
+            form.appendChild(openLabel);
+
+            body.appendChild(form);
+        };
+
+        render();
+        return section;
+    }
+
+    /**
+     * Tworzy pole formularza z etykietą
+     * @param {string} label
+     * @param {string} type - typ pola input
+     * @param {string|number} value
+     * @param {Function} onChange
+     * @param {string} className
+     * @returns {HTMLElement}
+     */
+    createFormField(label, type, value, onChange, className = '') {
+        const fieldLabel = document.createElement('label');
+        fieldLabel.textContent = label;
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = `settings-input ${className}`;
+        input.value = value ?? '';
+        input.addEventListener('change', (e) => onChange(e.target.value));
+        fieldLabel.appendChild(input);
+        return fieldLabel;
+    }
+
+    /**
+     * Tworzy komórkę tabeli z polem edycji
+     * @param {string} type - typ pola input
+     * @param {string} value 
+     * @param {Function} onChange 
+     * @param {string} className 
+     * @returns {HTMLElement}
+     */
+    createInputCell(type, value, onChange, className = '') {
+        const td = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = `settings-input ${className}`;
+        input.value = value;
+        input.addEventListener('change', (e) => onChange(e.target.value));
+        td.appendChild(input);
+        return td;
+    }
+
+    /**
+     * Sprawdza poprawność ustawień
+     * @returns {string|null} komunikat błędu lub null
+     */
+    validate() {
+        const invalidShift = this.settings.shifts.find(shift =>
+            !shift.name.trim() || !shift.code.trim() || !shift.start || !shift.end
+        );
+        if (invalidShift) {
+            return 'Każda zmiana musi mieć nazwę, skrót oraz godziny rozpoczęcia i zakończenia.';
+        }
+        const invalidBreak = this.settings.shifts.find(shift =>
+            Boolean(shift.breakStart) !== Boolean(shift.breakEnd) || !ShiftCatalog.isBreakWithinShift(shift)
+        );
+        if (invalidBreak) {
+            return `Przerwa zmiany "${invalidBreak.name}" musi mieć początek i koniec w godzinach zmiany.`;
+        }
+
+        const codes = this.settings.absenceTypes.map(type => type.code);
+        if (codes.some(code => !code || AbsenceTypeRegistry.WORK_STATES.includes(code))) {
+            return 'Każda nieobecność musi mieć kod inny niż "A" i "Praca".';
+        }
+        if (new Set(codes).size !== codes.length) {
+            return 'Kody nieobecności muszą być unikalne.';
+        }
+
+        const tolerances = [
+            ...this.settings.staffingRules.weekdays,
+            ...Object.values(this.settings.staffingRules.dates),
+            ...(this.settings.staffingRules.holiday ? [this.settings.staffingRules.holiday] : [])
+        ];
+        if (tolerances.some(tolerance => tolerance.minOffset > tolerance.maxOffset)) {
+            return 'W regułach obsady wartość "min" nie może być większa niż "max".';
+        }
+
+        const profileErrors = this.settings.excel.profiles.flatMap(profile => ExcelProfile.validate(profile));
+        if (profileErrors.length > 0) {
+            return profileErrors.join('\n');
+        }
+
+        const exportErrors = ExportSettings.validate(this.settings.export);
+        if (exportErrors.length > 0) {
+            return exportErrors.join('\n');
+        }
+        return null;
+    }
+}
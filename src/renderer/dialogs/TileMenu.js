@@ -0,0 +1,67 @@
+/**
+ * Menu kontekstowe kafelka
+ * Single Responsibility: wybór pozycji z listy przy kursorze
+ */
+class TileMenu {
+    /**
+     * @param {Object[]} items - pozycje { label, color }
+     * @param {Function} onSelect - wywoływane z wybraną pozycją
+     */
+    constructor(items, onSelect) {
+        this.items = items;
+        this.onSelect = onSelect;
+        this.element = null;
+        this.handleOutsideClick = this.handleOutsideClick.bind(this);
+    }
+
+    open(x, y) {
+        TileMenu.closeAll();
+
+        this.element = document.createElement('div');
+        this.element.className = 'tile-menu';
+
+        this.items.forEach(item => {
+            const button = document.createElement('button');
+            button.className = 'tile-menu-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'tile-menu-swatch';
+            swatch.style.backgroundColor = item.color || 'transparent';
+            button.appendChild(swatch);
+            button.appendChild(document.createTextNode(item.label));
+
+            button.addEventListener('click', () => {
+                this.close();
+                this.onSelect(item);
+            });
+            this.element.appendChild(button);
+        });
+
+        document.body.appendChild(this.element);
+
+        // Nie wychodź poza okno
+        const rect = this.element.getBoundingClientRect();
+        this.element.style.left = `${Math.min(x, window.innerWidth - rect.width - 4)}px`;
+        this.element.style.top = `${Math.min(y, window.innerHeight - rect.height - 4)}px`;
+
+        setTimeout(() => document.addEventListener('mousedown', this.handleOutsideClick));
+    }
+
+    handleOutsideClick(e) {
+        if (this.element && !this.element.contains(e.target)) {
+            this.close();
+        }
+    }
+
+    close() {
+        document.removeEventListener('mousedown', this.handleOutsideClick);
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    static closeAll() {
+        document.querySelectorAll('.tile-menu').forEach(el => el.remove());
+    }
+}
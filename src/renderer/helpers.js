@@ -0,0 +1,74 @@
+/**
+ * Stałe i funkcje pomocnicze wspólne dla okien dialogowych i kontrolera renderera
+ * (stany kafelka pochodzą z modelu TileState)
+ */
+
+const DAYS_OF_WEEK = [
+    'Montag',
+    'Dienstag',
+    'Mittwoch',
+    'Donnerstag',
+    'Freitag',
+    'Samstag',
+    'Sonntag'
+];
+
+const MAX_REQUIRED_WORKERS = 20;
+
+/**
+ * Generuje unikalny identyfikator (np. dla pracowników w kartotece)
+ * @param {string} prefix - prefiks identyfikatora
+ * @returns {string}
+ */
+function generateId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Klasa CSS kafelka nieobecności - kody z rejestru są dowolnym tekstem,
+ * więc znaki niedozwolone w nazwie klasy (spacje, kropki, ...) zastępowane są "-"
+ * @param {string} code - kod nieobecności
+ * @returns {string} np. "tile-absence-k", "tile-absence-home-office"
+ */
+function getAbsenceClassName(code) {
+    return `tile-absence-${String(code).toLowerCase().replace(/[^\p{L}\p{N}_-]+/gu, '-')}`;
+}
+
+/**
+ * Pola roku i tygodnia (okna kopiowania i eksportu)
+ * @param {string} label 
+ * @param {{year: number, weekNumber: number}} week - wartości początkowe
+ * @returns {{element: HTMLElement, getValue: Function}}
+ */
+function createWeekField(label, week) {
+    const element = document.createElement('label');
+    element.textContent = label;
+
+    const yearInput = document.createElement('input');
+    yearInput.type = 'number';
+    yearInput.className = 'year-input';
+    yearInput.min = '2020';
+    yearInput.max = '2099';
+    yearInput.value = week.year;
+
+    const weekInput = document.createElement('input');
+    weekInput.type = 'number';
+    weekInput.className = 'week-input';
+    weekInput.min = '1';
+    weekInput.max = '53';
+    weekInput.value = week.weekNumber;
+
+    element.append(yearInput, document.createTextNode(' / tydz. '), weekInput);
+    return {
+        element,
+        getValue: () => {
+            const year = parseInt(yearInput.value);
+            const weekNumber = parseInt(weekInput.value);
+            if (!(year >= 2020 && year <= 2099) ||
+                !(weekNumber >= 1 && weekNumber <= WeekDateCalculator.getWeeksInYear(year))) {
+                return null;
+            }
+            return { year, weekNumber };
+        }
+    };
+}
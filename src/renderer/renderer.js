@@ -5,158 +5,202 @@
  * - Single Responsibility: każda klasa ma jedno zadanie
  * - Open/Closed: łatwe rozszerzanie bez modyfikacji istniejącego kodu
  * - Dependency Inversion: wysokopoziomowe moduły nie zależą od niskopoziomowych
+ *
+ * Skrypty ładowane wcześniej w index.html: modele współdzielone (src/models),
+ * stałe i funkcje pomocnicze (helpers.js) oraz okna dialogowe (dialogs/).
  */
 
 // ===================================
-// STAŁE I KONFIGURACJA
+// HISTORY MANAGER (Undo/Redo)
 // ===================================
 
-const TileState = Object.freeze({
-    A: 'A',
-    PRACA: 'Praca',
-    U: 'U'
-});
+class HistoryManager {
+    constructor(maxHistorySize = 100) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistorySize = maxHistorySize;
+    }
+
+    pushState(stateSnapshot) {
+        this.undoStack.push(JSON.stringify(stateSnapshot));
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.maxHistorySize) {
+            this.undoStack.shift();
+        }
+    }
 
-const TILE_STATE_ORDER = [TileState.A, TileState.PRACA, TileState.U];
+    undo(currentState) {
+        if (this.undoStack.length === 0) return null;
+        this.redoStack.push(JSON.stringify(currentState));
+        return JSON.parse(this.undoStack.pop());
+    }
 
-const DAYS_OF_WEEK = [
-    'Montag',
-    'Dienstag',
-    'Mittwoch',
-    'Donnerstag',
-    'Freitag',
-    'Samstag',
-    'Sonntag'
-];
+    redo(currentState) {
+        if (this.redoStack.length === 0) return null;
+        this.undoStack.push(JSON.stringify(currentState));
+        return JSON.parse(this.redoStack.pop());
+    }
 
-const MAX_REQUIRED_WORKERS = 20;
+    canUndo() { return this.undoStack.length > 0; }
+    canRedo() { return this.redoStack.length > 0; }
+    clear() { this.undoStack = []; this.redoStack = []; }
+}
 
 // ===================================
-// WEEK DATE CALCULATOR
+// SETTINGS MANAGER
 // ===================================
 
 /**
- * Klasa odpowiedzialna za obliczanie dat na podstawie roku i numeru tygodnia
- * Single Responsibility: tylko obliczenia dat
+ * Ustawienia aplikacji zapisywane w settings.json
+ * Single Responsibility: dostęp do konfiguracji (np. katalogu zmian)
  */
-class WeekDateCalculator {
-    /**
-     * Pobiera daty dla danego tygodnia w roku (ISO 8601 - tydzień zaczyna się od poniedziałku)
-     * @param {number} year - rok
-     * @param {number} weekNumber - numer tygodnia (1-53)
-     * @returns {Date[]} tablica 7 dat (pon-nd)
-     */
-    static getWeekDates(year, weekNumber) {
-        // Znajdź pierwszy czwartek roku (ISO 8601)
-        const jan4 = new Date(year, 0, 4);
-        const dayOfWeek = jan4.getDay() || 7; // Niedziela = 7
-
-        // Poniedziałek pierwszego tygodnia
-        const firstMonday = new Date(jan4);
-        firstMonday.setDate(jan4.getDate() - dayOfWeek + 1);
-
-        // Poniedziałek żądanego tygodnia
-        const targetMonday = new Date(firstMonday);
-        targetMonday.setDate(firstMonday.getDate() + (weekNumber - 1) * 7);
+class SettingsManager {
+    constructor() {
+        this.settings = {};
+    }
 
-        // Generuj 7 dni
-        const dates = [];
-        for (let i = 0; i < 7; i++) {
-            const date = new Date(targetMonday);
-            date.setDate(targetMonday.getDate() + i);
-            dates.push(date);
-        }
+    setSettings(settings) {
+        this.settings = JSON.parse(JSON.stringify(settings || {}));
+    }
 
-        return dates;
+    getSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
     }
 
     /**
-     * Formatuje datę jako DD.MM
-     * @param {Date} date 
-     * @returns {string}
+     * Katalog zmian (ShiftCatalog.DEFAULT_SHIFTS, gdy nie skonfigurowano)
+     * @returns {Object[]}
      */
-    static formatDateShort(date) {
-        const day = String(date.getDate()).padStart(2, '0');
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        return `${day}.${month}`;
+    getShifts() {
+        return ShiftCatalog.resolve(this.settings.shifts);
     }
 
     /**
-     * Pobiera aktualny rok
-     * @returns {number}
+     * Rejestr typów nieobecności (AbsenceTypeRegistry.DEFAULT_TYPES, gdy nie skonfigurowano)
+     * @returns {Object[]}
      */
-    static getCurrentYear() {
-        return new Date().getFullYear();
+    getAbsenceTypes() {
+        return AbsenceTypeRegistry.resolve(this.settings.absenceTypes);
     }
 
     /**
-     * Pobiera aktualny numer tygodnia (ISO 8601)
-     * @returns {number}
+     * Ustawienia kalendarza świąt
+     * @returns {{state: string|null, requiredWorkers: number|null}}
      */
-    static getCurrentWeekNumber() {
-        const now = new Date();
-        const jan4 = new Date(now.getFullYear(), 0, 4);
-        const dayOfWeek = jan4.getDay() || 7;
-        const firstMonday = new Date(jan4);
-        firstMonday.setDate(jan4.getDate() - dayOfWeek + 1);
+    getHolidaySettings() {
+        return { state: null, requiredWorkers: null, ...this.settings.holidays };
+    }
 
-        const diff = now - firstMonday;
-        const weekNumber = Math.floor(diff / (7 * 24 * 60 * 60 * 1000)) + 1;
-        return Math.max(1, Math.min(53, weekNumber));
+    /**
+     * Konfiguracja reguł obsady (StaffingRules)
+     * @returns {Object}
+     */
+    getStaffingRules() {
+        return StaffingRules.resolve(this.settings.staffingRules);
     }
 
     /**
-     * Pobiera maksymalną liczbę tygodni w roku
-     * @param {number} year 
-     * @returns {number}
+     * Limity czasu pracy (ComplianceChecker)
+     * @returns {Object}
      */
-    static getWeeksInYear(year) {
-        const dec31 = new Date(year, 11, 31);
-        const jan4 = new Date(year, 0, 4);
-        const dayOfWeek = jan4.getDay() || 7;
-        const firstMonday = new Date(jan4);
-        firstMonday.setDate(jan4.getDate() - dayOfWeek + 1);
+    getComplianceLimits() {
+        return ComplianceChecker.resolve(this.settings.compliance);
+    }
 
-        const diff = dec31 - firstMonday;
-        return Math.ceil(diff / (7 * 24 * 60 * 60 * 1000) / 7);
+    /**
+     * Kolejność stanów przy przełączaniu kafelka kliknięciem
+     * @returns {string[]}
+     */
+    getStateCycle() {
+        return AbsenceTypeRegistry.getStateCycle(this.settings.absenceTypes);
     }
 }
 
 // ===================================
-// HISTORY MANAGER (Undo/Redo)
+// ROSTER MANAGER
 // ===================================
 
-class HistoryManager {
-    constructor(maxHistorySize = 100) {
-        this.undoStack = [];
-        this.redoStack = [];
-        this.maxHistorySize = maxHistorySize;
+/**
+ * Kartoteka pracowników niezależna od tygodniowych grafików
+ * Single Responsibility: przechowywanie i wyszukiwanie pracowników
+ */
+class RosterManager {
+    constructor() {
+        this.employees = [];
     }
 
-    pushState(stateSnapshot) {
-        this.undoStack.push(JSON.stringify(stateSnapshot));
-        this.redoStack = [];
+    /**
+     * Tworzy nowego pracownika z domyślnymi ustawieniami
+     * @param {string} name 
+     * @returns {Object}
+     */
+    static createEmployee(name = '') {
+        return {
+            id: generateId('emp'),
+            name,
+            active: true,
+            includedInCalculations: true,
+            weeklyHours: null,
+            availability: EmployeeAvailability.createDefault(),
+            rotation: null,
+            annualLeaveDays: null,
+            leaves: []
+        };
+    }
 
-        if (this.undoStack.length > this.maxHistorySize) {
-            this.undoStack.shift();
-        }
+    setEmployees(employees) {
+        this.employees = JSON.parse(JSON.stringify(employees || []));
     }
 
-    undo(currentState) {
-        if (this.undoStack.length === 0) return null;
-        this.redoStack.push(JSON.stringify(currentState));
-        return JSON.parse(this.undoStack.pop());
+    getEmployees() {
+        return JSON.parse(JSON.stringify(this.employees));
     }
 
-    redo(currentState) {
-        if (this.redoStack.length === 0) return null;
-        this.undoStack.push(JSON.stringify(currentState));
-        return JSON.parse(this.redoStack.pop());
+    getActiveEmployees() {
+        return this.getEmployees().filter(employee => employee.active);
     }
 
-    canUndo() { return this.undoStack.length > 0; }
-    canRedo() { return this.redoStack.length > 0; }
-    clear() { this.undoStack = []; this.redoStack = []; }
+    /**
+     * @param {string} id 
+     * @returns {Object|null}
+     */
+    getById(id) {
+        return this.employees.find(employee => employee.id === id) || null;
+    }
+
+    /**
+     * Dostępność pracownika powiązanego z wierszem
+     * @param {string|null} employeeId 
+     * @returns {Object|null} konfiguracja EmployeeAvailability lub null (wiersz bez kartoteki)
+     */
+    getAvailability(employeeId) {
+        const employee = employeeId ? this.getById(employeeId) : null;
+        return employee ? EmployeeAvailability.resolve(employee.availability) : null;
+    }
+
+    /**
+     * Rotacja pracownika powiązanego z wierszem
+     * @param {string|null} employeeId 
+     * @returns {Object|null} konfiguracja RotationPattern lub null
+     */
+    getRotation(employeeId) {
+        const employee = employeeId ? this.getById(employeeId) : null;
+        return employee && RotationPattern.isDefined(employee.rotation) ? employee.rotation : null;
+    }
+
+    /**
+     * Wyszukuje aktywnego pracownika po nazwie (bez rozróżniania wielkości liter)
+     * @param {string} name 
+     * @returns {Object|null}
+     */
+    findByName(name) {
+        const normalized = (name || '').trim().toLowerCase();
+        if (!normalized) return null;
+        return this.employees.find(employee =>
+            employee.active && employee.name.trim().toLowerCase() === normalized
+        ) || null;
+    }
 }
 
 // ===================================
@@ -166,12 +210,17 @@ class HistoryManager {
 class BoardStateManager {
     constructor() {
         this.state = this.createEmptyState();
+        // Zapisany poprzedni tydzień - do kontroli ponad granicą tygodni (tylko do odczytu)
+        this.previousWeekState = null;
     }
 
-    createEmptyState() {
+    createEmptyState(
+        year = WeekDateCalculator.getCurrentYear(),
+        weekNumber = WeekDateCalculator.getCurrentWeekNumber()
+    ) {
         return {
-            year: WeekDateCalculator.getCurrentYear(),
-            weekNumber: WeekDateCalculator.getCurrentWeekNumber(),
+            year,
+            weekNumber,
             columns: DAYS_OF_WEEK.map((_, index) => ({
                 index,
                 requiredWorkers: 1
@@ -181,13 +230,84 @@ class BoardStateManager {
     }
 
     /**
-     * Ustawia rok i numer tygodnia
+     * Tworzy stan nowego (jeszcze nieplanowanego) tygodnia.
+     * Wiersze pochodzą z aktywnych pracowników kartoteki; gdy kartoteka jest pusta,
+     * przenoszeni są pracownicy bieżącego tygodnia. Wymagane liczby są przenoszone,
+     * kafelki pracowników z rotacją wypełniane są według rotacji, dni urlopu z kartoteki
+     * ustawiane na U, a pozostałe na A.
+     * @param {number} year 
+     * @param {number} weekNumber 
+     * @param {Object[]} activeEmployees - aktywni pracownicy z kartoteki
+     * @returns {Object}
+     */
+    createWeekState(year, weekNumber, activeEmployees = []) {
+        const newState = this.createEmptyState(year, weekNumber);
+        const seedRows = activeEmployees.length > 0
+            ? activeEmployees.map(employee => ({
+                header: employee.name,
+                employeeId: employee.id,
+                includedInCalculations: employee.includedInCalculations,
+                rotationTiles: RotationPattern.getWeekTiles(employee.rotation, year, weekNumber),
+                leaveDateKeys: LeavePlanner.getDateKeys(employee)
+            }))
+            : this.state.rows;
+
+        newState.columns = this.state.columns.map(column => ({ ...column }));
+        const dateKeys = WeekDateCalculator.getWeekDates(year, weekNumber).map(date => WeekDateCalculator.formatDateKey(date));
+        newState.rows = seedRows.map((row, rowIndex) => ({
+            index: rowIndex,
+            header: row.header,
+            employeeId: row.employeeId || null,
+            includedInCalculations: row.includedInCalculations,
+            tiles: DAYS_OF_WEEK.map((_, colIndex) => {
+                const tile = { rowIndex, columnIndex: colIndex, state: TileState.A };
+                const rotationTile = row.rotationTiles ? row.rotationTiles[colIndex] : null;
+                if (row.leaveDateKeys && row.leaveDateKeys.has(dateKeys[colIndex])) {
+                    tile.state = TileState.U;
+                } else if (rotationTile && rotationTile.state === TileState.PRACA) {
+                    tile.state = TileState.PRACA;
+                    if (rotationTile.shiftId) {
+                        tile.shiftId = rotationTile.shiftId;
+                    }
+                }
+                return tile;
+            })
+        }));
+
+        return newState;
+    }
+
+    /**
+     * Przełącza tablicę na inny tydzień
      * @param {number} year 
      * @param {number} weekNumber 
+     * @param {Object|null} savedState - zapisany stan tego tygodnia (null = nowy tydzień)
+     * @param {Object[]} activeEmployees - aktywni pracownicy do zasilenia nowego tygodnia
+     */
+    setYearAndWeek(year, weekNumber, savedState = null, activeEmployees = []) {
+        const clampedWeek = Math.max(1, Math.min(WeekDateCalculator.getWeeksInYear(year), weekNumber));
+        this.setState(savedState || this.createWeekState(year, clampedWeek, activeEmployees));
+    }
+
+    /**
+     * @param {Object|null} state - zapisany stan poprzedniego tygodnia
+     */
+    setPreviousWeekState(state) {
+        this.previousWeekState = state ? JSON.parse(JSON.stringify(state)) : null;
+    }
+
+    /**
+     * Naruszenia czasu pracy (ArbZG) w bieżącym tygodniu
+     * @param {Object[]} shifts - katalog zmian
+     * @param {Object} limits - limity ComplianceChecker
+     * @returns {Object[]}
      */
-    setYearAndWeek(year, weekNumber) {
-        this.state.year = year;
-        this.state.weekNumber = Math.max(1, Math.min(53, weekNumber));
+    checkCompliance(shifts, limits) {
+        return ComplianceChecker.check(this.state, {
+            previousState: this.previousWeekState,
+            shifts,
+            limits
+        });
     }
 
     /**
@@ -206,10 +326,11 @@ class BoardStateManager {
         this.state = JSON.parse(JSON.stringify(newState));
     }
 
-    addRow(header = '') {
+    addRow(header = '', employeeId = null) {
         const newRow = {
             index: this.state.rows.length,
             header: header,
+            employeeId: employeeId,
             includedInCalculations: true,
             tiles: DAYS_OF_WEEK.map((_, colIndex) => ({
                 rowIndex: this.state.rows.length,
@@ -251,6 +372,54 @@ class BoardStateManager {
         }
     }
 
+    /**
+     * Sprawdza czy pracownik z kartoteki ma już wiersz w tym tygodniu
+     * @param {string} employeeId 
+     * @returns {boolean}
+     */
+    hasEmployee(employeeId) {
+        return this.state.rows.some(row => row.employeeId === employeeId);
+    }
+
+    /**
+     * Wiąże wiersz z pracownikiem z kartoteki
+     * @param {number} rowIndex 
+     * @param {Object} employee 
+     */
+    setRowEmployee(rowIndex, employee) {
+        const row = this.state.rows[rowIndex];
+        if (row) {
+            row.employeeId = employee.id;
+            row.header = employee.name;
+            row.includedInCalculations = employee.includedInCalculations;
+        }
+    }
+
+    /**
+     * Synchronizuje wiersze z kartoteką: aktualizuje nazwy powiązanych wierszy
+     * i wiąże niepowiązane wiersze, których nazwa odpowiada pracownikowi
+     * @param {Object[]} employees 
+     * @returns {boolean} czy stan się zmienił
+     */
+    applyRoster(employees) {
+        let changed = false;
+
+        this.state.rows.forEach(row => {
+            const employee = row.employeeId
+                ? employees.find(e => e.id === row.employeeId)
+                : employees.find(e => e.name.trim().toLowerCase() === (row.header || '').trim().toLowerCase()
+                    && !this.hasEmployee(e.id));
+
+            if (employee && (row.employeeId !== employee.id || row.header !== employee.name)) {
+                row.employeeId = employee.id;
+                row.header = employee.name;
+                changed = true;
+            }
+        });
+
+        return changed;
+    }
+
     /**
      * Przesuwa wiersz w górę (zamienia z poprzednim)
      * @param {number} rowIndex - indeks wiersza do przesunięcia
@@ -290,24 +459,102 @@ class BoardStateManager {
         this._reindexRows();
     }
 
-    toggleTileState(rowIndex, columnIndex) {
+    /**
+     * Przełącza kafelek na następny stan
+     * @param {number} rowIndex 
+     * @param {number} columnIndex 
+     * @param {string[]} stateOrder - kolejność stanów (z rejestru nieobecności)
+     * @returns {string|null} nowy stan
+     */
+    toggleTileState(rowIndex, columnIndex, stateOrder = TILE_STATE_ORDER) {
         const row = this.state.rows[rowIndex];
         if (row && row.tiles[columnIndex]) {
             const currentState = row.tiles[columnIndex].state;
-            const currentIdx = TILE_STATE_ORDER.indexOf(currentState);
-            const nextIdx = (currentIdx + 1) % TILE_STATE_ORDER.length;
-            row.tiles[columnIndex].state = TILE_STATE_ORDER[nextIdx];
+            const currentIdx = stateOrder.indexOf(currentState);
+            const nextIdx = (currentIdx + 1) % stateOrder.length;
+            row.tiles[columnIndex].state = stateOrder[nextIdx];
+            // Kliknięcie zawsze daje zmianę domyślną
+            delete row.tiles[columnIndex].shiftId;
             return row.tiles[columnIndex].state;
         }
         return null;
     }
 
+    /**
+     * Ustawia konkretny stan kafelka (dla "Praca" opcjonalnie z wybraną zmianą)
+     * @param {number} rowIndex 
+     * @param {number} columnIndex 
+     * @param {string} state 
+     * @param {string|null} shiftId - ID zmiany z katalogu
+     */
+    setTileState(rowIndex, columnIndex, state, shiftId = null) {
+        const tile = this.state.rows[rowIndex]?.tiles[columnIndex];
+        if (!tile) return;
+
+        tile.state = state;
+        if (state === TileState.PRACA && shiftId) {
+            tile.shiftId = shiftId;
+        } else {
+            delete tile.shiftId;
+        }
+    }
+
+    /**
+     * Ustawia kafelki "Praca" według przydziału z generatora grafiku
+     * @param {{rowIndex: number, columnIndex: number, shiftId: string|null}[]} assignments
+     */
+    applyAssignments(assignments) {
+        assignments.forEach(({ rowIndex, columnIndex, shiftId }) => {
+            this.setTileState(rowIndex, columnIndex, TileState.PRACA, shiftId);
+        });
+    }
+
     setColumnRequiredWorkers(columnIndex, count) {
-        if (this.state.columns[columnIndex] && count > 0) {
+        // 0 = dzień zamknięty (np. święto)
+        if (this.state.columns[columnIndex] && count >= 0) {
             this.state.columns[columnIndex].requiredWorkers = count;
         }
     }
 
+    /**
+     * Święta przypadające w bieżącym tygodniu
+     * @param {string|null} holidayState - kraj związkowy
+     * @returns {(Object|null)[]} tablica 7 elementów (święto lub null)
+     */
+    getHolidays(holidayState = null) {
+        return HolidayCalculator.getHolidaysForDates(this.getWeekDates(), holidayState);
+    }
+
+    /**
+     * Ustawia wymaganą liczbę pracowników dla dni świątecznych (domyślne wartości nowego tygodnia)
+     * @param {string|null} holidayState - kraj związkowy
+     * @param {number|null} requiredWorkers - wymagana liczba w święta (null = bez zmian)
+     * @returns {boolean} czy zmieniono którąś kolumnę
+     */
+    applyHolidayRequiredWorkers(holidayState, requiredWorkers) {
+        if (typeof requiredWorkers !== 'number') return false;
+
+        let changed = false;
+        this.getHolidays(holidayState).forEach((holiday, columnIndex) => {
+            if (holiday && this.state.columns[columnIndex].requiredWorkers !== requiredWorkers) {
+                this.setColumnRequiredWorkers(columnIndex, requiredWorkers);
+                changed = true;
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Suma godzin zmian w wierszu
+     * @param {number} rowIndex 
+     * @param {Object[]} shifts - katalog zmian
+     * @returns {number}
+     */
+    getRowHours(rowIndex, shifts) {
+        const row = this.state.rows[rowIndex];
+        return row ? WorkHoursCalculator.getRowHours(row, shifts) : 0;
+    }
+
     countPracaInColumn(columnIndex) {
         return this.state.rows
             .filter(row => row.includedInCalculations)
@@ -317,37 +564,60 @@ class BoardStateManager {
             }, 0);
     }
 
-    isColumnValid(columnIndex) {
+    /**
+     * Ocenia obsadę kolumny według reguł obsady
+     * @param {number} columnIndex 
+     * @param {Object} rules - konfiguracja reguł (StaffingRules)
+     * @param {string|null} holidayState - kraj związkowy (święta mają własną regułę)
+     * @returns {Object|null} wynik StaffingRules.evaluate
+     */
+    evaluateColumn(columnIndex, rules = null, holidayState = null) {
         const column = this.state.columns[columnIndex];
-        if (!column) return false;
-
-        const pracaCount = this.countPracaInColumn(columnIndex);
-        const required = column.requiredWorkers;
-        const isSunday = columnIndex === 6;
+        if (!column) return null;
+
+        const date = this.getWeekDates()[columnIndex];
+        return StaffingRules.evaluateDay({
+            pracaCount: this.countPracaInColumn(columnIndex),
+            required: column.requiredWorkers,
+            columnIndex,
+            date,
+            holidayState,
+            rules
+        });
+    }
 
-        if (isSunday) {
-            return pracaCount === required;
-        } else {
-            return pracaCount === required || pracaCount === required + 1;
-        }
+    isColumnValid(columnIndex, rules = null, holidayState = null) {
+        const evaluation = this.evaluateColumn(columnIndex, rules, holidayState);
+        return evaluation ? evaluation.isValid : false;
     }
 
-    getColumnsStatus() {
+    /**
+     * Status wszystkich kolumn, łącznie z informacją która reguła nie jest spełniona i dlaczego
+     * @param {Object} rules - konfiguracja reguł (StaffingRules)
+     * @param {string|null} holidayState - kraj związkowy
+     * @returns {Object[]}
+     */
+    getColumnsStatus(rules = null, holidayState = null) {
+        const holidays = this.getHolidays(holidayState);
+
         return this.state.columns.map((column, index) => {
             const pracaCount = this.countPracaInColumn(index);
             const required = column.requiredWorkers;
-            const isSunday = index === 6;
-            const isValid = this.isColumnValid(index);
-            const hasExtraOne = !isSunday && pracaCount === required + 1;
+            const evaluation = this.evaluateColumn(index, rules, holidayState);
 
             return {
                 index,
                 name: DAYS_OF_WEEK[index],
                 requiredWorkers: required,
                 pracaCount,
-                isValid,
-                isSunday,
-                hasExtraOne
+                isValid: evaluation.isValid,
+                isSunday: index === 6,
+                holiday: holidays[index] ? holidays[index].name : null,
+                extraCount: Math.max(0, pracaCount - required),
+                min: evaluation.min,
+                max: evaluation.max,
+                failedRule: evaluation.failedRule,
+                reason: evaluation.reason
             };
         });
     }
@@ -358,9 +628,11 @@ class BoardStateManager {
 // ===================================
 
 class BoardRenderer {
-    constructor(boardManager, onStateChange) {
+    constructor(boardManager, onStateChange, rosterManager, settingsManager) {
         this.boardManager = boardManager;
         this.onStateChange = onStateChange;
+        this.rosterManager = rosterManager;
+        this.settingsManager = settingsManager;
         this.elements = {};
         this.cacheElements();
     }
@@ -376,25 +648,114 @@ class BoardRenderer {
             btnAddRow: document.getElementById('btn-add-row'),
             btnGenerateExcel: document.getElementById('btn-generate-excel'),
             yearInput: document.getElementById('year-input'),
-            weekInput: document.getElementById('week-input')
+            weekInput: document.getElementById('week-input'),
+            savedWeeksSelect: document.getElementById('saved-weeks-select'),
+            rosterDatalist: document.getElementById('roster-datalist'),
+            legendAbsences: document.getElementById('legend-absences'),
+            complianceList: document.getElementById('compliance-list'),
+            complianceCount: document.getElementById('compliance-count')
         };
     }
 
     render() {
+        this.violations = this.boardManager.checkCompliance(
+            this.settingsManager.getShifts(),
+            this.settingsManager.getComplianceLimits()
+        );
+
         this.renderDaysHeader();
         this.renderRequiredWorkersSelects();
+        this.renderRosterDatalist();
         this.renderRows();
+        this.renderCompliancePanel();
         this.renderPracaCounts();
         this.updateColumnValidation();
         this.updateWeekInputs();
+        this.renderLegend();
+    }
+
+    /**
+     * Panel boczny z listą naruszeń czasu pracy
+     */
+    renderCompliancePanel() {
+        const { complianceList, complianceCount } = this.elements;
+        if (!complianceList) return;
+
+        complianceList.innerHTML = '';
+        complianceCount.textContent = this.violations.length;
+        complianceCount.classList.toggle('has-violations', this.violations.length > 0);
+
+        if (this.violations.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'compliance-empty';
+            empty.textContent = 'Brak naruszeń';
+            complianceList.appendChild(empty);
+            return;
+        }
+
+        this.violations.forEach(violation => {
+            const item = document.createElement('li');
+            item.className = `compliance-item compliance-${violation.rule}`;
+
+            const employee = document.createElement('strong');
+            employee.textContent = violation.employee;
+            item.appendChild(employee);
+
+            const days = document.createElement('span');
+            days.className = 'compliance-days';
+            days.textContent = violation.columnIndices.map(index => DAYS_OF_WEEK[index]).join(', ');
+            item.appendChild(days);
+
+            const message = document.createElement('span');
+            message.textContent = violation.message;
+            item.appendChild(message);
+
+            complianceList.appendChild(item);
+        });
+    }
+
+    /**
+     * Naruszenia czasu pracy dotyczące kafelka
+     * @param {number} rowIndex 
+     * @param {number} columnIndex 
+     * @returns {Object[]}
+     */
+    getTileViolations(rowIndex, columnIndex) {
+        return (this.violations || []).filter(violation =>
+            violation.rowIndex === rowIndex && violation.columnIndices.includes(columnIndex)
+        );
+    }
+
+    /**
+     * Legenda typów nieobecności z rejestru
+     */
+    renderLegend() {
+        const container = this.elements.legendAbsences;
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.settingsManager.getAbsenceTypes().forEach(type => {
+            const item = document.createElement('span');
+            item.className = 'legend-item';
+
+            const tile = document.createElement('span');
+            tile.className = `legend-tile tile-absence${type.code === TileState.U ? ' tile-u' : ''}`;
+            tile.style.setProperty('--absence-color', type.color);
+            tile.textContent = type.code;
+
+            item.appendChild(tile);
+            item.appendChild(document.createTextNode(` ${type.name}`));
+            container.appendChild(item);
+        });
     }
 
     renderDaysHeader() {
         // Usuń stare nagłówki dni (ale zostaw pierwsze dwie kolumny)
-        const existingHeaders = this.elements.daysHeaderRow.querySelectorAll('.day-header-cell');
+        const existingHeaders = this.elements.daysHeaderRow.querySelectorAll('.day-header-cell, .hours-header-cell');
         existingHeaders.forEach(el => el.remove());
 
         const weekDates = this.boardManager.getWeekDates();
+        const holidays = this.boardManager.getHolidays(this.settingsManager.getHolidaySettings().state);
 
         DAYS_OF_WEEK.forEach((day, index) => {
             const th = document.createElement('th');
@@ -406,8 +767,26 @@ class BoardRenderer {
                 <span class="day-name">${day}</span>
                 <span class="day-date">${dateStr}</span>
             </div>`;
+
+            // Oznaczenie święta
+            const holiday = holidays[index];
+            if (holiday) {
+                th.classList.add('day-holiday');
+                th.title = holiday.name;
+                const holidayLabel = document.createElement('span');
+                holidayLabel.className = 'day-holiday-name';
+                holidayLabel.textContent = holiday.name;
+                th.querySelector('.day-header').appendChild(holidayLabel);
+            }
+
             this.elements.daysHeaderRow.appendChild(th);
         });
+
+        const hoursHeader = document.createElement('th');
+        hoursHeader.className = 'hours-header-cell';
+        hoursHeader.textContent = 'Godziny';
+        hoursHeader.title = 'Zaplanowane godziny / etat tygodniowy';
+        this.elements.daysHeaderRow.appendChild(hoursHeader);
     }
 
     /**
@@ -423,9 +802,34 @@ class BoardRenderer {
         }
     }
 
+    /**
+     * Wypełnia listę zapisanych tygodni (bieżący tydzień zawsze jest na liście)
+     * @param {Object[]} savedWeeks - tablica { year, weekNumber, rowCount }
+     */
+    renderSavedWeeks(savedWeeks) {
+        const select = this.elements.savedWeeksSelect;
+        if (!select) return;
+
+        const state = this.boardManager.getState();
+        const weeks = [...savedWeeks];
+        if (!weeks.some(w => w.year === state.year && w.weekNumber === state.weekNumber)) {
+            weeks.push({ year: state.year, weekNumber: state.weekNumber, rowCount: state.rows.length });
+            weeks.sort((a, b) => a.year - b.year || a.weekNumber - b.weekNumber);
+        }
+
+        select.innerHTML = '';
+        weeks.forEach(week => {
+            const option = document.createElement('option');
+            option.value = `${week.year}-${week.weekNumber}`;
+            option.textContent = `KW ${week.weekNumber} / ${week.year}`;
+            option.selected = week.year === state.year && week.weekNumber === state.weekNumber;
+            select.appendChild(option);
+        });
+    }
+
     renderRequiredWorkersSelects() {
         // Usuń stare selecty
-        const existingSelects = this.elements.requiredWorkersRow.querySelectorAll('.required-select-cell');
+        const existingSelects = this.elements.requiredWorkersRow.querySelectorAll('.required-select-cell, .hours-header-cell');
         existingSelects.forEach(el => el.remove());
 
         const state = this.boardManager.getState();
@@ -440,7 +844,7 @@ class BoardRenderer {
             select.dataset.columnIndex = index;
             select.title = `Wymagana liczba dla ${DAYS_OF_WEEK[index]}`;
 
-            for (let i = 1; i <= MAX_REQUIRED_WORKERS; i++) {
+            for (let i = 0; i <= MAX_REQUIRED_WORKERS; i++) {
                 const option = document.createElement('option');
                 option.value = i;
                 option.textContent = i;
@@ -460,6 +864,27 @@ class BoardRenderer {
             th.appendChild(select);
             this.elements.requiredWorkersRow.appendChild(th);
         });
+
+        const hoursPlaceholder = document.createElement('th');
+        hoursPlaceholder.className = 'hours-header-cell';
+        this.elements.requiredWorkersRow.appendChild(hoursPlaceholder);
+    }
+
+    /**
+     * Podpowiedzi nazw pracowników z kartoteki (bez tych, którzy już mają wiersz)
+     */
+    renderRosterDatalist() {
+        const datalist = this.elements.rosterDatalist;
+        if (!datalist) return;
+
+        datalist.innerHTML = '';
+        this.rosterManager.getActiveEmployees()
+            .filter(employee => !this.boardManager.hasEmployee(employee.id))
+            .forEach(employee => {
+                const option = document.createElement('option');
+                option.value = employee.name;
+                datalist.appendChild(option);
+            });
     }
 
     renderRows() {
@@ -480,7 +905,7 @@ class BoardRenderer {
     renderEmptyState() {
         const tr = document.createElement('tr');
         tr.innerHTML = `
-            <td colspan="${9}" class="empty-state">
+            <td colspan="${10}" class="empty-state">
                 <p>Brak wierszy w tablicy</p>
                 <p>Kliknij "Dodaj wiersz" aby rozpocząć</p>
             </td>
@@ -556,6 +981,14 @@ class BoardRenderer {
         input.className = 'row-header-input';
         input.value = row.header;
         input.placeholder = 'Nazwa pracownika...';
+        if (row.employeeId) {
+            // Nazwę powiązanego pracownika zmienia się w kartotece
+            input.readOnly = true;
+            input.classList.add('linked');
+            input.title = 'Pracownik z kartoteki - nazwę zmienisz w oknie "Pracownicy"';
+        } else {
+            input.setAttribute('list', 'roster-datalist');
+        }
         input.addEventListener('change', (e) => {
             this.onStateChange('setRowHeader', {
                 rowIndex,
@@ -577,6 +1010,15 @@ class BoardRenderer {
         tr.appendChild(tdHeader);
 
         // Tiles
+        const availability = this.rosterManager.getAvailability(row.employeeId);
+        const weekDates = this.boardManager.getWeekDates();
+        const state = this.boardManager.getState();
+        const rotationTiles = RotationPattern.getWeekTiles(
+            this.rosterManager.getRotation(row.employeeId),
+            state.year,
+            state.weekNumber
+        );
+
         row.tiles.forEach((tile, colIndex) => {
             const td = document.createElement('td');
             td.className = 'tile-cell';
@@ -586,45 +1028,211 @@ class BoardRenderer {
             tileDiv.className = this.getTileClasses(tile, row.includedInCalculations);
             tileDiv.dataset.rowIndex = rowIndex;
             tileDiv.dataset.columnIndex = colIndex;
-            tileDiv.textContent = tile.state;
+            this.fillTileContent(tileDiv, tile);
+            if (availability) {
+                this.applyAvailabilityOverlay(tileDiv, tile, availability, weekDates[colIndex]);
+            }
+            if (rotationTiles) {
+                this.applyRotationMarker(tileDiv, tile, rotationTiles[colIndex]);
+            }
+            const violations = this.getTileViolations(rowIndex, colIndex);
+            if (violations.length > 0) {
+                tileDiv.classList.add('tile-violation');
+                tileDiv.title = [tileDiv.title, ...violations.map(violation => `⚖ ${violation.message}`)]
+                    .filter(Boolean)
+                    .join('\n');
+            }
             tileDiv.addEventListener('click', () => {
                 this.onStateChange('toggleTile', { rowIndex, columnIndex: colIndex });
             });
+            tileDiv.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.openTileMenu(e.clientX, e.clientY, rowIndex, colIndex);
+            });
 
             td.appendChild(tileDiv);
             tr.appendChild(td);
         });
 
+        tr.appendChild(this.createHoursCell(row, rowIndex));
+
         return tr;
     }
 
-    getTileClasses(tile, rowIncluded) {
-        let classes = 'tile';
-
-        switch (tile.state) {
-            case TileState.A:
-                classes += ' tile-a';
-                break;
-            case TileState.PRACA:
-                classes += ' tile-praca';
-                if (!rowIncluded) {
-                    classes += ' excluded';
-                }
-                break;
-            case TileState.U:
-                classes += ' tile-u';
-                break;
+    /**
+     * Nakłada na kafelek oznaczenie dostępności pracownika (kreskowanie)
+     * oraz ostrzeżenie, gdy "Praca" narusza zadeklarowane ograniczenie
+     * @param {HTMLElement} tileDiv 
+     * @param {Object} tile 
+     * @param {Object} availability - konfiguracja EmployeeAvailability
+     * @param {Date} date 
+     */
+    applyAvailabilityOverlay(tileDiv, tile, availability, date) {
+        const shifts = this.settingsManager.getShifts();
+        const constraint = EmployeeAvailability.getDayConstraint(availability, date, tile.columnIndex, shifts);
+        if (constraint.status === EmployeeAvailability.Status.AVAILABLE) return;
+
+        tileDiv.classList.add(`tile-${constraint.status}`);
+        const conflict = EmployeeAvailability.checkTile(availability, tile, date, shifts);
+        if (conflict) {
+            tileDiv.classList.add('tile-conflict');
         }
-
-        return classes;
+        tileDiv.title = [tileDiv.title, conflict ? `⚠ ${conflict}` : constraint.reason]
+            .filter(Boolean)
+            .join('\n');
     }
 
-    renderPracaCounts() {
-        // Usuń stare liczniki
-        const existingCounts = this.elements.pracaCountRow.querySelectorAll('.praca-count-cell');
-        existingCounts.forEach(el => el.remove());
-
-        const columnsStatus = this.boardManager.getColumnsStatus();
+    /**
+     * Oznacza ręczną zmianę kafelka względem rotacji pracownika
+     * @param {HTMLElement} tileDiv 
+     * @param {Object} tile 
+     * @param {Object} expected - kafelek wynikający z rotacji
+     */
+    applyRotationMarker(tileDiv, tile, expected) {
+        const shifts = this.settingsManager.getShifts();
+        if (!RotationPattern.isDeviation(tile, expected, shifts)) return;
+
+        tileDiv.classList.add('tile-deviation');
+        tileDiv.title = [tileDiv.title, `↻ Odstępstwo od rotacji (wg rotacji: ${RotationPattern.describe(expected, shifts)})`]
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * Pokazuje krótki komunikat (ostrzeżenie) w rogu okna
+     * @param {string} message 
+     */
+    showNotice(message) {
+        const notice = document.createElement('div');
+        notice.className = 'notice';
+        notice.textContent = message;
+        document.body.appendChild(notice);
+        setTimeout(() => notice.remove(), 4000);
+    }
+
+    /**
+     * Komórka z sumą godzin wiersza porównaną z etatem pracownika
+     * @param {Object} row 
+     * @param {number} rowIndex 
+     * @returns {HTMLElement}
+     */
+    createHoursCell(row, rowIndex) {
+        const hours = this.boardManager.getRowHours(rowIndex, this.settingsManager.getShifts());
+        const employee = row.employeeId ? this.rosterManager.getById(row.employeeId) : null;
+        const targetHours = employee ? employee.weeklyHours : null;
+        const status = WorkHoursCalculator.getStatus(hours, targetHours);
+
+        const td = document.createElement('td');
+        td.className = `hours-cell${status ? ` hours-${status}` : ''}`;
+
+        const formatted = WorkHoursCalculator.formatHours(hours);
+        if (status) {
+            td.textContent = `${formatted} / ${WorkHoursCalculator.formatHours(targetHours)} h`;
+            const label = {
+                [WorkHoursCalculator.Status.UNDER]: 'Poniżej etatu',
+                [WorkHoursCalculator.Status.OK]: 'Zgodnie z etatem',
+                [WorkHoursCalculator.Status.OVER]: 'Powyżej etatu'
+            }[status];
+            const tolerance = WorkHoursCalculator.formatHours(WorkHoursCalculator.DEFAULT_TOLERANCE_HOURS);
+            td.title = `${label} (tolerancja ±${tolerance} h, godziny bez przerw)`;
+        } else {
+            td.textContent = `${formatted} h`;
+            td.title = 'Brak etatu w kartotece';
+        }
+
+        return td;
+    }
+
+    /**
+     * Wypełnia kafelek treścią - dla "Praca" skrót i godziny zmiany
+     * @param {HTMLElement} tileDiv 
+     * @param {Object} tile 
+     */
+    fillTileContent(tileDiv, tile) {
+        if (tile.state !== TileState.PRACA) {
+            const absenceType = AbsenceTypeRegistry.getType(this.settingsManager.getAbsenceTypes(), tile.state);
+            if (absenceType) {
+                tileDiv.style.setProperty('--absence-color', absenceType.color);
+                tileDiv.title = absenceType.name;
+            }
+            tileDiv.textContent = tile.state;
+            return;
+        }
+
+        const shift = ShiftCatalog.getShift(this.settingsManager.getShifts(), tile.shiftId);
+        tileDiv.style.setProperty('--shift-color', shift.color);
+        tileDiv.title = `${shift.name} (${ShiftCatalog.formatTimeRange(shift)})`;
+        tileDiv.innerHTML = `<span class="tile-shift-code"></span><span class="tile-shift-time"></span>`;
+        tileDiv.querySelector('.tile-shift-code').textContent = shift.code;
+        tileDiv.querySelector('.tile-shift-time').textContent = ShiftCatalog.formatTimeRange(shift);
+    }
+
+    /**
+     * Otwiera menu kontekstowe kafelka z wyborem zmiany lub stanu
+     * @param {number} x - pozycja kursora
+     * @param {number} y 
+     * @param {number} rowIndex 
+     * @param {number} columnIndex 
+     */
+    openTileMenu(x, y, rowIndex, columnIndex) {
+        const items = [
+            ...this.settingsManager.getShifts().map(shift => ({
+                label: `${shift.code} · ${shift.name} (${ShiftCatalog.formatTimeRange(shift)})`,
+                color: shift.color,
+                state: TileState.PRACA,
+                shiftId: shift.id
+            })),
+            { label: 'A · Wolne', state: TileState.A },
+            ...this.settingsManager.getAbsenceTypes().map(type => ({
+                label: `${type.code} · ${type.name}`,
+                color: type.color,
+                state: type.code
+            }))
+        ];
+
+        new TileMenu(items, (item) => {
+            this.onStateChange('setTile', {
+                rowIndex,
+                columnIndex,
+                state: item.state,
+                shiftId: item.shiftId || null
+            });
+        }).open(x, y);
+    }
+
+    getTileClasses(tile, rowIncluded) {
+        let classes = 'tile';
+
+        switch (tile.state) {
+            case TileState.A:
+                classes += ' tile-a';
+                break;
+            case TileState.PRACA:
+                classes += ' tile-praca';
+                if (!rowIncluded) {
+                    classes += ' excluded';
+                }
+                break;
+            default:
+                // Nieobecności z rejestru: wspólna klasa + klasa kodu (np. tile-absence-k)
+                if (AbsenceTypeRegistry.isAbsence(this.settingsManager.getAbsenceTypes(), tile.state)) {
+                    classes += ` tile-absence ${getAbsenceClassName(tile.state)}`;
+                }
+                if (tile.state === TileState.U) {
+                    classes += ' tile-u';
+                }
+                break;
+        }
+
+        return classes;
+    }
+
+    renderPracaCounts() {
+        // Usuń stare liczniki
+        const existingCounts = this.elements.pracaCountRow.querySelectorAll('.praca-count-cell, .hours-total-cell');
+        existingCounts.forEach(el => el.remove());
+
+        const columnsStatus = this.getColumnsStatus();
 
         columnsStatus.forEach((status, index) => {
             const td = document.createElement('td');
@@ -634,9 +1242,9 @@ class BoardRenderer {
             const span = document.createElement('span');
             span.className = `praca-count ${status.isValid ? 'valid' : 'invalid'}`;
 
-            // Wyświetl "+1" jeśli jest o jeden więcej niż wymagane
-            if (status.hasExtraOne) {
-                span.textContent = `${status.pracaCount} (+1)`;
+            // Wyświetl "+n" jeśli jest więcej niż wymagane (w granicach tolerancji)
+            if (status.isValid && status.extraCount > 0) {
+                span.textContent = `${status.pracaCount} (+${status.extraCount})`;
             } else {
                 span.textContent = status.pracaCount;
             }
@@ -644,10 +1252,31 @@ class BoardRenderer {
             td.appendChild(span);
             this.elements.pracaCountRow.appendChild(td);
         });
+
+        // Suma godzin wszystkich pracowników
+        const shifts = this.settingsManager.getShifts();
+        const totalHours = this.boardManager.getState().rows
+            .reduce((sum, _, rowIndex) => sum + this.boardManager.getRowHours(rowIndex, shifts), 0);
+
+        const tdTotal = document.createElement('td');
+        tdTotal.className = 'hours-total-cell';
+        tdTotal.textContent = `${WorkHoursCalculator.formatHours(totalHours)} h`;
+        this.elements.pracaCountRow.appendChild(tdTotal);
+    }
+
+    /**
+     * Status kolumn według reguł obsady i kalendarza świąt z ustawień
+     * @returns {Object[]}
+     */
+    getColumnsStatus() {
+        return this.boardManager.getColumnsStatus(
+            this.settingsManager.getStaffingRules(),
+            this.settingsManager.getHolidaySettings().state
+        );
     }
 
     updateColumnValidation() {
-        const columnsStatus = this.boardManager.getColumnsStatus();
+        const columnsStatus = this.getColumnsStatus();
 
         // Aktualizuj nagłówki dni
         const dayHeaders = this.elements.daysHeaderRow.querySelectorAll('.day-header-cell');
@@ -661,10 +1290,15 @@ class BoardRenderer {
             cell.classList.toggle('column-valid', columnsStatus[index]?.isValid);
         });
 
-        // Aktualizuj liczniki
+        // Aktualizuj liczniki (podpowiedź wyjaśnia, która reguła nie jest spełniona)
         const countCells = this.elements.pracaCountRow.querySelectorAll('.praca-count-cell');
         countCells.forEach((cell, index) => {
-            cell.classList.toggle('column-valid', columnsStatus[index]?.isValid);
+            const status = columnsStatus[index];
+            cell.classList.toggle('column-valid', status?.isValid);
+            if (status) {
+                const range = `Wymagane: ${StaffingRules.formatRange(status.min, status.max)}`;
+                cell.title = status.isValid ? range : `${status.reason}\n${range}`;
+            }
         });
 
         // Aktualizuj wszystkie komórki kafelków w każdej kolumnie
@@ -692,21 +1326,104 @@ class AppController {
     constructor() {
         this.boardManager = new BoardStateManager();
         this.historyManager = new HistoryManager();
+        this.rosterManager = new RosterManager();
+        this.settingsManager = new SettingsManager();
         this.renderer = new BoardRenderer(
             this.boardManager,
-            this.handleStateChange.bind(this)
+            this.handleStateChange.bind(this),
+            this.rosterManager,
+            this.settingsManager
         );
 
+        this.templates = [];
         this.isLoading = true;
         this.saveDebounceTimer = null;
+        this.skipSaveOnUnload = false;
+        // Kolejka przełączeń tygodnia - kolejne przełączenie czeka na zakończenie poprzedniego
+        this.weekChangeQueue = Promise.resolve();
     }
 
     async initialize() {
+        await this.loadSettings();
+        await this.loadRoster();
+        await this.loadTemplates();
         await this.loadState();
+        await this.loadPreviousWeek();
         this.renderer.render();
+        await this.refreshSavedWeeks();
         this.setupEventListeners();
         this.updateUndoRedoButtons();
         this.isLoading = false;
+        await this.checkStorageProblems();
+    }
+
+    /**
+     * Zgłasza pliki danych, których nie udało się odczytać, i proponuje przywrócenie kopii
+     */
+    async checkStorageProblems() {
+        try {
+            const problems = await window.electronAPI.getStorageProblems();
+            if (problems.length > 0) {
+                await this.openBackupDialog(problems);
+            }
+        } catch (error) {
+            console.error('Błąd podczas sprawdzania plików danych:', error);
+        }
+    }
+
+    /**
+     * Otwiera okno kopii zapasowych
+     * @param {Object[]} problems - uszkodzone pliki wykryte przy odczycie
+     */
+    async openBackupDialog(problems = []) {
+        const backups = await window.electronAPI.listBackups();
+        new BackupDialog(backups, problems,
+            (backup) => this.restoreBackup(backup),
+            (fileName) => this.dismissStorageProblem(fileName)).open();
+    }
+
+    /**
+     * Rezygnuje z przywracania kopii uszkodzonego pliku - zapis zaczyna się od bieżącego (pustego) grafiku
+     * @param {string} fileName
+     * @returns {Promise<boolean>} czy zamknięto problem
+     */
+    async dismissStorageProblem(fileName) {
+        if (!confirm(`Zacząć od pustego pliku „${BackupDialog.getFileLabel(fileName)}”? ` +
+            'Uszkodzona treść pozostanie w katalogu kopii zapasowych.')) {
+            return false;
+        }
+
+        await window.electronAPI.dismissStorageProblem(fileName);
+        await this.saveState();
+        await this.refreshSavedWeeks();
+        return true;
+    }
+
+    /**
+     * Przywraca plik danych z kopii i wczytuje aplikację ponownie
+     * (bez zapisywania bieżącego stanu, który nadpisałby przywrócony grafik)
+     * @param {{id: string, fileName: string, createdAt: string}} backup
+     * @returns {Promise<boolean>} czy przywrócono
+     */
+    async restoreBackup(backup) {
+        const createdAt = new Date(backup.createdAt).toLocaleString('pl-PL');
+        if (!confirm(`Przywrócić „${BackupDialog.getFileLabel(backup.fileName)}” z kopii z ${createdAt}?`)) {
+            return false;
+        }
+
+        if (this.saveDebounceTimer) {
+            clearTimeout(this.saveDebounceTimer);
+            this.saveDebounceTimer = null;
+        }
+        this.skipSaveOnUnload = true;
+
+        if (!(await window.electronAPI.restoreBackup(backup.id))) {
+            this.skipSaveOnUnload = false;
+            alert('Nie udało się przywrócić kopii zapasowej');
+            return false;
+        }
+        window.location.reload();
+        return true;
     }
 
     async loadState() {
@@ -720,6 +1437,161 @@ class AppController {
         }
     }
 
+    /**
+     * Wczytuje zapisany poprzedni tydzień (kontrola odpoczynku i dni z rzędu ponad granicą tygodni)
+     */
+    async loadPreviousWeek() {
+        const state = this.boardManager.getState();
+        const previous = WeekDateCalculator.shiftWeek(state.year, state.weekNumber, -1);
+        try {
+            const previousState = await window.electronAPI.loadWeek(previous.year, previous.weekNumber);
+            this.boardManager.setPreviousWeekState(previousState);
+        } catch (error) {
+            console.error('Błąd podczas wczytywania poprzedniego tygodnia:', error);
+            this.boardManager.setPreviousWeekState(null);
+        }
+    }
+
+    async loadSettings() {
+        try {
+            const settings = await window.electronAPI.loadSettings();
+            this.settingsManager.setSettings(settings);
+        } catch (error) {
+            console.error('Błąd podczas wczytywania ustawień:', error);
+        }
+    }
+
+    /**
+     * Otwiera okno ustawień i po zapisie przerysowuje tablicę
+     */
+    openSettingsDialog() {
+        new SettingsDialog(this.settingsManager.getSettings(), async (settings) => {
+            const saved = await window.electronAPI.saveSettings(settings);
+            if (!saved) {
+                alert('Nie udało się zapisać ustawień');
+                return false;
+            }
+
+            this.settingsManager.setSettings(settings);
+            this.renderer.render();
+            return true;
+        }).open();
+    }
+
+    async loadRoster() {
+        try {
+            const employees = await window.electronAPI.loadRoster();
+            this.rosterManager.setEmployees(employees);
+        } catch (error) {
+            console.error('Błąd podczas wczytywania kartoteki:', error);
+        }
+    }
+
+    /**
+     * Otwiera okno kartoteki pracowników.
+     * Po zapisie zmiany nazwisk trafiają do wszystkich tygodni (po stronie procesu głównego)
+     * oraz do bieżącej tablicy, a pasujące wiersze są wiązane z kartoteką.
+     * Urlopy są nakładane dopiero po zapisie kartoteki - na tygodnie z już zmienionymi nazwiskami.
+     */
+    openRosterDialog() {
+        const boardNames = this.boardManager.getState().rows
+            .filter(row => !row.employeeId)
+            .map(row => row.header);
+
+        new RosterDialog(
+            this.rosterManager.getEmployees(),
+            boardNames,
+            this.settingsManager.getShifts(),
+            this.settingsManager.getHolidaySettings().state,
+            async (employees) => {
+                const leaveChanges = LeavePlanner.diff(this.rosterManager.getEmployees(), employees);
+                if (!(await this.confirmLeaveChanges(leaveChanges))) {
+                    return false;
+                }
+
+                const saved = await window.electronAPI.saveRoster(employees);
+                if (!saved) {
+                    alert('Nie udało się zapisać kartoteki pracowników');
+                    return false;
+                }
+
+                this.rosterManager.setEmployees(employees);
+                this.boardManager.applyRoster(employees);
+                await this.commitLeaveChanges(leaveChanges);
+                this.renderer.render();
+                this.debouncedSave();
+                return true;
+            }
+        ).open();
+    }
+
+    /**
+     * Nakłada zmiany urlopów na zapisane tygodnie (i bieżący), bez zapisywania
+     * @param {Object[]} changes - wynik LeavePlanner.diff
+     * @returns {Promise<{before: Object, after: Object, isCurrent: boolean}[]>} tylko zmienione tygodnie
+     */
+    async loadLeaveWeeks(changes) {
+        const current = this.boardManager.getState();
+        const weeks = [];
+
+        for (const week of LeavePlanner.getAffectedWeeks(changes)) {
+            const isCurrent = week.year === current.year && week.weekNumber === current.weekNumber;
+            // Niezapisane tygodnie dostaną urlop przy utworzeniu (createWeekState)
+            const state = isCurrent ? current : await window.electronAPI.loadWeek(week.year, week.weekNumber);
+            if (!state) continue;
+
+            const result = LeavePlanner.applyToWeek(state, changes);
+            if (result.changed) {
+                weeks.push({ before: state, after: result.state, isCurrent });
+            }
+        }
+        return weeks;
+    }
+
+    /**
+     * Sprawdza zmiany urlopów przed zapisem kartoteki.
+     * Gdy nowy urlop sprawiłby, że dzień przestanie spełniać reguły obsady,
+     * użytkownik musi to potwierdzić.
+     * @param {Object[]} changes - wynik LeavePlanner.diff
+     * @returns {Promise<boolean>} czy można zapisać
+     */
+    async confirmLeaveChanges(changes) {
+        const rules = this.settingsManager.getStaffingRules();
+        const holidayState = this.settingsManager.getHolidaySettings().state;
+        const warnings = [];
+
+        (await this.loadLeaveWeeks(changes)).forEach(({ before, after }) => {
+            const weekManager = new BoardStateManager();
+            weekManager.setState(before);
+            const statusBefore = weekManager.getColumnsStatus(rules, holidayState);
+            weekManager.setState(after);
+            weekManager.getColumnsStatus(rules, holidayState).forEach((status, index) => {
+                if (statusBefore[index].isValid && !status.isValid) {
+                    warnings.push(`Tydzień ${after.weekNumber}/${after.year}, ${DAYS_OF_WEEK[index]}: ${status.reason}`);
+                }
+            });
+        });
+
+        return warnings.length === 0 ||
+            confirm(`Zaplanowany urlop sprawi, że obsada nie będzie spełniać reguł:\n\n${warnings.join('\n')}\n\nZapisać mimo to?`);
+    }
+
+    /**
+     * Nakłada urlopy i zapisuje zmienione tygodnie. Wywoływane po zapisie kartoteki,
+     * więc tygodnie są wczytywane już ze zmienionymi nazwiskami. Bieżący tydzień
+     * zmieniany jest przez handleStateChange - jedna zmiana cofalna przez Ctrl+Z.
+     * @param {Object[]} changes - wynik LeavePlanner.diff
+     */
+    async commitLeaveChanges(changes) {
+        for (const { after, isCurrent } of await this.loadLeaveWeeks(changes)) {
+            if (isCurrent) {
+                this.handleStateChange('applyLeave', { state: after });
+            } else if (!(await window.electronAPI.saveWeek(after))) {
+                alert(`Nie udało się zapisać urlopów w tygodniu ${after.weekNumber}/${after.year}`);
+            }
+        }
+    }
+
     async saveState() {
         try {
             await window.electronAPI.saveState(this.boardManager.getState());
@@ -728,6 +1600,251 @@ class AppController {
         }
     }
 
+    /**
+     * Odświeża listę zapisanych tygodni w selektorze
+     */
+    async refreshSavedWeeks() {
+        try {
+            const savedWeeks = await window.electronAPI.listWeeks();
+            this.renderer.renderSavedWeeks(savedWeeks);
+        } catch (error) {
+            console.error('Błąd podczas pobierania listy tygodni:', error);
+        }
+    }
+
+    /**
+     * Przełącza grafik na inny tydzień.
+     * Przełączenia są wykonywane po kolei (szybkie klikanie ◀/▶, import, kopiowanie) -
+     * inaczej zapis i wczytanie dwóch tygodni mogłyby się przeplatać i zapisać tablicę
+     * jednego tygodnia pod kluczem innego.
+     * @param {number} year 
+     * @param {number} weekNumber 
+     * @returns {Promise<boolean>} czy tablica pokazuje żądany tydzień
+     */
+    changeWeek(year, weekNumber) {
+        const change = this.weekChangeQueue.then(() => this.switchWeek(year, weekNumber));
+        this.weekChangeQueue = change.catch(() => false);
+        return change;
+    }
+
+    /**
+     * Czy tablica pokazuje podany tydzień
+     * @param {number} year 
+     * @param {number} weekNumber 
+     * @returns {boolean}
+     */
+    isCurrentWeek(year, weekNumber) {
+        const state = this.boardManager.getState();
+        return state.year === year && state.weekNumber === weekNumber;
+    }
+
+    /**
+     * Przełączenie tygodnia (wywoływane tylko z kolejki changeWeek).
+     * Bieżący tydzień jest najpierw zapisywany, a historia undo/redo czyszczona,
+     * bo dotyczy wyłącznie tablicy poprzedniego tygodnia.
+     * @private
+     * @param {number} year 
+     * @param {number} weekNumber 
+     * @returns {Promise<boolean>} czy tablica pokazuje żądany tydzień
+     */
+    async switchWeek(year, weekNumber) {
+        if (this.isCurrentWeek(year, weekNumber)) {
+            this.renderer.updateWeekInputs();
+            return true;
+        }
+
+        this.isLoading = true;
+        try {
+            if (this.saveDebounceTimer) {
+                clearTimeout(this.saveDebounceTimer);
+                this.saveDebounceTimer = null;
+            }
+            await this.saveState();
+
+            const savedState = await window.electronAPI.loadWeek(year, weekNumber);
+            this.boardManager.setYearAndWeek(
+                year,
+                weekNumber,
+                savedState,
+                this.rosterManager.getActiveEmployees()
+            );
+            if (!savedState) {
+                // Nowy tydzień: domyślna obsada w święta
+                const holidaySettings = this.settingsManager.getHolidaySettings();
+                this.boardManager.applyHolidayRequiredWorkers(holidaySettings.state, holidaySettings.requiredWorkers);
+            }
+            this.historyManager.clear();
+            await this.loadPreviousWeek();
+
+            // Bez zapisu: przeglądany tydzień trafia do pliku dopiero po pierwszej zmianie
+            // (handleStateChange), więc listy i eksporty zapisanych tygodni go nie obejmują
+            this.renderer.render();
+            this.updateUndoRedoButtons();
+            await this.refreshSavedWeeks();
+        } catch (error) {
+            console.error('Błąd podczas zmiany tygodnia:', error);
+        } finally {
+            this.isLoading = false;
+        }
+        return this.isCurrentWeek(year, weekNumber);
+    }
+
+    async loadTemplates() {
+        try {
+            this.templates = await window.electronAPI.loadTemplates();
+        } catch (error) {
+            console.error('Błąd podczas wczytywania szablonów:', error);
+        }
+    }
+
+    /**
+     * Otwiera okno kopiowania tygodnia i szablonów
+     */
+    openCopyWeekDialog() {
+        const state = this.boardManager.getState();
+
+        new CopyWeekDialog({ year: state.year, weekNumber: state.weekNumber }, this.templates, {
+            onCopyWeek: (source, target) => this.copyWeek(source, target),
+            onApplyTemplate: (template) => this.applyTemplate(template),
+            onSaveTemplate: (name) => this.saveTemplate(name),
+            onDeleteTemplate: (id) => this.deleteTemplate(id)
+        }).open();
+    }
+
+    /**
+     * Kopiuje tydzień źródłowy na tydzień docelowy.
+     * Gdy tydzień docelowy nie jest bieżącym, tablica jest najpierw na niego przełączana,
+     * dzięki czemu kopiowanie zawsze można cofnąć (Ctrl+Z).
+     * @param {{year: number, weekNumber: number}} source 
+     * @param {{year: number, weekNumber: number}} target 
+     */
+    async copyWeek(source, target) {
+        const current = this.boardManager.getState();
+        let sourceState;
+        try {
+            sourceState = source.year === current.year && source.weekNumber === current.weekNumber
+                ? current
+                : await window.electronAPI.loadWeek(source.year, source.weekNumber);
+        } catch (error) {
+            console.error('Błąd podczas wczytywania tygodnia:', error);
+            sourceState = null;
+        }
+        if (!sourceState) {
+            alert(`Tydzień ${source.weekNumber}/${source.year} nie ma zapisanego planu`);
+            return;
+        }
+
+        if (!(await this.changeWeek(target.year, target.weekNumber))) {
+            alert(`Nie udało się przełączyć na tydzień ${target.weekNumber}/${target.year} - nic nie skopiowano`);
+            return;
+        }
+        this.applyTemplate(WeekTemplate.fromState(null, `${source.weekNumber}/${source.year}`, sourceState));
+    }
+
+    /**
+     * Nakłada szablon na bieżący tydzień i raportuje, czego nie udało się zastosować
+     * @param {Object} template 
+     */
+    applyTemplate(template) {
+        const absenceTypes = this.settingsManager.getAbsenceTypes();
+        const result = WeekTemplate.apply(
+            this.boardManager.getState(),
+            template,
+            (state) => AbsenceTypeRegistry.isAbsence(absenceTypes, state)
+        );
+
+        this.handleStateChange('applyTemplate', { state: result.state });
+
+        if (result.skipped.length > 0) {
+            alert(`Nie zastosowano wszystkiego z "${template.name}":\n\n${result.skipped.join('\n')}`);
+        }
+    }
+
+    /**
+     * Zapisuje bieżący tydzień jako szablon (nadpisuje szablon o tej samej nazwie)
+     * @param {string} name 
+     * @returns {Promise<Object[]|null>} lista szablonów lub null przy błędzie
+     */
+    async saveTemplate(name) {
+        const existing = this.templates.find(template => template.name.toLowerCase() === name.toLowerCase());
+        if (existing && !confirm(`Szablon "${existing.name}" już istnieje. Nadpisać?`)) {
+            return null;
+        }
+
+        const template = WeekTemplate.fromState(
+            existing ? existing.id : generateId('tpl'),
+            name,
+            this.boardManager.getState()
+        );
+        const templates = existing
+            ? this.templates.map(other => (other.id === existing.id ? template : other))
+            : [...this.templates, template];
+        return this.storeTemplates(templates);
+    }
+
+    /**
+     * @param {string} id 
+     * @returns {Promise<Object[]|null>}
+     */
+    async deleteTemplate(id) {
+        return this.storeTemplates(this.templates.filter(template => template.id !== id));
+    }
+
+    /**
+     * @param {Object[]} templates 
+     * @returns {Promise<Object[]|null>}
+     */
+    async storeTemplates(templates) {
+        const saved = await window.electronAPI.saveTemplates(templates);
+        if (!saved) {
+            alert('Nie udało się zapisać szablonów');
+            return null;
+        }
+        this.templates = templates;
+        return templates;
+    }
+
+    /**
+     * Otwiera widok miesiąca, do którego należy czwartek bieżącego tygodnia.
+     * Bieżący tydzień pokazywany jest ze stanu w pamięci (także niezapisanych zmian).
+     */
+    openMonthView() {
+        const state = this.boardManager.getState();
+        const thursday = this.boardManager.getWeekDates()[3];
+
+        new MonthViewDialog(
+            this.renderer,
+            this.settingsManager,
+            async (year, weekNumber) => {
+                if (year === state.year && weekNumber === state.weekNumber) {
+                    return this.boardManager.getState();
+                }
+                try {
+                    return await window.electronAPI.loadWeek(year, weekNumber);
+                } catch (error) {
+                    console.error('Błąd podczas wczytywania tygodnia:', error);
+                    return null;
+                }
+            },
+            (year, weekNumber) => this.changeWeek(year, weekNumber),
+            (monthView) => this.exportMonthPdf(monthView),
+            async ({ year, weekNumber, weekCount }) => {
+                await this.saveState();
+                await this.exportExcelRange({ year, weekNumber, weekCount, includeSummary: true });
+            }
+        ).open(thursday.getFullYear(), thursday.getMonth() + 1);
+    }
+
+    /**
+     * Przechodzi do poprzedniego/następnego tygodnia
+     * @param {number} offset - liczba tygodni (ujemna = wstecz)
+     */
+    shiftWeek(offset) {
+        const state = this.boardManager.getState();
+        const target = WeekDateCalculator.shiftWeek(state.year, state.weekNumber, offset);
+        this.changeWeek(target.year, target.weekNumber);
+    }
+
     debouncedSave() {
         if (this.saveDebounceTimer) {
             clearTimeout(this.saveDebounceTimer);
@@ -752,8 +1869,35 @@ class AppController {
             this.redo();
         });
 
+        // Kopiowanie tygodnia i szablony
+        document.getElementById('btn-copy-week').addEventListener('click', () => {
+            this.openCopyWeekDialog();
+        });
+
+        // Widok miesiąca
+        document.getElementById('btn-month-view').addEventListener('click', () => {
+            this.openMonthView();
+        });
+
+        // Automatyczne wypełnianie tygodnia
+        document.getElementById('btn-auto-fill').addEventListener('click', () => {
+            this.autoFill();
+        });
+
+        // Kartoteka pracowników
+        document.getElementById('btn-roster').addEventListener('click', () => {
+            this.openRosterDialog();
+        });
+
+        // Ustawienia
+        document.getElementById('btn-settings').addEventListener('click', () => {
+            this.openSettingsDialog();
+        });
+
         // Skróty klawiszowe
         document.addEventListener('keydown', (e) => {
+            if (ModalDialog.isAnyOpen()) return;
+
             if (e.ctrlKey && e.key === 'z') {
                 e.preventDefault();
                 this.undo();
@@ -763,9 +1907,11 @@ class AppController {
             }
         });
 
-        // Zapisz przed zamknięciem
+        // Zapisz przed zamknięciem (pomijane po przywróceniu kopii zapasowej)
         window.addEventListener('beforeunload', () => {
-            this.saveState();
+            if (!this.skipSaveOnUnload) {
+                this.saveState();
+            }
         });
 
         // Obsługa zmiany roku i tygodnia
@@ -774,46 +1920,383 @@ class AppController {
 
         yearInput.addEventListener('change', (e) => {
             const year = parseInt(e.target.value);
-            const week = parseInt(weekInput.value);
+            const week = Math.min(parseInt(weekInput.value), WeekDateCalculator.getWeeksInYear(year));
             if (year >= 2020 && year <= 2099) {
-                this.handleStateChange('setYearAndWeek', { year, weekNumber: week });
+                this.changeWeek(year, week);
             }
         });
 
         weekInput.addEventListener('change', (e) => {
             const year = parseInt(yearInput.value);
             const week = parseInt(e.target.value);
-            if (week >= 1 && week <= 53) {
-                this.handleStateChange('setYearAndWeek', { year, weekNumber: week });
+            if (week >= 1 && week <= WeekDateCalculator.getWeeksInYear(year)) {
+                this.changeWeek(year, week);
             }
         });
 
+        // Nawigacja między tygodniami
+        document.getElementById('btn-prev-week').addEventListener('click', () => {
+            this.shiftWeek(-1);
+        });
+
+        document.getElementById('btn-next-week').addEventListener('click', () => {
+            this.shiftWeek(1);
+        });
+
+        document.getElementById('saved-weeks-select').addEventListener('change', (e) => {
+            const [year, week] = e.target.value.split('-').map(Number);
+            this.changeWeek(year, week);
+        });
+
         // Przycisk generowania Excel
         document.getElementById('btn-generate-excel').addEventListener('click', () => {
             this.generateExcel();
         });
+
+        // Eksport zakresu tygodni do jednego skoroszytu
+        document.getElementById('btn-excel-range').addEventListener('click', () => {
+            this.openExcelRangeExport();
+        });
+
+        // Import grafiku z pliku Excel
+        document.getElementById('btn-import-excel').addEventListener('click', () => {
+            this.importExcel();
+        });
+
+        // Eksport do PDF
+        document.getElementById('btn-export-pdf').addEventListener('click', () => {
+            this.exportPdf();
+        });
+
+        // Eksport kalendarza .ics
+        document.getElementById('btn-export-ics').addEventListener('click', () => {
+            this.openCalendarExport();
+        });
+
+        // Kopie zapasowe danych
+        document.getElementById('btn-backups').addEventListener('click', () => {
+            this.openBackupDialog();
+        });
+
+        // Eksport i import CSV
+        document.getElementById('btn-csv').addEventListener('click', () => {
+            this.openCsvMenu();
+        });
+    }
+
+    /**
+     * Zmiana, na której pracownik wiersza może pracować w danym dniu
+     * @param {Object} row 
+     * @param {number} columnIndex 
+     * @returns {string|null} id zmiany lub null gdy pracownik jest niedostępny
+     */
+    pickShiftId(row, columnIndex) {
+        const availability = this.rosterManager.getAvailability(row.employeeId);
+        const shifts = this.settingsManager.getShifts();
+        if (!availability) {
+            return ShiftCatalog.getDefaultShift(shifts).id;
+        }
+        const date = this.boardManager.getWeekDates()[columnIndex];
+        return EmployeeAvailability.pickShiftId(availability, date, columnIndex, shifts);
+    }
+
+    /**
+     * Ostrzega, gdy kafelek "Praca" narusza dostępność zadeklarowaną w kartotece
+     * @param {number} rowIndex 
+     * @param {number} columnIndex 
+     */
+    warnAvailabilityConflict(rowIndex, columnIndex) {
+        const row = this.boardManager.getState().rows[rowIndex];
+        const availability = row ? this.rosterManager.getAvailability(row.employeeId) : null;
+        if (!availability) return;
+
+        const date = this.boardManager.getWeekDates()[columnIndex];
+        const conflict = EmployeeAvailability.checkTile(
+            availability,
+            row.tiles[columnIndex],
+            date,
+            this.settingsManager.getShifts()
+        );
+        if (conflict) {
+            this.renderer.showNotice(`${row.header}: ${conflict}`);
+        }
+    }
+
+    /**
+     * Automatycznie wypełnia tydzień kafelkami "Praca" tak, aby kolumny spełniały reguły obsady.
+     * Gdy pełny przydział nie istnieje, użytkownik dostaje listę problemów
+     * i może zastosować przydział częściowy. Zmiana jest cofalna (Ctrl+Z).
+     */
+    autoFill() {
+        const result = ScheduleGenerator.generate(this.boardManager.getState(), {
+            rules: this.settingsManager.getStaffingRules(),
+            holidayState: this.settingsManager.getHolidaySettings().state,
+            shifts: this.settingsManager.getShifts(),
+            getTargetHours: (row) => {
+                const employee = row.employeeId ? this.rosterManager.getById(row.employeeId) : null;
+                return employee ? employee.weeklyHours : null;
+            },
+            isAvailable: (row, columnIndex) => this.pickShiftId(row, columnIndex) !== null,
+            pickShiftId: (row, columnIndex) => this.pickShiftId(row, columnIndex)
+        });
+
+        if (!result.feasible) {
+            const details = result.problems
+                .map(problem => `${DAYS_OF_WEEK[problem.columnIndex]}: ${problem.reason}`)
+                .join('\n');
+            const message = `Nie istnieje przydział spełniający wymagania wszystkich dni:\n\n${details}`;
+
+            if (result.assignments.length === 0) {
+                alert(message);
+                return;
+            }
+            if (!confirm(`${message}\n\nZastosować przydział częściowy?`)) {
+                return;
+            }
+        } else if (result.assignments.length === 0) {
+            alert('Wszystkie dni są już obsadzone zgodnie z wymaganiami');
+            return;
+        }
+
+        this.handleStateChange('autoFill', { assignments: result.assignments });
     }
 
     /**
      * Generuje plik Excel z aktualnym stanem tablicy
      */
     async generateExcel() {
+        await this.reportExport('Excel', window.electronAPI.generateExcel(this.boardManager.getState()));
+    }
+
+    /**
+     * Otwiera okno eksportu zakresu tygodni do jednego skoroszytu
+     */
+    openExcelRangeExport() {
+        const state = this.boardManager.getState();
+
+        new ExcelRangeDialog({ year: state.year, weekNumber: state.weekNumber }, async ({ separateFiles, ...options }) => {
+            await this.saveState();
+            if (separateFiles) {
+                await this.exportExcelBatch(options);
+            } else {
+                await this.exportExcelRange(options);
+            }
+            return true;
+        }).open();
+    }
+
+    /**
+     * Zapisuje każdy tydzień zakresu do osobnego pliku w folderze eksportu i raportuje wynik
+     * @param {{year: number, weekNumber: number, weekCount: number, overwrite: boolean}} options
+     */
+    async exportExcelBatch(options) {
+        const result = await this.reportExport('Excel', window.electronAPI.exportExcelBatch(options));
+        if (!result) return;
+
+        const lines = [`Zapisane pliki (${result.written.length}) w folderze ${result.folder}:`];
+        lines.push(...(result.written.length > 0 ? result.written : ['—']));
+        if (result.skipped.length > 0) {
+            lines.push('', `Pominięte (${result.skipped.length}):`);
+            lines.push(...result.skipped.map(({ fileName, reason }) => `${fileName}: ${reason}`));
+        }
+        alert(lines.join('\n'));
+    }
+
+    /**
+     * Eksportuje zapisane tygodnie zakresu do jednego skoroszytu (arkusz na tydzień)
+     * @param {{year: number, weekNumber: number, weekCount: number, includeSummary: boolean}} options
+     */
+    async exportExcelRange(options) {
+        const result = await this.reportExport('Excel', window.electronAPI.generateExcelRange(options));
+        if (result) {
+            this.renderer.showNotice(`Zapisano ${result.sheetCount} tyg. w jednym pliku Excel`);
+        }
+    }
+
+    /**
+     * Importuje grafik z pliku Excel wygenerowanego przez aplikację.
+     * Ze skoroszytu z kilkoma arkuszami tygodni użytkownik wybiera jeden tydzień.
+     */
+    async importExcel() {
+        let result;
         try {
-            const boardState = this.boardManager.getState();
-            const result = await window.electronAPI.generateExcel(boardState);
+            result = await window.electronAPI.importExcel();
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+        if (result.canceled) return;
+        if (!result.success) {
+            alert(`Błąd podczas importu pliku Excel: ${result.error}`);
+            return;
+        }
+
+        if (result.weeks.length === 1) {
+            await this.applyExcelWeek(result.fileName, result.weeks[0], result.issues);
+            return;
+        }
+        new ExcelSheetDialog(result.fileName, result.weeks, result.issues, week => {
+            this.applyExcelWeek(result.fileName, week, []);
+        }).open();
+    }
+
+    /**
+     * Po potwierdzeniu przełącza na tydzień z pliku i zastępuje jego wiersze
+     * (jedna zmiana - cofalna przez Ctrl+Z); wiersze są wiązane z kartoteką po nazwie.
+     * @param {string} fileName - nazwa pliku
+     * @param {Object} week - tydzień odczytany z arkusza ({year, weekNumber, rows, issues})
+     * @param {string[]} sheetIssues - uwagi o pominiętych arkuszach
+     */
+    async applyExcelWeek(fileName, week, sheetIssues) {
+        const allIssues = [...sheetIssues, ...week.issues];
+        const issues = allIssues.length > 0
+            ? `\n\nNie wszystko udało się odczytać (${allIssues.length}):\n` +
+                allIssues.slice(0, 20).join('\n') + (allIssues.length > 20 ? '\n…' : '')
+            : '';
+        const message = `${fileName}: tydzień ${week.weekNumber}/${week.year}, ` +
+            `${week.rows.length} pracowników.${issues}\n\n` +
+            'Zastąpić wiersze tego tygodnia danymi z pliku? Import można cofnąć (Ctrl+Z).';
+        if (!confirm(message)) return;
+
+        if (!(await this.changeWeek(week.year, week.weekNumber))) {
+            alert(`Nie udało się przełączyć na tydzień ${week.weekNumber}/${week.year} - nic nie zaimportowano`);
+            return;
+        }
+
+        const state = this.boardManager.getState();
+        const linkedIds = new Set();
+        state.rows = week.rows.map((row, rowIndex) => {
+            const employee = this.rosterManager.findByName(row.header);
+            const employeeId = employee && !linkedIds.has(employee.id) ? employee.id : null;
+            if (employeeId) linkedIds.add(employeeId);
+
+            return {
+                index: rowIndex,
+                header: employeeId ? employee.name : row.header,
+                employeeId,
+                includedInCalculations: row.includedInCalculations,
+                tiles: row.tiles.map((tile, columnIndex) => ({ ...tile, rowIndex, columnIndex }))
+            };
+        });
+        this.handleStateChange('importExcel', { state });
+    }
+
+    /**
+     * Eksportuje bieżący tydzień do PDF
+     */
+    async exportPdf() {
+        await this.reportExport('PDF', window.electronAPI.exportPdf(this.boardManager.getState()));
+    }
+
+    /**
+     * Eksportuje widok miesiąca do PDF
+     * @param {{year: number, month: number, weeks: Object[], totals: Object[]}} monthView
+     */
+    async exportMonthPdf(monthView) {
+        await this.reportExport('PDF', window.electronAPI.exportMonthPdf(monthView));
+    }
+
+    /**
+     * Otwiera okno eksportu kalendarza .ics (zapisuje najpierw bieżący tydzień)
+     */
+    openCalendarExport() {
+        const state = this.boardManager.getState();
+
+        new CalendarExportDialog(
+            { year: state.year, weekNumber: state.weekNumber },
+            state.rows,
+            async (options) => {
+                await this.saveState();
+                const result = await this.reportExport('kalendarza', window.electronAPI.exportIcs(options));
+                if (result) {
+                    this.renderer.showNotice(`Zapisano ${result.eventCount} wydarzeń w ${result.fileCount} ` +
+                        `${result.fileCount === 1 ? 'pliku' : 'plikach'} .ics`);
+                }
+                return true;
+            }
+        ).open();
+    }
+
+    /**
+     * Okno wyboru: eksport bieżącego tygodnia do CSV lub import z pliku CSV
+     */
+    openCsvMenu() {
+        const content = document.createElement('div');
+        content.className = 'settings-dialog';
+        const note = document.createElement('p');
+        note.className = 'settings-note';
+        note.textContent = 'Plik CSV zawiera jeden rekord na dzień pracownika: pracownik, data, stan, zmiana ' +
+            'z godzinami i uwzględnianie w wyliczeniach. Import pokazuje podgląd zmian przed zastosowaniem.';
+        content.appendChild(note);
+
+        new ModalDialog('CSV', content, [
+            { label: 'Anuluj' },
+            { label: 'Importuj z CSV…', onClick: () => this.importCsv() },
+            { label: 'Eksportuj tydzień', className: 'btn-primary', onClick: () => this.exportCsv() }
+        ]).open();
+    }
+
+    /**
+     * Eksportuje bieżący tydzień do CSV
+     */
+    async exportCsv() {
+        const result = await this.reportExport('CSV', window.electronAPI.exportCsv(this.boardManager.getState()));
+        if (result) {
+            this.renderer.showNotice(`Zapisano ${result.filePath}`);
+        }
+    }
+
+    /**
+     * Wczytuje plik CSV i otwiera podgląd importu do bieżącego tygodnia
+     * (import to jedna zmiana - cofalna przez Ctrl+Z)
+     */
+    async importCsv() {
+        const result = await window.electronAPI.openCsv();
+        if (result.canceled) return;
+        if (!result.success) {
+            alert(`Błąd podczas wczytywania pliku CSV: ${result.error}`);
+            return;
+        }
+
+        const records = CsvSchedule.parse(result.content);
+        if (records.length < 2) {
+            alert('Plik CSV nie zawiera rekordów (pierwsza linia musi być nagłówkiem)');
+            return;
+        }
+
+        new CsvImportDialog(result.fileName, records, {
+            state: this.boardManager.getState(),
+            shifts: this.settingsManager.getShifts(),
+            absenceTypes: this.settingsManager.getAbsenceTypes(),
+            roster: this.rosterManager.getEmployees()
+        }, (state) => {
+            this.handleStateChange('importCsv', { state });
+        }).open();
+    }
+
+    /**
+     * Czeka na wynik eksportu i zgłasza błąd
+     * @param {string} format - nazwa formatu w komunikacie
+     * @param {Promise<Object>} request - wynik wywołania IPC { success, canceled, filePath, error }
+     * @returns {Promise<Object|null>} wynik udanego eksportu lub null
+     */
+    async reportExport(format, request) {
+        try {
+            const result = await request;
 
             if (result.success) {
-                console.log('Plik Excel wygenerowany:', result.filePath);
+                console.log(`Plik ${format} wygenerowany:`, result.filePath);
+                return result;
             } else if (result.canceled) {
-                console.log('Generowanie anulowane przez użytkownika');
+                console.log('Eksport anulowany przez użytkownika');
             } else {
-                console.error('Błąd generowania:', result.error);
-                alert('Błąd podczas generowania pliku Excel: ' + result.error);
+                console.error('Błąd eksportu:', result.error);
+                alert(`Błąd podczas generowania pliku ${format}: ${result.error}`);
             }
         } catch (error) {
-            console.error('Błąd generowania Excel:', error);
-            alert('Błąd podczas generowania pliku Excel: ' + error.message);
+            console.error(`Błąd eksportu ${format}:`, error);
+            alert(`Błąd podczas generowania pliku ${format}: ${error.message}`);
         }
+        return null;
     }
 
     handleStateChange(action, data) {
@@ -829,27 +2312,47 @@ class AppController {
             case 'removeRow':
                 this.boardManager.removeRow(data.rowIndex);
                 break;
-            case 'setRowHeader':
-                this.boardManager.setRowHeader(data.rowIndex, data.value);
+            case 'setRowHeader': {
+                // Nazwa z kartoteki wiąże wiersz z pracownikiem
+                const employee = this.rosterManager.findByName(data.value);
+                if (employee && !this.boardManager.hasEmployee(employee.id)) {
+                    this.boardManager.setRowEmployee(data.rowIndex, employee);
+                } else {
+                    this.boardManager.setRowHeader(data.rowIndex, data.value);
+                }
                 break;
+            }
             case 'setRowIncluded':
                 this.boardManager.setRowIncluded(data.rowIndex, data.value);
                 break;
             case 'toggleTile':
-                this.boardManager.toggleTileState(data.rowIndex, data.columnIndex);
+                this.boardManager.toggleTileState(
+                    data.rowIndex,
+                    data.columnIndex,
+                    this.settingsManager.getStateCycle()
+                );
+                break;
+            case 'setTile':
+                this.boardManager.setTileState(data.rowIndex, data.columnIndex, data.state, data.shiftId);
                 break;
             case 'setColumnRequired':
                 this.boardManager.setColumnRequiredWorkers(data.columnIndex, data.value);
                 break;
+            case 'autoFill':
+                this.boardManager.applyAssignments(data.assignments);
+                break;
+            case 'applyTemplate':
+            case 'applyLeave':
+            case 'importCsv':
+            case 'importExcel':
+                this.boardManager.setState(data.state);
+                break;
             case 'moveRowUp':
                 this.boardManager.moveRowUp(data.rowIndex);
                 break;
             case 'moveRowDown':
                 this.boardManager.moveRowDown(data.rowIndex);
                 break;
-            case 'setYearAndWeek':
-                this.boardManager.setYearAndWeek(data.year, data.weekNumber);
-                break;
             default:
                 console.warn('Nieznana akcja:', action);
                 return;
@@ -862,6 +2365,10 @@ class AppController {
         this.renderer.render();
         this.updateUndoRedoButtons();
 
+        if (action === 'toggleTile' || action === 'setTile') {
+            this.warnAvailabilityConflict(data.rowIndex, data.columnIndex);
+        }
+
         // Zapisz stan
         this.debouncedSave();
     }
@@ -1,13 +1,32 @@
 const ExcelJS = require('exceljs');
+const fs = require('fs');
 const path = require('path');
+const ExcelLayoutBuilder = require('./ExcelLayoutBuilder');
+const ShiftCatalog = require('../models/ShiftCatalog');
+const AbsenceTypeRegistry = require('../models/AbsenceTypeRegistry');
+const HolidayCalculator = require('../models/HolidayCalculator');
+const ExcelProfile = require('../models/ExcelProfile');
+const ExportSettings = require('../models/ExportSettings');
+const WorkHoursCalculator = require('../models/WorkHoursCalculator');
+const ComplianceChecker = require('../models/ComplianceChecker');
 
 /**
  * Klasa odpowiedzialna za generowanie plików Excel na podstawie szablonu
  * Single Responsibility: tylko generowanie Excel
+ *
+ * Położenie sekcji i dat w arkuszu oraz tekst nagłówka pochodzą z profilu eksportu (ExcelProfile).
+ * Profil bez własnego pliku używa wbudowanego szablonu, a gdy i jego nie ma -
+ * układ arkusza budowany jest w kodzie (ExcelLayoutBuilder).
  */
 class ExcelGenerator {
-    constructor() {
-        this.templatePath = path.join(__dirname, '../templates/GrafikTemplate.xlsx');
+    /**
+     * @param {Object} profile - profil eksportu (domyślnie ExcelProfile.DEFAULT_PROFILE)
+     */
+    constructor(profile = ExcelProfile.DEFAULT_PROFILE) {
+        this.defaultTemplatePath = path.join(__dirname, '../templates/GrafikTemplate.xlsx');
+        this.profile = profile;
+        this.templatePath = profile.templatePath || this.defaultTemplatePath;
+        this.headerText = profile.headerText || '';
 
         // Niemieckie nazwy miesięcy
         this.germanMonths = [
@@ -15,49 +34,83 @@ class ExcelGenerator {
             'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'
         ];
 
-        // Konfiguracja sekcji pracowników
-        this.FIRST_SECTION_START_ROW = 4;
-        this.SECTION_HEIGHT = 3;
-        this.LAST_SECTION_START_ROW = 85; // A85:J87
-        this.DAYS_START_COLUMN = 3; // kolumna C
-        this.DAYS_END_COLUMN = 9; // kolumna I
-        this.NAME_COLUMN = 1; // kolumna A
+        // Konfiguracja sekcji pracowników (domyślnie: A4:J6, A7:J9, ..., A85:J87)
+        const layout = ExcelProfile.getLayout(profile);
+        this.FIRST_SECTION_START_ROW = layout.firstSectionStartRow;
+        this.SECTION_HEIGHT = layout.sectionHeight;
+        this.LAST_SECTION_START_ROW = layout.lastSectionStartRow; // ostatnia sekcja szablonu, wzór dla dodatkowych sekcji
+        this.HEADER_ROWS = layout.headerRows; // wiersze nagłówka powtarzane na każdej stronie wydruku
+        this.DAYS_START_COLUMN = layout.daysStartColumn;
+        this.DAYS_END_COLUMN = layout.daysEndColumn;
+        this.NAME_COLUMN = layout.nameColumn;
+        this.DATE_ROW = layout.dateRow;
+        this.DATE_START_COLUMN = layout.dateColumn;
 
         // Kolory formatowania warunkowego
         this.COLOR_EXCLUDED = 'C6EFCE'; // pracownik niebrany pod uwagę
         this.COLOR_INCLUDED = 'FFCC99'; // pracownik brany pod uwagę / pusta sekcja
+        this.COLOR_SUMMARY_HEADER = 'B7DEE8'; // nagłówek arkusza podsumowania (jak nazwy dni)
+
+        this.SUMMARY_SHEET_NAME = 'Summe';
+
+        // Godziny przerwy w wierszu "Pause", np. "13.00-14.30"
+        this.BREAK_TEXT_PATTERN = /^\d{1,2}[.:]\d{2}\s*[-–]\s*\d{1,2}[.:]\d{2}$/;
+
+        // Formuła wiersza pomocniczego sekcji: IF(NOT(OR(C4="U", C4="A", C4="")), "Zeit eintragen", "")
+        this.HELPER_FORMULA_PATTERN = /^IF\(NOT\(OR\((.+)\)\),\s*"((?:[^"]|"")*)",\s*""\)$/;
     }
 
     /**
      * Generuje plik Excel na podstawie stanu tablicy
      * @param {Object} boardState - stan tablicy z danymi pracowników
      * @param {string} outputPath - ścieżka do zapisu pliku
+     * @param {Object} settings - ustawienia aplikacji (katalog zmian, typy nieobecności, święta)
      * @returns {Promise<boolean>} - czy operacja się powiodła
      */
-    async generateExcel(boardState, outputPath) {
+    async generateExcel(boardState, outputPath, settings = {}) {
         try {
-            // Wczytaj szablon
-            const workbook = new ExcelJS.Workbook();
-            await workbook.xlsx.readFile(this.templatePath);
+            // Wczytaj szablon lub zbuduj układ w kodzie
+            const workbook = await this.loadWorkbook(settings.absenceTypes);
 
             const worksheet = workbook.worksheets[0];
+            this.fillWorksheet(worksheet, boardState, settings);
 
-            // Oblicz daty dla wybranego tygodnia
-            const weekDates = this.getWeekDates(boardState.year, boardState.weekNumber);
+            // Zapisz plik z zachowaniem formatowania
+            await workbook.xlsx.writeFile(outputPath);
 
-            // Wypełnij nagłówek/stopkę z miesiącem i rokiem
-            this.fillHeaderFooter(worksheet, weekDates);
+            return true;
+        } catch (error) {
+            console.error('Błąd podczas generowania Excel:', error);
+            throw error;
+        }
+    }
 
-            // Wypełnij daty w nagłówku (C2:I2)
-            this.fillHeaderDates(worksheet, weekDates);
+    /**
+     * Generuje jeden skoroszyt z arkuszem dla każdego tygodnia
+     * i opcjonalnym arkuszem podsumowania godzin pracowników
+     * @param {Object[]} weekStates - stany tygodni (w kolejności arkuszy)
+     * @param {string} outputPath - ścieżka do zapisu pliku
+     * @param {Object} settings - ustawienia aplikacji
+     * @param {Object} options
+     * @param {boolean} options.includeSummary - czy dodać arkusz "Summe"
+     * @returns {Promise<boolean>}
+     */
+    async generateWorkbook(weekStates, outputPath, settings = {}, { includeSummary = false } = {}) {
+        try {
+            const workbook = new ExcelJS.Workbook();
 
-            // Wypełnij sekcje pracowników
-            this.fillEmployeeSections(worksheet, boardState.rows);
+            // Każdy tydzień wypełniany jest we własnej kopii szablonu, a potem przenoszony do skoroszytu
+            for (const state of weekStates) {
+                const template = await this.loadWorkbook(settings.absenceTypes);
+                const source = template.worksheets[0];
+                this.fillWorksheet(source, state, settings);
+                this.copyWorksheet(source, workbook, this.getSheetName(state));
+            }
 
-            // Dodaj formatowanie warunkowe dla wszystkich sekcji
-            this.applyConditionalFormatting(worksheet, boardState.rows);
+            if (includeSummary) {
+                this.addSummarySheet(workbook, weekStates, settings);
+            }
 
-            // Zapisz plik z zachowaniem formatowania
             await workbook.xlsx.writeFile(outputPath);
 
             return true;
@@ -67,6 +120,228 @@ class ExcelGenerator {
         }
     }
 
+    /**
+     * Wypełnia arkusz szablonu danymi tygodnia
+     * @param {ExcelJS.Worksheet} worksheet - arkusz z układem szablonu
+     * @param {Object} boardState - stan tygodnia
+     * @param {Object} settings - ustawienia (katalog zmian, typy nieobecności, święta)
+     */
+    fillWorksheet(worksheet, boardState, settings = {}) {
+        // Oblicz daty dla wybranego tygodnia
+        const weekDates = this.getWeekDates(boardState.year, boardState.weekNumber);
+
+        // Wypełnij nagłówek/stopkę z miesiącem i rokiem
+        this.fillHeaderFooter(worksheet, weekDates);
+
+        // Wypełnij daty w nagłówku (domyślnie C2:I2), z nazwami świąt
+        const holidayState = settings.holidays ? settings.holidays.state : null;
+        this.fillHeaderDates(worksheet, weekDates, HolidayCalculator.getHolidaysForDates(weekDates, holidayState));
+
+        // Dodaj sekcje, jeśli pracowników jest więcej niż w szablonie
+        this.ensureSectionCapacity(worksheet, boardState.rows.length);
+
+        // Wypełnij sekcje pracowników
+        this.fillEmployeeSections(worksheet, boardState.rows, settings);
+
+        // Dopasuj formuły wierszy pomocniczych do rejestru nieobecności i przerw zmian
+        this.updateHelperRows(worksheet, boardState.rows, settings);
+
+        // Dodaj formatowanie warunkowe dla wszystkich sekcji
+        this.applyConditionalFormatting(worksheet, boardState.rows, settings.absenceTypes);
+    }
+
+    /**
+     * Przenosi wypełniony arkusz do innego skoroszytu (style, scalenia,
+     * formatowanie warunkowe, ustawienia wydruku i podziały stron)
+     * @param {ExcelJS.Worksheet} source
+     * @param {ExcelJS.Workbook} workbook - skoroszyt docelowy
+     * @param {string} name - nazwa nowego arkusza
+     * @returns {ExcelJS.Worksheet}
+     */
+    copyWorksheet(source, workbook, name) {
+        const worksheet = workbook.addWorksheet(name);
+        const model = source.model;
+        worksheet.model = { ...model, name, mergeCells: model.merges };
+        worksheet.rowBreaks = [...source.rowBreaks];
+        return worksheet;
+    }
+
+    /**
+     * Nazwa arkusza tygodnia, np. "KW 10 2026"
+     * @param {Object} state - stan tygodnia
+     * @returns {string}
+     */
+    getSheetName(state) {
+        return `KW ${state.weekNumber} ${state.year}`;
+    }
+
+    /**
+     * Dodaje arkusz "Summe": godziny pracownika w każdym tygodniu, suma godzin,
+     * dni pracy i liczba dni nieobecności według kodów
+     * @param {ExcelJS.Workbook} workbook
+     * @param {Object[]} weekStates
+     * @param {Object} settings
+     * @returns {ExcelJS.Worksheet}
+     */
+    addSummarySheet(workbook, weekStates, settings = {}) {
+        const absenceCodes = AbsenceTypeRegistry.getCodes(settings.absenceTypes);
+        const employees = [];
+
+        weekStates.forEach((state, weekIndex) => {
+            state.rows.forEach(row => {
+                if (!(row.header || '').trim()) return;
+
+                let employee = employees.find(candidate => ComplianceChecker.findMatchingRow({ rows: [candidate] }, row));
+                if (!employee) {
+                    employee = {
+                        employeeId: row.employeeId || null,
+                        header: row.header,
+                        weekHours: weekStates.map(() => null),
+                        days: 0,
+                        absences: {}
+                    };
+                    employees.push(employee);
+                }
+
+                employee.weekHours[weekIndex] = (employee.weekHours[weekIndex] || 0) +
+                    WorkHoursCalculator.getRowHours(row, settings.shifts);
+                row.tiles.forEach(tile => {
+                    if (tile.state === 'Praca') {
+                        employee.days++;
+                    } else if (absenceCodes.includes(tile.state)) {
+                        employee.absences[tile.state] = (employee.absences[tile.state] || 0) + 1;
+                    }
+                });
+            });
+        });
+
+        // Kolumny nieobecności tylko dla kodów występujących w zakresie
+        const usedCodes = absenceCodes.filter(code => employees.some(employee => employee.absences[code]));
+
+        const worksheet = workbook.addWorksheet(this.SUMMARY_SHEET_NAME);
+        worksheet.columns = [
+            { header: 'Mitarbeiter', key: 'header', width: 28 },
+            ...weekStates.map((state, index) => ({ header: `KW ${state.weekNumber}`, key: `week${index}`, width: 10 })),
+            { header: 'Stunden gesamt', key: 'hours', width: 16 },
+            { header: 'Arbeitstage', key: 'days', width: 12 },
+            ...usedCodes.map(code => ({ header: code, key: `absence-${code}`, width: 8 }))
+        ];
+
+        employees.forEach(employee => {
+            const values = { header: employee.header, days: employee.days };
+            employee.weekHours.forEach((hours, index) => {
+                values[`week${index}`] = hours;
+            });
+            values.hours = employee.weekHours.reduce((sum, hours) => sum + (hours || 0), 0);
+            usedCodes.forEach(code => {
+                values[`absence-${code}`] = employee.absences[code] || 0;
+            });
+            worksheet.addRow(values);
+        });
+
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true };
+        headerRow.eachCell(cell => {
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${this.COLOR_SUMMARY_HEADER}` } };
+            cell.border = { bottom: { style: 'thin' } };
+        });
+        for (let column = 2; column <= weekStates.length + 2; column++) {
+            worksheet.getColumn(column).numFmt = '0.0#';
+        }
+        worksheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 1 }];
+
+        return worksheet;
+    }
+
+    /**
+     * Wczytuje szablon, a gdy pliku nie ma - tworzy skoroszyt z wbudowanym układem
+     * @param {Object[]} absenceTypes - rejestr typów nieobecności
+     * @returns {Promise<ExcelJS.Workbook>}
+     */
+    async loadWorkbook(absenceTypes) {
+        if (!fs.existsSync(this.templatePath)) {
+            if (this.profile.templatePath) {
+                throw new Error(`Nie znaleziono szablonu: ${this.profile.templatePath}`);
+            }
+            return this.createLayoutBuilder().createWorkbook(this.getSkippedValues(absenceTypes));
+        }
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(this.templatePath);
+        return workbook;
+    }
+
+    /**
+     * Sprawdza profil i jego plik szablonu przed eksportem
+     * @returns {Promise<string[]>} lista błędów (pusta = można eksportować)
+     */
+    async validateTemplate() {
+        const errors = ExcelProfile.validate(this.profile);
+        if (errors.length > 0 || !this.profile.templatePath) {
+            return errors;
+        }
+
+        if (!fs.existsSync(this.profile.templatePath)) {
+            return [`Nie znaleziono szablonu: ${this.profile.templatePath}`];
+        }
+
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.readFile(this.profile.templatePath);
+        } catch (error) {
+            return [`Nie można odczytać szablonu ${path.basename(this.profile.templatePath)}: ${error.message}`];
+        }
+
+        const worksheet = workbook.worksheets[0];
+        if (!worksheet) {
+            return ['Szablon nie zawiera żadnego arkusza.'];
+        }
+
+        const lastSectionEndRow = this.LAST_SECTION_START_ROW + this.SECTION_HEIGHT - 1;
+        if (worksheet.rowCount < lastSectionEndRow) {
+            errors.push(`Szablon ma ${worksheet.rowCount} wierszy, a mapowanie wymaga ${lastSectionEndRow} ` +
+                `(${this.profile.sectionCount} sekcji po ${this.SECTION_HEIGHT} wiersze od wiersza ${this.FIRST_SECTION_START_ROW}).`);
+        }
+
+        // Komórki nadpisywane przy eksporcie nie mogą zawierać formuł szablonu
+        const overwrittenCells = [
+            [this.FIRST_SECTION_START_ROW, this.NAME_COLUMN],
+            ...[0, 1, 2, 3, 4, 5, 6].map(index => [this.DATE_ROW, this.DATE_START_COLUMN + index]),
+            ...[0, 1, 2, 3, 4, 5, 6].map(index => [this.FIRST_SECTION_START_ROW, this.DAYS_START_COLUMN + index])
+        ];
+        const formulaCells = overwrittenCells
+            .filter(([row, column]) => worksheet.getCell(row, column).formula)
+            .map(([row, column]) => this.getCellRef(row, column));
+        if (formulaCells.length > 0) {
+            errors.push(`Komórki ${formulaCells.join(', ')} zawierają formuły, a zostałyby nadpisane danymi grafiku.`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Builder wbudowanego układu o tej samej geometrii co szablon
+     * @returns {ExcelLayoutBuilder}
+     */
+    createLayoutBuilder() {
+        return new ExcelLayoutBuilder({
+            firstSectionStartRow: this.FIRST_SECTION_START_ROW,
+            sectionCount: this.getTotalSectionsCount(),
+            nameColumn: this.NAME_COLUMN,
+            daysStartColumn: this.DAYS_START_COLUMN,
+            headerRows: this.HEADER_ROWS
+        });
+    }
+
+    /**
+     * Wartości komórek dnia, które nie oznaczają pracy (puste, "A" i kody nieobecności)
+     * @param {Object[]} absenceTypes - rejestr typów nieobecności
+     * @returns {string[]}
+     */
+    getSkippedValues(absenceTypes) {
+        return ['', 'A', ...AbsenceTypeRegistry.getCodes(absenceTypes)];
+    }
+
     /**
      * Pobiera daty dla danego tygodnia w roku (ISO 8601)
      * @param {number} year - rok
@@ -121,23 +396,28 @@ class ExcelGenerator {
     }
 
     /**
-     * Wypełnia nagłówek datami (komórki C2:I2)
+     * Wypełnia nagłówek datami (domyślnie komórki C2:I2)
      * @param {ExcelJS.Worksheet} worksheet 
      * @param {Date[]} weekDates 
+     * @param {(Object|null)[]} holidays - święta równoległe do weekDates
      */
-    fillHeaderDates(worksheet, weekDates) {
-        // C2:I2 odpowiada kolumnom 3-9
-        const startColumn = 3; // C = 3
-
+    fillHeaderDates(worksheet, weekDates, holidays = []) {
         weekDates.forEach((date, index) => {
-            const cell = worksheet.getCell(2, startColumn + index);
-            cell.value = this.formatDateFull(date);
+            const cell = worksheet.getCell(this.DATE_ROW, this.DATE_START_COLUMN + index);
+            const holiday = holidays[index];
+            if (holiday) {
+                // Święto: nazwa pod datą
+                cell.value = `${this.formatDateFull(date)}\n${holiday.name}`;
+                cell.alignment = { ...cell.alignment, wrapText: true };
+            } else {
+                cell.value = this.formatDateFull(date);
+            }
         });
     }
 
     /**
      * Wypełnia nagłówek/stopkę Excel z miesiącem i rokiem
-     * Format: "Dienstplan Glanz Reinigungs-Service GmbH\n[month] [year]"
+     * Format: "[tekst nagłówka z profilu]\n[month] [year]"
      * @param {ExcelJS.Worksheet} worksheet 
      * @param {Date[]} weekDates 
      */
@@ -152,7 +432,9 @@ class ExcelGenerator {
         // Ustaw nagłówek środkowy z czcionką 14pt
         // &14 = rozmiar czcionki 14, &"-,Bold" = pogrubienie (opcjonalnie)
         // &C = środek
-        const headerText = `&C&14Dienstplan Glanz Reinigungs-Service GmbH\n${monthText} ${year}`;
+        // "&" w tekście trzeba podwoić, bo rozpoczyna kody formatowania
+        const title = this.headerText.replace(/&/g, '&&');
+        const headerText = `&C&14${title ? `${title}\n` : ''}${monthText} ${year}`;
 
         // ExcelJS używa headerFooter z oddFirst, oddHeader itp.
         worksheet.headerFooter = {
@@ -201,43 +483,107 @@ class ExcelGenerator {
 
     /**
      * Wypełnia sekcje pracowników
-     * Pierwsza sekcja: A4:J6, kolejne: A7:J9, A10:J12 itd.
+     * Domyślnie pierwsza sekcja: A4:J6, kolejne: A7:J9, A10:J12 itd.
      * @param {ExcelJS.Worksheet} worksheet 
      * @param {Array} rows - lista pracowników
+     * @param {Object} settings - ustawienia (katalog zmian, typy nieobecności)
      */
-    fillEmployeeSections(worksheet, rows) {
+    fillEmployeeSections(worksheet, rows, settings = {}) {
         rows.forEach((employee, employeeIndex) => {
-            const sectionStartRow = this.FIRST_SECTION_START_ROW + (employeeIndex * this.SECTION_HEIGHT);
+            const sectionStartRow = this.getSectionStartRow(employeeIndex);
 
             // Wpisz nazwę pracownika
             const nameCell = worksheet.getCell(sectionStartRow, this.NAME_COLUMN);
             nameCell.value = employee.header || '';
 
-            // Wypełnij dni tygodnia (C:I w pierwszym wierszu sekcji)
+            // Wypełnij dni tygodnia (domyślnie C:I w pierwszym wierszu sekcji)
             employee.tiles.forEach((tile, dayIndex) => {
                 const cell = worksheet.getCell(sectionStartRow, this.DAYS_START_COLUMN + dayIndex);
-                cell.value = this.getTileValue(tile.state);
+                cell.value = this.getTileValue(tile, settings.shifts, settings.absenceTypes);
             });
         });
     }
 
+    /**
+     * Przepisuje formuły wierszy pomocniczych sekcji ("Pause", "Zeit eintragen") - także w sekcjach
+     * skopiowanych przez cloneSection - tak, aby pomijały wszystkie wartości z getSkippedValues.
+     * Szablon wyklucza tylko "U", "A" i puste komórki, więc bez tego dni K, S, F czy UU
+     * dostawałyby przerwę i "Zeit eintragen". Przepisywane są formuły postaci
+     * IF(NOT(OR(<dzień>="..", ...)), "tekst", "") odwołujące się do komórki dnia sekcji.
+     * Godziny przerwy (wiersz "Pause") pochodzą ze zmiany kafelka; zmiana bez przerwy
+     * daje pustą komórkę, a dni bez zmiany - przerwę zmiany domyślnej.
+     * @param {ExcelJS.Worksheet} worksheet
+     * @param {Array} rows - lista pracowników
+     * @param {Object} settings - ustawienia (katalog zmian, typy nieobecności)
+     */
+    updateHelperRows(worksheet, rows, settings = {}) {
+        const skippedValues = this.getSkippedValues(settings.absenceTypes);
+        const defaultBreakText = ShiftCatalog.formatBreakRange(ShiftCatalog.getDefaultShift(settings.shifts));
+        const totalSections = Math.max(this.getTotalSectionsCount(), rows.length);
+        const updates = [];
+
+        // Najpierw odczyt wszystkich formuł - formuły współdzielone szablonu (np. D5:I5)
+        // są liczone z komórki głównej, więc nie można jej nadpisać przed odczytem pozostałych
+        for (let sectionIndex = 0; sectionIndex < totalSections; sectionIndex++) {
+            const sectionStartRow = this.getSectionStartRow(sectionIndex);
+            const employee = rows[sectionIndex];
+
+            for (let col = this.DAYS_START_COLUMN; col <= this.DAYS_END_COLUMN; col++) {
+                const dayRef = this.getCellRef(sectionStartRow, col);
+                const tile = employee ? employee.tiles[col - this.DAYS_START_COLUMN] : null;
+                const breakText = tile && tile.state === 'Praca'
+                    ? ShiftCatalog.formatBreakRange(ShiftCatalog.getShift(settings.shifts, tile.shiftId))
+                    : defaultBreakText;
+
+                for (let offset = 1; offset < this.SECTION_HEIGHT; offset++) {
+                    const cell = worksheet.getCell(sectionStartRow + offset, col);
+                    const text = this.getHelperText(cell.formula, dayRef);
+                    if (text !== null) {
+                        updates.push({ cell, dayRef, text: this.BREAK_TEXT_PATTERN.test(text) ? breakText : text });
+                    }
+                }
+            }
+        }
+
+        updates.forEach(({ cell, dayRef, text }) => {
+            cell.value = text
+                ? { formula: ExcelLayoutBuilder.buildHelperFormula(dayRef, text, skippedValues) }
+                : null;
+        });
+    }
+
+    /**
+     * Tekst formuły wiersza pomocniczego zależnej od podanej komórki dnia
+     * @param {string|undefined} formula
+     * @param {string} dayRef - komórka dnia, np. "C4"
+     * @returns {string|null} tekst wstawiany w dni pracy lub null dla innych formuł
+     */
+    getHelperText(formula, dayRef) {
+        const match = formula ? this.HELPER_FORMULA_PATTERN.exec(formula.trim()) : null;
+        if (!match) return null;
+
+        const references = match[1].split(',').map(condition => condition.split('=')[0].replace(/[\s$]/g, ''));
+        return references.every(reference => reference === dayRef) ? match[2].replace(/""/g, '"') : null;
+    }
+
     /**
      * Stosuje formatowanie warunkowe dla wszystkich sekcji pracowników
      * @param {ExcelJS.Worksheet} worksheet 
      * @param {Array} rows - lista pracowników
+     * @param {Object[]} absenceTypes - rejestr typów nieobecności
      */
-    applyConditionalFormatting(worksheet, rows) {
-        const totalSections = this.getTotalSectionsCount();
+    applyConditionalFormatting(worksheet, rows, absenceTypes) {
+        const totalSections = Math.max(this.getTotalSectionsCount(), rows.length);
 
         for (let sectionIndex = 0; sectionIndex < totalSections; sectionIndex++) {
-            const sectionStartRow = this.FIRST_SECTION_START_ROW + (sectionIndex * this.SECTION_HEIGHT);
+            const sectionStartRow = this.getSectionStartRow(sectionIndex);
             const employee = rows[sectionIndex];
 
             // Określ kolor: excluded (#C6EFCE) lub included/empty (#FFCC99)
             const isExcluded = employee && !employee.includedInCalculations;
             const bgColor = isExcluded ? this.COLOR_EXCLUDED : this.COLOR_INCLUDED;
 
-            this.addConditionalFormattingToRow(worksheet, sectionStartRow, bgColor);
+            this.addConditionalFormattingToRow(worksheet, sectionStartRow, bgColor, absenceTypes);
         }
     }
 
@@ -246,8 +592,12 @@ class ExcelGenerator {
      * @param {ExcelJS.Worksheet} worksheet 
      * @param {number} row - numer wiersza
      * @param {string} bgColor - kolor tła (hex bez #)
+     * @param {Object[]} absenceTypes - rejestr typów nieobecności (nie są kolorowane)
      */
-    addConditionalFormattingToRow(worksheet, row, bgColor) {
+    addConditionalFormattingToRow(worksheet, row, bgColor, absenceTypes) {
+        // Kolorowane są tylko godziny pracy - puste komórki, "A" i nieobecności nie
+        const skippedValues = this.getSkippedValues(absenceTypes);
+
         for (let col = this.DAYS_START_COLUMN; col <= this.DAYS_END_COLUMN; col++) {
             const cellRef = this.getCellRef(row, col);
 
@@ -255,7 +605,7 @@ class ExcelGenerator {
                 ref: cellRef,
                 rules: [{
                     type: 'expression',
-                    formulae: [`NOT(OR(${cellRef}="",${cellRef}="U",${cellRef}="A"))`],
+                    formulae: [ExcelLayoutBuilder.buildWorkingCondition(cellRef, skippedValues)],
                     style: {
                         fill: {
                             type: 'pattern',
@@ -275,8 +625,7 @@ class ExcelGenerator {
      * @returns {string}
      */
     getCellRef(row, col) {
-        const colLetter = String.fromCharCode(64 + col); // 3 -> C, 4 -> D, etc.
-        return `${colLetter}${row}`;
+        return `${ExcelProfile.getColumnLetter(col)}${row}`;
     }
 
     /**
@@ -288,36 +637,139 @@ class ExcelGenerator {
     }
 
     /**
-     * Konwertuje stan kafelka na wartość do Excela
-     * @param {string} tileState - stan kafelka (A, Praca, U)
+     * Numer pierwszego wiersza sekcji pracownika
+     * @param {number} sectionIndex 
+     * @returns {number}
+     */
+    getSectionStartRow(sectionIndex) {
+        return this.FIRST_SECTION_START_ROW + (sectionIndex * this.SECTION_HEIGHT);
+    }
+
+    /**
+     * Rozszerza arkusz o sekcje dla pracowników ponad pojemność szablonu.
+     * Nowe sekcje są kopią ostatniej sekcji szablonu (style, wysokości, formuły),
+     * a wydruk dzielony jest na strony o pojemności szablonu z powtarzanym nagłówkiem.
+     * @param {ExcelJS.Worksheet} worksheet 
+     * @param {number} employeeCount - liczba pracowników
+     */
+    ensureSectionCapacity(worksheet, employeeCount) {
+        const templateSections = this.getTotalSectionsCount();
+        if (employeeCount <= templateSections) {
+            return;
+        }
+
+        for (let sectionIndex = templateSections; sectionIndex < employeeCount; sectionIndex++) {
+            this.cloneSection(worksheet, this.LAST_SECTION_START_ROW, this.getSectionStartRow(sectionIndex));
+        }
+
+        // Podział na strony: każda strona mieści tyle sekcji co szablon
+        for (let sectionIndex = templateSections; sectionIndex < employeeCount; sectionIndex += templateSections) {
+            worksheet.getRow(this.getSectionStartRow(sectionIndex) - 1).addPageBreak();
+        }
+
+        worksheet.pageSetup = {
+            ...worksheet.pageSetup,
+            fitToPage: true,
+            fitToWidth: 1,
+            fitToHeight: 0, // dowolna liczba stron w pionie
+            printTitlesRow: this.HEADER_ROWS
+        };
+    }
+
+    /**
+     * Kopiuje sekcję pracownika (wszystkie jej wiersze) w nowe miejsce.
+     * Formuły odwołujące się do pierwszego wiersza sekcji są przepisywane na nową sekcję.
+     * @param {ExcelJS.Worksheet} worksheet 
+     * @param {number} sourceStartRow - pierwszy wiersz sekcji wzorcowej
+     * @param {number} targetStartRow - pierwszy wiersz nowej sekcji
+     */
+    cloneSection(worksheet, sourceStartRow, targetStartRow) {
+        const rowReference = new RegExp(`(\\$?[A-Z]{1,3}\\$?)${sourceStartRow}(?![0-9])`, 'g');
+
+        for (let offset = 0; offset < this.SECTION_HEIGHT; offset++) {
+            const sourceRow = worksheet.getRow(sourceStartRow + offset);
+            const targetRow = worksheet.getRow(targetStartRow + offset);
+            targetRow.height = sourceRow.height;
+
+            for (let col = 1; col <= worksheet.columnCount; col++) {
+                const sourceCell = sourceRow.getCell(col);
+                const targetCell = targetRow.getCell(col);
+                targetCell.style = JSON.parse(JSON.stringify(sourceCell.style || {}));
+
+                if (sourceCell.formula) {
+                    targetCell.value = { formula: sourceCell.formula.replace(rowReference, `$1${targetStartRow}`) };
+                } else if (sourceCell.value !== null && typeof sourceCell.value !== 'object') {
+                    targetCell.value = sourceCell.value;
+                }
+            }
+            targetRow.commit();
+        }
+    }
+
+    /**
+     * Konwertuje kafelek na wartość do Excela
+     * Kafelek "Praca" daje godziny przypisanej zmiany (np. "9.00-17.30"),
+     * a nieobecność - swój kod z rejestru (np. "U", "K")
+     * @param {Object} tile - kafelek { state, shiftId }
+     * @param {Object[]} shifts - katalog zmian
+     * @param {Object[]} absenceTypes - rejestr typów nieobecności
      * @returns {string} wartość do wpisania w Excelu
      */
-    getTileValue(tileState) {
-        switch (tileState) {
+    getTileValue(tile, shifts, absenceTypes) {
+        switch (tile.state) {
             case 'A':
                 return 'A';
             case 'Praca':
-                return '9.00-17.30';
-            case 'U':
-                return 'U';
+                return ShiftCatalog.formatTimeRange(ShiftCatalog.getShift(shifts, tile.shiftId));
             default:
-                return '';
+                return AbsenceTypeRegistry.isAbsence(absenceTypes, tile.state) ? tile.state : '';
         }
     }
 
     /**
-     * Generuje domyślną nazwę pliku
-     * Format: "{numer_tygodnia}KW {DD.MM poniedziałek}-{DD.MM niedziela}"
+     * Generuje domyślną nazwę pliku według wzorca z ustawień eksportu
+     * Domyślnie: "{numer_tygodnia}KW {DD.MM poniedziałek}-{DD.MM niedziela}"
      * @param {number} year - rok
      * @param {number} weekNumber - numer tygodnia
+     * @param {string} pattern - wzorzec nazwy (ExportSettings), np. "Dienstplan {year} KW{week}"
      * @returns {string} nazwa pliku bez rozszerzenia
      */
-    generateDefaultFileName(year, weekNumber) {
+    generateDefaultFileName(year, weekNumber, pattern = ExportSettings.DEFAULT_PATTERN) {
         const weekDates = this.getWeekDates(year, weekNumber);
-        const mondayDate = this.formatDateShort(weekDates[0]);
-        const sundayDate = this.formatDateShort(weekDates[6]);
 
-        return `${weekNumber}KW ${mondayDate}-${sundayDate}`;
+        return ExportSettings.applyPattern(pattern, {
+            week: weekNumber,
+            year,
+            monday: this.formatDateShort(weekDates[0]),
+            sunday: this.formatDateShort(weekDates[6]),
+            month: this.germanMonths[weekDates[0].getMonth()]
+        });
+    }
+
+    /**
+     * Generuje domyślną nazwę pliku dla zakresu tygodni według tego samego wzorca co dla tygodnia:
+     * {week} to "pierwszy-ostatni", {monday} - poniedziałek pierwszego tygodnia,
+     * {sunday} - niedziela ostatniego, {year} i {month} - rok i miesiąc pierwszego tygodnia.
+     * Domyślnie: "{pierwszy}-{ostatni}KW {DD.MM poniedziałek}-{DD.MM ostatnia niedziela}"
+     * @param {{year: number, weekNumber: number}} firstWeek
+     * @param {{year: number, weekNumber: number}} lastWeek
+     * @param {string} pattern - wzorzec nazwy (ExportSettings)
+     * @returns {string} nazwa pliku bez rozszerzenia
+     */
+    generateRangeFileName(firstWeek, lastWeek, pattern = ExportSettings.DEFAULT_PATTERN) {
+        if (firstWeek.year === lastWeek.year && firstWeek.weekNumber === lastWeek.weekNumber) {
+            return this.generateDefaultFileName(firstWeek.year, firstWeek.weekNumber, pattern);
+        }
+        const monday = this.getWeekDates(firstWeek.year, firstWeek.weekNumber)[0];
+        const sunday = this.getWeekDates(lastWeek.year, lastWeek.weekNumber)[6];
+
+        return ExportSettings.applyPattern(pattern, {
+            week: `${firstWeek.weekNumber}-${lastWeek.weekNumber}`,
+            year: firstWeek.year,
+            monday: this.formatDateShort(monday),
+            sunday: this.formatDateShort(sunday),
+            month: this.germanMonths[monday.getMonth()]
+        });
     }
 }
 
@@ -0,0 +1,249 @@
+const ExcelJS = require('exceljs');
+const ExcelGenerator = require('./ExcelGenerator');
+const ShiftCatalog = require('../models/ShiftCatalog');
+const AbsenceTypeRegistry = require('../models/AbsenceTypeRegistry');
+const WeekDateCalculator = require('../models/WeekDateCalculator');
+const ExcelProfile = require('../models/ExcelProfile');
+
+/**
+ * Klasa odczytująca grafik z pliku Excel wygenerowanego przez ExcelGenerator
+ * Single Responsibility: tylko odwrotne mapowanie arkusza na wiersze i kafelki tygodnia
+ *
+ * Układ arkusza (sekcje pracowników, kolumny dni, wiersz dat) pochodzi z tego samego
+ * profilu eksportu co przy generowaniu. Tydzień ISO wyznaczany jest z dat w nagłówku,
+ * a wartości dni zamieniane na stany: "9.00-17.30" → Praca na zmianie o tych godzinach,
+ * "A" → A, kod nieobecności → nieobecność. Pracownik jest nieuwzględniany w wyliczeniach,
+ * gdy jego sekcja ma kolor formatowania warunkowego dla wykluczonych.
+ * Skoroszyt wielu tygodni daje po jednym tygodniu z każdego arkusza tygodnia.
+ */
+class ExcelImporter {
+    /**
+     * @param {Object} profile - profil eksportu, którym wygenerowano plik
+     */
+    constructor(profile = ExcelProfile.DEFAULT_PROFILE) {
+        this.generator = new ExcelGenerator(profile);
+
+        // Zakres godzin zmiany, np. "9.00-17.30", "09:00 – 17:30"
+        this.TIME_RANGE_PATTERN = /^(\d{1,2}(?:[.:]\d{2})?)\s*[-–]\s*(\d{1,2}(?:[.:]\d{2})?)$/;
+    }
+
+    /**
+     * Wczytuje grafik z pliku. Skoroszyt eksportu zakresu zawiera arkusz na każdy tydzień,
+     * więc odczytywane są wszystkie arkusze; arkusz podsumowania, arkusze bez dat tygodnia
+     * i powtórzone tygodnie są pomijane i wymieniane w uwagach, a puste arkusze szablonu - pomijane
+     * @param {string} filePath - ścieżka do pliku .xlsx
+     * @param {Object} settings - ustawienia (katalog zmian, typy nieobecności)
+     * @returns {Promise<{weeks: Object[], issues: string[]}>} tygodnie w kolejności arkuszy
+     *          ({sheetName, year, weekNumber, rows, issues}) i uwagi o pominiętych arkuszach
+     * @throws {Error} gdy żaden arkusz nie zawiera tygodnia
+     */
+    async importFile(filePath, settings = {}) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(filePath);
+
+        const weeks = [];
+        const issues = [];
+        let firstError = null;
+        workbook.worksheets.forEach(worksheet => {
+            if (worksheet.name === this.generator.SUMMARY_SHEET_NAME) {
+                issues.push(`Arkusz "${worksheet.name}": podsumowanie zakresu - pominięto`);
+                return;
+            }
+            if (worksheet.actualRowCount === 0) return;
+
+            let week;
+            try {
+                week = this.importWorksheet(worksheet, settings);
+            } catch (error) {
+                firstError = firstError || error;
+                issues.push(`Arkusz "${worksheet.name}": ${error.message} Pominięto.`);
+                return;
+            }
+
+            const duplicate = weeks.find(other => other.year === week.year && other.weekNumber === week.weekNumber);
+            if (duplicate) {
+                issues.push(`Arkusz "${worksheet.name}": tydzień ${week.weekNumber}/${week.year} ` +
+                    `jest już w arkuszu "${duplicate.sheetName}" - pominięto`);
+                return;
+            }
+            weeks.push({ sheetName: worksheet.name, ...week });
+        });
+
+        if (weeks.length === 0) {
+            throw firstError || new Error('Plik nie zawiera żadnego arkusza tygodnia.');
+        }
+        return { weeks, issues };
+    }
+
+    /**
+     * Odczytuje grafik z arkusza
+     * @param {ExcelJS.Worksheet} worksheet
+     * @param {Object} settings
+     * @returns {{year: number, weekNumber: number, rows: Object[], issues: string[]}}
+     */
+    importWorksheet(worksheet, settings = {}) {
+        const issues = [];
+        const { year, weekNumber } = this.readWeek(worksheet, issues);
+        const excludedRows = this.getExcludedRows(worksheet);
+        const rows = [];
+
+        for (let sectionIndex = 0; ; sectionIndex++) {
+            const startRow = this.generator.getSectionStartRow(sectionIndex);
+            if (startRow > worksheet.rowCount) break;
+
+            const header = this.getCellText(worksheet.getCell(startRow, this.generator.NAME_COLUMN));
+            if (!header) continue; // pusta sekcja szablonu
+
+            const tiles = [0, 1, 2, 3, 4, 5, 6].map(dayIndex => {
+                const cell = worksheet.getCell(startRow, this.generator.DAYS_START_COLUMN + dayIndex);
+                const { tile, error } = this.parseTileValue(this.getCellText(cell), settings);
+                if (error) {
+                    issues.push(`${cell.address} (${header}): ${error} - przyjęto A`);
+                }
+                return tile;
+            });
+
+            rows.push({
+                header,
+                includedInCalculations: !excludedRows.has(startRow),
+                tiles
+            });
+        }
+
+        if (rows.length === 0) {
+            issues.push('Arkusz nie zawiera żadnego pracownika.');
+        }
+        return { year, weekNumber, rows, issues };
+    }
+
+    /**
+     * Wyznacza tydzień ISO z dat w nagłówku (domyślnie C2:I2)
+     * @param {ExcelJS.Worksheet} worksheet
+     * @param {string[]} issues - lista uwag (uzupełniana o niezgodne daty)
+     * @returns {{year: number, weekNumber: number}}
+     * @throws {Error} gdy żadna komórka nie zawiera daty
+     */
+    readWeek(worksheet, issues) {
+        const cells = [0, 1, 2, 3, 4, 5, 6].map(index =>
+            worksheet.getCell(this.generator.DATE_ROW, this.generator.DATE_START_COLUMN + index));
+        const dates = cells.map(cell => this.parseDateValue(cell.value));
+
+        const firstIndex = dates.findIndex(date => date !== null);
+        if (firstIndex < 0) {
+            throw new Error(`Komórki ${cells[0].address}:${cells[6].address} nie zawierają dat tygodnia - ` +
+                'plik nie pochodzi z eksportu grafiku lub aktywny profil eksportu ma inne mapowanie.');
+        }
+
+        const monday = new Date(dates[firstIndex]);
+        monday.setDate(monday.getDate() - firstIndex);
+        if (monday.getDay() !== 1) {
+            throw new Error(`Data w komórce ${cells[firstIndex].address} nie odpowiada dniu tygodnia tej kolumny.`);
+        }
+
+        const week = WeekDateCalculator.getIsoWeek(monday);
+        const expectedKeys = WeekDateCalculator.getWeekDates(week.year, week.weekNumber)
+            .map(date => WeekDateCalculator.formatDateKey(date));
+        dates.forEach((date, index) => {
+            if (!date) {
+                issues.push(`${cells[index].address}: brak daty`);
+            } else if (WeekDateCalculator.formatDateKey(date) !== expectedKeys[index]) {
+                issues.push(`${cells[index].address}: data ${this.generator.formatDateFull(date)} nie należy ` +
+                    `do tygodnia ${week.weekNumber}/${week.year}`);
+            }
+        });
+
+        return week;
+    }
+
+    /**
+     * Zamienia wartość dnia na kafelek
+     * @param {string} value - tekst komórki
+     * @param {Object} settings
+     * @returns {{tile: Object, error: string|null}}
+     */
+    parseTileValue(value, settings) {
+        if (value === '' || value.toUpperCase() === 'A') {
+            return { tile: { state: 'A' }, error: null };
+        }
+
+        const absence = AbsenceTypeRegistry.resolve(settings.absenceTypes)
+            .find(type => type.code.toUpperCase() === value.toUpperCase());
+        if (absence) {
+            return { tile: { state: absence.code }, error: null };
+        }
+
+        const match = this.TIME_RANGE_PATTERN.exec(value);
+        if (!match) {
+            return { tile: { state: 'A' }, error: `nieznana wartość "${value}"` };
+        }
+
+        const start = ShiftCatalog.normalizeTime(match[1]);
+        const end = ShiftCatalog.normalizeTime(match[2]);
+        const shift = start && end ? ShiftCatalog.findByTimes(settings.shifts, start, end) : null;
+        if (!shift) {
+            return { tile: { state: 'A' }, error: `brak zmiany ${value} w katalogu zmian` };
+        }
+        return { tile: { state: 'Praca', shiftId: shift.id }, error: null };
+    }
+
+    /**
+     * Pierwsze wiersze sekcji z kolorem pracownika wykluczonego z wyliczeń
+     * @param {ExcelJS.Worksheet} worksheet
+     * @returns {Set<number>}
+     */
+    getExcludedRows(worksheet) {
+        const excludedColor = `FF${this.generator.COLOR_EXCLUDED}`;
+        const rows = new Set();
+
+        (worksheet.conditionalFormattings || []).forEach(formatting => {
+            const cell = ExcelProfile.parseCell(formatting.ref);
+            const isExcluded = cell && formatting.rules.some(rule =>
+                rule.style && rule.style.fill && rule.style.fill.bgColor &&
+                rule.style.fill.bgColor.argb === excludedColor);
+            if (isExcluded) {
+                rows.add(cell.row);
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * Data z komórki nagłówka: tekst "DD.MM.RRRR" (z nazwą święta w kolejnej linii),
+     * data Excela lub numer seryjny daty
+     * @param {*} value - wartość komórki
+     * @returns {Date|null}
+     */
+    parseDateValue(value) {
+        if (value instanceof Date) {
+            // Daty Excela nie mają strefy - exceljs zwraca je jako północ UTC
+            return new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+        }
+        if (typeof value === 'number') {
+            const date = new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 24 * 60 * 60 * 1000);
+            return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+        }
+
+        const match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})/.exec(String(value || '').trim());
+        if (!match) return null;
+
+        const [, day, month, year] = match.map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    }
+
+    /**
+     * Tekst komórki (także wynik formuły i tekst sformatowany), bez białych znaków na brzegach
+     * @param {ExcelJS.Cell} cell
+     * @returns {string}
+     */
+    getCellText(cell) {
+        const value = cell.value;
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object' && 'result' in value) {
+            return String(value.result ?? '').trim();
+        }
+        return String(cell.text || '').trim();
+    }
+}
+
+module.exports = ExcelImporter;
@@ -0,0 +1,229 @@
+const ExcelJS = require('exceljs');
+const ShiftCatalog = require('../models/ShiftCatalog');
+
+/**
+ * Klasa budująca układ arkusza grafiku w kodzie (gdy brak pliku szablonu)
+ * Single Responsibility: tylko tworzenie pustego układu - wypełnianie danymi należy do ExcelGenerator
+ *
+ * Układ odpowiada szablonowi GrafikTemplate.xlsx:
+ * - wiersz 1: nazwy dni (C1:I1), wiersz 2: daty (C2:I2), wiersz 3: odstęp,
+ * - sekcje pracowników po 3 wiersze: nazwa i godziny, "Pause", "Zeit eintragen",
+ * - A4 pionowo, dopasowanie do szerokości strony, powtarzany nagłówek.
+ */
+class ExcelLayoutBuilder {
+    /**
+     * @param {Object} layout
+     * @param {number} layout.firstSectionStartRow - pierwszy wiersz pierwszej sekcji
+     * @param {number} layout.sectionCount - liczba pustych sekcji
+     * @param {number} layout.nameColumn - kolumna nazwy pracownika
+     * @param {number} layout.daysStartColumn - kolumna poniedziałku
+     * @param {string} layout.headerRows - wiersze nagłówka powtarzane na stronach (np. '1:3')
+     */
+    constructor(layout) {
+        this.layout = layout;
+
+        this.SHEET_NAME = 'Tabelle1';
+        this.SECTION_HEIGHT = 3; // wbudowany układ ma zawsze 3 wiersze na sekcję
+        this.ROW_HEIGHT = 18.75;
+        this.LAST_COLUMN = 10; // kolumna J
+        this.DAY_NAMES = ['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag', 'Sonntag'];
+
+        // Wartości w wierszach pomocniczych sekcji (gdy pracownik pracuje);
+        // przerwa zmiany domyślnej jest przy eksporcie zastępowana przerwą zmiany kafelka
+        this.BREAK_LABEL = 'Pause';
+        this.BREAK_TEXT = ShiftCatalog.formatBreakRange(ShiftCatalog.getDefaultShift());
+        this.TIME_ENTRY_TEXT = 'Zeit eintragen';
+
+        // Kolory (ARGB)
+        this.COLOR_DAY_HEADER = 'FFB7DEE8';
+        this.COLOR_DATE_HEADER = 'FFFFFFCC';
+        this.COLOR_BREAK = 'FFFF0000';
+        this.COLOR_TIME_ENTRY = 'FFBFBFBF';
+    }
+
+    /**
+     * Tworzy skoroszyt z pustym układem grafiku
+     * @param {string[]} skippedValues - wartości komórek, dla których wiersze pomocnicze zostają puste
+     * @returns {ExcelJS.Workbook}
+     */
+    createWorkbook(skippedValues) {
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet(this.SHEET_NAME, {
+            properties: { defaultRowHeight: 15 },
+            views: [{ style: 'pageLayout', zoomScale: 95 }]
+        });
+
+        this.setupColumns(worksheet);
+        this.buildHeader(worksheet);
+
+        for (let sectionIndex = 0; sectionIndex < this.layout.sectionCount; sectionIndex++) {
+            this.buildSection(worksheet, this.layout.firstSectionStartRow + sectionIndex * this.SECTION_HEIGHT, skippedValues);
+        }
+
+        this.setupPrint(worksheet);
+        return workbook;
+    }
+
+    /**
+     * Szerokości kolumn: A - nazwa, B - odstęp, C:I - dni, J - margines
+     * @param {ExcelJS.Worksheet} worksheet
+     */
+    setupColumns(worksheet) {
+        worksheet.getColumn(this.layout.nameColumn).width = 32;
+        worksheet.getColumn(this.layout.nameColumn + 1).width = 5.71;
+        this.DAY_NAMES.forEach((dayName, index) => {
+            worksheet.getColumn(this.layout.daysStartColumn + index).width = 16.86;
+        });
+        worksheet.getColumn(this.LAST_COLUMN).width = 7.14;
+    }
+
+    /**
+     * Nagłówek: nazwy dni, wiersz dat (wypełniany przy eksporcie) i pusty wiersz odstępu
+     * @param {ExcelJS.Worksheet} worksheet
+     */
+    buildHeader(worksheet) {
+        const headerRowCount = this.layout.firstSectionStartRow - 1;
+        for (let row = 1; row <= headerRowCount; row++) {
+            this.styleRow(worksheet, row);
+        }
+
+        this.DAY_NAMES.forEach((dayName, index) => {
+            const column = this.layout.daysStartColumn + index;
+
+            const dayCell = worksheet.getCell(1, column);
+            dayCell.value = dayName;
+            dayCell.font = this.getFont({ bold: true });
+            dayCell.fill = this.getFill(this.COLOR_DAY_HEADER);
+            dayCell.alignment = { horizontal: 'center' };
+
+            const dateCell = worksheet.getCell(2, column);
+            dateCell.font = this.getFont({ bold: true });
+            dateCell.fill = this.getFill(this.COLOR_DATE_HEADER);
+            dateCell.alignment = { horizontal: 'center', vertical: 'middle' };
+        });
+    }
+
+    /**
+     * Sekcja pracownika: wiersz godzin, wiersz przerwy i wiersz do wpisania czasu.
+     * Wiersze pomocnicze są formułami zależnymi od wartości dnia (puste dla "A", nieobecności i pustych komórek).
+     * @param {ExcelJS.Worksheet} worksheet
+     * @param {number} startRow - pierwszy wiersz sekcji
+     * @param {string[]} skippedValues
+     */
+    buildSection(worksheet, startRow, skippedValues) {
+        for (let offset = 0; offset < this.SECTION_HEIGHT; offset++) {
+            this.styleRow(worksheet, startRow + offset);
+        }
+
+        const nameCell = worksheet.getCell(startRow, this.layout.nameColumn);
+        nameCell.font = this.getFont({ bold: true });
+        nameCell.alignment = { vertical: 'middle' };
+
+        const breakLabelCell = worksheet.getCell(startRow + 1, this.layout.nameColumn);
+        breakLabelCell.value = this.BREAK_LABEL;
+        breakLabelCell.font = this.getFont({ bold: true });
+        breakLabelCell.alignment = { horizontal: 'left' };
+
+        this.DAY_NAMES.forEach((dayName, index) => {
+            const column = this.layout.daysStartColumn + index;
+            const dayRef = `${String.fromCharCode(64 + column)}${startRow}`;
+
+            const dayCell = worksheet.getCell(startRow, column);
+            dayCell.font = this.getFont({ bold: true });
+            dayCell.alignment = { horizontal: 'center' };
+
+            const breakCell = worksheet.getCell(startRow + 1, column);
+            breakCell.value = { formula: ExcelLayoutBuilder.buildHelperFormula(dayRef, this.BREAK_TEXT, skippedValues) };
+            breakCell.font = this.getFont({ bold: true, color: { argb: this.COLOR_BREAK } });
+            breakCell.alignment = { horizontal: 'center' };
+
+            const timeEntryCell = worksheet.getCell(startRow + 2, column);
+            timeEntryCell.value = { formula: ExcelLayoutBuilder.buildHelperFormula(dayRef, this.TIME_ENTRY_TEXT, skippedValues) };
+            timeEntryCell.font = this.getFont({ bold: true, color: { argb: this.COLOR_TIME_ENTRY } });
+            timeEntryCell.alignment = { horizontal: 'center' };
+        });
+    }
+
+    /**
+     * Warunek "w komórce dnia są godziny pracy": wartość spoza listy pominiętych
+     * @param {string} dayRef - komórka dnia, np. "C4"
+     * @param {string[]} skippedValues - puste, "A" i kody nieobecności
+     * @returns {string} np. NOT(OR(C4="", C4="A", C4="U"))
+     */
+    static buildWorkingCondition(dayRef, skippedValues) {
+        const conditions = skippedValues.map(value => `${dayRef}="${String(value).replace(/"/g, '""')}"`);
+        return `NOT(OR(${conditions.join(', ')}))`;
+    }
+
+    /**
+     * Formuła wiersza pomocniczego sekcji: tekst tylko w dni pracy
+     * @param {string} dayRef - komórka dnia, np. "C4"
+     * @param {string} text - np. "Zeit eintragen"
+     * @param {string[]} skippedValues
+     * @returns {string}
+     */
+    static buildHelperFormula(dayRef, text, skippedValues) {
+        return `IF(${ExcelLayoutBuilder.buildWorkingCondition(dayRef, skippedValues)}, "${text.replace(/"/g, '""')}", "")`;
+    }
+
+    /**
+     * Ustawia wysokość wiersza oraz czcionkę i obramowanie komórek A:J
+     * @param {ExcelJS.Worksheet} worksheet
+     * @param {number} rowNumber
+     */
+    styleRow(worksheet, rowNumber) {
+        const row = worksheet.getRow(rowNumber);
+        row.height = this.ROW_HEIGHT;
+        for (let column = 1; column <= this.LAST_COLUMN; column++) {
+            const cell = row.getCell(column);
+            cell.font = this.getFont();
+            cell.border = this.getBorder();
+        }
+    }
+
+    /**
+     * Ustawienia wydruku: A4 pionowo, jedna strona szerokości, powtarzany nagłówek
+     * @param {ExcelJS.Worksheet} worksheet
+     */
+    setupPrint(worksheet) {
+        worksheet.pageSetup = {
+            paperSize: 9, // A4
+            orientation: 'portrait',
+            fitToPage: true,
+            fitToWidth: 1,
+            fitToHeight: 0,
+            printTitlesRow: this.layout.headerRows,
+            margins: {
+                left: 0.71, right: 0.71,
+                top: 0.79, bottom: 0.79,
+                header: 0.31, footer: 0.31
+            }
+        };
+    }
+
+    /**
+     * @param {Object} options - nadpisania (bold, color)
+     * @returns {Object}
+     */
+    getFont(options = {}) {
+        return { name: 'Calibri', family: 2, size: 14, ...options };
+    }
+
+    /**
+     * @param {string} argb
+     * @returns {Object}
+     */
+    getFill(argb) {
+        return { type: 'pattern', pattern: 'solid', fgColor: { argb } };
+    }
+
+    /**
+     * @returns {Object}
+     */
+    getBorder() {
+        const thin = { style: 'thin' };
+        return { top: thin, left: thin, bottom: thin, right: thin };
+    }
+}
+
+module.exports = ExcelLayoutBuilder;
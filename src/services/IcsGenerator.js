@@ -0,0 +1,381 @@
+const fs = require('fs');
+const JSZip = require('jszip');
+const WeekDateCalculator = require('../models/WeekDateCalculator');
+const ShiftCatalog = require('../models/ShiftCatalog');
+const AbsenceTypeRegistry = require('../models/AbsenceTypeRegistry');
+const ComplianceChecker = require('../models/ComplianceChecker');
+
+/**
+ * Klasa odpowiedzialna za eksport grafiku do kalendarza iCalendar (.ics, RFC 5545)
+ * Single Responsibility: tylko zamiana kafelków pracownika na wydarzenia kalendarza
+ *
+ * Kafelek "Praca" staje się wydarzeniem z godzinami zmiany (czas Europe/Berlin),
+ * a kafelek urlopu "U" - wydarzeniem całodniowym.
+ * UID wydarzenia zależy tylko od pracownika i dnia, więc ponowny import
+ * aktualizuje wydarzenia zamiast je dublować (także przy zmianie Praca ↔ U).
+ * Dni eksportowanych tygodni, w których pracownik ma wiersz, ale nie ma zmiany ani urlopu
+ * (A, inne nieobecności), są eksportowane jako wydarzenia odwołane (STATUS:CANCELLED)
+ * z tym samym UID - ponowny import usuwa zmianę lub urlop wyeksportowany wcześniej na ten dzień.
+ * Tygodnie, w których pracownika nie ma, nie dają żadnych wydarzeń.
+ *
+ * SEQUENCE to licznik zmian tygodnia zapisany w pliku stanu (revision, StorageService):
+ * klient kalendarza przyjmuje zmianę wydarzenia tylko z wyższym numerem, a licznik rośnie
+ * z każdą zapisaną zmianą tygodnia i nie zależy od zegara systemowego.
+ */
+class IcsGenerator {
+    constructor() {
+        this.TIME_ZONE = 'Europe/Berlin';
+        this.UID_DOMAIN = 'interaktywny-grafik-planer';
+        this.PRODUCT_ID = '-//Interaktywny Grafik Planer//DE';
+        this.MAX_LINE_LENGTH = 75; // długość linii w oktetach (RFC 5545, 3.1)
+    }
+
+    /**
+     * Pracownicy występujący w tygodniach (dopasowani po ID z kartoteki lub nazwie)
+     * @param {Object[]} weekStates - stany tygodni
+     * @returns {{employeeId: string|null, header: string}[]}
+     */
+    getEmployees(weekStates) {
+        const employees = [];
+        weekStates.forEach(state => {
+            state.rows.forEach(row => {
+                if (!(row.header || '').trim()) return;
+                const known = employees.some(employee => ComplianceChecker.findMatchingRow({ rows: [employee] }, row));
+                if (!known) {
+                    employees.push({ employeeId: row.employeeId || null, header: row.header });
+                }
+            });
+        });
+        return employees;
+    }
+
+    /**
+     * Buduje kalendarz pracownika z podanych tygodni
+     * @param {{employeeId: string|null, header: string}} employee
+     * @param {Object[]} weekStates - stany tygodni
+     * @param {Object} settings - ustawienia (katalog zmian, typy nieobecności)
+     * @returns {{content: string, eventCount: number}}
+     */
+    buildCalendar(employee, weekStates, settings = {}) {
+        const stamp = this.formatUtcDateTime(new Date());
+        const events = [];
+        const cancellations = [];
+
+        weekStates.forEach(state => {
+            const row = ComplianceChecker.findMatchingRow(state, employee);
+            if (!row) return;
+
+            const sequence = this.getSequence(state);
+            const weekDates = WeekDateCalculator.getWeekDates(state.year, state.weekNumber);
+            weekDates.forEach((date, columnIndex) => {
+                const tile = row.tiles[columnIndex];
+                const event = tile ? this.buildEvent(employee, tile, date, settings, stamp, sequence) : null;
+                if (event) {
+                    events.push(event);
+                } else {
+                    cancellations.push(this.buildCancellation(employee, date, stamp, sequence));
+                }
+            });
+        });
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(`Dienstplan ${employee.header}`)}`,
+            `X-WR-TIMEZONE:${this.TIME_ZONE}`,
+            ...this.getTimeZoneLines(),
+            ...events.flat(),
+            ...cancellations.flat(),
+            'END:VCALENDAR'
+        ];
+
+        return {
+            content: lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n',
+            eventCount: events.length
+        };
+    }
+
+    /**
+     * Wydarzenie dla kafelka (null dla dni bez wydarzenia)
+     * @param {Object} employee
+     * @param {Object} tile
+     * @param {Date} date - dzień kafelka
+     * @param {Object} settings
+     * @param {string} stamp - znacznik czasu eksportu (UTC)
+     * @param {number} sequence - numer wersji wydarzenia (getSequence)
+     * @returns {string[]|null} linie VEVENT
+     */
+    buildEvent(employee, tile, date, settings, stamp, sequence) {
+        const common = this.getEventHeader(employee, date, stamp, sequence);
+
+        if (tile.state === 'Praca') {
+            const shift = ShiftCatalog.getShift(settings.shifts, tile.shiftId);
+            const start = this.withTime(date, shift.start);
+            const end = this.withTime(date, shift.end);
+            if (end <= start) {
+                end.setDate(end.getDate() + 1); // zmiana nocna kończy się następnego dnia
+            }
+
+            return [
+                ...common,
+                `DTSTART;TZID=${this.TIME_ZONE}:${this.formatDateTime(start)}`,
+                `DTEND;TZID=${this.TIME_ZONE}:${this.formatDateTime(end)}`,
+                `SUMMARY:${this.escapeText(`${shift.name} (${ShiftCatalog.formatTimeRange(shift)})`)}`,
+                'TRANSP:OPAQUE',
+                'END:VEVENT'
+            ];
+        }
+
+        if (tile.state === AbsenceTypeRegistry.VACATION_CODE) {
+            const type = AbsenceTypeRegistry.getType(settings.absenceTypes, tile.state);
+            const nextDay = new Date(date);
+            nextDay.setDate(nextDay.getDate() + 1);
+
+            return [
+                ...common,
+                `DTSTART;VALUE=DATE:${this.formatDate(date)}`,
+                `DTEND;VALUE=DATE:${this.formatDate(nextDay)}`,
+                `SUMMARY:${this.escapeText(type ? type.name : 'Urlaub')}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            ];
+        }
+
+        return null;
+    }
+
+    /**
+     * Odwołane wydarzenie całodniowe dla dnia pracownika bez zmiany i urlopu
+     * @param {Object} employee
+     * @param {Date} date
+     * @param {string} stamp - znacznik czasu eksportu (UTC)
+     * @param {number} sequence
+     * @returns {string[]} linie VEVENT
+     */
+    buildCancellation(employee, date, stamp, sequence) {
+        const nextDay = new Date(date);
+        nextDay.setDate(nextDay.getDate() + 1);
+
+        return [
+            ...this.getEventHeader(employee, date, stamp, sequence),
+            `DTSTART;VALUE=DATE:${this.formatDate(date)}`,
+            `DTEND;VALUE=DATE:${this.formatDate(nextDay)}`,
+            'SUMMARY:Kein Dienst',
+            'STATUS:CANCELLED',
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        ];
+    }
+
+    /**
+     * Początek wydarzenia: UID (pracownik i dzień), znacznik czasu i numer wersji
+     * @param {Object} employee
+     * @param {Date} date
+     * @param {string} stamp
+     * @param {number} sequence
+     * @returns {string[]}
+     */
+    getEventHeader(employee, date, stamp, sequence) {
+        return [
+            'BEGIN:VEVENT',
+            `UID:${this.getEmployeeKey(employee)}-${this.formatDate(date)}@${this.UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `SEQUENCE:${sequence}`
+        ];
+    }
+
+    /**
+     * Numer wersji wydarzeń tygodnia - zapisany licznik zmian tygodnia (patrz opis klasy)
+     * @param {Object} state - stan tygodnia
+     * @returns {number}
+     */
+    getSequence(state) {
+        return Number.isInteger(state.revision) && state.revision > 0 ? state.revision : 0;
+    }
+
+    /**
+     * Zapisuje kalendarz jednego pracownika
+     * @param {Object} employee
+     * @param {Object[]} weekStates
+     * @param {string} outputPath
+     * @param {Object} settings
+     * @returns {Promise<number>} liczba wydarzeń
+     */
+    async writeEmployeeCalendar(employee, weekStates, outputPath, settings = {}) {
+        const { content, eventCount } = this.buildCalendar(employee, weekStates, settings);
+        await fs.promises.writeFile(outputPath, content, 'utf-8');
+        return eventCount;
+    }
+
+    /**
+     * Zapisuje archiwum zip z kalendarzem każdego pracownika
+     * @param {Object[]} weekStates
+     * @param {string} outputPath
+     * @param {Object} settings
+     * @returns {Promise<{fileCount: number, eventCount: number}>}
+     */
+    async writeTeamArchive(weekStates, outputPath, settings = {}) {
+        const zip = new JSZip();
+        const usedNames = new Set();
+        let eventCount = 0;
+
+        this.getEmployees(weekStates).forEach(employee => {
+            const calendar = this.buildCalendar(employee, weekStates, settings);
+            eventCount += calendar.eventCount;
+            zip.file(this.getUniqueFileName(employee.header, usedNames), calendar.content);
+        });
+
+        const data = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+        await fs.promises.writeFile(outputPath, data);
+        return { fileCount: usedNames.size, eventCount };
+    }
+
+    /**
+     * Nazwa pliku .ics pracownika, np. "Dienstplan Anna Nowak.ics"
+     * @param {string} header
+     * @returns {string}
+     */
+    generateFileName(header) {
+        const name = (header || '').replace(/[\\/:*?"<>|]/g, '_').trim() || 'Mitarbeiter';
+        return `Dienstplan ${name}.ics`;
+    }
+
+    /**
+     * @param {string} header
+     * @param {Set<string>} usedNames - nazwy już użyte w archiwum (uzupełniane)
+     * @returns {string}
+     * @private
+     */
+    getUniqueFileName(header, usedNames) {
+        let fileName = this.generateFileName(header);
+        for (let counter = 2; usedNames.has(fileName.toLowerCase()); counter++) {
+            fileName = this.generateFileName(`${header} (${counter})`);
+        }
+        usedNames.add(fileName.toLowerCase());
+        return fileName;
+    }
+
+    /**
+     * Stały klucz pracownika w UID: ID z kartoteki, a bez niego - nazwa
+     * @param {Object} employee
+     * @returns {string}
+     */
+    getEmployeeKey(employee) {
+        if (employee.employeeId) return employee.employeeId;
+        const slug = employee.header.trim().toLowerCase()
+            .replace(/[^a-z0-9äöüß]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return `name-${slug || 'unbekannt'}`;
+    }
+
+    /**
+     * Definicja strefy czasowej Europe/Berlin (czas letni od ostatniej niedzieli marca
+     * do ostatniej niedzieli października)
+     * @returns {string[]}
+     */
+    getTimeZoneLines() {
+        return [
+            'BEGIN:VTIMEZONE',
+            `TZID:${this.TIME_ZONE}`,
+            'BEGIN:DAYLIGHT',
+            'TZOFFSETFROM:+0100',
+            'TZOFFSETTO:+0200',
+            'TZNAME:CEST',
+            'DTSTART:19700329T020000',
+            'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+            'END:DAYLIGHT',
+            'BEGIN:STANDARD',
+            'TZOFFSETFROM:+0200',
+            'TZOFFSETTO:+0100',
+            'TZNAME:CET',
+            'DTSTART:19701025T030000',
+            'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    }
+
+    /**
+     * Data z godziną zmiany
+     * @param {Date} date
+     * @param {string} time - "HH:MM"
+     * @returns {Date}
+     */
+    withTime(date, time) {
+        const minutes = ShiftCatalog.parseTime(time);
+        const result = new Date(date);
+        result.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+        return result;
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string} RRRRMMDD
+     */
+    formatDate(date) {
+        return WeekDateCalculator.formatDateKey(date).replace(/-/g, '');
+    }
+
+    /**
+     * Czas lokalny (bez strefy - strefa podawana w TZID)
+     * @param {Date} date
+     * @returns {string} RRRRMMDDTHHMMSS
+     */
+    formatDateTime(date) {
+        const hours = String(date.getHours()).padStart(2, '0');
+        const minutes = String(date.getMinutes()).padStart(2, '0');
+        return `${this.formatDate(date)}T${hours}${minutes}00`;
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string} RRRRMMDDTHHMMSSZ
+     */
+    formatUtcDateTime(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Znaki specjalne w wartościach tekstowych (RFC 5545, 3.3.11)
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Łamie linie dłuższe niż 75 oktetów (kontynuacja zaczyna się spacją)
+     * @param {string} line
+     * @returns {string}
+     */
+    foldLine(line) {
+        const parts = [];
+        let current = '';
+        let currentLength = 0;
+
+        for (const char of line) {
+            const charLength = Buffer.byteLength(char, 'utf-8');
+            const limit = parts.length === 0 ? this.MAX_LINE_LENGTH : this.MAX_LINE_LENGTH - 1;
+            if (currentLength + charLength > limit) {
+                parts.push(current);
+                current = '';
+                currentLength = 0;
+            }
+            current += char;
+            currentLength += charLength;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+}
+
+module.exports = IcsGenerator;
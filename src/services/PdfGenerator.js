@@ -0,0 +1,413 @@
+const fs = require('fs');
+const { BrowserWindow } = require('electron');
+const WeekDateCalculator = require('../models/WeekDateCalculator');
+const ShiftCatalog = require('../models/ShiftCatalog');
+const AbsenceTypeRegistry = require('../models/AbsenceTypeRegistry');
+const HolidayCalculator = require('../models/HolidayCalculator');
+const StaffingRules = require('../models/StaffingRules');
+const ComplianceChecker = require('../models/ComplianceChecker');
+const WorkHoursCalculator = require('../models/WorkHoursCalculator');
+const ExcelProfile = require('../models/ExcelProfile');
+
+/**
+ * Klasa odpowiedzialna za eksport grafiku do PDF (tydzień lub miesiąc)
+ * Single Responsibility: tylko składanie dokumentu do druku i zapis PDF
+ *
+ * Dokument HTML budowany jest z tych samych danych co Excel (stan tygodnia i ustawienia),
+ * a drukowany offline przez ukryte okno Electron (A4 poziomo).
+ * Każdy tydzień zawiera tabelę kafelków, obsadę dni oraz podsumowanie walidacji
+ * (niespełnione reguły obsady i naruszenia ArbZG); dokument kończy legenda stanów kafelków.
+ */
+class PdfGenerator {
+    constructor() {
+        this.DAY_NAMES = ['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag', 'Sonntag'];
+
+        // Marginesy strony w calach (nagłówek i stopka mieszczą się w marginesach)
+        this.MARGINS = { top: 0.6, bottom: 0.5, left: 0.4, right: 0.4 };
+    }
+
+    /**
+     * Generuje PDF jednego tygodnia
+     * @param {Object} boardState - stan tygodnia
+     * @param {string} outputPath - ścieżka do zapisu pliku
+     * @param {Object} settings - ustawienia aplikacji
+     * @param {Object|null} previousState - zapisany poprzedni tydzień (kontrola ArbZG na granicy tygodni)
+     * @returns {Promise<boolean>}
+     */
+    async generateWeekPdf(boardState, outputPath, settings = {}, previousState = null) {
+        const weekDates = WeekDateCalculator.getWeekDates(boardState.year, boardState.weekNumber);
+        const title = `KW ${boardState.weekNumber}/${boardState.year} ` +
+            `(${this.formatDate(weekDates[0])} - ${this.formatDate(weekDates[6])})`;
+
+        const html = this.buildDocument(title, [this.buildWeekSection(boardState, settings, previousState)], settings);
+        return this.printToPdf(html, outputPath, title, settings);
+    }
+
+    /**
+     * Generuje PDF miesiąca: sumy pracowników i wszystkie tygodnie dotykające miesiąca
+     * @param {Object} month
+     * @param {number} month.year
+     * @param {number} month.month - miesiąc (1-12)
+     * @param {Object[]} month.weeks - [{ year, weekNumber, state }] (state = null dla niezaplanowanych)
+     * @param {Object[]} month.totals - [{ name, days, hours }]
+     * @param {string} outputPath
+     * @param {Object} settings
+     * @param {Object|null} previousState - tydzień przed pierwszym tygodniem miesiąca
+     * @returns {Promise<boolean>}
+     */
+    async generateMonthPdf({ year, month, weeks, totals }, outputPath, settings = {}, previousState = null) {
+        const title = `${WeekDateCalculator.MONTH_NAMES[month - 1]} ${year}`;
+
+        const sections = [this.buildTotalsSection(totals)];
+        weeks.forEach((week, index) => {
+            const previous = index > 0 ? weeks[index - 1].state : previousState;
+            sections.push(week.state
+                ? this.buildWeekSection(week.state, settings, previous)
+                : this.buildEmptyWeekSection(week));
+        });
+
+        const html = this.buildDocument(title, sections, settings);
+        return this.printToPdf(html, outputPath, title, settings);
+    }
+
+    /**
+     * Drukuje dokument HTML do pliku PDF w ukrytym oknie
+     * @param {string} html
+     * @param {string} outputPath
+     * @param {string} title - tytuł w nagłówku strony
+     * @param {Object} settings
+     * @returns {Promise<boolean>}
+     */
+    async printToPdf(html, outputPath, title, settings) {
+        const pdfWindow = new BrowserWindow({
+            show: false,
+            webPreferences: { javascript: false, sandbox: true }
+        });
+
+        try {
+            await pdfWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+            const data = await pdfWindow.webContents.printToPDF({
+                landscape: true,
+                pageSize: 'A4',
+                printBackground: true,
+                margins: this.MARGINS,
+                displayHeaderFooter: true,
+                headerTemplate: this.buildPageHeader(title, settings),
+                footerTemplate: this.buildPageFooter()
+            });
+            await fs.promises.writeFile(outputPath, data);
+            return true;
+        } catch (error) {
+            console.error('Błąd podczas generowania PDF:', error);
+            throw error;
+        } finally {
+            pdfWindow.destroy();
+        }
+    }
+
+    /**
+     * Nagłówek strony: tekst nagłówka z aktywnego profilu eksportu i tytuł dokumentu
+     * @param {string} title
+     * @param {Object} settings
+     * @returns {string}
+     */
+    buildPageHeader(title, settings) {
+        const headerText = ExcelProfile.getActive(settings.excel).headerText;
+        const text = headerText ? `${headerText} - ${title}` : title;
+        return `<div style="width: 100%; font-size: 9px; text-align: center; font-family: Calibri, Arial, sans-serif;">
+            ${this.escape(text)}</div>`;
+    }
+
+    /**
+     * Stopka strony z numeracją
+     * @returns {string}
+     */
+    buildPageFooter() {
+        return `<div style="width: 100%; font-size: 8px; text-align: right; padding-right: 0.4in; font-family: Calibri, Arial, sans-serif;">
+            Strona <span class="pageNumber"></span> / <span class="totalPages"></span></div>`;
+    }
+
+    /**
+     * Składa kompletny dokument HTML
+     * @param {string} title
+     * @param {string[]} sections - fragmenty HTML kolejnych części (kolejne tygodnie od nowej strony)
+     * @param {Object} settings
+     * @returns {string}
+     */
+    buildDocument(title, sections, settings) {
+        return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8">
+<title>${this.escape(title)}</title>
+<style>${this.getStyles()}</style>
+</head>
+<body>
+<h1>${this.escape(title)}</h1>
+${sections.join('\n')}
+${this.buildLegend(settings)}
+</body>
+</html>`;
+    }
+
+    /**
+     * Tabela tygodnia z obsadą dni i podsumowaniem walidacji
+     * @param {Object} state - stan tygodnia
+     * @param {Object} settings
+     * @param {Object|null} previousState
+     * @returns {string}
+     */
+    buildWeekSection(state, settings, previousState) {
+        const shifts = ShiftCatalog.resolve(settings.shifts);
+        const holidayState = settings.holidays ? settings.holidays.state : null;
+        const weekDates = WeekDateCalculator.getWeekDates(state.year, state.weekNumber);
+        const holidays = HolidayCalculator.getHolidaysForDates(weekDates, holidayState);
+        const columnsStatus = this.getColumnsStatus(state, weekDates, holidayState, settings.staffingRules);
+        const violations = ComplianceChecker.check(state, {
+            previousState,
+            shifts,
+            limits: settings.compliance
+        });
+
+        const headerCells = weekDates.map((date, index) => `
+            <th class="${holidays[index] ? 'holiday' : ''}">
+                ${this.DAY_NAMES[index]}<br><span class="date">${this.formatDate(date)}</span>
+                ${holidays[index] ? `<br><span class="holiday-name">${this.escape(holidays[index].name)}</span>` : ''}
+            </th>`).join('');
+
+        const rows = state.rows.map((row, rowIndex) => {
+            const violatedColumns = new Set(violations
+                .filter(violation => violation.rowIndex === rowIndex)
+                .flatMap(violation => violation.columnIndices));
+            const cells = row.tiles.map((tile, columnIndex) =>
+                this.buildTileCell(tile, shifts, settings.absenceTypes, violatedColumns.has(columnIndex))).join('');
+            const hours = WorkHoursCalculator.formatHours(WorkHoursCalculator.getRowHours(row, shifts));
+
+            return `<tr class="${row.includedInCalculations ? '' : 'excluded'}">
+                <td class="name">${this.escape(row.header || '')}</td>${cells}<td class="hours">${hours} h</td>
+            </tr>`;
+        }).join('');
+
+        const countCells = columnsStatus.map(status => `
+            <td class="count ${status.isValid ? 'valid' : 'invalid'}">
+                ${status.pracaCount} / ${StaffingRules.formatRange(status.min, status.max)} ${status.isValid ? '✓' : '✗'}
+            </td>`).join('');
+
+        return `<section class="week">
+            <h2>KW ${state.weekNumber}/${state.year}</h2>
+            <table class="schedule">
+                <thead><tr><th class="name">Pracownik</th>${headerCells}<th class="hours">Suma</th></tr></thead>
+                <tbody>${rows}</tbody>
+                <tfoot><tr><td class="name">Obsada (jest / wymagane)</td>${countCells}<td></td></tr></tfoot>
+            </table>
+            ${this.buildValidationSummary(columnsStatus, violations, weekDates)}
+        </section>`;
+    }
+
+    /**
+     * Tydzień bez zapisanego grafiku (w PDF miesiąca)
+     * @param {{year: number, weekNumber: number}} week
+     * @returns {string}
+     */
+    buildEmptyWeekSection(week) {
+        const weekDates = WeekDateCalculator.getWeekDates(week.year, week.weekNumber);
+        return `<section class="week">
+            <h2>KW ${week.weekNumber}/${week.year}</h2>
+            <p class="note">Tydzień ${this.formatDate(weekDates[0])} - ${this.formatDate(weekDates[6])} nie jest zaplanowany.</p>
+        </section>`;
+    }
+
+    /**
+     * Komórka kafelka: godziny zmiany lub kod nieobecności, kolor jak w aplikacji
+     * @param {Object} tile
+     * @param {Object[]} shifts
+     * @param {Object[]} absenceTypes
+     * @param {boolean} isViolation - czy kafelek narusza ArbZG
+     * @returns {string}
+     */
+    buildTileCell(tile, shifts, absenceTypes, isViolation) {
+        const classes = ['tile', isViolation ? 'violation' : ''].join(' ');
+
+        if (tile.state === 'Praca') {
+            const shift = ShiftCatalog.getShift(shifts, tile.shiftId);
+            return `<td class="${classes}" style="border-left-color: ${this.escape(shift.color)}">
+                <strong>${this.escape(shift.code)}</strong> ${ShiftCatalog.formatTimeRange(shift)}</td>`;
+        }
+
+        const type = AbsenceTypeRegistry.getType(absenceTypes, tile.state);
+        if (type) {
+            return `<td class="${classes} absence" style="border-left-color: ${this.escape(type.color)}">
+                ${this.escape(type.code)}</td>`;
+        }
+        return `<td class="${classes} free">${this.escape(tile.state || '')}</td>`;
+    }
+
+    /**
+     * Podsumowanie walidacji tygodnia
+     * @param {Object[]} columnsStatus
+     * @param {Object[]} violations - wynik ComplianceChecker.check
+     * @param {Date[]} weekDates
+     * @returns {string}
+     */
+    buildValidationSummary(columnsStatus, violations, weekDates) {
+        const problems = [
+            ...columnsStatus
+                .filter(status => !status.isValid)
+                .map(status => `${this.DAY_NAMES[status.index]} ${this.formatDate(weekDates[status.index])}: ${status.reason}`),
+            ...violations.map(violation => `${violation.employee}: ${violation.message}`)
+        ];
+
+        if (problems.length === 0) {
+            return '<p class="summary valid">✓ Wszystkie reguły obsady i czasu pracy są spełnione.</p>';
+        }
+        return `<div class="summary invalid">
+            <strong>Do poprawy (${problems.length}):</strong>
+            <ul>${problems.map(problem => `<li>${this.escape(problem)}</li>`).join('')}</ul>
+        </div>`;
+    }
+
+    /**
+     * Miesięczne sumy pracowników
+     * @param {Object[]} totals - [{ name, days, hours }]
+     * @returns {string}
+     */
+    buildTotalsSection(totals = []) {
+        if (totals.length === 0) {
+            return '<p class="note">Brak zaplanowanych tygodni w tym miesiącu.</p>';
+        }
+        const rows = totals.map(total => `<tr>
+            <td class="name">${this.escape(total.name || '')}</td>
+            <td>${total.days}</td>
+            <td>${WorkHoursCalculator.formatHours(total.hours)} h</td>
+        </tr>`).join('');
+
+        return `<section class="totals">
+            <h2>Suma w miesiącu</h2>
+            <table class="schedule totals-table">
+                <thead><tr><th class="name">Pracownik</th><th>Dni pracy</th><th>Godziny</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </section>`;
+    }
+
+    /**
+     * Legenda stanów kafelków: zmiany z katalogu, nieobecności i dzień wolny
+     * @param {Object} settings
+     * @returns {string}
+     */
+    buildLegend(settings) {
+        const items = [
+            ...ShiftCatalog.resolve(settings.shifts).map(shift =>
+                this.buildLegendItem(shift.color, shift.code, `${shift.name} (${ShiftCatalog.formatTimeRange(shift)})`)),
+            ...AbsenceTypeRegistry.resolve(settings.absenceTypes).map(type =>
+                this.buildLegendItem(type.color, type.code, type.name)),
+            this.buildLegendItem('transparent', 'A', 'dostępny / wolne'),
+            '<li><span class="legend-swatch violation"></span> naruszenie ArbZG</li>',
+            '<li><span class="legend-swatch excluded"></span> pracownik nieuwzględniany w obsadzie</li>'
+        ];
+        return `<section class="legend"><h2>Legenda</h2><ul>${items.join('')}</ul></section>`;
+    }
+
+    /**
+     * @param {string} color
+     * @param {string} code
+     * @param {string} description
+     * @returns {string}
+     */
+    buildLegendItem(color, code, description) {
+        return `<li><span class="legend-swatch" style="border-left-color: ${this.escape(color)}"></span>
+            <strong>${this.escape(code)}</strong> - ${this.escape(description)}</li>`;
+    }
+
+    /**
+     * Obsada kolumn tygodnia według reguł obsady (jak w widoku tablicy)
+     * @param {Object} state
+     * @param {Date[]} weekDates
+     * @param {string|null} holidayState - kraj związkowy dla kalendarza świąt
+     * @param {Object} rules - konfiguracja reguł (StaffingRules)
+     * @returns {Object[]}
+     */
+    getColumnsStatus(state, weekDates, holidayState, rules) {
+        return state.columns.map((column, index) => {
+            const pracaCount = state.rows
+                .filter(row => row.includedInCalculations)
+                .filter(row => row.tiles[index] && row.tiles[index].state === 'Praca')
+                .length;
+            const evaluation = StaffingRules.evaluateDay({
+                pracaCount,
+                required: column.requiredWorkers,
+                columnIndex: index,
+                date: weekDates[index],
+                holidayState,
+                rules
+            });
+            return { index, pracaCount, ...evaluation };
+        });
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string} DD.MM.YYYY
+     */
+    formatDate(date) {
+        return `${WeekDateCalculator.formatDateShort(date)}.${date.getFullYear()}`;
+    }
+
+    /**
+     * Zabezpiecza tekst przed interpretacją jako HTML
+     * @param {string} text
+     * @returns {string}
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Style dokumentu do druku
+     * @returns {string}
+     */
+    getStyles() {
+        return `
+            body { font-family: Calibri, Arial, sans-serif; font-size: 10pt; color: #1a202c; margin: 0; }
+            h1 { font-size: 16pt; margin: 0 0 8pt; }
+            h2 { font-size: 12pt; margin: 0 0 6pt; }
+            section.week + section.week, section.totals + section.week { break-before: page; }
+            section.legend { break-inside: avoid; margin-top: 12pt; }
+            table.schedule { width: 100%; border-collapse: collapse; table-layout: fixed; }
+            table.schedule th, table.schedule td { border: 1px solid #a0aec0; padding: 3pt 4pt; text-align: center; }
+            table.schedule th { background: #e2e8f0; font-weight: 600; }
+            table.schedule th.holiday { background: #fed7d7; }
+            table.schedule .name { width: 18%; text-align: left; font-weight: 600; }
+            table.schedule .hours { width: 7%; }
+            table.totals-table { width: 50%; }
+            table.totals-table .name { width: 60%; }
+            .date { font-weight: normal; }
+            .holiday-name { font-weight: normal; font-size: 8pt; color: #c53030; }
+            td.tile { border-left-width: 5px; border-left-style: solid; }
+            td.tile.free { color: #a0aec0; }
+            td.tile.violation { background: repeating-linear-gradient(45deg, #fff5f5, #fff5f5 4px, #fed7d7 4px, #fed7d7 8px); }
+            tr.excluded td { background: #f7fafc; color: #718096; }
+            td.count.valid { color: #276749; }
+            td.count.invalid { color: #c53030; font-weight: 600; }
+            tfoot td { background: #edf2f7; }
+            tr { break-inside: avoid; }
+            .summary { margin-top: 6pt; }
+            .summary.valid { color: #276749; }
+            .summary.invalid { color: #c53030; }
+            .summary ul { margin: 2pt 0 0 16pt; padding: 0; }
+            .note { color: #718096; }
+            .legend ul { list-style: none; padding: 0; columns: 2; }
+            .legend li { margin-bottom: 3pt; }
+            .legend-swatch { display: inline-block; width: 14px; height: 12px; vertical-align: middle;
+                border: 1px solid #a0aec0; border-left-width: 5px; }
+            .legend-swatch.violation { background: #fed7d7; }
+            .legend-swatch.excluded { background: #f7fafc; }
+        `;
+    }
+}
+
+module.exports = PdfGenerator;
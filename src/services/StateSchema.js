@@ -0,0 +1,271 @@
+/**
+ * Wersjonowany schemat pliku stanu (board-state.json)
+ * Single Responsibility: rozpoznanie wersji, migracje do bieżącej wersji i walidacja struktury
+ *
+ * Wersje schematu:
+ * 1 - jedna globalna tablica: { year, weekNumber, columns, rows }
+ * 2 - osobny grafik dla każdego tygodnia: { year, weekNumber, weeks: { '2024-W42': {...} } }
+ *     (bez pola schemaVersion)
+ * 3 - jak 2, z polem schemaVersion i uzupełnionymi polami wierszy
+ *     (employeeId, includedInCalculations, indeksy wierszy i kafelków);
+ *     opcjonalne pole tygodnia revision (licznik zmian, brak = 0) nie wymaga migracji
+ *
+ * Zmiana kształtu danych wymaga podniesienia CURRENT_VERSION i dopisania migracji
+ * z poprzedniej wersji do MIGRATIONS - starsze pliki przechodzą kolejno przez wszystkie kroki.
+ *
+ * Walidacja działa na dwóch poziomach: błąd wersji lub obiektu weeks odrzuca cały plik,
+ * a niepoprawny tydzień odrzuca tylko ten tydzień - pozostałe wczytują się normalnie.
+ */
+class StateSchema {
+    static CURRENT_VERSION = 3;
+
+    static DAYS_IN_WEEK = 7;
+
+    /**
+     * Migracje: wersja źródłowa → funkcja zwracająca dane w wersji o jeden wyższej.
+     * Funkcje nie modyfikują przekazanych danych.
+     */
+    static MIGRATIONS = Object.freeze({
+        1: (data) => StateSchema.migrateSingleBoard(data),
+        2: (data) => StateSchema.migrateUnversionedStore(data)
+    });
+
+    /**
+     * Buduje klucz tygodnia w formacie "RRRR-Wtt"
+     * @param {number} year - rok ISO
+     * @param {number} weekNumber - numer tygodnia (1-53)
+     * @returns {string}
+     */
+    static getWeekKey(year, weekNumber) {
+        return `${year}-W${String(weekNumber).padStart(2, '0')}`;
+    }
+
+    /**
+     * Pusty magazyn tygodni w bieżącej wersji
+     * @returns {Object}
+     */
+    static createEmptyStore() {
+        return { schemaVersion: StateSchema.CURRENT_VERSION, year: null, weekNumber: null, weeks: {} };
+    }
+
+    /**
+     * Rozpoznaje wersję schematu danych z pliku
+     * @param {Object} data
+     * @returns {number}
+     */
+    static getVersion(data) {
+        if (data.schemaVersion !== undefined) {
+            return data.schemaVersion;
+        }
+        return Array.isArray(data.rows) ? 1 : 2;
+    }
+
+    /**
+     * Przenosi dane do bieżącej wersji schematu i sprawdza wynik.
+     * Niepoprawne tygodnie są usuwane z magazynu i zwracane osobno.
+     * @param {Object} data - zawartość pliku stanu (nie jest modyfikowana)
+     * @returns {{store: Object, invalidWeeks: {key: string, week: *, errors: string[]}[]}}
+     *          magazyn tygodni w wersji CURRENT_VERSION i odrzucone tygodnie
+     * @throws {Error} gdy wersja jest nieznana lub nowsza od obsługiwanej albo magazyn jest niepoprawny
+     */
+    static migrate(data) {
+        let version = StateSchema.getVersion(data);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`nieznana wersja schematu: ${JSON.stringify(version)}`);
+        }
+        if (version > StateSchema.CURRENT_VERSION) {
+            throw new Error(`plik zapisano nowszą wersją aplikacji (schemat ${version}, ` +
+                `obsługiwany ${StateSchema.CURRENT_VERSION})`);
+        }
+
+        let store = data;
+        while (version < StateSchema.CURRENT_VERSION) {
+            store = StateSchema.MIGRATIONS[version](store);
+            version++;
+        }
+
+        const errors = StateSchema.validateStore(store);
+        if (errors.length > 0) {
+            throw new Error(`niepoprawna struktura: ${StateSchema.summarizeErrors(errors)}`);
+        }
+
+        const weeks = {};
+        const invalidWeeks = [];
+        Object.entries(store.weeks).forEach(([key, week]) => {
+            const weekErrors = StateSchema.validateWeekEntry(key, week);
+            if (weekErrors.length > 0) {
+                invalidWeeks.push({ key, week, errors: weekErrors });
+            } else {
+                weeks[key] = week;
+            }
+        });
+        return { store: { ...store, weeks }, invalidWeeks };
+    }
+
+    /**
+     * Sprawdza strukturę magazynu tygodni w bieżącej wersji (razem z każdym tygodniem)
+     * @param {Object} store
+     * @returns {string[]} lista błędów (pusta = poprawne)
+     */
+    static validate(store) {
+        const errors = StateSchema.validateStore(store);
+        if (StateSchema.isPlainObject(store.weeks)) {
+            Object.entries(store.weeks).forEach(([key, week]) => {
+                StateSchema.validateWeekEntry(key, week).forEach(error => errors.push(`${key}: ${error}`));
+            });
+        }
+        return errors;
+    }
+
+    /**
+     * Sprawdza pola magazynu poza stanami tygodni
+     * @param {Object} store
+     * @returns {string[]} lista błędów (pusta = poprawne)
+     */
+    static validateStore(store) {
+        const errors = [];
+        if (store.schemaVersion !== StateSchema.CURRENT_VERSION) {
+            errors.push(`wersja schematu ${store.schemaVersion} zamiast ${StateSchema.CURRENT_VERSION}`);
+        }
+        if (store.year !== null && !Number.isInteger(store.year)) {
+            errors.push('ostatnio otwarty tydzień: niepoprawny rok');
+        }
+        if (store.weekNumber !== null && !Number.isInteger(store.weekNumber)) {
+            errors.push('ostatnio otwarty tydzień: niepoprawny numer tygodnia');
+        }
+        if (!StateSchema.isPlainObject(store.weeks)) {
+            errors.push('brak obiektu weeks');
+        }
+        return errors;
+    }
+
+    /**
+     * Sprawdza tydzień zapisany pod kluczem magazynu
+     * @param {string} key - np. "2026-W10"
+     * @param {Object} week
+     * @returns {string[]} lista błędów (pusta = poprawne)
+     */
+    static validateWeekEntry(key, week) {
+        const errors = StateSchema.validateWeek(week);
+        if (StateSchema.isPlainObject(week) && key !== StateSchema.getWeekKey(week.year, week.weekNumber)) {
+            errors.push(`klucz nie odpowiada tygodniowi ${week.weekNumber}/${week.year}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Skraca listę błędów do komunikatu
+     * @param {string[]} errors
+     * @returns {string} pierwsze trzy błędy i liczba pozostałych
+     */
+    static summarizeErrors(errors) {
+        const more = errors.length > 3 ? ` (i ${errors.length - 3} więcej)` : '';
+        return `${errors.slice(0, 3).join('; ')}${more}`;
+    }
+
+    /**
+     * Sprawdza stan jednego tygodnia
+     * @param {Object} week
+     * @returns {string[]} lista błędów (pusta = poprawne)
+     */
+    static validateWeek(week) {
+        if (!StateSchema.isPlainObject(week)) {
+            return ['stan tygodnia nie jest obiektem'];
+        }
+
+        const errors = [];
+        if (!Number.isInteger(week.year)) {
+            errors.push('niepoprawny rok');
+        }
+        if (!Number.isInteger(week.weekNumber) || week.weekNumber < 1 || week.weekNumber > 53) {
+            errors.push('niepoprawny numer tygodnia');
+        }
+        if (!Array.isArray(week.columns) || week.columns.length !== StateSchema.DAYS_IN_WEEK ||
+            week.columns.some(column => !StateSchema.isPlainObject(column) || !Number.isFinite(column.requiredWorkers))) {
+            errors.push(`kolumny muszą być ${StateSchema.DAYS_IN_WEEK} dniami z wymaganą liczbą pracowników`);
+        }
+        if (!Array.isArray(week.rows)) {
+            errors.push('brak tablicy wierszy');
+            return errors;
+        }
+
+        week.rows.forEach((row, rowIndex) => {
+            if (!StateSchema.isPlainObject(row)) {
+                errors.push(`wiersz ${rowIndex + 1} nie jest obiektem`);
+                return;
+            }
+            if (typeof row.header !== 'string') {
+                errors.push(`wiersz ${rowIndex + 1}: brak nazwy pracownika`);
+            }
+            if (!Array.isArray(row.tiles) || row.tiles.length !== StateSchema.DAYS_IN_WEEK ||
+                row.tiles.some(tile => !StateSchema.isPlainObject(tile) || typeof tile.state !== 'string')) {
+                errors.push(`wiersz ${rowIndex + 1}: kafelki muszą być ${StateSchema.DAYS_IN_WEEK} dniami ze stanem`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Wersja 1 → 2: globalna tablica trafia pod klucz swojego tygodnia
+     * @param {Object} data
+     * @returns {Object}
+     */
+    static migrateSingleBoard(data) {
+        const key = StateSchema.getWeekKey(data.year, data.weekNumber);
+        return { year: data.year, weekNumber: data.weekNumber, weeks: { [key]: data } };
+    }
+
+    /**
+     * Wersja 2 → 3: pole schemaVersion i uzupełnienie pól wierszy, których starsze
+     * wersje aplikacji nie zapisywały (wiersze sprzed kartoteki nie mają employeeId)
+     * @param {Object} data
+     * @returns {Object}
+     */
+    static migrateUnversionedStore(data) {
+        const weeks = {};
+        Object.entries(StateSchema.isPlainObject(data.weeks) ? data.weeks : {}).forEach(([key, week]) => {
+            weeks[key] = StateSchema.isPlainObject(week) && Array.isArray(week.rows)
+                ? { ...week, rows: week.rows.map((row, rowIndex) => StateSchema.normalizeRow(row, rowIndex)) }
+                : week;
+        });
+
+        return {
+            schemaVersion: 3,
+            year: data.year ?? null,
+            weekNumber: data.weekNumber ?? null,
+            weeks
+        };
+    }
+
+    /**
+     * @param {Object} row
+     * @param {number} rowIndex
+     * @returns {Object}
+     */
+    static normalizeRow(row, rowIndex) {
+        if (!StateSchema.isPlainObject(row)) {
+            return row;
+        }
+        return {
+            ...row,
+            index: rowIndex,
+            employeeId: row.employeeId || null,
+            includedInCalculations: row.includedInCalculations !== false,
+            tiles: Array.isArray(row.tiles)
+                ? row.tiles.map((tile, columnIndex) => (StateSchema.isPlainObject(tile)
+                    ? { ...tile, rowIndex, columnIndex }
+                    : tile))
+                : row.tiles
+        };
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+module.exports = StateSchema;
@@ -1,17 +1,58 @@
 const fs = require('fs');
 const path = require('path');
 const { app } = require('electron');
+const StateSchema = require('./StateSchema');
 
 /**
  * Serwis do persystencji danych
  * Single Responsibility: zapisywanie i odczytywanie stanu aplikacji
+ *
+ * Plik stanu przechowuje osobny grafik dla każdego tygodnia ISO:
+ * { schemaVersion, year, weekNumber, weeks: { '2024-W42': { year, weekNumber, columns, rows } } }
+ * gdzie year/weekNumber na najwyższym poziomie wskazują ostatnio otwarty tydzień.
+ * Każdy tydzień ma licznik zmian revision, zwiększany przy każdym zapisie zmienionej treści
+ * (także przy przywróceniu kopii), więc nigdy nie maleje - eksport iCalendar używa go jako SEQUENCE.
+ * Starsze wersje pliku są przy odczycie migrowane do bieżącej wersji schematu (StateSchema).
+ * Kartoteka pracowników jest trzymana osobno w roster.json: { employees: [...] },
+ * ustawienia aplikacji (np. katalog zmian) w settings.json,
+ * a nazwane szablony tygodnia w templates.json: { templates: [...] }.
+ *
+ * Pliki zapisywane są atomowo (plik tymczasowy + zmiana nazwy), więc przerwany zapis
+ * nie uszkadza poprzedniej wersji. Przed nadpisaniem pliku co BACKUP_INTERVAL_MS powstaje
+ * jego kopia w katalogu backups/ (najwyżej MAX_BACKUPS na plik, najstarsze są usuwane).
+ * Plik, którego nie da się odczytać, jest przenoszony do backups/ jako "*.corrupted-*"
+ * i zgłaszany przez getLoadProblems(), zamiast zostać po cichu nadpisany pustym stanem.
+ * Dopóki problem z plikiem stanu nie zostanie rozwiązany (restoreBackup lub dismissLoadProblem),
+ * zapisy tygodni są odrzucane - inaczej pierwszy zapis utworzyłby plik z jednym tygodniem.
+ * Niepoprawne pojedyncze tygodnie trafiają do backups/ jako "board-state.invalid-weeks-*",
+ * a pozostałe tygodnie wczytują się normalnie.
  */
 class StorageService {
     constructor() {
         this.dataPath = this._getDataPath();
+        this.rosterPath = path.join(path.dirname(this.dataPath), 'roster.json');
+        this.settingsPath = path.join(path.dirname(this.dataPath), 'settings.json');
+        this.templatesPath = path.join(path.dirname(this.dataPath), 'templates.json');
+        this.backupPath = path.join(path.dirname(this.dataPath), 'backups');
+
+        this.BACKUP_INTERVAL_MS = 15 * 60 * 1000; // najwyżej jedna kopia pliku na 15 minut
+        this.MAX_BACKUPS = 20; // liczba kopii przechowywanych dla każdego pliku
+
+        // Uszkodzone pliki wykryte przy odczycie: { fileName, corruptedFileName, error, invalidWeeks? }
+        this.loadProblems = [];
         this._ensureDataDirectory();
     }
 
+    /**
+     * Buduje klucz tygodnia w formacie "RRRR-Wtt"
+     * @param {number} year - rok ISO
+     * @param {number} weekNumber - numer tygodnia (1-53)
+     * @returns {string}
+     */
+    static getWeekKey(year, weekNumber) {
+        return StateSchema.getWeekKey(year, weekNumber);
+    }
+
     /**
      * Pobiera ścieżkę do pliku z danymi
      * @private
@@ -27,21 +68,319 @@ class StorageService {
      * @private
      */
     _ensureDataDirectory() {
-        const dir = path.dirname(this.dataPath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
+        [path.dirname(this.dataPath), this.backupPath].forEach(dir => {
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+        });
+    }
+
+    /**
+     * Wczytuje plik JSON.
+     * Plik uszkodzony (niepoprawny JSON, nie-obiekt lub błąd funkcji upgrade) jest przenoszony
+     * do katalogu kopii i zgłaszany w loadProblems - dalsza praca zaczyna się jak bez pliku.
+     * @private
+     * @param {string} filePath
+     * @param {Function|null} upgrade - (data) => dane po migracji i walidacji; rzuca błąd dla niepoprawnych
+     * @returns {Object|null} zawartość pliku lub null, jeśli nie istnieje lub był uszkodzony
+     */
+    _readJsonFile(filePath, upgrade = null) {
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+
+        try {
+            const data = this._parseJson(fs.readFileSync(filePath, 'utf-8'));
+            return upgrade ? upgrade(data) : data;
+        } catch (error) {
+            this._quarantineFile(filePath, error);
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} content
+     * @returns {Object}
+     * @throws {Error} gdy treść nie jest obiektem JSON
+     */
+    _parseJson(content) {
+        const data = JSON.parse(content);
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('plik nie zawiera obiektu JSON');
+        }
+        return data;
+    }
+
+    /**
+     * Przenosi uszkodzony plik do katalogu kopii i zapamiętuje problem
+     * @private
+     * @param {string} filePath
+     * @param {Error} error
+     */
+    _quarantineFile(filePath, error) {
+        const fileName = path.basename(filePath);
+        const corruptedFileName = `${path.basename(fileName, '.json')}.corrupted-${this._getTimestamp()}.json`;
+        console.error(`Uszkodzony plik ${fileName}:`, error);
+
+        fs.renameSync(filePath, path.join(this.backupPath, corruptedFileName));
+        this.loadProblems.push({ fileName, corruptedFileName, error: error.message });
+    }
+
+    /**
+     * Zapisuje obiekt do pliku JSON atomowo: treść trafia do pliku tymczasowego,
+     * który po zapisaniu na dysk zastępuje plik docelowy
+     * @private
+     * @param {string} filePath
+     * @param {Object} data
+     */
+    _writeJsonFile(filePath, data) {
+        const jsonData = JSON.stringify(data, null, 2);
+        const tempPath = `${filePath}.tmp`;
+
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, jsonData, null, 'utf-8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        this._backupFile(filePath);
+        fs.renameSync(tempPath, filePath);
+    }
+
+    /**
+     * Tworzy kopię pliku przed nadpisaniem (gdy od ostatniej kopii minął BACKUP_INTERVAL_MS
+     * lub force) i usuwa kopie ponad MAX_BACKUPS. Kopiowane są tylko poprawne pliki.
+     * @private
+     * @param {string} filePath
+     * @param {boolean} force - kopia niezależnie od odstępu czasu
+     */
+    _backupFile(filePath, force = false) {
+        if (!fs.existsSync(filePath)) return;
+
+        const baseName = path.basename(filePath, '.json');
+        const backups = this._listBackupFiles(baseName);
+        const latest = backups[0];
+        if (!force && latest && Date.now() - latest.createdAt.getTime() < this.BACKUP_INTERVAL_MS) {
+            return;
+        }
+
+        try {
+            this._parseJson(fs.readFileSync(filePath, 'utf-8'));
+        } catch (error) {
+            return; // uszkodzona treść nie zastąpi dobrych kopii
         }
+
+        fs.copyFileSync(filePath, path.join(this.backupPath, `${baseName}.backup-${this._getTimestamp()}.json`));
+        this._listBackupFiles(baseName)
+            .slice(this.MAX_BACKUPS)
+            .forEach(backup => fs.unlinkSync(path.join(this.backupPath, backup.id)));
     }
 
     /**
-     * Zapisuje stan aplikacji
-     * @param {Object} state - stan do zapisania
+     * Kopie zapasowe pliku (od najnowszej)
+     * @private
+     * @param {string|null} baseName - nazwa pliku bez .json (null = wszystkie pliki)
+     * @returns {{id: string, fileName: string, createdAt: Date, size: number}[]}
+     */
+    _listBackupFiles(baseName = null) {
+        if (!fs.existsSync(this.backupPath)) return [];
+
+        return fs.readdirSync(this.backupPath)
+            .map(id => ({ id, match: /^(.+)\.backup-(\d{8}-\d{6}-\d{3})\.json$/.exec(id) }))
+            .filter(({ match }) => match && (baseName === null || match[1] === baseName))
+            .map(({ id, match }) => ({
+                id,
+                fileName: `${match[1]}.json`,
+                createdAt: this._parseTimestamp(match[2]),
+                size: fs.statSync(path.join(this.backupPath, id)).size
+            }))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Znacznik czasu w nazwach kopii, np. "20261019-143005-120" (czas lokalny)
+     * @private
+     * @param {Date} date
+     * @returns {string}
+     */
+    _getTimestamp(date = new Date()) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}-${pad(date.getMilliseconds(), 3)}`;
+    }
+
+    /**
+     * @private
+     * @param {string} timestamp - wynik _getTimestamp
+     * @returns {Date}
+     */
+    _parseTimestamp(timestamp) {
+        const [, year, month, day, hours, minutes, seconds, ms] =
+            /^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})-(\d{3})$/.exec(timestamp).map(Number);
+        return new Date(year, month - 1, day, hours, minutes, seconds, ms);
+    }
+
+    /**
+     * Wczytuje cały magazyn tygodni z dysku
+     * Plik w starszej wersji schematu jest migrowany i od razu zapisywany w bieżącej wersji,
+     * a niepoprawne tygodnie są przenoszone do kopii (_quarantineWeeks).
+     * Poprzednia wersja pliku trafia w obu przypadkach do kopii zapasowych.
+     * @private
+     * @returns {Object}
+     */
+    _readStore() {
+        let fromVersion = null;
+        const result = this._readJsonFile(this.dataPath, data => {
+            fromVersion = StateSchema.getVersion(data);
+            return StateSchema.migrate(data);
+        });
+        if (!result) {
+            return StateSchema.createEmptyStore();
+        }
+
+        const { store, invalidWeeks } = result;
+        if (invalidWeeks.length > 0) {
+            this._quarantineWeeks(invalidWeeks);
+        }
+        if (fromVersion < StateSchema.CURRENT_VERSION || invalidWeeks.length > 0) {
+            this._backupFile(this.dataPath, true);
+            this._writeStore(store);
+        }
+        return store;
+    }
+
+    /**
+     * Wczytuje magazyn tygodni przed zmianą i zapisem
+     * @private
+     * @returns {Object}
+     * @throws {Error} gdy pliku stanu nie udało się odczytać, a problem nie został rozwiązany
+     */
+    _readStoreForUpdate() {
+        const store = this._readStore();
+        if (this._isStoreBlocked()) {
+            throw new Error('plik stanu był uszkodzony - zapis wstrzymany do przywrócenia kopii');
+        }
+        return store;
+    }
+
+    /**
+     * Czy cały plik stanu został odrzucony przy odczycie
+     * (problemy z pojedynczymi tygodniami nie blokują zapisu)
+     * @private
+     * @returns {boolean}
+     */
+    _isStoreBlocked() {
+        const fileName = path.basename(this.dataPath);
+        return this.loadProblems.some(problem => problem.fileName === fileName && !problem.invalidWeeks);
+    }
+
+    /**
+     * Zapisuje niepoprawne tygodnie do osobnego pliku w katalogu kopii i zapamiętuje problem
+     * @private
+     * @param {{key: string, week: *, errors: string[]}[]} invalidWeeks
+     */
+    _quarantineWeeks(invalidWeeks) {
+        const fileName = path.basename(this.dataPath);
+        const corruptedFileName = `${path.basename(fileName, '.json')}.invalid-weeks-${this._getTimestamp()}.json`;
+        const errors = invalidWeeks.map(({ key, errors: weekErrors }) =>
+            `${key}: ${StateSchema.summarizeErrors(weekErrors)}`);
+        console.error(`Niepoprawne tygodnie w ${fileName}:`, errors);
+
+        const weeks = {};
+        invalidWeeks.forEach(({ key, week }) => {
+            weeks[key] = week;
+        });
+        this._writeJsonFile(path.join(this.backupPath, corruptedFileName), { weeks, errors });
+        this.loadProblems.push({
+            fileName,
+            corruptedFileName,
+            error: errors.join('; '),
+            invalidWeeks: invalidWeeks.map(({ key }) => key)
+        });
+    }
+
+    /**
+     * Wstawia stan tygodnia do magazynu. Licznik zmian jest brany z magazynu
+     * (nie ze stanu od wywołującego) i rośnie, gdy treść tygodnia się zmieniła.
+     * @private
+     * @param {Object} store
+     * @param {Object} state - stan tablicy (z polami year i weekNumber)
+     */
+    _putWeek(store, state) {
+        const key = StorageService.getWeekKey(state.year, state.weekNumber);
+        const previous = store.weeks[key];
+        const revision = previous ? StorageService.getRevision(previous) : 0;
+        const week = { ...state, revision };
+
+        const unchanged = previous && JSON.stringify({ ...previous, revision }) === JSON.stringify(week);
+        if (!unchanged) {
+            week.revision = revision + 1;
+        }
+        store.weeks[key] = week;
+    }
+
+    /**
+     * Licznik zmian tygodnia (0 dla tygodni zapisanych przed jego wprowadzeniem)
+     * @param {Object} week
+     * @returns {number}
+     */
+    static getRevision(week) {
+        return Number.isInteger(week.revision) && week.revision > 0 ? week.revision : 0;
+    }
+
+    /**
+     * Podnosi liczniki zmian tygodni przywracanego pliku stanu ponad liczniki bieżącego pliku,
+     * żeby kalendarze wyeksportowane z bieżącej wersji przyjęły przywróconą treść
+     * @private
+     * @param {Object} data - treść kopii pliku stanu (modyfikowana)
+     */
+    _raiseRestoredRevisions(data) {
+        if (!StateSchema.isPlainObject(data.weeks)) {
+            return; // kopia w formacie sprzed podziału na tygodnie
+        }
+
+        let current = {};
+        try {
+            const currentData = this._parseJson(fs.readFileSync(this.dataPath, 'utf-8'));
+            current = StateSchema.isPlainObject(currentData.weeks) ? currentData.weeks : {};
+        } catch (error) {
+            // brak lub uszkodzony bieżący plik - nie ma liczników do przewyższenia
+        }
+
+        Object.entries(data.weeks).forEach(([key, week]) => {
+            if (StateSchema.isPlainObject(week)) {
+                const currentRevision = StateSchema.isPlainObject(current[key]) ? StorageService.getRevision(current[key]) : 0;
+                week.revision = Math.max(StorageService.getRevision(week), currentRevision) + 1;
+            }
+        });
+    }
+
+    /**
+     * Zapisuje cały magazyn tygodni na dysk
+     * @private
+     * @param {Object} store
+     */
+    _writeStore(store) {
+        this._writeJsonFile(this.dataPath, store);
+    }
+
+    /**
+     * Zapisuje stan tygodnia i oznacza go jako ostatnio otwarty
+     * @param {Object} state - stan tablicy (z polami year i weekNumber)
      * @returns {Promise<boolean>} czy zapis się powiódł
      */
     async saveState(state) {
         try {
-            const jsonData = JSON.stringify(state, null, 2);
-            fs.writeFileSync(this.dataPath, jsonData, 'utf-8');
+            const store = this._readStoreForUpdate();
+
+            this._putWeek(store, state);
+            store.year = state.year;
+            store.weekNumber = state.weekNumber;
+
+            this._writeStore(store);
             return true;
         } catch (error) {
             console.error('Błąd podczas zapisywania stanu:', error);
@@ -50,22 +389,253 @@ class StorageService {
     }
 
     /**
-     * Wczytuje stan aplikacji
+     * Zapisuje stan tygodnia bez zmiany ostatnio otwartego tygodnia
+     * (np. tygodnie zmienione przez planowanie urlopów)
+     * @param {Object} state - stan tablicy (z polami year i weekNumber)
+     * @returns {Promise<boolean>} czy zapis się powiódł
+     */
+    async saveWeek(state) {
+        try {
+            const store = this._readStoreForUpdate();
+            this._putWeek(store, state);
+            this._writeStore(store);
+            return true;
+        } catch (error) {
+            console.error('Błąd podczas zapisywania tygodnia:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Wczytuje stan ostatnio otwartego tygodnia
      * @returns {Promise<Object|null>} wczytany stan lub null
      */
     async loadState() {
         try {
-            if (fs.existsSync(this.dataPath)) {
-                const jsonData = fs.readFileSync(this.dataPath, 'utf-8');
-                return JSON.parse(jsonData);
+            const store = this._readStore();
+            if (store.year === null || store.weekNumber === null) {
+                return null;
             }
-            return null;
+            return store.weeks[StorageService.getWeekKey(store.year, store.weekNumber)] || null;
         } catch (error) {
             console.error('Błąd podczas wczytywania stanu:', error);
             return null;
         }
     }
 
+    /**
+     * Wczytuje stan konkretnego tygodnia
+     * @param {number} year
+     * @param {number} weekNumber
+     * @returns {Promise<Object|null>} stan tygodnia lub null, jeśli nie był jeszcze planowany
+     */
+    async loadWeek(year, weekNumber) {
+        try {
+            const store = this._readStore();
+            return store.weeks[StorageService.getWeekKey(year, weekNumber)] || null;
+        } catch (error) {
+            console.error('Błąd podczas wczytywania tygodnia:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Zwraca listę zapisanych tygodni (posortowaną chronologicznie)
+     * @returns {Promise<Object[]>} tablica { year, weekNumber, rowCount }
+     */
+    async listWeeks() {
+        try {
+            const store = this._readStore();
+            return Object.values(store.weeks)
+                .map(week => ({
+                    year: week.year,
+                    weekNumber: week.weekNumber,
+                    rowCount: week.rows.length
+                }))
+                .sort((a, b) => a.year - b.year || a.weekNumber - b.weekNumber);
+        } catch (error) {
+            console.error('Błąd podczas listowania tygodni:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Wczytuje kartotekę pracowników
+     * @returns {Promise<Object[]>} lista pracowników { id, name, active, includedInCalculations }
+     */
+    async loadRoster() {
+        try {
+            const data = this._readJsonFile(this.rosterPath);
+            return Array.isArray(data?.employees) ? data.employees : [];
+        } catch (error) {
+            console.error('Błąd podczas wczytywania kartoteki:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Zapisuje kartotekę pracowników.
+     * Zmiana nazwiska w kartotece jest przenoszona do wszystkich zapisanych tygodni,
+     * w których występuje wiersz powiązany z danym pracownikiem
+     * (nie dotyczy to odrzuconego pliku stanu, który czeka na przywrócenie kopii).
+     * @param {Object[]} employees - lista pracowników
+     * @returns {Promise<boolean>} czy zapis się powiódł
+     */
+    async saveRoster(employees) {
+        try {
+            this._writeJsonFile(this.rosterPath, { employees });
+
+            const namesById = new Map(employees.map(employee => [employee.id, employee.name]));
+            const store = this._readStore();
+            if (this._isStoreBlocked()) {
+                return true;
+            }
+            let changed = false;
+
+            Object.values(store.weeks).forEach(week => {
+                let weekChanged = false;
+                week.rows.forEach(row => {
+                    if (namesById.has(row.employeeId) && row.header !== namesById.get(row.employeeId)) {
+                        row.header = namesById.get(row.employeeId);
+                        weekChanged = true;
+                    }
+                });
+                if (weekChanged) {
+                    week.revision = StorageService.getRevision(week) + 1;
+                    changed = true;
+                }
+            });
+
+            if (changed) {
+                this._writeStore(store);
+            }
+            return true;
+        } catch (error) {
+            console.error('Błąd podczas zapisywania kartoteki:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Wczytuje ustawienia aplikacji
+     * @returns {Promise<Object>} ustawienia (pusty obiekt, gdy brak pliku)
+     */
+    async loadSettings() {
+        try {
+            return this._readJsonFile(this.settingsPath) || {};
+        } catch (error) {
+            console.error('Błąd podczas wczytywania ustawień:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Zapisuje ustawienia aplikacji
+     * @param {Object} settings
+     * @returns {Promise<boolean>} czy zapis się powiódł
+     */
+    async saveSettings(settings) {
+        try {
+            this._writeJsonFile(this.settingsPath, settings);
+            return true;
+        } catch (error) {
+            console.error('Błąd podczas zapisywania ustawień:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Wczytuje nazwane szablony tygodnia
+     * @returns {Promise<Object[]>} lista szablonów { id, name, columns, rows }
+     */
+    async loadTemplates() {
+        try {
+            const data = this._readJsonFile(this.templatesPath);
+            return data ? data.templates : [];
+        } catch (error) {
+            console.error('Błąd podczas wczytywania szablonów:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Zapisuje nazwane szablony tygodnia
+     * @param {Object[]} templates
+     * @returns {Promise<boolean>} czy zapis się powiódł
+     */
+    async saveTemplates(templates) {
+        try {
+            this._writeJsonFile(this.templatesPath, { templates });
+            return true;
+        } catch (error) {
+            console.error('Błąd podczas zapisywania szablonów:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Uszkodzone pliki wykryte od uruchomienia aplikacji
+     * @returns {Promise<Object[]>} tablica { fileName, corruptedFileName, error, invalidWeeks? }
+     *          (invalidWeeks - klucze odrzuconych tygodni, gdy reszta pliku stanu wczytała się poprawnie)
+     */
+    async getLoadProblems() {
+        return this.loadProblems.map(problem => ({ ...problem }));
+    }
+
+    /**
+     * Zamyka zgłoszone problemy z plikiem bez przywracania kopii
+     * (np. gdy kopii nie ma) - zapis pliku stanu zaczyna się wtedy od pustego grafiku.
+     * Treść uszkodzonego pliku pozostaje w katalogu kopii.
+     * @param {string} fileName - nazwa pliku danych, np. "board-state.json"
+     * @returns {Promise<boolean>}
+     */
+    async dismissLoadProblem(fileName) {
+        this.loadProblems = this.loadProblems.filter(problem => problem.fileName !== fileName);
+        return true;
+    }
+
+    /**
+     * Lista kopii zapasowych wszystkich plików danych (od najnowszej)
+     * @returns {Promise<Object[]>} tablica { id, fileName, createdAt (ISO), size }
+     */
+    async listBackups() {
+        try {
+            return this._listBackupFiles().map(backup => ({ ...backup, createdAt: backup.createdAt.toISOString() }));
+        } catch (error) {
+            console.error('Błąd podczas listowania kopii zapasowych:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Przywraca plik danych z kopii zapasowej.
+     * Bieżąca wersja pliku jest najpierw zachowywana jako nowa kopia.
+     * @param {string} backupId - nazwa pliku kopii (z listBackups)
+     * @returns {Promise<boolean>} czy przywrócenie się powiodło
+     */
+    async restoreBackup(backupId) {
+        try {
+            const backup = this._listBackupFiles().find(candidate => candidate.id === backupId);
+            if (!backup) {
+                throw new Error(`Nie znaleziono kopii ${backupId}`);
+            }
+
+            const data = this._parseJson(fs.readFileSync(path.join(this.backupPath, backup.id), 'utf-8'));
+            const targetPath = path.join(path.dirname(this.dataPath), backup.fileName);
+            if (targetPath === this.dataPath) {
+                this._raiseRestoredRevisions(data);
+            }
+            this._backupFile(targetPath, true);
+            this._writeJsonFile(targetPath, data);
+
+            this.loadProblems = this.loadProblems.filter(problem => problem.fileName !== backup.fileName);
+            return true;
+        } catch (error) {
+            console.error('Błąd podczas przywracania kopii zapasowej:', error);
+            return false;
+        }
+    }
+
     /**
      * Czyści zapisany stan
      * @returns {Promise<boolean>}
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ComplianceChecker = require('../src/models/ComplianceChecker');
+
+const SHIFTS = [
+    { id: 'early', name: 'Früh', code: 'F', start: '06:00', end: '14:00', color: '#fde68a' },
+    { id: 'late', name: 'Spät', code: 'S', start: '14:00', end: '23:00', color: '#bfdbfe' },
+    { id: 'long', name: 'Lang', code: 'L', start: '07:00', end: '18:00', breakStart: '12:00', breakEnd: '13:00', color: '#bbf7d0' }
+];
+
+/**
+ * @param {(string|null)[]} shiftIds - id zmiany na dzień (null = A)
+ * @param {Object} row - pola wiersza do nadpisania
+ * @returns {Object}
+ */
+function createRow(shiftIds, row = {}) {
+    return {
+        header: 'Anna Nowak',
+        employeeId: 'emp-1',
+        includedInCalculations: true,
+        tiles: shiftIds.map(shiftId => (shiftId ? { state: 'Praca', shiftId } : { state: 'A' })),
+        ...row
+    };
+}
+
+/**
+ * @param {Object[]} rows
+ * @returns {Object}
+ */
+function createState(rows) {
+    return { year: 2026, weekNumber: 10, rows };
+}
+
+test('zmiana ranna po późnej łamie minimalny odpoczynek', () => {
+    const state = createState([createRow(['late', 'early', null, null, null, null, null])]);
+
+    const violations = ComplianceChecker.check(state, { shifts: SHIFTS });
+
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].rule, ComplianceChecker.Rule.REST);
+    assert.deepEqual(violations[0].columnIndices, [0, 1]);
+    assert.equal(violations[0].message, 'Odpoczynek 7 h (minimum 11 h)');
+});
+
+test('odpoczynek i ciąg dni pracy liczone są od poprzedniego tygodnia', () => {
+    const previousState = createState([createRow(['early', 'early', 'early', 'early', 'early', 'early', 'late'],
+        { header: 'Inna nazwa' })]);
+    const state = createState([createRow(['early', null, null, null, null, null, null])]);
+
+    const rules = ComplianceChecker.check(state, { previousState, shifts: SHIFTS }).map(violation => violation.rule);
+
+    assert.deepEqual(rules, [ComplianceChecker.Rule.REST, ComplianceChecker.Rule.CONSECUTIVE]);
+});
+
+test('wiersz poprzedniego tygodnia dopasowywany jest po ID, a bez ID po nazwie', () => {
+    const previousState = createState([
+        createRow([], { header: 'Anna Nowak', employeeId: null }),
+        createRow([], { header: 'Anna Kowalska', employeeId: 'emp-1' })
+    ]);
+
+    assert.equal(ComplianceChecker.findMatchingRow(previousState, createRow([])), previousState.rows[1]);
+    assert.equal(ComplianceChecker.findMatchingRow(previousState, createRow([], { employeeId: null })), previousState.rows[0]);
+    assert.equal(ComplianceChecker.findMatchingRow(previousState, createRow([], { employeeId: 'emp-2', header: '' })), null);
+});
+
+test('siedem dni pracy z rzędu przekracza domyślny limit', () => {
+    const state = createState([createRow(Array(7).fill('early'))]);
+
+    const [violation] = ComplianceChecker.check(state, { shifts: SHIFTS });
+
+    assert.equal(violation.rule, ComplianceChecker.Rule.CONSECUTIVE);
+    assert.deepEqual(violation.columnIndices, [6]);
+    assert.equal(violation.message, '7 dni pracy z rzędu (maksimum 6)');
+});
+
+test('limit tygodniowy liczy godziny bez przerw', () => {
+    // 5 × 10 h (11 h minus przerwa) = 50 h
+    const state = createState([createRow(['long', 'long', 'long', 'long', 'long', null, null])]);
+
+    const violations = ComplianceChecker.check(state, { shifts: SHIFTS });
+
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].rule, ComplianceChecker.Rule.WEEKLY_HOURS);
+    assert.deepEqual(violations[0].columnIndices, [4]);
+    assert.equal(violations[0].message, '50 h w tygodniu (maksimum 48 h)');
+
+    const withinLimit = ComplianceChecker.check(state, { shifts: SHIFTS, limits: { maxWeeklyHours: 50 } });
+    assert.deepEqual(withinLimit, []);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CsvSchedule = require('../src/models/CsvSchedule');
+
+const SHIFTS = [{ id: 'early', name: 'Früh', code: 'F', start: '06:00', end: '14:00', color: '#fde68a' }];
+
+/**
+ * @param {boolean} includedInCalculations
+ * @returns {Object}
+ */
+function createWeek(includedInCalculations = true) {
+    return {
+        year: 2026,
+        weekNumber: 10,
+        rows: [{
+            index: 0,
+            header: 'Anna Nowak',
+            employeeId: 'emp-1',
+            includedInCalculations,
+            tiles: Array.from({ length: 7 }, (_, columnIndex) => ({ rowIndex: 0, columnIndex, state: 'A' }))
+        }]
+    };
+}
+
+test('parse odczytuje pola zapisane przez quote', () => {
+    const values = ['Nowak; Anna', 'cytat "F"', 'wiele\nlinii', '=SUMME(A1:A2)', '+49 170', '-', '@home', "'bez zmian"];
+
+    const records = CsvSchedule.parse(values.map(value => CsvSchedule.quote(value)).join(';'));
+
+    assert.deepEqual(records, [values]);
+});
+
+test('pole wyglądające na formułę jest poprzedzane apostrofem', () => {
+    assert.equal(CsvSchedule.quote('=1+1'), "'=1+1");
+    assert.equal(CsvSchedule.quote('@SUMME(A1;A2)'), `"'@SUMME(A1;A2)"`);
+    assert.equal(CsvSchedule.quote('Anna'), 'Anna');
+});
+
+test('eksport i import tygodnia dają ten sam grafik', () => {
+    const week = createWeek();
+    week.rows[0].header = '=Anna';
+    week.rows[0].tiles[0] = { rowIndex: 0, columnIndex: 0, state: 'Praca', shiftId: 'early' };
+    week.rows[0].tiles[1] = { rowIndex: 0, columnIndex: 1, state: 'U' };
+
+    const [header, ...records] = CsvSchedule.parse(CsvSchedule.serialize(week, SHIFTS));
+    const target = createWeek();
+    target.rows[0].header = '=Anna';
+    const plan = CsvSchedule.buildImport(target, records, CsvSchedule.detectMapping(header), { shifts: SHIFTS });
+
+    assert.deepEqual(plan.errors, []);
+    assert.deepEqual(plan.changes.map(change => [change.columnIndex, change.to]), [[0, 'Praca (F)'], [1, 'U']]);
+    assert.deepEqual(plan.state.rows[0].tiles.map(tile => tile.state), week.rows[0].tiles.map(tile => tile.state));
+});
+
+test('zmiana uwzględniania w wyliczeniach trafia do podglądu raz na pracownika', () => {
+    const [header, ...records] = CsvSchedule.parse(CsvSchedule.serialize(createWeek(false), SHIFTS));
+
+    const plan = CsvSchedule.buildImport(createWeek(true), records, CsvSchedule.detectMapping(header), { shifts: SHIFTS });
+
+    assert.deepEqual(plan.changes, [{
+        employee: 'Anna Nowak',
+        dateKey: null,
+        columnIndex: null,
+        from: 'Uwzględniany',
+        to: 'Nieuwzględniany'
+    }]);
+    assert.equal(plan.state.rows[0].includedInCalculations, false);
+});
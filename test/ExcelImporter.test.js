@@ -0,0 +1,62 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelGenerator = require('../src/services/ExcelGenerator');
+const ExcelImporter = require('../src/services/ExcelImporter');
+
+const SETTINGS = {
+    shifts: [{ id: 'early', name: 'Früh', code: 'F', start: '06:00', end: '14:00', color: '#fde68a' }]
+};
+
+let outputDir = null;
+
+/**
+ * @param {number} weekNumber
+ * @returns {Object}
+ */
+function createWeek(weekNumber) {
+    return {
+        year: 2026,
+        weekNumber,
+        rows: [{
+            header: 'Anna Nowak',
+            includedInCalculations: true,
+            tiles: ['Praca', 'U', 'A', 'A', 'A', 'A', 'A'].map(state => ({ state, shiftId: 'early' }))
+        }]
+    };
+}
+
+beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grafik-excel-'));
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('plik tygodnia daje jeden tydzień, a puste arkusze szablonu są pomijane bez uwag', async () => {
+    const filePath = path.join(outputDir, 'week.xlsx');
+    await new ExcelGenerator().generateExcel(createWeek(10), filePath, SETTINGS);
+
+    const { weeks, issues } = await new ExcelImporter().importFile(filePath, SETTINGS);
+
+    assert.equal(weeks.length, 1);
+    assert.deepEqual(issues, []);
+    assert.equal(weeks[0].weekNumber, 10);
+    assert.deepEqual(weeks[0].rows[0].tiles.slice(0, 3),
+        [{ state: 'Praca', shiftId: 'early' }, { state: 'U' }, { state: 'A' }]);
+});
+
+test('skoroszyt zakresu daje tydzień z każdego arkusza i pomija arkusz podsumowania', async () => {
+    const filePath = path.join(outputDir, 'range.xlsx');
+    await new ExcelGenerator().generateWorkbook([createWeek(10), createWeek(11)], filePath, SETTINGS,
+        { includeSummary: true });
+
+    const { weeks, issues } = await new ExcelImporter().importFile(filePath, SETTINGS);
+
+    assert.deepEqual(weeks.map(week => [week.sheetName, week.weekNumber]), [['KW 10 2026', 10], ['KW 11 2026', 11]]);
+    assert.equal(issues.length, 1);
+    assert.match(issues[0], /^Arkusz "Summe"/);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const HolidayCalculator = require('../src/models/HolidayCalculator');
+const WeekDateCalculator = require('../src/models/WeekDateCalculator');
+
+/**
+ * @param {number} year
+ * @param {string|null} stateCode
+ * @returns {Object} klucz daty → nazwa święta
+ */
+function getHolidayMap(year, stateCode) {
+    return Object.fromEntries(HolidayCalculator.getHolidays(year, stateCode).map(holiday => [holiday.dateKey, holiday.name]));
+}
+
+test('Niedziela Wielkanocna, także w skrajnych terminach', () => {
+    const expected = {
+        2008: '2008-03-23',
+        2019: '2019-04-21',
+        2024: '2024-03-31',
+        2025: '2025-04-20',
+        2026: '2026-04-05',
+        2038: '2038-04-25'
+    };
+    Object.entries(expected).forEach(([year, dateKey]) => {
+        assert.equal(WeekDateCalculator.formatDateKey(HolidayCalculator.getEasterSunday(Number(year))), dateKey, year);
+    });
+});
+
+test('Buß- und Bettag to środa przed 23 listopada', () => {
+    const expected = { 2017: '2017-11-22', 2023: '2023-11-22', 2024: '2024-11-20', 2025: '2025-11-19', 2026: '2026-11-18' };
+    Object.entries(expected).forEach(([year, dateKey]) => {
+        assert.equal(WeekDateCalculator.formatDateKey(HolidayCalculator.getBussUndBettag(Number(year))), dateKey, year);
+    });
+
+    assert.equal(getHolidayMap(2026, 'SN')['2026-11-18'], 'Buß- und Bettag');
+    assert.equal(getHolidayMap(2026, 'BY')['2026-11-18'], undefined);
+});
+
+test('święta ruchome liczone są od Wielkanocy', () => {
+    const holidays = getHolidayMap(2026, null);
+    assert.equal(holidays['2026-04-03'], 'Karfreitag');
+    assert.equal(holidays['2026-04-06'], 'Ostermontag');
+    assert.equal(holidays['2026-05-14'], 'Christi Himmelfahrt');
+    assert.equal(holidays['2026-05-25'], 'Pfingstmontag');
+    assert.equal(holidays['2026-06-04'], undefined, 'Fronleichnam nie jest świętem federalnym');
+    assert.equal(getHolidayMap(2026, 'NW')['2026-06-04'], 'Fronleichnam');
+});
+
+test('bez kraju związkowego tylko 9 świąt federalnych', () => {
+    assert.equal(HolidayCalculator.getHolidays(2026, null).length, 9);
+    assert.equal(HolidayCalculator.getHolidays(2026, 'BB').length, 12);
+});
+
+test('święta krajowe obowiązują od roku wprowadzenia', () => {
+    assert.equal(getHolidayMap(2018, 'BE')['2018-03-08'], undefined);
+    assert.equal(getHolidayMap(2019, 'BE')['2019-03-08'], 'Internationaler Frauentag');
+    assert.equal(getHolidayMap(2017, 'HH')['2017-10-31'], undefined);
+    assert.equal(getHolidayMap(2018, 'HH')['2018-10-31'], 'Reformationstag');
+});
+
+test('getHolidaysForDates zwraca tablicę równoległą do dat tygodnia', () => {
+    // Tydzień 52/2026: pon 21.12 - nd 27.12
+    const holidays = HolidayCalculator.getHolidaysForDates(WeekDateCalculator.getWeekDates(2026, 52), 'BY');
+    assert.deepEqual(holidays.map(holiday => (holiday ? holiday.name : null)),
+        [null, null, null, null, '1. Weihnachtstag', '2. Weihnachtstag', null]);
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const IcsGenerator = require('../src/services/IcsGenerator');
+
+const EMPLOYEE = { employeeId: 'emp-1', header: 'Anna Nowak' };
+
+/**
+ * @param {number} weekNumber
+ * @param {string[]} states - stany kafelków pon-nd
+ * @param {number} revision
+ * @returns {Object}
+ */
+function createWeek(weekNumber, states, revision = 0) {
+    return {
+        year: 2026,
+        weekNumber,
+        revision,
+        rows: [{
+            header: EMPLOYEE.header,
+            employeeId: EMPLOYEE.employeeId,
+            tiles: states.map(state => ({ state, shiftId: null }))
+        }]
+    };
+}
+
+/**
+ * @param {string} content
+ * @returns {string[][]} linie kolejnych VEVENT (po rozwinięciu łamanych linii)
+ */
+function getEvents(content) {
+    return content.replace(/\r\n /g, '').split('\r\n').join('\n')
+        .split('BEGIN:VEVENT').slice(1)
+        .map(block => block.split('END:VEVENT')[0].trim().split('\n'));
+}
+
+test('zmiana i urlop są wydarzeniami, pozostałe dni tygodnia - wydarzeniami odwołanymi', () => {
+    const generator = new IcsGenerator();
+    const week = createWeek(10, ['Praca', 'U', 'A', 'K', 'A', 'A', 'A'], 4);
+
+    const { content, eventCount } = generator.buildCalendar(EMPLOYEE, [week], {});
+    const events = getEvents(content);
+
+    assert.equal(eventCount, 2);
+    assert.equal(events.length, 7);
+    assert.ok(events[0].includes('UID:emp-1-20260302@interaktywny-grafik-planer'));
+    assert.ok(events[0].some(line => line.startsWith('DTSTART;TZID=Europe/Berlin:20260302T')));
+    assert.ok(events[1].includes('DTSTART;VALUE=DATE:20260303'));
+    assert.equal(events.filter(lines => lines.includes('STATUS:CANCELLED')).length, 5);
+    assert.ok(events.every(lines => lines.includes('SEQUENCE:4')));
+});
+
+test('tydzień bez wiersza pracownika nie daje żadnych wydarzeń', () => {
+    const generator = new IcsGenerator();
+    const weeks = [
+        createWeek(10, ['Praca', 'A', 'A', 'A', 'A', 'A', 'A'], 1),
+        { year: 2026, weekNumber: 11, revision: 3, rows: [] }
+    ];
+
+    const events = getEvents(generator.buildCalendar(EMPLOYEE, weeks, {}).content);
+
+    const uids = events.map(lines => lines.find(line => line.startsWith('UID:')));
+    assert.equal(events.length, 7);
+    assert.equal(uids[6], 'UID:emp-1-20260308@interaktywny-grafik-planer');
+});
+
+test('SEQUENCE pochodzi z licznika zmian tygodnia, a nie z czasu eksportu', () => {
+    const generator = new IcsGenerator();
+    const weeks = [
+        createWeek(10, ['Praca', 'A', 'A', 'A', 'A', 'A', 'A'], 2),
+        createWeek(11, ['Praca', 'A', 'A', 'A', 'A', 'A', 'A'], 7),
+        createWeek(12, ['Praca', 'A', 'A', 'A', 'A', 'A', 'A'])
+    ];
+    delete weeks[2].revision;
+
+    const sequences = getEvents(generator.buildCalendar(EMPLOYEE, weeks, {}).content)
+        .map(lines => lines.find(line => line.startsWith('SEQUENCE:')));
+
+    assert.deepEqual([...new Set(sequences)], ['SEQUENCE:2', 'SEQUENCE:7', 'SEQUENCE:0']);
+});
+
+test('długie linie są łamane co najwyżej na 75 oktetów', () => {
+    const generator = new IcsGenerator();
+    const line = `SUMMARY:${'Zmiana popołudniowa '.repeat(10)}`;
+
+    const folded = generator.foldLine(line).split('\r\n');
+
+    assert.ok(folded.every(part => Buffer.byteLength(part, 'utf-8') <= 75));
+    assert.equal(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join(''), line);
+});
+
+test('tekst wydarzenia jest escapowany według RFC 5545', () => {
+    const generator = new IcsGenerator();
+    assert.equal(generator.escapeText('Früh; Küche, 1\\2\nEnde'), 'Früh\\; Küche\\, 1\\\\2\\nEnde');
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const LeavePlanner = require('../src/models/LeavePlanner');
+
+// Urlop na przełomie roku: 21.12.2026 (poniedziałek) - 08.01.2027 (piątek)
+const WINTER_LEAVE = { id: 'leave-1', from: '2026-12-21', to: '2027-01-08' };
+
+/**
+ * @param {string[]} states - stany kafelków pon-nd
+ * @param {Object} week - { year, weekNumber }
+ * @returns {Object}
+ */
+function createWeek(states, { year = 2026, weekNumber = 10 } = {}) {
+    return {
+        year,
+        weekNumber,
+        rows: [{
+            index: 0,
+            header: 'Anna Nowak',
+            employeeId: 'emp-1',
+            includedInCalculations: true,
+            tiles: states.map((state, columnIndex) => (state === 'Praca'
+                ? { rowIndex: 0, columnIndex, state, shiftId: 'early' }
+                : { rowIndex: 0, columnIndex, state }))
+        }]
+    };
+}
+
+test('z limitu odliczane są dni robocze danego roku bez świąt', () => {
+    // 2026: 21-24.12 i 28-31.12 (25.12 to święto)
+    assert.equal(LeavePlanner.countDays(WINTER_LEAVE, 2026), 8);
+    // 2027: 4-8.01 (1.01 to święto), w Bawarii także bez 6.01
+    assert.equal(LeavePlanner.countDays(WINTER_LEAVE, 2027), 5);
+    assert.equal(LeavePlanner.countDays(WINTER_LEAVE, 2027, 'BY'), 4);
+    assert.equal(LeavePlanner.countDays(WINTER_LEAVE), 13);
+});
+
+test('rozliczenie roczne z limitem i bez limitu', () => {
+    const employee = { id: 'emp-1', annualLeaveDays: 30, leaves: [WINTER_LEAVE, { id: 'leave-2', from: '2026-07-06', to: '2026-07-10' }] };
+
+    assert.deepEqual(LeavePlanner.getBalance(employee, 2026), { entitlement: 30, taken: 13, remaining: 17 });
+    assert.deepEqual(LeavePlanner.getBalance({ ...employee, annualLeaveDays: null }, 2026),
+        { entitlement: null, taken: 13, remaining: null });
+});
+
+test('nakładające się okresy urlopu', () => {
+    const leaves = [WINTER_LEAVE];
+
+    assert.equal(LeavePlanner.overlaps(leaves, { id: 'leave-2', from: '2027-01-08', to: '2027-01-12' }), true);
+    assert.equal(LeavePlanner.overlaps(leaves, { id: 'leave-2', from: '2027-01-09', to: '2027-01-12' }), false);
+    assert.equal(LeavePlanner.overlaps(leaves, { ...WINTER_LEAVE, to: '2027-01-10' }), false, 'edytowany okres');
+});
+
+test('zmiany urlopu wskazują tygodnie i przenoszą się na kafelki', () => {
+    const before = [{ id: 'emp-1', leaves: [{ id: 'leave-1', from: '2026-03-02', to: '2026-03-03' }] }];
+    const after = [{ id: 'emp-1', leaves: [{ id: 'leave-1', from: '2026-03-03', to: '2026-03-09' }] }];
+
+    const changes = LeavePlanner.diff(before, after);
+    assert.deepEqual(LeavePlanner.getAffectedWeeks(changes), [{ year: 2026, weekNumber: 10 }, { year: 2026, weekNumber: 11 }]);
+
+    const week = createWeek(['U', 'U', 'Praca', 'K', 'A', 'A', 'A']);
+    const { state, changed } = LeavePlanner.applyToWeek(week, changes);
+
+    assert.equal(changed, true);
+    assert.deepEqual(state.rows[0].tiles.map(tile => tile.state), ['A', 'U', 'U', 'K', 'U', 'U', 'U']);
+    assert.equal(state.rows[0].tiles[2].shiftId, undefined);
+    assert.equal(week.rows[0].tiles[2].state, 'Praca', 'stan tygodnia nie jest modyfikowany');
+});
+
+test('bez zmian urlopu tydzień pozostaje bez zmian', () => {
+    const employees = [{ id: 'emp-1', leaves: [WINTER_LEAVE] }];
+
+    const changes = LeavePlanner.diff(employees, employees);
+
+    assert.deepEqual(changes, []);
+    assert.equal(LeavePlanner.applyToWeek(createWeek(Array(7).fill('A')), changes).changed, false);
+});
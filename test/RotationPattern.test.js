@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RotationPattern = require('../src/models/RotationPattern');
+
+const SHIFTS = [
+    { id: 'early', name: 'Früh', code: 'F', start: '06:00', end: '14:00', color: '#fde68a' },
+    { id: 'late', name: 'Spät', code: 'S', start: '14:00', end: '22:30', color: '#bfdbfe' }
+];
+
+/**
+ * Cykl dwutygodniowy: tydzień A - praca pon-pt, tydzień B - praca tylko w sobotę
+ * @param {string} startDate
+ * @returns {Object}
+ */
+function createRotation(startDate) {
+    const weekA = ['Praca', 'Praca', 'Praca', 'Praca', 'Praca', 'A', 'A']
+        .map(state => (state === 'Praca' ? { state, shiftId: 'early' } : { state }));
+    const weekB = ['A', 'A', 'A', 'A', 'A', 'Praca', 'A']
+        .map(state => (state === 'Praca' ? { state, shiftId: 'late' } : { state }));
+    return { startDate, weeks: [weekA, weekB] };
+}
+
+test('tydzień zawierający datę rozpoczęcia jest pierwszym tygodniem cyklu', () => {
+    // 2026-03-04 to środa tygodnia 10
+    const rotation = createRotation('2026-03-04');
+
+    assert.equal(RotationPattern.getCycleIndex(rotation, 2026, 9), null);
+    assert.deepEqual([10, 11, 12, 13, 14, 15].map(week => RotationPattern.getCycleIndex(rotation, 2026, week)),
+        [0, 1, 0, 1, 0, 1]);
+    assert.equal(RotationPattern.getWeekTiles(rotation, 2026, 11)[5].shiftId, 'late');
+});
+
+test('cykl jest ciągły na przełomie roku', () => {
+    // 2025-12-24 należy do tygodnia 52/2025, a rok 2025 ma 52 tygodnie ISO
+    const rotation = createRotation('2025-12-24');
+
+    assert.equal(RotationPattern.getCycleIndex(rotation, 2025, 52), 0);
+    assert.equal(RotationPattern.getCycleIndex(rotation, 2026, 1), 1);
+    assert.equal(RotationPattern.getCycleIndex(rotation, 2026, 2), 0);
+});
+
+test('niepełna rotacja nie obowiązuje', () => {
+    assert.equal(RotationPattern.isDefined(null), false);
+    assert.equal(RotationPattern.isDefined({ startDate: '2026-03-02', weeks: [] }), false);
+    assert.equal(RotationPattern.getWeekTiles({ weeks: [RotationPattern.createEmptyWeek()] }, 2026, 10), null);
+    assert.equal(RotationPattern.isDefined(RotationPattern.create('2026-03-02')), true);
+});
+
+test('odstępstwem jest inny stan lub inna zmiana', () => {
+    const expected = { state: 'Praca', shiftId: 'early' };
+
+    assert.equal(RotationPattern.isDeviation({ state: 'Praca', shiftId: 'early' }, expected, SHIFTS), false);
+    assert.equal(RotationPattern.isDeviation({ state: 'Praca' }, expected, SHIFTS), false, 'brak ID to zmiana domyślna');
+    assert.equal(RotationPattern.isDeviation({ state: 'Praca', shiftId: 'late' }, expected, SHIFTS), true);
+    assert.equal(RotationPattern.isDeviation({ state: 'U' }, expected, SHIFTS), true);
+    assert.equal(RotationPattern.isDeviation({ state: 'U' }, null, SHIFTS), false);
+});
+
+test('opis kafelka rotacji zawiera skrót i godziny zmiany', () => {
+    assert.equal(RotationPattern.describe({ state: 'Praca', shiftId: 'late' }, SHIFTS), 'S (14.00-22.30)');
+    assert.equal(RotationPattern.describe({ state: 'A' }, SHIFTS), 'A');
+});
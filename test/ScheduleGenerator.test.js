@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ScheduleGenerator = require('../src/models/ScheduleGenerator');
+
+/**
+ * @param {number} rowCount
+ * @param {number} requiredWorkers - wymagana obsada każdego dnia
+ * @param {Object} week - { year, weekNumber }
+ * @returns {Object}
+ */
+function createState(rowCount, requiredWorkers, { year = 2026, weekNumber = 10 } = {}) {
+    return {
+        year,
+        weekNumber,
+        columns: Array.from({ length: 7 }, (_, index) => ({ index, requiredWorkers })),
+        rows: Array.from({ length: rowCount }, (_, rowIndex) => ({
+            index: rowIndex,
+            header: `Pracownik ${rowIndex + 1}`,
+            includedInCalculations: true,
+            tiles: Array.from({ length: 7 }, (_, columnIndex) => ({ rowIndex, columnIndex, state: 'A' }))
+        }))
+    };
+}
+
+/**
+ * @param {Object[]} assignments
+ * @param {string} key - 'rowIndex' lub 'columnIndex'
+ * @param {number} length - liczba wierszy lub kolumn
+ * @returns {number[]} liczba przydziałów na wiersz lub kolumnę
+ */
+function countBy(assignments, key, length) {
+    const counts = Array(length).fill(0);
+    assignments.forEach(assignment => counts[assignment[key]]++);
+    return counts;
+}
+
+test('każdy dzień dostaje wymaganą obsadę, a dni pracy rozkładają się równomiernie', () => {
+    const result = ScheduleGenerator.generate(createState(4, 2));
+
+    assert.equal(result.feasible, true);
+    assert.deepEqual(countBy(result.assignments, 'columnIndex', 7), [2, 2, 2, 2, 2, 2, 2]);
+    const days = countBy(result.assignments, 'rowIndex', 4);
+    assert.ok(Math.max(...days) - Math.min(...days) <= 1, `nierówny rozkład: ${days}`);
+});
+
+test('istniejące kafelki, nieobecności i wiersze spoza wyliczeń nie są zmieniane', () => {
+    const state = createState(3, 1);
+    state.rows[0].tiles[0].state = 'Praca';
+    state.rows[1].tiles.forEach(tile => { tile.state = 'U'; });
+    state.rows[2].includedInCalculations = false;
+
+    const result = ScheduleGenerator.generate(state);
+
+    assert.ok(result.assignments.every(assignment => assignment.rowIndex === 0));
+    assert.deepEqual(result.assignments.map(assignment => assignment.columnIndex), [1, 2, 3, 4, 5, 6]);
+});
+
+test('brak dostępnych pracowników i nadmiar obsady są zgłaszane jako problemy', () => {
+    const state = createState(2, 2);
+    state.rows.forEach(row => { row.tiles[6].state = 'Praca'; });
+    state.columns[6].requiredWorkers = 1;
+
+    const result = ScheduleGenerator.generate(state, { isAvailable: (row, columnIndex) => columnIndex !== 0 });
+
+    assert.equal(result.feasible, false);
+    assert.deepEqual(result.problems.map(problem => problem.columnIndex), [0, 6]);
+    assert.match(result.problems[0].reason, /Za mało dostępnych pracowników: 0 \(minimum 2\)/);
+    assert.match(result.problems[1].reason, /Za dużo zaplanowanych pracowników: 2 \(maksimum 1\)/);
+});
+
+test('tolerancja świąt kraju związkowego obniża obsadę w święta', () => {
+    // Tydzień 52/2026: piątek 25.12 i sobota 26.12 to święta
+    const state = createState(3, 2, { year: 2026, weekNumber: 52 });
+    const rules = { holiday: { minOffset: -2, maxOffset: -2 } };
+
+    const result = ScheduleGenerator.generate(state, { rules, holidayState: 'BY' });
+
+    assert.deepEqual(countBy(result.assignments, 'columnIndex', 7), [2, 2, 2, 2, 0, 0, 2]);
+});
+
+test('pracownik z pełnym etatem wybierany jest dopiero na końcu', () => {
+    const state = createState(2, 1);
+    const shifts = [{ id: 'long', name: 'Lang', code: 'L', start: '06:00', end: '18:00', color: '#fde68a' }];
+
+    const result = ScheduleGenerator.generate(state, {
+        shifts,
+        getTargetHours: row => (row.index === 0 ? 12 : null),
+        pickShiftId: () => 'long'
+    });
+
+    assert.deepEqual(countBy(result.assignments, 'rowIndex', 2), [1, 6]);
+    assert.ok(result.assignments.every(assignment => assignment.shiftId === 'long'));
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const StaffingRules = require('../src/models/StaffingRules');
+
+test('domyślne reguły: pon-sob wymagana lub o jeden więcej, niedziela dokładnie wymagana', () => {
+    const monday = StaffingRules.evaluate({ pracaCount: 4, required: 3, columnIndex: 0 });
+    assert.deepEqual({ isValid: monday.isValid, min: monday.min, max: monday.max }, { isValid: true, min: 3, max: 4 });
+
+    const sunday = StaffingRules.evaluate({ pracaCount: 4, required: 3, columnIndex: 6 });
+    assert.equal(sunday.isValid, false);
+    assert.equal(sunday.failedRule, 'max');
+    assert.equal(sunday.max, 3);
+
+    const understaffed = StaffingRules.evaluate({ pracaCount: 1, required: 3, columnIndex: 2 });
+    assert.equal(understaffed.failedRule, 'min');
+});
+
+test('tolerancja: data ma pierwszeństwo przed świętem, a święto przed dniem tygodnia', () => {
+    const rules = {
+        weekdays: Array.from({ length: 7 }, () => ({ minOffset: 0, maxOffset: 0 })),
+        dates: { '2026-12-25': { minOffset: -3, maxOffset: 0 } },
+        holiday: { minOffset: -2, maxOffset: 0 }
+    };
+
+    assert.equal(StaffingRules.getTolerance(rules, 4, '2026-12-25', true).source, 'date');
+    assert.equal(StaffingRules.getTolerance(rules, 5, '2026-12-26', true).source, 'holiday');
+    assert.equal(StaffingRules.getTolerance(rules, 0, '2026-12-28', false).source, 'weekday');
+});
+
+test('niepełna konfiguracja jest uzupełniana regułami domyślnymi', () => {
+    const resolved = StaffingRules.resolve({ weekdays: [{ minOffset: 0, maxOffset: 0 }] });
+    assert.equal(resolved.weekdays, StaffingRules.DEFAULT_RULES.weekdays);
+    assert.deepEqual(resolved.dates, {});
+    assert.equal(resolved.holiday, null);
+});
+
+test('evaluateDay wyznacza święto z daty i kraju związkowego', () => {
+    const rules = { holiday: { minOffset: -2, maxOffset: 0 } };
+    // 2026-01-06 (wtorek): Heilige Drei Könige tylko w BW, BY i ST
+    const date = new Date(2026, 0, 6);
+
+    const bavaria = StaffingRules.evaluateDay({ pracaCount: 1, required: 3, columnIndex: 1, date, holidayState: 'BY', rules });
+    assert.equal(bavaria.isValid, true);
+    assert.equal(bavaria.min, 1);
+
+    const berlin = StaffingRules.evaluateDay({ pracaCount: 1, required: 3, columnIndex: 1, date, holidayState: 'BE', rules });
+    assert.equal(berlin.isValid, false);
+    assert.equal(berlin.min, 3);
+});
+
+test('evaluateDay stosuje regułę przypisaną do daty', () => {
+    const rules = { dates: { '2026-03-02': { minOffset: 1, maxOffset: 2 } } };
+    const evaluation = StaffingRules.evaluateDay({
+        pracaCount: 3, required: 3, columnIndex: 0, date: new Date(2026, 2, 2), rules
+    });
+    assert.equal(evaluation.failedRule, 'min');
+    assert.equal(evaluation.min, 4);
+});
+
+test('zarejestrowana reguła oceny jest sprawdzana po regułach wbudowanych', () => {
+    const evaluators = StaffingRules.EVALUATORS;
+    try {
+        StaffingRules.registerEvaluator({
+            id: 'no-sunday',
+            evaluate: ({ columnIndex, pracaCount }) => (columnIndex === 6 && pracaCount > 0 ? 'Niedziela wolna' : null)
+        });
+        const sunday = StaffingRules.evaluate({ pracaCount: 2, required: 2, columnIndex: 6 });
+        assert.equal(sunday.failedRule, 'no-sunday');
+        assert.equal(sunday.reason, 'Niedziela wolna');
+    } finally {
+        StaffingRules.EVALUATORS = evaluators;
+    }
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const StateSchema = require('../src/services/StateSchema');
+
+/**
+ * Poprawny stan tygodnia (bez pól uzupełnianych przez migrację)
+ * @param {number} year
+ * @param {number} weekNumber
+ * @returns {Object}
+ */
+function createWeek(year, weekNumber) {
+    return {
+        year,
+        weekNumber,
+        columns: Array.from({ length: 7 }, (_, index) => ({ index, requiredWorkers: 2 })),
+        rows: [{
+            header: 'Anna',
+            tiles: Array.from({ length: 7 }, () => ({ state: 'Praca' }))
+        }]
+    };
+}
+
+test('wersja 1 (jedna tablica) jest migrowana do bieżącej wersji', () => {
+    const { store, invalidWeeks } = StateSchema.migrate(createWeek(2026, 10));
+
+    assert.equal(store.schemaVersion, StateSchema.CURRENT_VERSION);
+    assert.equal(store.year, 2026);
+    assert.equal(store.weekNumber, 10);
+    assert.deepEqual(Object.keys(store.weeks), ['2026-W10']);
+    assert.deepEqual(invalidWeeks, []);
+
+    const row = store.weeks['2026-W10'].rows[0];
+    assert.equal(row.index, 0);
+    assert.equal(row.employeeId, null);
+    assert.equal(row.includedInCalculations, true);
+    assert.equal(row.tiles[3].columnIndex, 3);
+});
+
+test('wersja 2 (tygodnie bez schemaVersion) jest migrowana do bieżącej wersji', () => {
+    const data = {
+        year: 2026,
+        weekNumber: 11,
+        weeks: { '2026-W10': createWeek(2026, 10), '2026-W11': createWeek(2026, 11) }
+    };
+    const { store, invalidWeeks } = StateSchema.migrate(data);
+
+    assert.equal(store.schemaVersion, StateSchema.CURRENT_VERSION);
+    assert.equal(store.weekNumber, 11);
+    assert.deepEqual(Object.keys(store.weeks), ['2026-W10', '2026-W11']);
+    assert.equal(store.weeks['2026-W11'].rows[0].tiles[0].rowIndex, 0);
+    assert.deepEqual(invalidWeeks, []);
+    assert.equal(data.weeks['2026-W10'].rows[0].index, undefined, 'dane wejściowe nie są modyfikowane');
+});
+
+test('nowsza lub nieznana wersja schematu jest odrzucana', () => {
+    const weeks = { '2026-W10': createWeek(2026, 10) };
+
+    assert.throws(() => StateSchema.migrate({ schemaVersion: StateSchema.CURRENT_VERSION + 1, weeks }),
+        /nowszą wersją aplikacji/);
+    assert.throws(() => StateSchema.migrate({ schemaVersion: 'trzy', weeks }), /nieznana wersja schematu/);
+    assert.throws(() => StateSchema.migrate({ schemaVersion: 0, weeks }), /nieznana wersja schematu/);
+});
+
+test('magazyn bez obiektu weeks jest odrzucany w całości', () => {
+    assert.throws(() => StateSchema.migrate({ schemaVersion: 3, year: null, weekNumber: null, weeks: [] }),
+        /brak obiektu weeks/);
+});
+
+test('validate zgłasza niepoprawny tydzień', () => {
+    const badWeek = createWeek(2026, 11);
+    badWeek.columns = badWeek.columns.slice(0, 6);
+    badWeek.rows[0].tiles[2] = { state: null };
+    const store = {
+        schemaVersion: StateSchema.CURRENT_VERSION,
+        year: 2026,
+        weekNumber: 10,
+        weeks: { '2026-W10': createWeek(2026, 10), '2026-W11': badWeek, '2026-W12': createWeek(2026, 13) }
+    };
+
+    const errors = StateSchema.validate(store);
+
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /^2026-W11: kolumny muszą być 7 dniami/);
+    assert.match(errors[1], /^2026-W11: wiersz 1: kafelki/);
+    assert.match(errors[2], /^2026-W12: klucz nie odpowiada tygodniowi 13\/2026/);
+});
+
+test('niepoprawny tydzień jest odrzucany bez pozostałych tygodni', () => {
+    const badWeek = createWeek(2026, 11);
+    badWeek.columns = badWeek.columns.slice(0, 6);
+    const { store, invalidWeeks } = StateSchema.migrate({
+        schemaVersion: StateSchema.CURRENT_VERSION,
+        year: 2026,
+        weekNumber: 11,
+        weeks: { '2026-W10': createWeek(2026, 10), '2026-W11': badWeek }
+    });
+
+    assert.deepEqual(Object.keys(store.weeks), ['2026-W10']);
+    assert.equal(invalidWeeks.length, 1);
+    assert.equal(invalidWeeks[0].key, '2026-W11');
+    assert.equal(invalidWeeks[0].week, badWeek);
+});
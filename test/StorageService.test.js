@@ -0,0 +1,229 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: delay } = require('timers/promises');
+
+// StorageService pobiera katalog danych z Electrona - w testach wskazuje on katalog tymczasowy
+let userDataPath = null;
+const electronPath = require.resolve('electron');
+require.cache[electronPath] = {
+    id: electronPath,
+    filename: electronPath,
+    loaded: true,
+    exports: { app: { getPath: () => userDataPath } }
+};
+
+const StorageService = require('../src/services/StorageService');
+const StateSchema = require('../src/services/StateSchema');
+
+/**
+ * @param {number} year
+ * @param {number} weekNumber
+ * @returns {Object}
+ */
+function createWeek(year, weekNumber) {
+    return {
+        year,
+        weekNumber,
+        columns: Array.from({ length: 7 }, (_, index) => ({ index, requiredWorkers: 2 })),
+        rows: [{
+            index: 0,
+            header: 'Anna',
+            employeeId: 'emp-1',
+            includedInCalculations: true,
+            tiles: Array.from({ length: 7 }, (_, columnIndex) => ({ state: 'Praca', rowIndex: 0, columnIndex }))
+        }]
+    };
+}
+
+/**
+ * @param {Object} data
+ */
+function writeStateFile(data) {
+    fs.writeFileSync(path.join(userDataPath, 'board-state.json'), JSON.stringify(data));
+}
+
+/**
+ * @returns {Object}
+ */
+function readStateFile() {
+    return JSON.parse(fs.readFileSync(path.join(userDataPath, 'board-state.json'), 'utf-8'));
+}
+
+beforeEach(() => {
+    userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'grafik-storage-'));
+});
+
+afterEach(() => {
+    fs.rmSync(userDataPath, { recursive: true, force: true });
+});
+
+test('niepoprawny tydzień nie blokuje wczytania i zapisu pozostałych', async () => {
+    const badWeek = createWeek(2026, 11);
+    badWeek.columns = badWeek.columns.slice(0, 6);
+    writeStateFile({
+        schemaVersion: StateSchema.CURRENT_VERSION,
+        year: 2026,
+        weekNumber: 10,
+        weeks: { '2026-W10': createWeek(2026, 10), '2026-W11': badWeek }
+    });
+
+    const storage = new StorageService();
+    assert.deepEqual(await storage.loadWeek(2026, 10), createWeek(2026, 10));
+    assert.equal(await storage.loadWeek(2026, 11), null);
+
+    const problems = await storage.getLoadProblems();
+    assert.equal(problems.length, 1);
+    assert.deepEqual(problems[0].invalidWeeks, ['2026-W11']);
+    const quarantined = JSON.parse(fs.readFileSync(
+        path.join(storage.backupPath, problems[0].corruptedFileName), 'utf-8'));
+    assert.deepEqual(quarantined.weeks['2026-W11'], badWeek);
+
+    assert.equal(await storage.saveWeek(createWeek(2026, 12)), true);
+    assert.deepEqual(Object.keys(readStateFile().weeks).sort(), ['2026-W10', '2026-W12']);
+});
+
+test('plik stanu, którego nie da się odczytać, wstrzymuje zapis tygodni', async () => {
+    writeStateFile({ schemaVersion: StateSchema.CURRENT_VERSION + 1, weeks: {} });
+
+    const storage = new StorageService();
+    assert.equal(await storage.loadWeek(2026, 10), null);
+    assert.equal((await storage.getLoadProblems()).length, 1);
+
+    assert.equal(await storage.saveWeek(createWeek(2026, 12)), false);
+    assert.equal(await storage.saveState(createWeek(2026, 12)), false);
+    assert.equal(fs.existsSync(path.join(userDataPath, 'board-state.json')), false);
+
+    await storage.dismissLoadProblem('board-state.json');
+    assert.equal(await storage.saveState(createWeek(2026, 12)), true);
+    assert.deepEqual(Object.keys(readStateFile().weeks), ['2026-W12']);
+});
+
+test('przywrócenie kopii wznawia zapis tygodni', async () => {
+    writeStateFile({
+        schemaVersion: StateSchema.CURRENT_VERSION,
+        year: 2026,
+        weekNumber: 10,
+        weeks: { '2026-W10': createWeek(2026, 10) }
+    });
+    const first = new StorageService();
+    await first.saveWeek(createWeek(2026, 11));
+    const [backup] = await first.listBackups();
+
+    fs.writeFileSync(path.join(userDataPath, 'board-state.json'), '{ uszkodzony');
+    const storage = new StorageService();
+    assert.equal(await storage.saveWeek(createWeek(2026, 12)), false);
+
+    assert.equal(await storage.restoreBackup(backup.id), true);
+    assert.equal(await storage.saveWeek(createWeek(2026, 12)), true);
+    assert.deepEqual(Object.keys(readStateFile().weeks).sort(), ['2026-W10', '2026-W12']);
+});
+
+test('plik w starszej wersji jest zapisywany po migracji z kopią poprzedniej wersji', async () => {
+    const legacy = createWeek(2026, 10);
+    writeStateFile(legacy);
+
+    const storage = new StorageService();
+    assert.equal((await storage.loadState()).weekNumber, 10);
+    assert.equal(readStateFile().schemaVersion, StateSchema.CURRENT_VERSION);
+
+    const backups = await storage.listBackups();
+    assert.equal(backups.length, 1);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(storage.backupPath, backups[0].id), 'utf-8')), legacy);
+});
+
+test('licznik zmian tygodnia rośnie tylko przy zmianie treści', async () => {
+    const storage = new StorageService();
+    const week = createWeek(2026, 10);
+
+    await storage.saveState(week);
+    assert.equal((await storage.loadWeek(2026, 10)).revision, 1);
+
+    await storage.saveState(await storage.loadWeek(2026, 10));
+    assert.equal((await storage.loadWeek(2026, 10)).revision, 1);
+
+    const changed = await storage.loadWeek(2026, 10);
+    changed.rows[0].tiles[0].state = 'U';
+    await storage.saveWeek({ ...changed, revision: 0 });
+    assert.equal((await storage.loadWeek(2026, 10)).revision, 2);
+
+    await storage.saveRoster([{ id: 'emp-1', name: 'Anna Kowalska', active: true }]);
+    assert.equal((await storage.loadWeek(2026, 10)).revision, 3);
+});
+
+test('przywrócona kopia ma liczniki zmian wyższe niż bieżący plik', async () => {
+    const storage = new StorageService();
+    await storage.saveState(createWeek(2026, 10));
+    const [backup] = await storage.listBackups();
+    assert.equal(backup, undefined, 'pierwszy zapis nie ma czego kopiować');
+
+    storage.BACKUP_INTERVAL_MS = 0;
+    const edited = await storage.loadWeek(2026, 10);
+    edited.rows[0].tiles[1].state = 'U';
+    await storage.saveState(edited);
+    edited.rows[0].tiles[2].state = 'U';
+    await storage.saveState(edited);
+    assert.equal((await storage.loadWeek(2026, 10)).revision, 3);
+
+    const oldest = (await storage.listBackups()).pop();
+    assert.equal(await storage.restoreBackup(oldest.id), true);
+
+    const restored = await storage.loadWeek(2026, 10);
+    assert.equal(restored.rows[0].tiles[1].state, 'Praca');
+    assert.equal(restored.revision, 4);
+});
+
+test('kartoteka bez listy pracowników jest wczytywana jako pusta', async () => {
+    const storage = new StorageService();
+    fs.writeFileSync(storage.rosterPath, JSON.stringify({ version: 1 }));
+    assert.deepEqual(await storage.loadRoster(), []);
+
+    fs.writeFileSync(storage.rosterPath, 'null');
+    assert.deepEqual(await storage.loadRoster(), []);
+});
+
+test('zapis nie zostawia pliku tymczasowego, a najstarsze kopie są usuwane', async () => {
+    const storage = new StorageService();
+    storage.BACKUP_INTERVAL_MS = 0;
+    storage.MAX_BACKUPS = 2;
+
+    for (const weekNumber of [10, 11, 12, 13]) {
+        await storage.saveSettings({ weekNumber });
+        await delay(5); // kopie nazywane są znacznikiem czasu z milisekundami
+    }
+
+    assert.deepEqual(fs.readdirSync(userDataPath).filter(name => name.endsWith('.tmp')), []);
+    const backups = await storage.listBackups();
+    assert.deepEqual(backups.map(backup => backup.fileName), ['settings.json', 'settings.json']);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(storage.backupPath, backups[0].id), 'utf-8')), { weekNumber: 12 });
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(storage.backupPath, backups[1].id), 'utf-8')), { weekNumber: 11 });
+});
+
+test('uszkodzony plik trafia do katalogu kopii', async () => {
+    const storage = new StorageService();
+    fs.writeFileSync(storage.settingsPath, '{ "weekNumber": ');
+
+    assert.deepEqual(await storage.loadSettings(), {});
+    const [problem] = await storage.getLoadProblems();
+    assert.equal(problem.fileName, 'settings.json');
+    assert.equal(fs.existsSync(storage.settingsPath), false);
+    assert.equal(fs.readFileSync(path.join(storage.backupPath, problem.corruptedFileName), 'utf-8'), '{ "weekNumber": ');
+});
+
+test('uszkodzona treść nie jest kopiowana przed nadpisaniem', async () => {
+    const storage = new StorageService();
+    storage.BACKUP_INTERVAL_MS = 0;
+    await storage.saveSettings({ weekNumber: 10 });
+    await storage.saveSettings({ weekNumber: 11 });
+    assert.equal((await storage.listBackups()).length, 1);
+
+    fs.writeFileSync(storage.settingsPath, '{ "weekNumber": ');
+    await delay(5);
+    await storage.saveSettings({ weekNumber: 12 });
+
+    const backups = await storage.listBackups();
+    assert.equal(backups.length, 1);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(storage.backupPath, backups[0].id), 'utf-8')), { weekNumber: 10 });
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WeekTemplate = require('../src/models/WeekTemplate');
+
+const isAbsence = state => ['U', 'K'].includes(state);
+
+/**
+ * @param {Object[]} rows - { header, employeeId, states: [7 × stan], shiftId }
+ * @param {number} requiredWorkers
+ * @returns {Object}
+ */
+function createState(rows, requiredWorkers = 2) {
+    return {
+        year: 2026,
+        weekNumber: 10,
+        columns: Array.from({ length: 7 }, (_, index) => ({ index, requiredWorkers })),
+        rows: rows.map(({ header, employeeId = null, states, shiftId = 'early' }, rowIndex) => ({
+            index: rowIndex,
+            header,
+            employeeId,
+            includedInCalculations: true,
+            tiles: states.map((state, columnIndex) => (state === 'Praca'
+                ? { rowIndex, columnIndex, state, shiftId }
+                : { rowIndex, columnIndex, state }))
+        }))
+    };
+}
+
+test('szablon zawiera obsadę i kafelki Praca, a nieobecności zamienia na A', () => {
+    const state = createState([{ header: 'Anna', employeeId: 'emp-1', states: ['Praca', 'U', 'A', 'K', 'A', 'A', 'A'] }], 3);
+
+    const template = WeekTemplate.fromState('tpl-1', 'Sommerbetrieb', state);
+
+    assert.deepEqual(template.columns, [3, 3, 3, 3, 3, 3, 3]);
+    assert.deepEqual(template.rows[0], {
+        employeeId: 'emp-1',
+        header: 'Anna',
+        tiles: [{ state: 'Praca', shiftId: 'early' }, { state: 'A' }, { state: 'A' }, { state: 'A' }, { state: 'A' }, { state: 'A' }, { state: 'A' }]
+    });
+});
+
+test('nałożenie szablonu zachowuje nieobecności tygodnia docelowego i je raportuje', () => {
+    const template = WeekTemplate.fromState('tpl-1', 'Sommerbetrieb',
+        createState([{ header: 'Anna', employeeId: 'emp-1', states: Array(7).fill('Praca'), shiftId: 'late' }], 4));
+    const target = createState([{ header: 'Anna Nowak', employeeId: 'emp-1', states: ['U', 'A', 'A', 'A', 'A', 'A', 'A'] }]);
+
+    const { state, skipped } = WeekTemplate.apply(target, template, isAbsence);
+
+    assert.equal(state.columns[0].requiredWorkers, 4);
+    assert.deepEqual(state.rows[0].tiles.map(tile => tile.state), ['U', 'Praca', 'Praca', 'Praca', 'Praca', 'Praca', 'Praca']);
+    assert.equal(state.rows[0].tiles[1].shiftId, 'late');
+    assert.deepEqual(skipped, ['Anna Nowak, Montag: nieobecność U - pominięto Praca']);
+    assert.equal(target.rows[0].tiles[1].state, 'A', 'stan docelowy nie jest modyfikowany');
+});
+
+test('wiersze dopasowywane są po nazwie, a brakujący pracownicy raportowani', () => {
+    const template = WeekTemplate.fromState('tpl-1', 'Sommerbetrieb', createState([
+        { header: 'Jan', states: ['Praca', 'A', 'A', 'A', 'A', 'A', 'A'] },
+        { header: 'Ewa', states: ['A', 'Praca', 'A', 'A', 'A', 'A', 'A'] },
+        { header: 'Olek', states: Array(7).fill('A') }
+    ]));
+    const target = createState([{ header: ' jan ', states: ['A', 'Praca', 'A', 'A', 'A', 'A', 'A'] }]);
+
+    const { state, skipped } = WeekTemplate.apply(target, template, isAbsence);
+
+    assert.deepEqual(state.rows[0].tiles.map(tile => tile.state), ['Praca', 'A', 'A', 'A', 'A', 'A', 'A']);
+    assert.equal(state.rows[0].tiles[1].shiftId, undefined);
+    assert.deepEqual(skipped, ['Ewa: brak w tygodniu docelowym']);
+});